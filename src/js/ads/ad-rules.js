@@ -0,0 +1,106 @@
+import Storage from 'model/storage';
+import SimpleModel from 'model/simplemodel';
+
+const PERSISTED_ITEMS = ['itemsPlayed', 'contentWatched'];
+// Position changes longer than this, in seconds, are seeks rather than content watched
+const MAX_TIME_STEP = 2;
+
+/**
+ * Decides which scheduled ad breaks play, following the `advertising.rules` config:
+ *  { startOn, frequency, timeBetweenAds }
+ *
+ * `startOn` is the playlist item, counting from 1, with the first preroll. Prerolls then play every `frequency`
+ * items, or only on that item when `frequency` is 0. Midrolls play only once `timeBetweenAds` seconds of content
+ * have been watched since the previous ad break.
+ *
+ * The counters are kept in localStorage, so that the caps apply across page loads.
+ */
+export default class AdRules {
+    constructor(model) {
+        this.model = model;
+        this.state = Object.assign({}, SimpleModel);
+        this.storage = new Storage('jwplayer.adRules', PERSISTED_ITEMS);
+        const persisted = this.storage.getAllItems();
+        this.state.attributes = {
+            itemsPlayed: parseInt(persisted.itemsPlayed, 10) || 0,
+            contentWatched: parseFloat(persisted.contentWatched) || 0
+        };
+        this.watched = this.state.get('contentWatched');
+        this.position = null;
+        this.storage.track(this.state);
+    }
+
+    rules() {
+        return Object.assign({
+            startOn: 1,
+            frequency: 1,
+            timeBetweenAds: 0
+        }, (this.model.get('advertising') || {}).rules);
+    }
+
+    /**
+     * Counts a playlist item. Called before the item's prerolls are played.
+     */
+    startItem() {
+        this.state.set('itemsPlayed', this.state.get('itemsPlayed') + 1);
+        this.position = null;
+    }
+
+    /**
+     * @returns {boolean} Whether the prerolls of the current item may play.
+     */
+    allowPreroll() {
+        const rules = this.rules();
+        const item = this.state.get('itemsPlayed');
+        if (item < rules.startOn) {
+            return false;
+        }
+        if (rules.frequency > 0) {
+            return (item - rules.startOn) % rules.frequency === 0;
+        }
+        return item === rules.startOn;
+    }
+
+    /**
+     * @returns {boolean} Whether enough content has been watched since the previous ad break for a midroll to play.
+     */
+    allowMidroll() {
+        return this.watched >= this.rules().timeBetweenAds;
+    }
+
+    /**
+     * Counts the content watched
+     * @param {number} position - The position of the content.
+     */
+    time(position) {
+        const step = this.position === null ? 0 : position - this.position;
+        this.position = position;
+        if (step > 0 && step < MAX_TIME_STEP) {
+            this.watched += step;
+            // Whole seconds are enough to cap ads, and spare writes to storage
+            this.state.set('contentWatched', Math.floor(this.watched));
+        }
+    }
+
+    /**
+     * Restarts the count of content watched, when an ad break starts.
+     */
+    adBreak() {
+        this.watched = 0;
+        this.position = null;
+        this.state.set('contentWatched', 0);
+    }
+
+    /**
+     * Clears the counters and their storage.
+     */
+    reset() {
+        this.storage.clear();
+        this.state.attributes = {
+            itemsPlayed: 0,
+            contentWatched: 0
+        };
+        this.watched = 0;
+        this.position = null;
+    }
+}
@@ -0,0 +1,320 @@
+import VastClient from 'ads/vast-client';
+import { fillMacros, pixel } from 'ads/vast-tracker';
+import { parseOffset } from 'parsers/vast-time';
+import { parseVMAP } from 'parsers/vmapparser';
+import events from 'events/events';
+import states from 'events/states';
+
+export const PREROLL = 0;
+export const POSTROLL = Infinity;
+
+const VMAP_SCHEMA_ERROR = {
+    code: 1000,
+    message: 'VMAP schema error'
+};
+
+/**
+ * An ad break of the schedule
+ * @typedef {object} ScheduledAdBreak
+ * @property {string} id - The key or index of the break in the schedule, or the VMAP breakId.
+ * @property {string|number} offset - 'pre', 'start', 'post', 'end', seconds, 'HH:MM:SS.mmm' or 'n%'.
+ * @property {string|Array.<string>} [tag] - The VAST ad tag, or a waterfall of tags.
+ * @property {string|XMLDocument|Element} [vast] - A VAST document to play instead of requesting a tag.
+ * @property {object} tracking - VMAP tracking URLs by event: { breakStart, breakEnd, error }.
+ * @property {boolean} played - Whether the break has been played, or passed, for the current item.
+ */
+
+/**
+ * Converts the offset of an ad break to seconds
+ * @param {string|number} offset
+ * @param {number} duration - The duration of the content, used by percentage offsets.
+ * @returns {number|null} PREROLL or POSTROLL for breaks at the start or end, or null when the offset cannot be
+ * resolved yet.
+ */
+export function breakTime(offset, duration) {
+    if (typeof offset === 'number') {
+        return offset;
+    }
+    const value = `${offset}`.trim().toLowerCase();
+    if (value === 'pre' || value === 'start') {
+        return PREROLL;
+    }
+    if (value === 'post' || value === 'end') {
+        return POSTROLL;
+    }
+    if (/^\d+(\.\d+)?$/.test(value)) {
+        return parseFloat(value);
+    }
+    return parseOffset(value, duration);
+}
+
+/**
+ * Lists the ad breaks of an `advertising.schedule` config
+ * @param {object|Array} schedule - Breaks keyed by id, or an array of breaks.
+ * @returns {Array.<ScheduledAdBreak>} The breaks with a tag or VAST document.
+ */
+export function normalizeSchedule(schedule) {
+    const ids = Array.isArray(schedule) ? schedule.map((adBreak, index) => `adbreak${index}`) : Object.keys(schedule || {});
+    return ids.map((id, index) => {
+        const adBreak = (Array.isArray(schedule) ? schedule[index] : schedule[id]) || {};
+        return {
+            id: adBreak.id || id,
+            offset: adBreak.offset === undefined ? 'pre' : adBreak.offset,
+            tag: adBreak.tag,
+            vast: adBreak.vast,
+            tracking: adBreak.tracking || {},
+            played: false
+        };
+    }).filter(adBreak => !!(adBreak.tag || adBreak.vast));
+}
+
+/**
+ * Plays the ad breaks of the `advertising.schedule` config, or of a playlist item's `adschedule`, at their offsets.
+ *
+ * A schedule given as a string is the URL of a VMAP response. Each break plays once per item: breaks passed by
+ * seeking are marked as played, and only the latest one is played. Set `advertising.replayBreaks` to play midrolls
+ * again after seeking back before them. Prerolls and midrolls which the ad rules do not allow are passed over.
+ */
+export default class AdSchedule {
+    constructor(controller, model, rules) {
+        this.controller = controller;
+        this.model = model;
+        this.rules = rules;
+        this.breaks = [];
+        this.current = null;
+        this.loading = false;
+        this.pendingPlay = null;
+        this.requestId = 0;
+        this.vmaps = {};
+
+        controller.on(events.JWPLAYER_MEDIA_BEFOREPLAY, this.onBeforePlay, this);
+        controller.on(events.JWPLAYER_MEDIA_TIME, this.onTime, this);
+        controller.on(events.JWPLAYER_MEDIA_SEEK, this.onSeek, this);
+        controller.on(events.JWPLAYER_MEDIA_BEFORECOMPLETE, this.onBeforeComplete, this);
+        controller.on(events.JWPLAYER_AD_BREAK_START, this.onBreakStart, this);
+        controller.on(events.JWPLAYER_AD_BREAK_END, this.onBreakEnd, this);
+        controller.on(events.JWPLAYER_AD_ERROR, this.onAdError, this);
+        model.on('itemReady', this.onItemReady, this);
+    }
+
+    advertising() {
+        return this.model.get('advertising') || {};
+    }
+
+    onItemReady() {
+        const requestId = ++this.requestId;
+        this.rules.startItem();
+        const item = this.model.get('playlistItem') || {};
+        const schedule = item.adschedule || this.advertising().schedule;
+        this.breaks = [];
+        this.loading = false;
+        this.pendingPlay = null;
+        if (typeof schedule === 'string') {
+            this.loading = true;
+            this.loadVMAP(schedule).then(breaks => {
+                if (requestId === this.requestId) {
+                    this.onLoaded(breaks);
+                }
+            }).catch(error => {
+                if (requestId === this.requestId) {
+                    this.controller.trigger(events.JWPLAYER_AD_ERROR, {
+                        client: 'vast',
+                        tag: schedule,
+                        message: error.message,
+                        code: error.code
+                    });
+                    this.onLoaded([]);
+                }
+            });
+            return;
+        }
+        this.breaks = normalizeSchedule(schedule);
+        this.drawCues();
+    }
+
+    /**
+     * Requests a VMAP response once per URL
+     * @param {string} url
+     * @returns {Promise.<Array.<ScheduledAdBreak>>} The linear breaks of the response.
+     */
+    loadVMAP(url) {
+        if (!this.vmaps[url]) {
+            const advertising = this.advertising();
+            const client = new VastClient({
+                requestTimeout: advertising.requestTimeout,
+                withCredentials: advertising.withCredentials
+            });
+            this.vmaps[url] = client.fetch(url).then(xml => {
+                const breaks = parseVMAP(xml);
+                if (!breaks) {
+                    const error = new Error(VMAP_SCHEMA_ERROR.message);
+                    error.code = VMAP_SCHEMA_ERROR.code;
+                    throw error;
+                }
+                return breaks.filter(adBreak => adBreak.types.indexOf('linear') !== -1);
+            });
+            // Allow failed requests to be retried with the next item
+            this.vmaps[url].catch(() => {
+                delete this.vmaps[url];
+            });
+        }
+        return this.vmaps[url].then(breaks => normalizeSchedule(breaks));
+    }
+
+    onLoaded(breaks) {
+        const pendingPlay = this.pendingPlay;
+        this.breaks = breaks;
+        this.loading = false;
+        this.pendingPlay = null;
+        this.drawCues();
+        if (pendingPlay) {
+            const preroll = this.takePreroll();
+            if (preroll) {
+                this.play(preroll);
+            } else {
+                this.controller.play({ reason: pendingPlay.reason });
+            }
+        }
+    }
+
+    /**
+     * Marks the unplayed breaks between two times as played
+     * @param {number} from
+     * @param {number} to
+     * @param {number} [duration]
+     * @returns {Array.<ScheduledAdBreak>} The breaks, in schedule order.
+     */
+    takeBreaks(from, to, duration) {
+        return this.breaks.filter(adBreak => {
+            const time = breakTime(adBreak.offset, duration);
+            if (adBreak.played || time === null || time < from || time > to) {
+                return false;
+            }
+            adBreak.played = true;
+            return true;
+        });
+    }
+
+    /**
+     * Marks the item's prerolls as played
+     * @returns {ScheduledAdBreak|undefined} The preroll to play, unless the ad rules skip it.
+     */
+    takePreroll() {
+        const preroll = this.takeBreaks(PREROLL, PREROLL)[0];
+        return preroll && this.rules.allowPreroll() ? preroll : undefined;
+    }
+
+    play(adBreak) {
+        this.current = adBreak;
+        this.controller.playAd(adBreak.tag || adBreak.vast);
+    }
+
+    onBeforePlay(e) {
+        if (this.current) {
+            return;
+        }
+        if (this.loading) {
+            // Hold content until the VMAP response says whether there is a preroll
+            this.pendingPlay = {
+                reason: e.playReason
+            };
+            this.controller.pause();
+            return;
+        }
+        const idle = this.model.get('state') === states.IDLE;
+        const preroll = this.takePreroll();
+        if (preroll && idle) {
+            // Interrupt content before the break detaches it
+            this.controller.pause();
+            this.play(preroll);
+        }
+    }
+
+    onTime(e) {
+        if (this.current) {
+            return;
+        }
+        this.rules.time(e.position);
+        const due = this.takeBreaks(PREROLL + Number.MIN_VALUE, e.position, e.duration);
+        // Midrolls due too soon after the previous break are passed over
+        if (due.length && this.rules.allowMidroll()) {
+            // Only the latest of the breaks passed by seeking is played
+            this.play(due.reduce((latest, adBreak) => {
+                return breakTime(adBreak.offset, e.duration) >= breakTime(latest.offset, e.duration) ? adBreak : latest;
+            }));
+        }
+    }
+
+    onSeek(e) {
+        if (!this.advertising().replayBreaks || e.offset >= e.position) {
+            return;
+        }
+        const duration = this.model.get('duration');
+        this.breaks.forEach(adBreak => {
+            const time = breakTime(adBreak.offset, duration);
+            if (time > e.offset && time < POSTROLL) {
+                adBreak.played = false;
+            }
+        });
+    }
+
+    onBeforeComplete() {
+        if (this.current) {
+            return;
+        }
+        const postroll = this.takeBreaks(POSTROLL, POSTROLL)[0];
+        if (postroll) {
+            // Started synchronously so that the model holds playback complete until the break ends
+            this.play(postroll);
+        }
+    }
+
+    track(event, macros) {
+        const urls = this.current && this.current.tracking[event];
+        if (urls) {
+            urls.forEach(url => pixel(fillMacros(url, macros || {})));
+        }
+    }
+
+    onBreakStart() {
+        this.rules.adBreak();
+        this.track('breakStart');
+    }
+
+    onBreakEnd() {
+        this.track('breakEnd');
+        this.current = null;
+    }
+
+    onAdError(e) {
+        this.track('error', {
+            ERRORCODE: e.code
+        });
+    }
+
+    drawCues() {
+        const text = this.advertising().cuetext || this.model.get('localization').advertisement;
+        const cues = this.breaks.reduce((list, adBreak) => {
+            const percent = /^\d+(\.\d+)?%$/.test(`${adBreak.offset}`.trim());
+            const time = percent ? `${adBreak.offset}`.trim() : breakTime(adBreak.offset);
+            if (percent || (time > PREROLL && time < POSTROLL)) {
+                list.push({
+                    begin: time,
+                    text: text
+                });
+            }
+            return list;
+        }, []);
+        if (cues.length) {
+            this.controller.setCues(cues);
+        }
+    }
+
+    destroy() {
+        this.requestId++;
+        this.controller.off(null, null, this);
+        this.model.off(null, null, this);
+        this.breaks = [];
+        this.current = null;
+    }
+}
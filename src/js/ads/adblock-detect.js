@@ -0,0 +1,78 @@
+import ScriptLoader from 'utils/scriptloader';
+import events from 'events/events';
+
+// Class names which ad blocker filter lists hide
+export const BAIT_CLASSES = 'adsbox ad-banner ad-placement pub_300x250 pub_728x90 textads banner-ads';
+// How long ad blockers are given to hide the bait, in milliseconds
+const BAIT_DELAY = 100;
+
+// Whether an element is laid out, so that its children's layout can be read
+function isRendered(element) {
+    return !!element.getClientRects && element.getClientRects().length > 0;
+}
+
+/**
+ * Tells whether an element has been removed or hidden. Its size is only checked when its container is rendered,
+ * since nothing has a size in pages which are hidden or not laid out.
+ * @param {HTMLElement} element
+ * @returns {boolean}
+ */
+export function isHidden(element) {
+    const container = element.parentNode;
+    if (!container) {
+        return true;
+    }
+    const style = window.getComputedStyle ? window.getComputedStyle(element) : null;
+    if (style && (style.display === 'none' || style.visibility === 'hidden')) {
+        return true;
+    }
+    return isRendered(container) && (!element.offsetHeight || !element.offsetParent);
+}
+
+/**
+ * Adds an element looking like an ad to the page, and checks whether it gets hidden
+ * @returns {Promise.<boolean>}
+ */
+export function detectBait() {
+    return new Promise(resolve => {
+        const bait = document.createElement('div');
+        bait.className = BAIT_CLASSES;
+        bait.innerHTML = '&nbsp;';
+        bait.style.cssText = 'position:absolute;left:-10000px;top:-1000px;width:1px;height:1px;';
+        document.body.appendChild(bait);
+        setTimeout(() => {
+            const hidden = isHidden(bait);
+            if (bait.parentNode) {
+                bait.parentNode.removeChild(bait);
+            }
+            resolve(hidden);
+        }, BAIT_DELAY);
+    });
+}
+
+/**
+ * Loads an ad script, and checks whether it is blocked
+ * @param {string} url
+ * @returns {Promise.<boolean>}
+ */
+export function detectBlockedScript(url) {
+    return new Promise(resolve => {
+        const loader = new ScriptLoader(url);
+        loader.on(events.ERROR, () => resolve(true));
+        loader.on(events.COMPLETE, () => resolve(false));
+        loader.load();
+    });
+}
+
+/**
+ * Detects ad blockers with a bait element, and with an ad script when one is given
+ * @param {string} [scriptUrl] - The URL of a script ad blockers are expected to block.
+ * @returns {Promise.<boolean>} Whether an ad blocker was detected.
+ */
+export default function detectAdBlock(scriptUrl) {
+    const checks = [detectBait()];
+    if (scriptUrl) {
+        checks.push(detectBlockedScript(scriptUrl));
+    }
+    return Promise.all(checks).then(results => results.some(blocked => blocked));
+}
@@ -0,0 +1,175 @@
+import cssUtils from 'utils/css';
+
+// HTML companions run scripts and open pages in a document of their own origin, which cannot reach the page
+const HTML_SANDBOX = 'allow-scripts allow-popups allow-popups-to-escape-sandbox allow-forms';
+
+/**
+ * A page container registered for companion ads
+ * @typedef {object} CompanionSlot
+ * @property {HTMLElement|string} element - The container, or its id.
+ * @property {number} width
+ * @property {number} height
+ */
+
+function slotElement(slot) {
+    return typeof slot.element === 'string' ? document.getElementById(slot.element) : slot.element;
+}
+
+function createFrame(companion) {
+    const iframe = document.createElement('iframe');
+    iframe.setAttribute('frameborder', '0');
+    iframe.setAttribute('scrolling', 'no');
+    iframe.setAttribute('allowtransparency', 'true');
+    iframe.width = companion.width;
+    iframe.height = companion.height;
+    cssUtils.style(iframe, {
+        border: 'none',
+        margin: 0,
+        padding: 0
+    });
+    return iframe;
+}
+
+// Static resources are only shown as images, and HTML only in browsers which can sandbox it
+function isSupported(companion) {
+    if (companion.staticResource) {
+        return /^image\//.test(companion.staticResource.creativeType);
+    }
+    if (companion.iframeResource) {
+        return true;
+    }
+    return !!companion.htmlResource && 'srcdoc' in document.createElement('iframe');
+}
+
+// Images, then iframes, then HTML
+function resourceRank(companion) {
+    if (companion.staticResource) {
+        return 0;
+    }
+    return companion.iframeResource ? 1 : 2;
+}
+
+/**
+ * Lists the companions which fit a slot, best first
+ * @param {Array.<VastCompanion>} companions
+ * @param {CompanionSlot} slot
+ * @returns {Array.<VastCompanion>} The supported companions of the slot's size. Slots without a size take any
+ * companion.
+ */
+export function matchCompanions(companions, slot) {
+    return (companions || []).filter(companion => {
+        return isSupported(companion) && (!slot.width || companion.width === slot.width) &&
+            (!slot.height || companion.height === slot.height);
+    }).sort((a, b) => resourceRank(a) - resourceRank(b));
+}
+
+/**
+ * Renders the companion ads of VAST ads into the page containers registered for them.
+ *
+ * Slots are registered with `api.registerCompanionSlot(element, width, height)`, or with `advertising.companiondiv`:
+ *  { id, width, height } or an array of them
+ *
+ * Each slot shows the companion matching its size. Static resources are shown when they are images, and HTML resources
+ * in a sandboxed iframe. The content of the slot is restored when companions are cleared.
+ */
+export default class Companions {
+    constructor() {
+        this.slots = [];
+    }
+
+    /**
+     * @param {HTMLElement|string} element - The container, or its id when it may not be in the page yet.
+     * @param {number} [width]
+     * @param {number} [height]
+     */
+    register(element, width, height) {
+        if (!element) {
+            return;
+        }
+        this.slots = this.slots.filter(slot => slot.element !== element);
+        this.slots.push({
+            element: element,
+            width: parseInt(width, 10) || 0,
+            height: parseInt(height, 10) || 0,
+            content: null
+        });
+    }
+
+    /**
+     * Shows an ad's companions in the slots they fit
+     * @param {Array.<VastCompanion>} companions
+     * @param {function} track - Calls tracking URLs, such as VastTracker.send.
+     * @returns {Array.<VastCompanion>} The companions shown.
+     */
+    render(companions, track) {
+        this.clear();
+        const shown = [];
+        this.slots.forEach(slot => {
+            const element = slotElement(slot);
+            const companion = matchCompanions(companions, slot).filter(match => shown.indexOf(match) === -1)[0];
+            if (!element || !companion) {
+                return;
+            }
+            // Keep the slot's content to restore it once the companion is cleared
+            slot.content = Array.prototype.slice.call(element.childNodes);
+            slot.content.forEach(node => element.removeChild(node));
+            this.show(element, companion, track);
+            shown.push(companion);
+            track(companion.creativeView);
+        });
+        return shown;
+    }
+
+    show(element, companion, track) {
+        const staticResource = companion.staticResource;
+        if (staticResource) {
+            const image = document.createElement('img');
+            image.src = staticResource.url;
+            image.width = companion.width;
+            image.height = companion.height;
+            image.alt = companion.altText || '';
+            if (companion.clickThrough) {
+                cssUtils.style(image, {
+                    cursor: 'pointer'
+                });
+                image.addEventListener('click', () => {
+                    track(companion.clickTracking);
+                    window.open(companion.clickThrough, '_blank');
+                });
+            }
+            element.appendChild(image);
+            return;
+        }
+        const iframe = createFrame(companion);
+        if (companion.iframeResource) {
+            iframe.src = companion.iframeResource;
+        } else {
+            iframe.setAttribute('sandbox', HTML_SANDBOX);
+            iframe.srcdoc = '<!DOCTYPE html><html><head></head><body style="margin:0;overflow:hidden;">' +
+                companion.htmlResource + '</body></html>';
+        }
+        element.appendChild(iframe);
+    }
+
+    /**
+     * Removes the companions shown, and restores the content of their slots
+     */
+    clear() {
+        this.slots.forEach(slot => {
+            const element = slotElement(slot);
+            if (!slot.content || !element) {
+                return;
+            }
+            while (element.firstChild) {
+                element.removeChild(element.firstChild);
+            }
+            slot.content.forEach(node => element.appendChild(node));
+            slot.content = null;
+        });
+    }
+
+    destroy() {
+        this.clear();
+        this.slots = [];
+    }
+}
@@ -0,0 +1,670 @@
+import { VastErrors, vastError } from 'ads/vast-client';
+import IframeBridge from 'providers/iframe-bridge';
+import cssUtils from 'utils/css';
+import Events from 'utils/backbone.events';
+import events from 'events/events';
+import states from 'events/states';
+
+// How long each step of loading and starting a creative may take, in milliseconds
+const DEFAULT_TIMEOUT = 15000;
+// How often the time left in VPAID ads is checked, in milliseconds
+const TIME_INTERVAL = 250;
+// Creatives run scripts and open pages, but may not navigate the page they are shown on. A creative with the
+// page's origin could reach the page and lift its own sandbox, so only creatives of other origins keep theirs.
+const SANDBOX = 'allow-scripts allow-popups allow-popups-to-escape-sandbox allow-forms';
+
+/**
+ * The ad events reported for the events of VPAID 2 creatives
+ */
+export const VPAID_EVENTS = {
+    AdStarted: events.JWPLAYER_AD_PLAY,
+    AdPlaying: events.JWPLAYER_AD_PLAY,
+    AdPaused: events.JWPLAYER_AD_PAUSE,
+    AdClickThru: events.JWPLAYER_AD_CLICK,
+    AdSkipped: events.JWPLAYER_AD_SKIPPED,
+    AdStopped: events.JWPLAYER_AD_COMPLETE,
+    AdError: events.JWPLAYER_AD_ERROR
+};
+
+/**
+ * The ad events reported for the requests of SIMID creatives
+ */
+export const SIMID_MESSAGES = {
+    'SIMID:Creative:requestPlay': events.JWPLAYER_AD_PLAY,
+    'SIMID:Creative:requestPause': events.JWPLAYER_AD_PAUSE,
+    'SIMID:Creative:clickThru': events.JWPLAYER_AD_CLICK,
+    'SIMID:Creative:requestSkip': events.JWPLAYER_AD_SKIPPED,
+    'SIMID:Creative:requestStop': events.JWPLAYER_AD_COMPLETE,
+    'SIMID:Creative:fatalError': events.JWPLAYER_AD_ERROR
+};
+
+// The SIMID reasons for stopping an ad
+const SIMID_STOP_CODES = {
+    mediaComplete: 2,
+    playerInitiated: 3
+};
+
+function originOf(url) {
+    const link = document.createElement('a');
+    link.href = url;
+    return `${link.protocol}//${link.host}`;
+}
+
+/**
+ * Runs in the sandboxed iframe of a VPAID creative, as the only script of the page it is given.
+ *
+ * It loads the creative's script, and relays the calls of the player to the creative's ad object and the ad's
+ * events back to the player, as JSON messages. It may not use anything outside of its own body.
+ * @param {object} config
+ * @param {string} config.file - The creative's script.
+ * @param {string} config.origin - The origin of the page showing the creative.
+ * @param {Array.<string>} config.events - The VPAID events to report.
+ */
+function vpaidFrame(config) {
+    let vpaid = null;
+    const send = message => {
+        window.parent.postMessage(JSON.stringify(message), config.origin);
+    };
+    const fail = message => {
+        send({
+            type: 'error',
+            message: message
+        });
+    };
+    const call = (method, args) => {
+        if (!vpaid || typeof vpaid[method] !== 'function') {
+            return undefined;
+        }
+        try {
+            return vpaid[method].apply(vpaid, args);
+        } catch (error) {
+            fail(error.message);
+        }
+        return undefined;
+    };
+
+    const videoSlot = document.createElement('video');
+    const slot = document.createElement('div');
+    videoSlot.setAttribute('playsinline', '');
+    videoSlot.setAttribute('webkit-playsinline', '');
+    [videoSlot, slot].forEach(element => {
+        element.style.cssText = 'position:absolute;top:0;left:0;width:100%;height:100%;';
+        document.body.appendChild(element);
+    });
+
+    window.addEventListener('message', e => {
+        let message = null;
+        try {
+            message = e.source === window.parent && JSON.parse(e.data);
+        } catch (error) {
+            return;
+        }
+        if (!message || !vpaid) {
+            return;
+        }
+        switch (message.type) {
+            case 'call':
+                if (message.method === 'initAd') {
+                    message.args[5] = {
+                        slot: slot,
+                        videoSlot: videoSlot,
+                        videoSlotCanAutoPlay: true
+                    };
+                }
+                call(message.method, message.args);
+                break;
+            case 'getTime':
+                send({
+                    type: 'time',
+                    duration: call('getAdDuration', []),
+                    remaining: call('getAdRemainingTime', [])
+                });
+                break;
+            default:
+                break;
+        }
+    });
+
+    const script = document.createElement('script');
+    script.onerror = () => fail('Could not load the VPAID creative');
+    script.onload = () => {
+        const ad = typeof window.getVPAIDAd === 'function' ? window.getVPAIDAd() : null;
+        if (!ad || typeof ad.handshakeVersion !== 'function') {
+            fail('The creative is not a VPAID ad');
+            return;
+        }
+        vpaid = ad;
+        config.events.forEach(name => {
+            call('subscribe', [function() {
+                // Only the arguments of VPAID events which can be sent as JSON
+                const args = [].slice.call(arguments, 0, 3).map(arg => {
+                    return arg === Object(arg) ? null : arg;
+                });
+                send({
+                    type: 'event',
+                    name: name,
+                    args: args
+                });
+            }, name]);
+        });
+        send({
+            type: 'handshake',
+            version: call('handshakeVersion', ['2.0'])
+        });
+    };
+    script.src = config.file;
+    document.body.appendChild(script);
+}
+
+/**
+ * An interactive creative
+ * @typedef {object} InteractiveCreative
+ * @property {string} apiFramework - 'VPAID' or 'SIMID'.
+ * @property {string} file - The VPAID script or the SIMID page.
+ * @property {string} [adParameters]
+ * @property {string} [clickThrough] - The page opened when the ad is clicked.
+ * @property {number} [timeout=15000] - How long loading and starting the creative may each take, in milliseconds.
+ */
+
+/**
+ * The player's size and sound, passed to creatives when they are loaded
+ * @typedef {object} InteractiveEnvironment
+ * @property {number} width
+ * @property {number} height
+ * @property {boolean} fullscreen
+ * @property {number} volume - From 0 to 100.
+ * @property {boolean} mute
+ */
+
+/**
+ * Shows an interactive creative in a sandboxed iframe over the player's media.
+ *
+ * Creatives report their playback with the player's ad events: 'adPlay', 'adPause', 'adClick'
+ * { clickThroughUrl, playerHandles }, 'adSkipped', 'adComplete', 'adTime' { position, duration } and 'adError'
+ * { message, code }, where code is a VAST error code. A creative which does not load or start in time fails with
+ * error 402. No events are triggered once a creative has failed or has been destroyed.
+ */
+class InteractiveAd {
+    /**
+     * @param {HTMLElement} container - The element the creative is shown in.
+     * @param {InteractiveCreative} creative
+     * @param {string} sandbox - What the creative may do in its iframe.
+     */
+    constructor(container, creative, sandbox) {
+        Object.assign(this, Events);
+        this.creative = creative;
+        this.timeout = creative.timeout || DEFAULT_TIMEOUT;
+        this.timer = -1;
+        this.finished = false;
+        // Whether the creative plays the ad's media itself, instead of being shown over the player's
+        this.playsMedia = false;
+
+        const iframe = this.iframe = document.createElement('iframe');
+        iframe.className = 'jw-interactive-ad jw-reset';
+        iframe.setAttribute('sandbox', sandbox);
+        iframe.setAttribute('allowfullscreen', '');
+        iframe.setAttribute('scrolling', 'no');
+        iframe.setAttribute('frameborder', '0');
+        cssUtils.style(iframe, {
+            position: 'absolute',
+            top: 0,
+            left: 0,
+            width: '100%',
+            height: '100%',
+            border: 0
+        });
+        container.appendChild(iframe);
+    }
+
+    /**
+     * Fails the ad with error 402 when it does not get past a step in time
+     * @param {string} step
+     */
+    expect(step) {
+        this.clearTimer();
+        this.timer = setTimeout(() => {
+            this.fail(VastErrors.MEDIA_TIMEOUT, `${step} timed out`);
+        }, this.timeout);
+    }
+
+    clearTimer() {
+        clearTimeout(this.timer);
+        this.timer = -1;
+    }
+
+    dispatch(type, data) {
+        if (!this.finished) {
+            this.trigger(type, data || {});
+        }
+    }
+
+    fail(type, cause) {
+        const error = vastError(type, cause);
+        this.clearTimer();
+        this.dispatch(events.JWPLAYER_AD_ERROR, {
+            message: error.message,
+            code: error.code
+        });
+        this.finished = true;
+    }
+
+    /**
+     * @param {InteractiveEnvironment} environment
+     */
+    load(environment) {
+        this.environment = environment;
+    }
+
+    play() {}
+
+    pause() {}
+
+    /**
+     * @param {number} volume - From 0 to 100.
+     * @param {boolean} mute
+     */
+    setVolume() {}
+
+    /**
+     * @param {number} width
+     * @param {number} height
+     * @param {boolean} fullscreen
+     */
+    resize() {}
+
+    /**
+     * Reports an event of the player's media, for creatives shown over it
+     * @param {string} type - A media event, such as 'time' or 'complete'.
+     * @param {object} data
+     */
+    media() {}
+
+    destroy() {
+        this.clearTimer();
+        this.finished = true;
+        this.off();
+        if (this.iframe.parentNode) {
+            this.iframe.parentNode.removeChild(this.iframe);
+        }
+    }
+}
+
+/**
+ * Plays a VPAID 2 JavaScript creative, which plays the ad's media itself.
+ *
+ * The creative's script is loaded into a sandboxed iframe of an origin of its own, with a script which relays
+ * the calls made to the ad object returned by the creative's getVPAIDAd() function, and the ad's events, as
+ * messages. The creative cannot reach the page it is shown on.
+ */
+export class VpaidAd extends InteractiveAd {
+    constructor(container, creative) {
+        super(container, creative, SANDBOX);
+        this.playsMedia = true;
+        this.loaded = false;
+        this.timeInterval = -1;
+        // Sandboxed documents have an opaque origin, which their messages report as 'null'
+        this.bridge = new IframeBridge(this.iframe, 'null');
+        this.bridge.on('message', this.onMessage, this);
+    }
+
+    load(environment) {
+        super.load(environment);
+        if (!('srcdoc' in this.iframe)) {
+            this.fail(VastErrors.INTERACTIVE, 'Sandboxed VPAID creatives are not supported');
+            return;
+        }
+        this.expect('Loading the VPAID creative');
+        const config = JSON.stringify({
+            file: this.creative.file,
+            origin: originOf(window.location.href),
+            events: Object.keys(VPAID_EVENTS).concat('AdLoaded')
+        }).replace(/</g, '\\u003c');
+        this.iframe.srcdoc = '<!DOCTYPE html><html><head></head><body style="margin:0;overflow:hidden;">' +
+            `<script>(${vpaidFrame.toString()})(${config});</script></body></html>`;
+    }
+
+    onMessage(message) {
+        if (this.finished) {
+            return;
+        }
+        switch (message.type) {
+            case 'handshake':
+                this.onHandshake(parseFloat(message.version));
+                break;
+            case 'event':
+                this.onVpaidEvent(message.name, message.args || []);
+                break;
+            case 'time':
+                // Creatives answer -1 or -2 when they do not know
+                if (message.duration > 0 && message.remaining >= 0) {
+                    this.dispatch(events.JWPLAYER_AD_TIME, {
+                        position: Math.max(message.duration - message.remaining, 0),
+                        duration: message.duration
+                    });
+                }
+                break;
+            case 'error':
+                this.fail(VastErrors.INTERACTIVE, message.message);
+                break;
+            default:
+                break;
+        }
+    }
+
+    onHandshake(version) {
+        if (!(version >= 2)) {
+            this.fail(VastErrors.INTERACTIVE, `Unsupported VPAID version ${version}`);
+            return;
+        }
+        this.loaded = true;
+        const environment = this.environment;
+        this.expect('initAd');
+        // The frame passes the ad its slots as the environment variables
+        this.call('initAd', environment.width, environment.height, environment.fullscreen ? 'fullscreen' : 'normal', -1, {
+            AdParameters: this.creative.adParameters || ''
+        }, null);
+    }
+
+    onVpaidEvent(name, args) {
+        if (this.finished) {
+            return;
+        }
+        switch (name) {
+            case 'AdLoaded':
+                this.setVolume(this.environment.volume, this.environment.mute);
+                this.expect('startAd');
+                this.call('startAd');
+                return;
+            case 'AdStarted':
+                this.clearTimer();
+                this.startTimeUpdates();
+                break;
+            case 'AdClickThru':
+                this.dispatch(events.JWPLAYER_AD_CLICK, {
+                    clickThroughUrl: args[0] || this.creative.clickThrough,
+                    playerHandles: args[2] !== false
+                });
+                return;
+            case 'AdError':
+                this.fail(VastErrors.INTERACTIVE, args[0]);
+                return;
+            case 'AdSkipped':
+            case 'AdStopped':
+                this.stopTimeUpdates();
+                break;
+            default:
+                break;
+        }
+        if (VPAID_EVENTS[name]) {
+            this.dispatch(VPAID_EVENTS[name]);
+        }
+    }
+
+    startTimeUpdates() {
+        this.stopTimeUpdates();
+        this.timeInterval = setInterval(() => {
+            this.bridge.send({
+                type: 'getTime'
+            });
+        }, TIME_INTERVAL);
+    }
+
+    stopTimeUpdates() {
+        clearInterval(this.timeInterval);
+        this.timeInterval = -1;
+    }
+
+    // Calls a method of the ad in the creative's frame
+    call(method, ...args) {
+        if (this.loaded) {
+            this.bridge.send({
+                type: 'call',
+                method: method,
+                args: args
+            });
+        }
+    }
+
+    play() {
+        this.call('resumeAd');
+    }
+
+    pause() {
+        this.call('pauseAd');
+    }
+
+    setVolume(volume, mute) {
+        this.call('setAdVolume', mute ? 0 : volume / 100);
+    }
+
+    resize(width, height, fullscreen) {
+        this.call('resizeAd', width, height, fullscreen ? 'fullscreen' : 'normal');
+    }
+
+    destroy() {
+        this.stopTimeUpdates();
+        if (this.loaded) {
+            this.finished = true;
+            this.call('stopAd');
+            this.loaded = false;
+        }
+        this.bridge.destroy();
+        super.destroy();
+    }
+}
+
+/**
+ * Shows a SIMID creative over the ad's media, which the player plays.
+ *
+ * The creative keeps the origin it is loaded from, unless that is the page's, and exchanges SIMID messages with the
+ * player. It asks the player to create a session, then is initialized and started, and is told about the media's
+ * playback until the ad ends.
+ */
+export class SimidAd extends InteractiveAd {
+    constructor(container, creative) {
+        const origin = originOf(creative.file);
+        const sameOrigin = origin === originOf(window.location.href);
+        super(container, creative, sameOrigin ? SANDBOX : `${SANDBOX} allow-same-origin`);
+        this.sessionId = null;
+        this.messageId = 0;
+        // Callbacks of the messages sent to the creative, by messageId
+        this.resolvers = {};
+        this.duration = 0;
+        this.mediaComplete = false;
+        this.bridge = new IframeBridge(this.iframe, sameOrigin ? 'null' : origin);
+        this.bridge.on('message', this.onMessage, this);
+    }
+
+    load(environment) {
+        super.load(environment);
+        this.expect('Creating the SIMID session');
+        this.iframe.src = this.creative.file;
+    }
+
+    post(type, args) {
+        const message = {
+            sessionId: this.sessionId,
+            messageId: this.messageId++,
+            timestamp: Date.now(),
+            type: type,
+            args: args || {}
+        };
+        this.bridge.send(message);
+        return message.messageId;
+    }
+
+    // Sends a message, resolving or rejecting with the creative's answer
+    request(type, args) {
+        return new Promise((resolve, reject) => {
+            this.resolvers[this.post(type, args)] = {
+                resolve: resolve,
+                reject: reject
+            };
+        });
+    }
+
+    respond(message, value) {
+        this.post('resolve', {
+            messageId: message.messageId,
+            value: value || {}
+        });
+    }
+
+    onMessage(message) {
+        if (this.finished) {
+            return;
+        }
+        const args = message.args || {};
+        if (message.type === 'createSession' && this.sessionId === null) {
+            this.sessionId = message.sessionId;
+            this.respond(message);
+            this.init();
+            return;
+        }
+        if (message.sessionId !== this.sessionId) {
+            return;
+        }
+        if (message.type === 'resolve' || message.type === 'reject') {
+            const resolver = this.resolvers[args.messageId];
+            if (resolver) {
+                delete this.resolvers[args.messageId];
+                resolver[message.type](args.value);
+            }
+            return;
+        }
+        const type = SIMID_MESSAGES[message.type];
+        if (!type) {
+            return;
+        }
+        this.respond(message);
+        if (type === events.JWPLAYER_AD_CLICK) {
+            this.dispatch(type, {
+                clickThroughUrl: args.url || this.creative.clickThrough,
+                playerHandles: args.playerHandles !== false
+            });
+        } else if (type === events.JWPLAYER_AD_ERROR) {
+            this.fail(VastErrors.INTERACTIVE, args.errorMessage);
+        } else {
+            this.dispatch(type);
+        }
+    }
+
+    init() {
+        const environment = this.environment;
+        const dimensions = {
+            x: 0,
+            y: 0,
+            width: environment.width,
+            height: environment.height
+        };
+        this.expect('SIMID:Player:init');
+        this.request('SIMID:Player:init', {
+            environmentData: {
+                videoDimensions: dimensions,
+                creativeDimensions: dimensions,
+                fullscreen: environment.fullscreen,
+                fullscreenAllowed: true,
+                variableDurationAllowed: false,
+                skippableState: 'playerHandles',
+                siteUrl: window.location.href,
+                useragent: navigator.userAgent,
+                muted: environment.mute,
+                volume: environment.volume / 100,
+                version: '1.0'
+            },
+            creativeData: {
+                adParameters: this.creative.adParameters || '',
+                clickThruUrl: this.creative.clickThrough
+            }
+        }).then(() => {
+            this.expect('SIMID:Player:startCreative');
+            return this.request('SIMID:Player:startCreative');
+        }).then(() => {
+            this.clearTimer();
+        }).catch(value => {
+            this.fail(VastErrors.INTERACTIVE, value && value.message);
+        });
+    }
+
+    notify(type, args) {
+        if (this.sessionId !== null && !this.finished) {
+            this.post(type, args);
+        }
+    }
+
+    setVolume(volume, mute) {
+        this.notify('SIMID:Media:volumechange', {
+            volume: volume / 100,
+            muted: mute
+        });
+    }
+
+    resize(width, height, fullscreen) {
+        const dimensions = {
+            x: 0,
+            y: 0,
+            width: width,
+            height: height
+        };
+        this.notify('SIMID:Player:resize', {
+            videoDimensions: dimensions,
+            creativeDimensions: dimensions,
+            fullscreen: fullscreen
+        });
+    }
+
+    media(type, data) {
+        switch (type) {
+            case events.JWPLAYER_MEDIA_TIME:
+                if (data.duration !== this.duration) {
+                    this.duration = data.duration;
+                    this.notify('SIMID:Media:durationchange', {
+                        duration: data.duration
+                    });
+                }
+                this.notify('SIMID:Media:timeupdate', {
+                    currentTime: data.position
+                });
+                break;
+            case events.JWPLAYER_PLAYER_STATE:
+                if (data.newstate === states.PLAYING) {
+                    this.notify('SIMID:Media:play');
+                    this.notify('SIMID:Media:playing');
+                } else if (data.newstate === states.PAUSED) {
+                    this.notify('SIMID:Media:pause');
+                }
+                break;
+            case events.JWPLAYER_MEDIA_COMPLETE:
+                this.mediaComplete = true;
+                this.notify('SIMID:Media:ended');
+                break;
+            default:
+                break;
+        }
+    }
+
+    destroy() {
+        this.notify('SIMID:Player:adStopped', {
+            code: this.mediaComplete ? SIMID_STOP_CODES.mediaComplete : SIMID_STOP_CODES.playerInitiated
+        });
+        this.resolvers = {};
+        this.bridge.destroy();
+        super.destroy();
+    }
+}
+
+/**
+ * @param {HTMLElement} container - The element the creative is shown in.
+ * @param {InteractiveCreative} creative
+ * @returns {VpaidAd|SimidAd|null} Null when the creative's API is not supported.
+ */
+export function createInteractiveAd(container, creative) {
+    switch (creative.apiFramework) {
+        case 'VPAID':
+            return new VpaidAd(container, creative);
+        case 'SIMID':
+            return new SimidAd(container, creative);
+        default:
+            return null;
+    }
+}
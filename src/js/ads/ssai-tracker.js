@@ -0,0 +1,370 @@
+import VastClient from 'ads/vast-client';
+import { parseSCTE35, scte35AdSignal } from 'parsers/scte35parser';
+import events from 'events/events';
+import states from 'events/states';
+
+const CLIENT = 'ssai';
+const DEFAULT_ID3_KEY = 'SCTE35';
+
+function scte35Signal(data) {
+    return data ? scte35AdSignal(parseSCTE35(data)) : null;
+}
+
+function dateRangeSignal(dateRange, edge, dateRangeClass) {
+    const outSignal = scte35Signal(dateRange.scte35Out) || scte35Signal(dateRange.scte35Cmd);
+    const isBreak = !!dateRange.scte35Out || (!!dateRangeClass && dateRange.class === dateRangeClass) ||
+        (!!outSignal && outSignal.type === 'start');
+    if (!isBreak) {
+        // Ranges with only an SCTE35-IN return to the content at their start
+        return dateRange.scte35In && edge === 'start' ? {
+            type: 'end',
+            id: undefined,
+            duration: undefined
+        } : null;
+    }
+    if (edge === 'end') {
+        return {
+            type: 'end',
+            id: dateRange.id,
+            duration: undefined
+        };
+    }
+    let duration = dateRange.duration !== undefined ? dateRange.duration : dateRange.plannedDuration;
+    if (duration === undefined && outSignal) {
+        duration = outSignal.duration;
+    }
+    return {
+        type: 'start',
+        id: dateRange.id,
+        duration: duration
+    };
+}
+
+/**
+ * Finds the start or end of an ad break in the metadata of a 'meta' event
+ * @param {object} metadata - The EXT-X-DATERANGE, EXT-X-CUE-OUT and EXT-X-CUE-IN cues of HLS playlists, or ID3 frames.
+ * @param {object} [options]
+ * @param {string} [options.id3Key='SCTE35'] - The description of the TXXX frames carrying SCTE-35 sections, as hex
+ * or base64.
+ * @param {string} [options.dateRangeClass] - The CLASS of EXT-X-DATERANGE tags which are ad breaks, besides the ones
+ * carrying an SCTE35-OUT cue.
+ * @returns {{type: string, id: (string|undefined), duration: (number|undefined)}|null} The 'start' of a break, with
+ * its duration when known, its 'end', or null when the metadata signals neither.
+ */
+export function adSignal(metadata, options) {
+    const settings = Object.assign({
+        id3Key: DEFAULT_ID3_KEY
+    }, options);
+    if (!metadata) {
+        return null;
+    }
+    if (metadata.daterange) {
+        return dateRangeSignal(metadata.daterange, metadata.edge, settings.dateRangeClass);
+    }
+    if (metadata.cueOut) {
+        return {
+            type: 'start',
+            id: undefined,
+            duration: metadata.cueOut.duration || undefined
+        };
+    }
+    if (metadata.cueIn) {
+        return {
+            type: 'end',
+            id: undefined,
+            duration: undefined
+        };
+    }
+    const frames = metadata.TXXX;
+    const signal = frames && typeof frames === 'object' ? scte35Signal(frames[settings.id3Key]) : null;
+    return signal && Object.assign({
+        id: undefined
+    }, signal);
+}
+
+/**
+ * Follows the ad breaks stitched into content on the server, as signalled by its timed metadata.
+ *
+ * Breaks start and end with EXT-X-DATERANGE (SCTE35-OUT), EXT-X-CUE-OUT and EXT-X-CUE-IN tags of HLS playlists, or
+ * with SCTE-35 sections carried by ID3 TXXX frames. During a break the player shows its ad controls, seeking with
+ * the keyboard is disabled, and ad events are triggered as they are for breaks played with `playAd`.
+ *
+ * Settings are read from `advertising.ssai`, which is either true or:
+ *  { tag, id3Key, dateRangeClass }
+ *
+ * When a VAST `tag` is set it is requested at the start of each break, and the tracking of its ads is reported as
+ * the content plays through them. Their companions are shown in the registered companion slots.
+ */
+export default class SsaiTracker {
+    constructor(controller, model, companions) {
+        this.controller = controller;
+        this.model = model;
+        this.companions = companions;
+        this.breakId = 0;
+        this.adBreak = null;
+        this.client = null;
+
+        controller.on(events.JWPLAYER_MEDIA_META, this.onMeta, this);
+        controller.on(events.JWPLAYER_MEDIA_TIME, this.onTime, this);
+        controller.on(events.JWPLAYER_MEDIA_COMPLETE, this.endBreak, this);
+        model.on('change:playlist', this.endBreak, this);
+        model.on('itemReady', this.endBreak, this);
+        model.on('change:state', this.onState, this);
+        model.on('change:mute', this.onMute, this);
+        model.on('change:fullscreen', this.onFullscreen, this);
+    }
+
+    settings() {
+        const ssai = (this.model.get('advertising') || {}).ssai;
+        return ssai && typeof ssai === 'object' ? ssai : {};
+    }
+
+    onMeta(e) {
+        const signal = adSignal(e.metadata, this.settings());
+        if (!signal) {
+            return;
+        }
+        const adBreak = this.adBreak;
+        if (signal.type === 'start') {
+            if (!adBreak) {
+                this.startBreak(signal, e.metadataTime);
+            }
+        } else if (adBreak && (!signal.id || !adBreak.id || signal.id === adBreak.id)) {
+            this.endBreak();
+        }
+    }
+
+    startBreak(signal, time) {
+        const breakId = ++this.breakId;
+        const advertising = this.model.get('advertising') || {};
+        const tag = this.settings().tag;
+        const adBreak = this.adBreak = {
+            id: signal.id,
+            start: time,
+            duration: signal.duration,
+            ads: [],
+            // Ad events wait for the ads of the tag, so that they describe them
+            loading: !!tag,
+            index: -1,
+            playing: false,
+            tracker: null,
+            paused: false
+        };
+        this.model.set('ssaiBreak', true);
+        this.trigger(events.JWPLAYER_AD_BREAK_START, {});
+        if (!tag) {
+            return;
+        }
+        this.client = new VastClient({
+            maxRedirects: advertising.maxRedirects,
+            requestTimeout: advertising.requestTimeout,
+            withCredentials: advertising.withCredentials
+        });
+        this.client.request(tag).then(ads => {
+            if (breakId === this.breakId) {
+                adBreak.ads = ads;
+                adBreak.loading = false;
+            }
+        }).catch(error => {
+            if (breakId === this.breakId) {
+                adBreak.loading = false;
+                this.trigger(events.JWPLAYER_AD_ERROR, {
+                    message: error.message,
+                    code: error.code
+                });
+            }
+        });
+    }
+
+    endBreak() {
+        const adBreak = this.adBreak;
+        if (!adBreak) {
+            return;
+        }
+        this.completeAd();
+        const info = this.adInfo();
+        this.breakId++;
+        this.adBreak = null;
+        this.model.set('ssaiBreak', false);
+        this.model.set('altText', '');
+        this.companions.clear();
+        this.controller.trigger(events.JWPLAYER_AD_BREAK_END, info);
+    }
+
+    onTime(e) {
+        const adBreak = this.adBreak;
+        if (!adBreak) {
+            return;
+        }
+        const offset = Math.max(e.position - adBreak.start, 0);
+        // Seeking back before the break leaves it. Positions may be rounded below the start of its cue.
+        if (e.position < adBreak.start - 1 || (adBreak.duration > 0 && offset >= adBreak.duration)) {
+            this.endBreak();
+            return;
+        }
+        if (adBreak.loading) {
+            return;
+        }
+        // Ads of the tag play one after the other. Without them the break is reported as a single ad.
+        let index = 0;
+        let adStart = 0;
+        let duration = adBreak.duration;
+        if (adBreak.ads.length) {
+            while (index < adBreak.ads.length && offset >= adStart + adBreak.ads[index].linear.duration) {
+                adStart += adBreak.ads[index].linear.duration;
+                index++;
+            }
+            if (index === adBreak.ads.length) {
+                this.completeAd();
+                return;
+            }
+            duration = adBreak.ads[index].linear.duration;
+        }
+        if (index !== adBreak.index) {
+            this.completeAd();
+            this.startAd(index);
+        }
+        const position = offset - adStart;
+        if (adBreak.tracker) {
+            adBreak.tracker.time(position, duration);
+        }
+        this.updateText(position, duration);
+        this.trigger(events.JWPLAYER_AD_TIME, {
+            position: position,
+            duration: duration
+        });
+    }
+
+    startAd(index) {
+        const adBreak = this.adBreak;
+        const ad = adBreak.ads[index];
+        adBreak.index = index;
+        adBreak.playing = true;
+        adBreak.paused = false;
+        adBreak.tracker = ad ? this.client.tracker(ad) : null;
+        if (adBreak.tracker) {
+            adBreak.tracker.macros.CONTENTPLAYHEAD = adBreak.start;
+        }
+        this.trigger(events.JWPLAYER_AD_META, {});
+        if (adBreak.tracker) {
+            const tracker = adBreak.tracker;
+            const companions = ad.companions || [];
+            this.companions.render(companions, urls => tracker.send(urls));
+            if (companions.length) {
+                this.trigger(events.JWPLAYER_AD_COMPANIONS, {
+                    companions: companions
+                });
+            }
+            tracker.impression();
+        }
+        this.trigger(events.JWPLAYER_AD_IMPRESSION, {});
+        this.trigger(events.JWPLAYER_AD_PLAY, {
+            newstate: states.PLAYING
+        });
+    }
+
+    completeAd() {
+        const adBreak = this.adBreak;
+        if (!adBreak || !adBreak.playing) {
+            return;
+        }
+        if (adBreak.tracker) {
+            adBreak.tracker.track('complete');
+        }
+        this.trigger(events.JWPLAYER_AD_COMPLETE, {});
+        adBreak.playing = false;
+        adBreak.tracker = null;
+    }
+
+    updateText(position, duration) {
+        const ssai = this.settings();
+        const adBreak = this.adBreak;
+        const localization = this.model.get('localization');
+        const text = [];
+        if (adBreak.ads.length > 1) {
+            text.push((ssai.podmessage || localization.podMessage)
+                .replace(/__AD_POD_CURRENT__/g, adBreak.index + 1)
+                .replace(/__AD_POD_LENGTH__/g, adBreak.ads.length));
+        }
+        if (duration > 0) {
+            text.push((ssai.admessage || localization.adMessage)
+                .replace(/xx/gi, Math.ceil(Math.max(duration - position, 0))));
+        }
+        this.model.set('altText', text.join(' '));
+    }
+
+    onState(model, state) {
+        const adBreak = this.adBreak;
+        if (!adBreak || !adBreak.playing) {
+            return;
+        }
+        if (state === states.PAUSED && !adBreak.paused) {
+            adBreak.paused = true;
+            if (adBreak.tracker) {
+                adBreak.tracker.track('pause');
+            }
+            this.trigger(events.JWPLAYER_AD_PAUSE, {
+                newstate: state
+            });
+        } else if (state === states.PLAYING && adBreak.paused) {
+            adBreak.paused = false;
+            if (adBreak.tracker) {
+                adBreak.tracker.track('resume');
+            }
+            this.trigger(events.JWPLAYER_AD_PLAY, {
+                newstate: state
+            });
+        }
+    }
+
+    onMute(model, mute) {
+        if (this.adBreak && this.adBreak.tracker) {
+            this.adBreak.tracker.track(mute ? 'mute' : 'unmute');
+        }
+    }
+
+    onFullscreen(model, fullscreen) {
+        if (this.adBreak && this.adBreak.tracker) {
+            this.adBreak.tracker.track(fullscreen ? 'fullscreen' : 'exitFullscreen');
+        }
+    }
+
+    /**
+     * Ad event properties describing the break and the ad being played
+     * @returns {object}
+     */
+    adInfo() {
+        const adBreak = this.adBreak;
+        const info = {
+            client: CLIENT,
+            tag: this.settings().tag,
+            adposition: 'mid'
+        };
+        const ad = adBreak && adBreak.ads[adBreak.index];
+        if (adBreak && adBreak.id) {
+            info.adbreakid = adBreak.id;
+        }
+        if (ad) {
+            Object.assign(info, {
+                id: ad.id,
+                adsystem: ad.system,
+                adtitle: ad.title,
+                sequence: adBreak.index + 1,
+                podcount: adBreak.ads.length
+            });
+        }
+        return info;
+    }
+
+    trigger(type, data) {
+        this.controller.trigger(type, Object.assign(this.adInfo(), data));
+    }
+
+    destroy() {
+        // A break in progress ends with the player or the content it was stitched into
+        this.endBreak();
+        this.breakId++;
+        this.controller.off(null, null, this);
+        this.model.off(null, null, this);
+    }
+}
@@ -0,0 +1,285 @@
+import { parseVAST } from 'parsers/vastparser';
+import VastTracker, { fillMacros } from 'ads/vast-tracker';
+import Source from 'playlist/source';
+import utils from 'utils/helpers';
+
+export const VastErrors = {
+    XML_PARSE: {
+        code: 100,
+        message: 'Error loading ad: Invalid VAST response'
+    },
+    NOT_VAST: {
+        code: 101,
+        message: 'Error loading ad: Response is not VAST'
+    },
+    WRAPPER_REQUEST: {
+        code: 301,
+        message: 'Error loading ad: Could not load wrapped ad tag'
+    },
+    WRAPPER_LIMIT: {
+        code: 302,
+        message: 'Error loading ad: Too many wrapped ad tags'
+    },
+    NO_ADS: {
+        code: 303,
+        message: 'Error loading ad: No ads returned'
+    },
+    MEDIA_TIMEOUT: {
+        code: 402,
+        message: 'Error playing ad: Ad did not start in time'
+    },
+    MEDIA_UNSUPPORTED: {
+        code: 403,
+        message: 'Error playing ad: No supported media file'
+    },
+    MEDIA_ERROR: {
+        code: 405,
+        message: 'Error playing ad: Media file could not be played'
+    },
+    REQUEST: {
+        code: 900,
+        message: 'Error loading ad: Could not load ad tag'
+    },
+    INTERACTIVE: {
+        code: 901,
+        message: 'Error playing ad: Interactive creative failed'
+    }
+};
+
+/**
+ * @param {object} type - A VastErrors entry.
+ * @param {string} [cause] - The underlying error message.
+ * @returns {Error} An error with the VAST error code
+ */
+export function vastError(type, cause) {
+    const error = new Error(type.message);
+    error.code = type.code;
+    error.cause = cause;
+    return error;
+}
+
+/**
+ * Chooses the media file to play an ad with
+ *
+ * Files the player cannot play are skipped. Of the rest, files played by the preferred provider come first,
+ * then the file with the width closest to the player's, then the one with the highest bitrate.
+ * @param {VastLinear} linear
+ * @param {function} choose - Returns the provider choice for a source, or null when none can play it.
+ * @param {number} width - The player's width.
+ * @param {string} [preferredProvider] - The name of the provider playing the content.
+ * @returns {{mediaFile: VastMediaFile, source: PlaylistItemSource}|null}
+ */
+export function selectMediaFile(linear, choose, width, preferredProvider) {
+    const candidates = linear.mediaFiles.filter(mediaFile => !mediaFile.apiFramework).map(mediaFile => {
+        const source = Source({
+            file: mediaFile.file,
+            type: mediaFile.type
+        });
+        const choice = source && choose(source);
+        return choice && {
+            mediaFile: mediaFile,
+            source: source,
+            preferred: choice.name === preferredProvider
+        };
+    }).filter(candidate => !!candidate);
+
+    candidates.sort((a, b) => {
+        if (a.preferred !== b.preferred) {
+            return a.preferred ? -1 : 1;
+        }
+        const widthDifference = Math.abs(a.mediaFile.width - width) - Math.abs(b.mediaFile.width - width);
+        return widthDifference || b.mediaFile.bitrate - a.mediaFile.bitrate;
+    });
+
+    const selected = candidates[0];
+    return selected ? {
+        mediaFile: selected.mediaFile,
+        source: selected.source
+    } : null;
+}
+
+/**
+ * Chooses the interactive creative to play an ad with
+ *
+ * A VPAID JavaScript media file plays the whole ad, and is preferred over a SIMID creative, which is shown over one
+ * of the ad's media files.
+ * @param {VastLinear} linear
+ * @returns {{apiFramework: string, file: string}|null}
+ */
+export function selectInteractiveFile(linear) {
+    const vpaid = linear.mediaFiles.filter(mediaFile => {
+        return /^vpaid$/i.test(mediaFile.apiFramework) && /javascript/i.test(mediaFile.type);
+    })[0];
+    if (vpaid) {
+        return {
+            apiFramework: 'VPAID',
+            file: vpaid.file
+        };
+    }
+    const simid = linear.interactiveFiles.filter(interactiveFile => /^simid$/i.test(interactiveFile.apiFramework))[0];
+    if (simid) {
+        return {
+            apiFramework: 'SIMID',
+            file: simid.file
+        };
+    }
+    return null;
+}
+
+// Adds the tracking of the wrappers an ad was returned through to the ad
+function mergeWrappers(ad, wrappers) {
+    const all = wrappers.concat(ad);
+    const collect = (name, list) => all.reduce((result, item) => {
+        const owner = list ? item.linear : item;
+        return owner ? result.concat(owner[name]) : result;
+    }, []);
+    const merged = Object.assign({}, ad, {
+        impressions: collect('impressions'),
+        errors: collect('errors')
+    });
+    if (wrappers.length && wrappers[0].sequence !== undefined) {
+        // The position in a pod is given by the ad in the first response
+        merged.sequence = wrappers[0].sequence;
+    }
+    if (ad.linear) {
+        merged.linear = Object.assign({}, ad.linear, {
+            trackingEvents: collect('trackingEvents', true),
+            clickTracking: collect('clickTracking', true)
+        });
+    }
+    return merged;
+}
+
+/**
+ * Requests VAST ad tags, following wrappers to the inline ads they point to.
+ */
+export default class VastClient {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxRedirects=4] - How many wrappers to follow before giving up.
+     * @param {number} [options.requestTimeout=5000] - The timeout of each VAST request in milliseconds.
+     * @param {boolean} [options.withCredentials]
+     * @param {function} [options.ping] - Requests a tracking URL.
+     */
+    constructor(options) {
+        this.options = {
+            maxRedirects: 4,
+            requestTimeout: 5000,
+            withCredentials: false,
+            ping: null
+        };
+        // Settings which are not configured keep their defaults
+        Object.keys(options || {}).forEach(key => {
+            if (options[key] !== undefined) {
+                this.options[key] = options[key];
+            }
+        });
+    }
+
+    /**
+     * @param {string} url
+     * @returns {Promise.<XMLDocument>}
+     */
+    fetch(url) {
+        return new Promise((resolve, reject) => {
+            utils.ajax({
+                url: url,
+                timeout: this.options.requestTimeout,
+                withCredentials: this.options.withCredentials,
+                oncomplete: xhr => {
+                    if (xhr.responseXML && xhr.responseXML.firstChild) {
+                        resolve(xhr.responseXML);
+                    } else {
+                        reject(vastError(VastErrors.XML_PARSE));
+                    }
+                },
+                onerror: message => {
+                    reject(vastError(VastErrors.REQUEST, message));
+                }
+            });
+        });
+    }
+
+    /**
+     * Requests an ad tag and resolves its wrappers
+     *
+     * Ads with a sequence make up an ad pod, which is returned in order. Otherwise the first stand-alone ad is.
+     * @param {string|XMLDocument|Element} tag - The VAST ad tag URL, or a VAST document such as one included in a
+     * VMAP response.
+     * @returns {Promise.<Array.<VastAd>>} Inline ads with the tracking of the wrappers they were returned through.
+     * Rejects with an error with a VAST error code when there are no ads to play.
+     */
+    request(tag) {
+        let vastResponse = Promise.resolve(tag);
+        if (typeof tag === 'string') {
+            vastResponse = this.fetch(fillMacros(tag, {
+                CACHEBUSTING: Math.floor(Math.random() * 100000000),
+                TIMESTAMP: new Date().toISOString()
+            }));
+        }
+        return vastResponse.then(xml => {
+            const response = parseVAST(xml);
+            if (!response) {
+                throw vastError(VastErrors.NOT_VAST);
+            }
+            return Promise.all(response.ads.map(ad => this.resolve(ad, []))).then(resolved => {
+                const ads = resolved.filter(ad => ad && ad.linear);
+                if (!ads.length) {
+                    if (!response.ads.length) {
+                        this.tracker({ impressions: [], errors: response.errors }).error(VastErrors.NO_ADS.code);
+                    }
+                    throw vastError(VastErrors.NO_ADS);
+                }
+                const pod = ads.filter(ad => ad.sequence !== undefined);
+                if (pod.length) {
+                    return pod.sort((a, b) => a.sequence - b.sequence);
+                }
+                return ads.slice(0, 1);
+            });
+        });
+    }
+
+    /**
+     * Follows an ad's wrappers
+     * @param {VastAd} ad
+     * @param {Array.<VastAd>} wrappers - The wrappers the ad was returned through.
+     * @returns {Promise.<VastAd|null>} The inline ad, or null when the wrapper could not be resolved.
+     */
+    resolve(ad, wrappers) {
+        if (!ad.wrapper) {
+            return Promise.resolve(mergeWrappers(ad, wrappers));
+        }
+        const chain = wrappers.concat(ad);
+        const fail = error => {
+            this.tracker(mergeWrappers({ impressions: [], errors: [] }, chain)).error(error.code);
+            return null;
+        };
+        if (chain.length > this.options.maxRedirects || !ad.adTagURI) {
+            return Promise.resolve(fail(VastErrors.WRAPPER_LIMIT));
+        }
+        return this.fetch(ad.adTagURI).then(xml => {
+            const response = parseVAST(xml);
+            if (!response) {
+                return fail(VastErrors.NOT_VAST);
+            }
+            const wrapped = response.ads[0];
+            if (!wrapped) {
+                return fail(VastErrors.NO_ADS);
+            }
+            if (wrapped.wrapper && !ad.followAdditionalWrappers) {
+                return fail(VastErrors.WRAPPER_LIMIT);
+            }
+            return this.resolve(wrapped, chain);
+        }, error => {
+            return fail(error.code === VastErrors.XML_PARSE.code ? error : VastErrors.WRAPPER_REQUEST);
+        });
+    }
+
+    /**
+     * @param {VastAd} ad
+     * @returns {VastTracker}
+     */
+    tracker(ad) {
+        return new VastTracker(ad, this.options.ping);
+    }
+}
@@ -0,0 +1,347 @@
+import VastClient, { VastErrors, vastError, selectMediaFile, selectInteractiveFile } from 'ads/vast-client';
+import events from 'events/events';
+import states from 'events/states';
+
+const CLIENT = 'vast';
+const AD_POSITIONS = {
+    'instream-preroll': 'pre',
+    'instream-midroll': 'mid',
+    'instream-postroll': 'post'
+};
+
+/**
+ * Plays VAST ad breaks with the instream adapter, and reports their playback with ad events and tracking URLs.
+ *
+ * Settings are read from the `advertising` block of the player config:
+ *  { maxRedirects, requestTimeout, withCredentials, skipoffset, skipmessage, skiptext, admessage, podmessage,
+ *    vpaidmode, loadVideoTimeout }
+ *
+ * The messages replace the ones of `localization`. Ads of a pod play in sequence, and an ad which fails to play is
+ * reported and skipped. VPAID and SIMID creatives are played unless `vpaidmode` is 'disabled', and fail when a
+ * step of loading or starting them takes longer than `loadVideoTimeout` milliseconds. Companions of the ad being
+ * played are shown in the registered companion slots until the break ends.
+ */
+export default class VastPlayer {
+    constructor(controller, model, companions) {
+        this.controller = controller;
+        this.model = model;
+        this.companions = companions;
+        this.adapter = null;
+        this.breakId = 0;
+        this.tag = null;
+        this.ads = [];
+        this.ad = null;
+        this.tracker = null;
+        this.started = false;
+        this.paused = false;
+        this.client = null;
+    }
+
+    /**
+     * Starts an ad break, trying each tag of a waterfall until one returns ads the player can play.
+     *
+     * Content is interrupted right away and the break shows as loading while ads are requested, so breaks
+     * started before content plays or completes hold it until they end.
+     * @param {string|XMLDocument|Array} adBreak - The ad tag, VAST document or waterfall array.
+     */
+    playAd(adBreak) {
+        const tags = (Array.isArray(adBreak) ? adBreak : [adBreak]).filter(tag => !!tag);
+        const breakId = ++this.breakId;
+        const advertising = this.model.get('advertising') || {};
+        this.client = new VastClient({
+            maxRedirects: advertising.maxRedirects,
+            requestTimeout: advertising.requestTimeout,
+            withCredentials: advertising.withCredentials
+        });
+        this.startBreak(tags[0]);
+        this.requestAds(tags, 0, breakId, vastError(VastErrors.NO_ADS));
+    }
+
+    requestAds(tags, index, breakId, lastError) {
+        if (index >= tags.length) {
+            this.trigger(events.JWPLAYER_AD_ERROR, {
+                message: lastError.message,
+                code: lastError.code
+            });
+            this.endBreak(true);
+            return;
+        }
+        const tag = tags[index];
+        this.tag = tag;
+        this.client.request(tag).then(ads => {
+            if (breakId !== this.breakId) {
+                return;
+            }
+            const playable = ads.filter(ad => {
+                ad.media = this.selectMedia(ad);
+                if (!ad.media) {
+                    this.client.tracker(ad).error(VastErrors.MEDIA_UNSUPPORTED.code);
+                }
+                return !!ad.media;
+            });
+            if (!playable.length) {
+                throw vastError(VastErrors.MEDIA_UNSUPPORTED);
+            }
+            this.loadAds(playable);
+        }).catch(error => {
+            if (breakId === this.breakId) {
+                this.requestAds(tags, index + 1, breakId, error);
+            }
+        });
+    }
+
+    selectMedia(ad) {
+        const advertising = this.model.get('advertising') || {};
+        const provider = this.model.getVideo();
+        const providers = this.model.getProviders();
+        const media = selectMediaFile(ad.linear, source => providers.choose(source), this.model.get('containerWidth'),
+            provider && provider.getName().name);
+        const interactiveFile = advertising.vpaidmode !== 'disabled' && selectInteractiveFile(ad.linear);
+        if (!interactiveFile) {
+            return media;
+        }
+        const interactive = Object.assign({
+            adParameters: ad.linear.adParameters,
+            clickThrough: ad.linear.clickThrough,
+            timeout: advertising.loadVideoTimeout
+        }, interactiveFile);
+        if (interactiveFile.apiFramework === 'VPAID') {
+            return {
+                mediaFile: ad.linear.mediaFiles.filter(mediaFile => mediaFile.file === interactiveFile.file)[0],
+                source: null,
+                interactive: interactive
+            };
+        }
+        // SIMID creatives are shown over one of the ad's media files
+        return media && Object.assign(media, {
+            interactive: interactive
+        });
+    }
+
+    startBreak(tag) {
+        this.reset();
+        this.tag = tag;
+
+        const adapter = this.adapter = this.controller.createInstream();
+        adapter.on(events.JWPLAYER_PLAYLIST_ITEM, this.onItem, this);
+        adapter.on(events.JWPLAYER_PLAYER_STATE, this.onState, this);
+        adapter.on(events.JWPLAYER_MEDIA_TIME, this.onTime, this);
+        adapter.on(events.JWPLAYER_MEDIA_COMPLETE, this.onComplete, this);
+        adapter.on(events.JWPLAYER_INSTREAM_CLICK, this.onClick, this);
+        adapter.on(events.JWPLAYER_AD_CLICK, this.onClick, this);
+        adapter.on(events.JWPLAYER_AD_SKIPPED, this.onSkipped, this);
+        adapter.on(events.JWPLAYER_MEDIA_ERROR, this.onError, this);
+        adapter.on(events.JWPLAYER_ERROR, this.onError, this);
+        adapter.on(events.JWPLAYER_AD_BREAK_END, this.onBreakEnd, this);
+        this.model.on('change:mute', this.onMute, this);
+        this.model.on('change:fullscreen', this.onFullscreen, this);
+
+        adapter.init();
+        this.trigger(events.JWPLAYER_AD_BREAK_START, {});
+    }
+
+    loadAds(ads) {
+        const advertising = this.model.get('advertising') || {};
+        this.ads = ads;
+        this.adapter.loadItem(ads.map(ad => ({
+            sources: ad.media.source ? [ad.media.source] : [],
+            interactive: ad.media.interactive,
+            // Percentages are resolved with the duration of the media once it plays
+            skipoffset: ad.linear.skipoffset
+        })), ads.map(() => ({
+            tag: this.adInfo().tag,
+            skipoffset: advertising.skipoffset,
+            skipMessage: advertising.skipmessage,
+            skipText: advertising.skiptext,
+            adMessage: advertising.admessage,
+            podMessage: advertising.podmessage
+        })));
+    }
+
+    endBreak(destroyAdapter) {
+        const adapter = this.adapter;
+        const info = this.adInfo();
+        // Ignore responses to requests of the break
+        this.breakId++;
+        this.reset();
+        this.companions.clear();
+        if (destroyAdapter && adapter) {
+            adapter.destroy();
+        }
+        this.controller.trigger(events.JWPLAYER_AD_BREAK_END, info);
+    }
+
+    /**
+     * Ad event properties describing the ad being played
+     * @returns {object}
+     */
+    adInfo() {
+        const ad = this.ad;
+        const info = {
+            client: CLIENT,
+            // Breaks from VMAP responses may include their VAST document instead of a tag
+            tag: typeof this.tag === 'string' ? this.tag : undefined,
+            adposition: AD_POSITIONS[this.model.get('preInstreamState')]
+        };
+        if (ad) {
+            Object.assign(info, {
+                id: ad.id,
+                adsystem: ad.system,
+                adtitle: ad.title,
+                creativetype: ad.media.mediaFile.type,
+                mediafile: {
+                    file: ad.media.mediaFile.file
+                },
+                sequence: this.ads.indexOf(ad) + 1,
+                podcount: this.ads.length
+            });
+        }
+        return info;
+    }
+
+    trigger(type, data) {
+        this.controller.trigger(type, Object.assign(this.adInfo(), data));
+    }
+
+    onItem(e) {
+        this.ad = this.ads[e.index];
+        this.started = this.paused = false;
+        this.tracker = this.client.tracker(this.ad);
+        this.tracker.macros.ASSETURI = this.ad.media.mediaFile.file;
+        this.tracker.macros.CONTENTPLAYHEAD = this.model.get('position');
+        this.trigger(events.JWPLAYER_AD_META, {});
+        this.showCompanions();
+    }
+
+    showCompanions() {
+        const tracker = this.tracker;
+        const companions = this.ad.companions || [];
+        this.companions.render(companions, urls => tracker.send(urls));
+        if (companions.length) {
+            this.trigger(events.JWPLAYER_AD_COMPANIONS, {
+                companions: companions
+            });
+        }
+    }
+
+    onState(e) {
+        if (!this.tracker) {
+            return;
+        }
+        if (e.newstate === states.PLAYING) {
+            if (!this.started) {
+                this.started = true;
+                this.tracker.impression();
+                this.trigger(events.JWPLAYER_AD_IMPRESSION, {});
+            } else if (this.paused) {
+                this.tracker.track('resume');
+            }
+            this.paused = false;
+            this.trigger(events.JWPLAYER_AD_PLAY, {
+                newstate: e.newstate
+            });
+        } else if (e.newstate === states.PAUSED) {
+            this.paused = true;
+            this.tracker.track('pause');
+            this.trigger(events.JWPLAYER_AD_PAUSE, {
+                newstate: e.newstate
+            });
+        }
+    }
+
+    onTime(e) {
+        if (!this.tracker) {
+            return;
+        }
+        this.tracker.time(e.position, e.duration);
+        this.trigger(events.JWPLAYER_AD_TIME, {
+            position: e.position,
+            duration: e.duration
+        });
+    }
+
+    onComplete() {
+        if (!this.tracker) {
+            return;
+        }
+        this.tracker.track('complete');
+        this.trigger(events.JWPLAYER_AD_COMPLETE, {});
+    }
+
+    onClick(e) {
+        if (!this.tracker) {
+            return;
+        }
+        const vastClickThrough = this.tracker.click();
+        // Interactive creatives may click through to another page, or open it themselves
+        const clickThrough = e.clickThroughUrl || vastClickThrough;
+        if (clickThrough && e.playerHandles !== false) {
+            window.open(clickThrough, '_blank');
+        }
+        this.trigger(events.JWPLAYER_AD_CLICK, {
+            clickThroughUrl: clickThrough
+        });
+    }
+
+    onSkipped() {
+        if (!this.tracker) {
+            return;
+        }
+        this.tracker.track('skip');
+        this.trigger(events.JWPLAYER_AD_SKIPPED, {});
+    }
+
+    onError(e) {
+        if (!this.tracker) {
+            return;
+        }
+        // Interactive creatives fail with their own VAST error codes
+        const error = e.adErrorCode ? vastError({
+            code: e.adErrorCode,
+            message: e.message
+        }) : vastError(VastErrors.MEDIA_ERROR, e.message);
+        this.tracker.error(error.code);
+        // Ignore further events of the failed ad
+        this.tracker = null;
+        // The adapter then moves on to the next ad of the pod, or ends the break
+        this.trigger(events.JWPLAYER_AD_ERROR, {
+            message: error.message,
+            code: error.code
+        });
+    }
+
+    onMute(model, mute) {
+        if (this.tracker) {
+            this.tracker.track(mute ? 'mute' : 'unmute');
+        }
+    }
+
+    onFullscreen(model, fullscreen) {
+        if (this.tracker) {
+            this.tracker.track(fullscreen ? 'fullscreen' : 'exitFullscreen');
+        }
+    }
+
+    onBreakEnd() {
+        // The adapter destroys itself once the break has ended
+        this.endBreak(false);
+    }
+
+    reset() {
+        this.model.off(null, null, this);
+        if (this.adapter) {
+            this.adapter.off(null, null, this);
+            this.adapter = null;
+        }
+        this.tag = this.ad = this.tracker = null;
+        this.ads = [];
+    }
+
+    /**
+     * Stops requesting ads and reporting the ad break being played.
+     */
+    destroy() {
+        this.breakId++;
+        this.reset();
+    }
+}
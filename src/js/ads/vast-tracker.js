@@ -0,0 +1,146 @@
+import { parseOffset } from 'parsers/vast-time';
+
+// Tracking events reported at most once per ad
+const ONCE = ['creativeView', 'start', 'firstQuartile', 'midpoint', 'thirdQuartile', 'complete', 'skip', 'closeLinear'];
+const QUARTILES = {
+    firstQuartile: 0.25,
+    midpoint: 0.5,
+    thirdQuartile: 0.75
+};
+const MACRO_REGEX = /\[([A-Z_]+)\]/g;
+
+function pad(value, length) {
+    let result = '' + value;
+    while (result.length < length) {
+        result = '0' + result;
+    }
+    return result;
+}
+
+/**
+ * Formats seconds as a VAST time ('HH:MM:SS.mmm'), as used by the [ADPLAYHEAD] and [CONTENTPLAYHEAD] macros
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatTime(seconds) {
+    const ms = Math.round(Math.max(seconds, 0) * 1000);
+    return pad(Math.floor(ms / 3600000), 2) + ':' + pad(Math.floor(ms / 60000) % 60, 2) + ':' +
+        pad(Math.floor(ms / 1000) % 60, 2) + '.' + pad(ms % 1000, 3);
+}
+
+/**
+ * Replaces the VAST macros in a tracking URL. Macros without a value are left as they are.
+ * @param {string} url
+ * @param {object} macros - Values by macro name, such as { ERRORCODE: 405 }.
+ * @returns {string}
+ */
+export function fillMacros(url, macros) {
+    return url.replace(MACRO_REGEX, (match, name) => {
+        const value = macros[name];
+        return value === undefined || value === null ? match : encodeURIComponent(value);
+    });
+}
+
+/**
+ * Requests a tracking URL with an image, which needs no CORS headers from the tracking server
+ * @param {string} url
+ */
+export function pixel(url) {
+    const image = new Image();
+    image.src = url;
+}
+
+/**
+ * Reports the playback of a VAST ad to its tracking URLs.
+ */
+export default class VastTracker {
+    /**
+     * @param {VastAd} ad
+     * @param {function} [ping] - Requests a tracking URL. Defaults to an image request.
+     */
+    constructor(ad, ping) {
+        this.ad = ad;
+        this.ping = ping || pixel;
+        this.linear = ad.linear || { trackingEvents: [], clickTracking: [] };
+        this.macros = {};
+        this.fired = {};
+        this.progressFired = [];
+    }
+
+    send(urls, macros) {
+        const values = Object.assign({
+            CACHEBUSTING: pad(Math.floor(Math.random() * 100000000), 8),
+            TIMESTAMP: new Date().toISOString()
+        }, this.macros, macros);
+        urls.forEach(url => {
+            this.ping(fillMacros(url, values));
+        });
+    }
+
+    /**
+     * Calls the URLs of a tracking event. Events such as 'start' and 'complete' are only reported once.
+     * @param {string} event
+     */
+    track(event) {
+        if (ONCE.indexOf(event) >= 0) {
+            if (this.fired[event]) {
+                return;
+            }
+            this.fired[event] = true;
+        }
+        this.send(this.linear.trackingEvents.filter(tracking => tracking.event === event).map(tracking => tracking.url));
+    }
+
+    impression() {
+        if (this.fired.impression) {
+            return;
+        }
+        this.fired.impression = true;
+        this.send(this.ad.impressions);
+        this.track('creativeView');
+        this.track('start');
+    }
+
+    /**
+     * Reports quartiles and progress offsets reached by the ad's playback.
+     * @param {number} position
+     * @param {number} duration
+     */
+    time(position, duration) {
+        this.macros.ADPLAYHEAD = formatTime(position);
+        Object.keys(QUARTILES).forEach(event => {
+            if (duration > 0 && position >= duration * QUARTILES[event]) {
+                this.track(event);
+            }
+        });
+        this.linear.trackingEvents.forEach((tracking, index) => {
+            if (tracking.event !== 'progress' || this.progressFired[index]) {
+                return;
+            }
+            const offset = parseOffset(tracking.offset, duration);
+            if (offset !== null && position >= offset) {
+                this.progressFired[index] = true;
+                this.send([tracking.url]);
+            }
+        });
+    }
+
+    /**
+     * Reports a click on the ad.
+     * @returns {string|undefined} The page to open, if the ad has one.
+     */
+    click() {
+        this.send(this.linear.clickTracking);
+        return this.linear.clickThrough;
+    }
+
+    /**
+     * Reports an error with a VAST error code.
+     * @param {number} code
+     */
+    error(code) {
+        this.send(this.ad.errors, {
+            ERRORCODE: code
+        });
+    }
+}
@@ -123,6 +123,16 @@ define([
                     return qoeTimer;
                 }
             },
+            /**
+             * The player core, replaced each time the player is setup.
+             * @type CoreLoader
+             * @readonly
+             */
+            _core: {
+                get() {
+                    return core;
+                }
+            },
 
             /**
              * @return {string} The player API version.
@@ -257,6 +267,16 @@ define([
                 };
             },
 
+            /**
+             * Gets a Web Audio analyser node that audio played by the `audio` provider passes through,
+             * for drawing waveforms and spectrums.
+             * @returns {AnalyserNode|null} The analyser, or null when the current provider doesn't use Web Audio.
+             * @since v7.13.0
+             */
+            getAudioAnalyser() {
+                return core.getAudioAnalyser();
+            },
+
             /**
              * Gets the list of available audio tracks.
              * @returns {Array.<AudioTrackOption>}
@@ -396,6 +416,25 @@ define([
                 return core.get('itemMeta') || {};
             },
 
+            /**
+             * Gets how far behind the live edge playback of a live or DVR stream is.
+             * @returns {number|null} The latency in seconds, or null when the stream is not live.
+             * @since v7.13.0
+             */
+            getLiveLatency() {
+                return core.getLiveLatency();
+            },
+
+            /**
+             * Gets the seekable window of a live or DVR stream, with the wall-clock dates of its start and end
+             * when the stream provides them (EXT-X-PROGRAM-DATE-TIME in HLS, availabilityStartTime in DASH).
+             * @returns {LiveWindow|null} The seekable window, or null when the stream is not live.
+             * @since v7.13.0
+             */
+            getLiveWindow() {
+                return core.getLiveWindow();
+            },
+
             /**
              * Gets the player's mute state.
              * @returns {boolean} Whether or not the player is muted.
@@ -459,6 +498,8 @@ define([
             /**
              * @typedef {object} ProviderInfo
              * @property {string} name - The name of the Provider handling playback.
+             * @property {string} reason - Why the Provider was chosen: 'source' when named by the source's
+             * `provider` option, 'priority' when listed in the `providerPriority` setup option, otherwise 'default'.
              */
 
             /**
@@ -742,6 +783,20 @@ define([
                 return this;
             },
 
+            /**
+             * Seeks a live or DVR stream to the media played at a wall-clock date.
+             * Dates outside of the seekable window seek to its start or end.
+             * Streams without wall-clock dates do not seek.
+             * @param {Date|number} date - The date, or a timestamp in milliseconds.
+             * @param [meta] - An optional argument used to specify cause.
+             * @returns {Api}
+             * @since v7.13.0
+             */
+            seekToDate(date, meta = { reason: 'external' }) {
+                core.seekToDate(date, meta);
+                return this;
+            },
+
             /**
              * Stops any active playback, and plays the item at the 0-based index in the playlist.
              * @param {number} index - If outside the range of the playlist,
@@ -788,8 +843,9 @@ define([
             },
 
             /**
-             * Toggles the presence of the Airplay button in Safari (calls `HTMLMediaElement.webkitShowPlaybackTargetPicker`).
-             * Does not affect the Chromecast button in Chrome.
+             * Starts casting to a Chromecast receiver chosen by the user, or stops the current Cast session.
+             * Casting is enabled with the `cast` setup option: `true`, or `{ appid }` for a custom receiver.
+             * In Safari, shows the AirPlay target picker (calls `HTMLMediaElement.webkitShowPlaybackTargetPicker`).
              * @returns {Api}
              */
             castToggle() {
@@ -814,6 +870,20 @@ define([
                 return this;
             },
 
+            /**
+             * Registers a page container for the companion ads of VAST ads played by the player.
+             * Each ad's companion of the container's size is shown in it until the ad break ends.
+             * @param {HTMLElement|string} container - The container, or its id.
+             * @param {number} width - The width of the companions to show.
+             * @param {number} height - The height of the companions to show.
+             * @returns {Api}
+             * @since v7.13.0
+             */
+            registerCompanionSlot(container, width, height) {
+                core.registerCompanionSlot(container, width, height);
+                return this;
+            },
+
             /**
              * Stops any active playback.
              * @returns {Api}
@@ -1002,24 +1072,34 @@ define([
         },
 
         /**
-         * Checks for the presence of an ad blocker. Implemented by jwplayer-commercial.
+         * Checks for the presence of an ad blocker. Detection runs on setup when `advertising` is configured.
          * @returns {boolean} - Returns true when an ad blocker is detected, otherwise false.
          */
         getAdBlock() {
-            return false;
+            return !!this._core.get('adBlock');
         },
 
         /**
-         * Plays an ad. Implemented by ad plugins.
-         * @param {string|Array} adBreak - The ad tag or waterfall array.
+         * Requests and plays a VAST ad break with the built-in ad client. Ad plugins may replace this method.
+         * @param {string|Array.<string>} adBreak - The ad tag or waterfall array.
+         * Each tag of a waterfall is tried in order until one returns an ad the player can play.
+         * @returns {Api}
+         * @since v7.13.0
          */
-        playAd(/* eslint-disable no-unused-vars */adBreak/* eslint-enable no-unused-vars */) {},
+        playAd(adBreak) {
+            this._core.playAd(adBreak);
+            return this;
+        },
 
         /**
-         * Pauses or toggles ad playback. Implemented by ad plugins.
-         * @param {boolean} toggle - Specifies whether ad playback should be paused or resumed.
+         * Pauses or resumes ad playback. Ad plugins may replace this method.
+         * @param {boolean} [toggle] - True to pause, false to resume. Toggles ad playback when omitted.
+         * @returns {Api}
          */
-        pauseAd(/* eslint-disable no-unused-vars */toggle/* eslint-enable no-unused-vars */) {},
+        pauseAd(toggle) {
+            this._core.pauseAd(toggle);
+            return this;
+        }
     });
 
     return Api;
@@ -31,11 +31,45 @@ const Defaults = {
         prev: 'Previous',
         next: 'Next',
         cast: 'Chromecast',
+        castingTo: 'Casting to __DEVICE_NAME__',
         airplay: 'Airplay',
         fullscreen: 'Fullscreen',
         playlist: 'Playlist',
         hd: 'Quality',
         cc: 'Closed captions',
+        captionsSettings: 'Caption settings',
+        captionsPreview: 'Captions look like this',
+        captionsFont: 'Font',
+        captionsFontSize: 'Font size',
+        captionsFontColor: 'Font color',
+        captionsFontOpacity: 'Font opacity',
+        captionsEdgeStyle: 'Character edge',
+        captionsBackgroundColor: 'Background color',
+        captionsBackgroundOpacity: 'Background opacity',
+        captionsWindowColor: 'Window color',
+        captionsWindowOpacity: 'Window opacity',
+        captionsMonospacedSerif: 'Monospaced serif',
+        captionsProportionalSerif: 'Proportional serif',
+        captionsMonospacedSansSerif: 'Monospaced sans-serif',
+        captionsProportionalSansSerif: 'Proportional sans-serif',
+        captionsCasual: 'Casual',
+        captionsCursive: 'Cursive',
+        captionsSmallCapitals: 'Small capitals',
+        captionsWhite: 'White',
+        captionsBlack: 'Black',
+        captionsRed: 'Red',
+        captionsGreen: 'Green',
+        captionsBlue: 'Blue',
+        captionsYellow: 'Yellow',
+        captionsMagenta: 'Magenta',
+        captionsCyan: 'Cyan',
+        captionsEdgeNone: 'None',
+        captionsEdgeRaised: 'Raised',
+        captionsEdgeDepressed: 'Depressed',
+        captionsEdgeUniform: 'Uniform',
+        captionsEdgeDropShadow: 'Drop shadow',
+        captionsDefault: 'Default',
+        captionsReset: 'Reset',
         audioTracks: 'Audio tracks',
         playbackRates: 'Playback rates',
         replay: 'Replay',
@@ -43,6 +77,12 @@ const Defaults = {
         more: 'More',
         liveBroadcast: 'Live broadcast',
         loadingAd: 'Loading ad',
+        advertisement: 'Advertisement',
+        adMessage: 'This ad will end in xx',
+        podMessage: 'Ad __AD_POD_CURRENT__ of __AD_POD_LENGTH__.',
+        skipMessage: 'Skip ad in xx',
+        skipText: 'Skip',
+        adBlockMessage: 'Please disable your ad blocker to watch this video.',
         rewind: 'Rewind 10s',
         nextUp: 'Next Up',
         nextUpClose: 'Next Up Close',
@@ -36,7 +36,9 @@ const CoreLoader = function CoreSetup(originalContainer) {
         'play',
         'pause',
         'seek',
+        'seekToDate',
         'stop',
+        'playAd',
         'playlistItem',
         'playlistNext',
         'playlistPrev',
@@ -50,6 +52,7 @@ const CoreLoader = function CoreSetup(originalContainer) {
         'setFullscreen',
         'addButton',
         'removeButton',
+        'registerCompanionSlot',
         'castToggle',
         'setMute',
         'setVolume',
@@ -74,7 +77,8 @@ Object.assign(CoreLoader.prototype, {
             'volume',
             'mute',
             'captionLabel',
-            'qualityLabel'
+            'qualityLabel',
+            'viewerCaptionsStyle'
         ]);
         const persisted = storage && storage.getAllItems();
         this.model.attributes = this.model.attributes || {};
@@ -140,6 +144,9 @@ Object.assign(CoreLoader.prototype, {
     },
 
     // These methods require a provider
+    getAudioAnalyser() {
+        return null;
+    },
     getAudioTracks() {
         return null;
     },
@@ -152,6 +159,12 @@ Object.assign(CoreLoader.prototype, {
     getVisualQuality() {
         return null;
     },
+    getLiveLatency() {
+        return null;
+    },
+    getLiveWindow() {
+        return null;
+    },
     getCurrentQuality() {
         return -1;
     },
@@ -180,6 +193,7 @@ Object.assign(CoreLoader.prototype, {
         return null;
     },
     skipAd() {},
+    pauseAd() {},
     attachMedia() {},
     detachMedia() {
         return null; // video tag;
@@ -1,9 +1,12 @@
 import ProviderRegister from 'providers/providers-register';
 import ProvidersSupported from 'providers/providers-supported';
 import plugins from 'plugins/plugins';
+import CaptionsFormatRegister from 'parsers/captions/formats-register';
 
 export const registerProvider = ProviderRegister;
 
 export const availableProviders = ProvidersSupported;
 
 export const registerPlugin = plugins.registerPlugin;
+
+export const registerCaptionsFormat = CaptionsFormatRegister;
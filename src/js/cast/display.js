@@ -1 +1,41 @@
-define([], function() {});
+import utils from 'utils/helpers';
+
+/**
+ * The display shown over the player while playback is cast: the item's poster, with the receiver's name.
+ */
+export default class CastDisplay {
+    constructor(model) {
+        this.model = model;
+        this.el = utils.createElement(
+            '<div class="jw-cast jw-reset">' +
+                '<div class="jw-cast-container jw-reset">' +
+                    '<div class="jw-cast-text jw-reset"></div>' +
+                '</div>' +
+            '</div>'
+        );
+        this.text = this.el.querySelector('.jw-cast-text');
+        model.change('castState', this.update, this);
+        model.change('playlistItem', this.setImage, this);
+    }
+
+    update(model, castState) {
+        const deviceName = castState && castState.deviceName;
+        this.text.textContent = deviceName ?
+            model.get('localization').castingTo.replace(/__DEVICE_NAME__/g, deviceName) : '';
+    }
+
+    setImage(model, item) {
+        this.el.style.backgroundImage = item && item.image ? `url("${item.image}")` : '';
+    }
+
+    element() {
+        return this.el;
+    }
+
+    destroy() {
+        this.model.off(null, null, this);
+        if (this.el.parentNode) {
+            this.el.parentNode.removeChild(this.el);
+        }
+    }
+}
@@ -0,0 +1,44 @@
+import ScriptLoader from 'utils/scriptloader';
+import events from 'events/events';
+
+export const SENDER_SDK_URL = 'https://www.gstatic.com/cv/js/sender/v1/cast_sender.js';
+
+let loading = null;
+
+function castApi() {
+    return window.chrome && window.chrome.cast;
+}
+
+/**
+ * Loads the Cast sender SDK, once for all players
+ * @returns {Promise.<object>} Resolves with the `chrome.cast` namespace once the API is available.
+ */
+export default function loadCastSdk() {
+    const api = castApi();
+    if (api && api.isAvailable) {
+        return Promise.resolve(api);
+    }
+    if (!loading) {
+        loading = new Promise((resolve, reject) => {
+            const onAvailable = window.__onGCastApiAvailable;
+            // The SDK calls this global once it has initialized
+            window.__onGCastApiAvailable = isAvailable => {
+                if (onAvailable) {
+                    onAvailable(isAvailable);
+                }
+                if (isAvailable && castApi()) {
+                    resolve(castApi());
+                } else {
+                    reject(new Error('The Cast API is not available'));
+                }
+            };
+            const loader = new ScriptLoader(SENDER_SDK_URL);
+            loader.on(events.ERROR, () => {
+                loading = null;
+                reject(new Error('Error loading the Cast sender SDK'));
+            });
+            loader.load();
+        });
+    }
+    return loading;
+}
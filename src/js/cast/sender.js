@@ -0,0 +1,355 @@
+import loadCastSdk from 'cast/loader';
+import events from 'events/events';
+import states from 'events/states';
+
+// How often the position of the receiver's media is reported while it plays, in milliseconds
+const TIME_INTERVAL = 500;
+
+const MIME_TYPES = {
+    aac: 'audio/mp4',
+    mp3: 'audio/mpeg',
+    mp4: 'video/mp4',
+    m4v: 'video/mp4',
+    mov: 'video/mp4',
+    webm: 'video/webm',
+    hls: 'application/x-mpegurl',
+    dash: 'application/dash+xml'
+};
+
+function noop() {}
+
+/**
+ * Chooses the source of a playlist item to cast
+ * @param {PlaylistItem} item
+ * @returns {{file: string, type: string}|undefined} The first source of a type receivers play.
+ */
+export function castSource(item) {
+    const sources = item.sources || [];
+    return sources.filter(source => MIME_TYPES[source.type])[0] || sources[0];
+}
+
+/**
+ * Casts playback to Chromecast receivers with the Cast sender SDK.
+ *
+ * Sessions are started and stopped with `castToggle()`, or by joining a session started by another sender. The current
+ * playlist item is loaded on the receiver at the current position, while local playback is paused and its media
+ * detached. Play, pause, seek and volume changes are sent to the receiver, and the receiver's state, position and
+ * volume are reported through the model, as they are for local playback.
+ *
+ * Settings are read from `cast`, which is either true or:
+ *  { appid }
+ *
+ * `appid` is the receiver application, the Default Media Receiver when unset.
+ */
+export default class CastSender {
+    constructor(controller, model) {
+        this.controller = controller;
+        this.model = model;
+        this.api = null;
+        this.session = null;
+        this.media = null;
+        this.item = null;
+        this.detached = false;
+        this.timer = -1;
+        this.destroyed = false;
+        this.onSessionUpdate = isAlive => this.sessionUpdate(isAlive);
+        this.onMediaUpdate = isAlive => this.mediaUpdate(isAlive);
+        // Media loaded by other senders
+        this.onSessionMedia = media => this.setMedia(media);
+
+        loadCastSdk().then(api => {
+            if (!this.destroyed) {
+                this.initialize(api);
+            }
+        }).catch(noop);
+    }
+
+    settings() {
+        const cast = this.model.get('cast');
+        return cast && typeof cast === 'object' ? cast : {};
+    }
+
+    initialize(api) {
+        this.api = api;
+        const appId = this.settings().appid || api.media.DEFAULT_MEDIA_RECEIVER_APP_ID;
+        const apiConfig = new api.ApiConfig(new api.SessionRequest(appId),
+            session => this.startSession(session),
+            availability => this.receiverAvailability(availability));
+        api.initialize(apiConfig, noop, noop);
+    }
+
+    /**
+     * @returns {boolean} Whether playback is cast.
+     */
+    active() {
+        return !!this.session;
+    }
+
+    receiverAvailability(availability) {
+        this.model.set('castAvailable', availability === this.api.ReceiverAvailability.AVAILABLE);
+        this.updateState();
+    }
+
+    /**
+     * Starts a session, asking the user to choose a receiver, or stops the current one
+     */
+    toggle() {
+        if (!this.api) {
+            return;
+        }
+        if (this.session) {
+            this.session.stop(noop, noop);
+            this.endSession();
+            return;
+        }
+        this.api.requestSession(session => this.startSession(session), noop);
+    }
+
+    startSession(session) {
+        if (this.destroyed || this.session === session) {
+            return;
+        }
+        if (this.session) {
+            this.endSession();
+        }
+        const model = this.model;
+        const state = model.get('state');
+        const autoplay = state === states.PLAYING || state === states.BUFFERING;
+        const position = model.get('position') || 0;
+
+        // Hand playback over to the receiver
+        this.controller.pause({ reason: 'cast' });
+        if (model.getVideo()) {
+            this.controller.detachMedia();
+            this.detached = true;
+        }
+        this.session = session;
+        session.addUpdateListener(this.onSessionUpdate);
+        session.addMediaListener(this.onSessionMedia);
+        model.set('castActive', true);
+        this.updateState();
+        this.receiverVolume();
+
+        if (session.media && session.media.length) {
+            // Joined a session which already plays media
+            this.item = model.get('playlistItem');
+            this.setMedia(session.media[0]);
+        } else if (state !== states.IDLE && state !== states.COMPLETE) {
+            this.load(model.get('playlistItem'), position, autoplay);
+        }
+    }
+
+    endSession() {
+        const session = this.session;
+        if (!session) {
+            return;
+        }
+        const model = this.model;
+        const position = model.get('position');
+        const state = model.get('state');
+        this.setMedia(null);
+        session.removeUpdateListener(this.onSessionUpdate);
+        session.removeMediaListener(this.onSessionMedia);
+        this.session = null;
+        this.item = null;
+        model.set('castActive', false);
+        this.updateState();
+
+        // Continue locally where the receiver left off, playing only if it was
+        const paused = state === states.PAUSED;
+        model.mediaModel.set('state', paused ? states.PAUSED : states.IDLE);
+        if (this.detached) {
+            this.detached = false;
+            this.controller.attachMedia();
+        }
+        if (state === states.PLAYING) {
+            this.controller.seek(position, { reason: 'cast' });
+        } else if (paused && model.getVideo()) {
+            model.set('position', position);
+            model.getVideo().seek(position);
+        }
+    }
+
+    sessionUpdate(isAlive) {
+        if (!isAlive) {
+            this.endSession();
+            return;
+        }
+        this.receiverVolume();
+    }
+
+    /**
+     * Loads a playlist item on the receiver
+     * @param {PlaylistItem} item
+     * @param {number} position - Where to start playback, in seconds.
+     * @param {boolean} autoplay
+     */
+    load(item, position, autoplay) {
+        const api = this.api;
+        const source = item && castSource(item);
+        if (!source) {
+            return;
+        }
+        const mediaInfo = new api.media.MediaInfo(source.file, MIME_TYPES[source.type] || source.type);
+        const metadata = new api.media.GenericMediaMetadata();
+        metadata.title = item.title;
+        metadata.subtitle = item.description;
+        if (item.image) {
+            metadata.images = [new api.Image(item.image)];
+        }
+        mediaInfo.metadata = metadata;
+
+        const request = new api.media.LoadRequest(mediaInfo);
+        request.autoplay = autoplay;
+        request.currentTime = position;
+
+        this.item = item;
+        this.setMedia(null);
+        this.model.mediaModel.set('state', states.BUFFERING);
+        this.session.loadMedia(request, media => {
+            if (this.item === item) {
+                this.setMedia(media);
+            }
+        }, error => this.error(error));
+    }
+
+    setMedia(media) {
+        if (this.media) {
+            this.media.removeUpdateListener(this.onMediaUpdate);
+        }
+        clearInterval(this.timer);
+        this.media = media;
+        if (media) {
+            media.addUpdateListener(this.onMediaUpdate);
+            this.mediaUpdate(true);
+        }
+    }
+
+    mediaUpdate(isAlive) {
+        const media = this.media;
+        if (!media) {
+            return;
+        }
+        const PlayerState = this.api.media.PlayerState;
+        clearInterval(this.timer);
+        if (!isAlive || media.playerState === PlayerState.IDLE) {
+            this.updateTime();
+            if (media.idleReason === this.api.media.IdleReason.FINISHED) {
+                this.complete();
+            } else if (media.idleReason === this.api.media.IdleReason.ERROR) {
+                this.error({
+                    description: 'Error playing media on the receiver'
+                });
+            }
+            return;
+        }
+        let state = states.BUFFERING;
+        if (media.playerState === PlayerState.PLAYING) {
+            state = states.PLAYING;
+            this.timer = setInterval(() => this.updateTime(), TIME_INTERVAL);
+        } else if (media.playerState === PlayerState.PAUSED) {
+            state = states.PAUSED;
+        }
+        this.updateTime();
+        this.model.mediaModel.set('state', state);
+    }
+
+    updateTime() {
+        const media = this.media;
+        const model = this.model;
+        const duration = (media.media && media.media.duration) || model.get('duration');
+        const position = media.getEstimatedTime();
+        model.set('duration', duration);
+        model.set('position', position);
+        model.mediaController.trigger(events.JWPLAYER_MEDIA_TIME, {
+            position: position,
+            duration: duration
+        });
+    }
+
+    complete() {
+        this.setMedia(null);
+        this.model.mediaModel.set('state', states.COMPLETE);
+        this.model.mediaController.trigger(events.JWPLAYER_MEDIA_COMPLETE, {});
+    }
+
+    error(error) {
+        this.setMedia(null);
+        this.model.mediaModel.set('state', states.IDLE);
+        this.controller.trigger(events.JWPLAYER_ERROR, {
+            message: 'Cast error: ' + ((error && (error.description || error.code)) || 'unknown')
+        });
+    }
+
+    /**
+     * Plays the current playlist item on the receiver, loading it when it's not the item cast
+     */
+    play() {
+        const item = this.model.get('playlistItem');
+        if (!this.media || this.item !== item) {
+            this.load(item, item.starttime || 0, true);
+            return;
+        }
+        this.media.play(null, noop, error => this.error(error));
+    }
+
+    pause() {
+        if (this.media) {
+            this.media.pause(null, noop, error => this.error(error));
+        }
+    }
+
+    seek(position) {
+        if (!this.media) {
+            return;
+        }
+        const request = new this.api.media.SeekRequest();
+        request.currentTime = position;
+        this.media.seek(request, noop, error => this.error(error));
+    }
+
+    setVolume(volume) {
+        if (this.session) {
+            this.session.setReceiverVolumeLevel(volume / 100, noop, noop);
+        }
+    }
+
+    setMute(mute) {
+        if (this.session) {
+            this.session.setReceiverMuted(!!mute, noop, noop);
+        }
+    }
+
+    // Reports the receiver's volume, which may be changed on the device or by other senders
+    receiverVolume() {
+        const volume = this.session.receiver.volume;
+        if (!volume) {
+            return;
+        }
+        if (typeof volume.level === 'number') {
+            this.model.set('volume', Math.round(volume.level * 100));
+        }
+        if (typeof volume.muted === 'boolean') {
+            this.model.set('mute', volume.muted);
+        }
+    }
+
+    updateState() {
+        const session = this.session;
+        this.model.set('castState', {
+            available: this.model.get('castAvailable'),
+            active: !!session,
+            deviceName: session ? session.receiver.friendlyName : ''
+        });
+    }
+
+    destroy() {
+        this.destroyed = true;
+        if (this.session) {
+            this.setMedia(null);
+            this.session.removeUpdateListener(this.onSessionUpdate);
+            this.session.removeMediaListener(this.onSessionMedia);
+            this.session = null;
+        }
+    }
+}
@@ -0,0 +1,31 @@
+let adsPromise = null;
+
+// The built-in ad client is only loaded by players which configure `advertising` or play an ad
+export function load() {
+    if (!adsPromise) {
+        adsPromise = new Promise(function (resolve) {
+            require.ensure([
+                'ads/vast-player',
+                'ads/ad-schedule',
+                'ads/ad-rules',
+                'ads/ssai-tracker',
+                'ads/companions',
+                'ads/adblock-detect',
+                'ads/interactive-ad',
+                'view/adblock-message'
+            ], function (require) {
+                resolve({
+                    VastPlayer: require('ads/vast-player').default,
+                    AdSchedule: require('ads/ad-schedule').default,
+                    AdRules: require('ads/ad-rules').default,
+                    SsaiTracker: require('ads/ssai-tracker').default,
+                    Companions: require('ads/companions').default,
+                    detectAdBlock: require('ads/adblock-detect').default,
+                    createInteractiveAd: require('ads/interactive-ad').createInteractiveAd,
+                    AdBlockMessage: require('view/adblock-message').default
+                });
+            }, 'jwplayer.ads');
+        });
+    }
+    return adsPromise;
+}
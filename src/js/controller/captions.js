@@ -1,7 +1,8 @@
 define(['utils/helpers',
+    'utils/language',
     'controller/tracks-loader',
     'controller/tracks-helper'
-], function(utils, tracksLoader, tracksHelper) {
+], function(utils, languageUtils, tracksLoader, tracksHelper) {
     /** Displays closed captions or subtitles on top of the video. **/
     var Captions = function(_model) {
         // Reset and load external captions on playlist item
@@ -96,7 +97,7 @@ define(['utils/helpers',
 
         function _addTrack(track) {
             track.data = track.data || [];
-            track.name = track.label || track.name || track.language;
+            track.name = track.label || track.name || languageUtils.getLabel(track.language);
             track._id = tracksHelper.createId(track, _tracks.length);
 
             if (!track.name) {
@@ -135,21 +136,39 @@ define(['utils/helpers',
                 return;
             }
 
+            var defaultIndex = 0;
             for (var i = 0; i < _tracks.length; i++) {
                 var track = _tracks[i];
                 if (label && label === track.name) {
                     captionsMenuIndex = i + 1;
                     break;
                 } else if (track.default || track.defaulttrack || track._id === 'default') {
-                    captionsMenuIndex = i + 1;
-                } else if (track.autoselect) {
-                    // TODO: auto select track by comparing track.language to system lang
+                    defaultIndex = i + 1;
                 }
             }
+
+            if (!captionsMenuIndex) {
+                // Tracks which may be autoselected are chosen by the viewer's languages before the default track.
+                // Forced subtitles, of what must be understood, are shown in their language when no track is.
+                var preferences = languageUtils.getPreferredLanguages(_model.get('preferredLanguages'));
+                captionsMenuIndex = _preferredTrackIndex(preferences, function(autoTrack) {
+                    return autoTrack.autoselect && !autoTrack.forced;
+                }) || defaultIndex || _preferredTrackIndex(preferences, function(forcedTrack) {
+                    return forcedTrack.forced;
+                });
+            }
             // set the index without the side effect of storing the Off label in _selectCaptions
             _setCurrentIndex(captionsMenuIndex);
         }
 
+        // The menu index of the track in the viewer's most preferred language among those passing the filter, or 0
+        function _preferredTrackIndex(preferences, filter) {
+            var languages = _tracks.map(function(track) {
+                return filter(track) ? track.language : null;
+            });
+            return languageUtils.findPreferredLanguage(languages, preferences) + 1;
+        }
+
         function _setCurrentIndex (index) {
             if (_tracks.length) {
                 _model.setVideoSubtitleTrack(index, _tracks);
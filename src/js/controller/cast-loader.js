@@ -0,0 +1,19 @@
+let castPromise = null;
+
+// The Chromecast sender is only loaded by players which configure `cast`
+export function load() {
+    if (!castPromise) {
+        castPromise = new Promise(function (resolve) {
+            require.ensure([
+                'cast/sender',
+                'cast/display'
+            ], function (require) {
+                resolve({
+                    CastSender: require('cast/sender').default,
+                    CastDisplay: require('cast/display').default
+                });
+            }, 'jwplayer.cast');
+        });
+    }
+    return castPromise;
+}
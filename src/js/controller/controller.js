@@ -2,6 +2,8 @@ import setConfig from '../api/set-config';
 import instances from '../api/players';
 import { Browser, OS } from 'environment/environment';
 import ApiQueueDecorator from '../api/api-queue';
+import * as AdsLoader from 'controller/ads-loader';
+import * as CastLoader from 'controller/cast-loader';
 
 define([
     'controller/instream-adapter',
@@ -45,6 +47,16 @@ define([
             let _stopPlaylist = false;
             let _interruptPlay;
             let _preloaded = false;
+            // Sources of the current item which failed to play
+            let _failedSources = [];
+            let _vastPlayer = null;
+            let _adSchedule = null;
+            let _ssaiTracker = null;
+            let _castSender = null;
+            let _companions = null;
+            // Companion slots registered before the ad modules have loaded
+            const _companionSlots = [];
+            let _destroyed = false;
 
             _this.originalContainer = _this.currentContainer = originalContainer;
             _this._events = eventListeners;
@@ -65,7 +77,7 @@ define([
                 // Insert a small delay here so that other complete handlers can execute
                 _.defer(_completeHandler);
             });
-            _model.mediaController.on(events.JWPLAYER_MEDIA_ERROR, this.triggerError, this);
+            _model.mediaController.on(events.JWPLAYER_MEDIA_ERROR, _mediaError);
 
             // If we attempt to load flash, assume it is blocked if we don't hear back within a second
             _model.on('change:flashBlocked', function(model, isBlocked) {
@@ -110,7 +122,31 @@ define([
                     index: _model.get('item'),
                     item: _model.get('playlistItem')
                 });
+                _setNextItem();
             });
+            _model.on('change:repeat', _setNextItem);
+            if (_model.get('advertising')) {
+                const advertising = _model.get('advertising');
+                [].concat(advertising.companiondiv || []).forEach(slot => {
+                    _companionSlots.push([slot.id, slot.width, slot.height]);
+                });
+                // Setup waits for the ad modules so that the schedule sees the first item
+                _loadAds(ads => {
+                    _adSchedule = new ads.AdSchedule(_this, _model, new ads.AdRules(_model));
+                    if (advertising.ssai) {
+                        _ssaiTracker = new ads.SsaiTracker(_this, _model, _companions);
+                    }
+                    ads.detectAdBlock(advertising.adblockscript).then(_onAdBlock);
+                });
+            }
+            // The Cast sender SDK runs in Chrome, except on iOS where Chrome uses AirPlay
+            if (_model.get('cast') && Browser.chrome && !OS.iOS) {
+                CastLoader.load().then(cast => {
+                    if (!_destroyed) {
+                        _castSender = new cast.CastSender(_this, _model);
+                    }
+                });
+            }
             _model.on('change:playlist', function(model, playlist) {
                 if (playlist.length) {
                     const eventData = {
@@ -365,6 +401,45 @@ define([
                 return _model.get('state');
             }
 
+            function _loadAds(callback) {
+                AdsLoader.load().then(ads => {
+                    if (_destroyed) {
+                        return;
+                    }
+                    if (!_companions) {
+                        _companions = new ads.Companions();
+                        _companionSlots.forEach(slot => _companions.register.apply(_companions, slot));
+                        _companionSlots.length = 0;
+                    }
+                    callback(ads);
+                });
+            }
+
+            function _adBlockPolicy() {
+                return (_model.get('advertising') || {}).adblockpolicy || 'continue';
+            }
+
+            // Applies `advertising.adblockpolicy`: 'continue' to the content, show a 'message' which can be closed,
+            // or 'block' playback behind a message which cannot
+            function _onAdBlock(blocked) {
+                _model.set('adBlock', blocked);
+                if (!blocked) {
+                    return;
+                }
+                _this.triggerAfterReady(events.JWPLAYER_AD_BLOCK, {});
+                const policy = _adBlockPolicy();
+                if (policy !== 'message' && policy !== 'block') {
+                    return;
+                }
+                _model.set('adBlockMessage', {
+                    text: _model.get('advertising').adblockmessage || _model.get('localization').adBlockMessage,
+                    closable: policy === 'message'
+                });
+                if (policy === 'block') {
+                    _pause({ reason: 'adblock' });
+                }
+            }
+
             function _play(meta = {}) {
                 _model.set('playReason', meta.reason);
 
@@ -372,6 +447,15 @@ define([
                     return;
                 }
 
+                if (_model.get('adBlock') && _adBlockPolicy() === 'block') {
+                    return;
+                }
+
+                if (_isCasting()) {
+                    _castSender.play();
+                    return;
+                }
+
                 const adState = _getAdState();
                 if (_.isString(adState)) {
                     // this will resume the ad. _api.playAd would load a new ad
@@ -468,6 +552,11 @@ define([
                     return;
                 }
 
+                if (_isCasting()) {
+                    _castSender.pause();
+                    return;
+                }
+
                 switch (_model.get('state')) {
                     case states.ERROR:
                         return;
@@ -491,6 +580,32 @@ define([
                 }
             }
 
+            function _isCasting() {
+                return !!_castSender && _castSender.active();
+            }
+
+            function _setVolume(volume) {
+                _model.setVolume(volume);
+                if (_isCasting()) {
+                    _castSender.setVolume(_model.get('volume'));
+                }
+            }
+
+            function _setMute(mute) {
+                _model.setMute(mute);
+                if (_isCasting()) {
+                    _castSender.setMute(_model.getMute());
+                }
+            }
+
+            function _castToggle() {
+                if (_castSender) {
+                    _castSender.toggle();
+                } else if (_video()) {
+                    _video().showPlaybackTargetPicker();
+                }
+            }
+
             function _isIdle() {
                 const state = _model.get('state');
                 return (state === states.IDLE || state === states.COMPLETE || state === states.ERROR);
@@ -500,12 +615,34 @@ define([
                 if (_model.get('state') === states.ERROR) {
                     return;
                 }
+                if (_isCasting()) {
+                    _castSender.seek(pos);
+                    return;
+                }
                 if (!_model.get('scrubbing') && _model.get('state') !== states.PLAYING) {
                     _play(meta);
                 }
                 _video().seek(pos);
             }
 
+            function _seekToDate(date, meta) {
+                const liveWindow = _getLiveWindow();
+                if (!liveWindow || !liveWindow.startDate) {
+                    return;
+                }
+                const time = utils.between(
+                    liveWindow.start + ((new Date(date).getTime() - liveWindow.startDate.getTime()) / 1000),
+                    liveWindow.start,
+                    liveWindow.end
+                );
+                if (_model.get('duration') < 0) {
+                    // DVR positions are negative offsets from the live edge, where 0 would be the start of the media
+                    _seek(Math.min(time - liveWindow.end, -1), meta);
+                    return;
+                }
+                _seek(time, meta);
+            }
+
             function _item(index, meta) {
                 _stop(true);
                 if (_model.get('state') === states.ERROR) {
@@ -536,9 +673,65 @@ define([
             }
 
             function _setItem(index) {
+                _failedSources = [];
                 _model.setItemIndex(index);
             }
 
+            function _mediaError(evt) {
+                if (!_sourceFallback(evt)) {
+                    _this.triggerError(evt);
+                }
+            }
+
+            // Play the next playable source of the item, with another provider if needed, instead of failing
+            function _sourceFallback(evt) {
+                const item = _model.get('playlistItem');
+                const provider = _video();
+                if (!item || !item.allSources || !provider) {
+                    return false;
+                }
+                const failedSource = provider.getSource() || item.sources[0];
+                _failedSources.push(failedSource);
+
+                const providersManager = _model.getProviders();
+                const remainingSources = _.filter(item.allSources, source => _failedSources.indexOf(source) === -1);
+                const sources = Playlist.filterSources(remainingSources, providersManager);
+                if (!sources.length) {
+                    return false;
+                }
+
+                const startTime = _model.get('streamType') === 'VOD' ? _model.get('position') : item.starttime;
+                const playAttempt = _model.mediaModel.get('playAttempt');
+
+                _this.trigger(events.JWPLAYER_SOURCE_FALLBACK, {
+                    item: item,
+                    source: failedSource,
+                    nextSource: sources[0],
+                    reason: evt.message,
+                    code: evt.code
+                });
+
+                _model.stopVideo();
+                item.sources = sources;
+                item.file = sources[0].file;
+
+                providersManager.load(providersManager.required([item])).then(function() {
+                    if (_model.get('playlistItem') !== item) {
+                        return;
+                    }
+                    if (!_model.initProvider(item)) {
+                        _this.triggerError(evt);
+                        return;
+                    }
+                    if (playAttempt) {
+                        _model.loadVideo(Object.assign({}, item, {
+                            starttime: startTime
+                        }));
+                    }
+                });
+                return true;
+            }
+
             function _prev(meta) {
                 _item(_model.get('item') - 1, meta);
             }
@@ -547,6 +740,20 @@ define([
                 _item(_model.get('item') + 1, meta);
             }
 
+            // Tell the provider which item plays when the current one completes, so it can start it without a gap
+            function _setNextItem() {
+                if (!_video()) {
+                    return;
+                }
+                const playlist = _model.get('playlist');
+                const index = _model.get('item') + 1;
+                let nextItem = playlist[index];
+                if (!nextItem && _model.get('repeat')) {
+                    nextItem = playlist[0];
+                }
+                _video().setNextItem(nextItem || null);
+            }
+
             function _completeHandler() {
                 if (!_isIdle()) {
                     // Something has made an API call before the complete handler has fired.
@@ -631,6 +838,20 @@ define([
                 return null;
             }
 
+            function _getLiveLatency() {
+                if (_video()) {
+                    return _video().getLiveLatency();
+                }
+                return null;
+            }
+
+            function _getLiveWindow() {
+                if (_video()) {
+                    return _video().getLiveWindow();
+                }
+                return null;
+            }
+
             function _setCurrentAudioTrack(index) {
                 if (_video()) {
                     index = parseInt(index, 10) || 0;
@@ -645,6 +866,13 @@ define([
                 return -1;
             }
 
+            function _getAudioAnalyser() {
+                if (_video()) {
+                    return _video().getAudioAnalyser();
+                }
+                return null;
+            }
+
             function _getAudioTracks() {
                 if (_video()) {
                     return _video().getAudioTracks();
@@ -727,6 +955,7 @@ define([
             this.play = _play;
             this.pause = _pause;
             this.seek = _seek;
+            this.seekToDate = _seekToDate;
             this.stop = _stop;
             this.playlistItem = _item;
             this.playlistNext = _next;
@@ -741,17 +970,21 @@ define([
             this.setCurrentAudioTrack = _setCurrentAudioTrack;
             this.getCurrentAudioTrack = _getCurrentAudioTrack;
             this.getAudioTracks = _getAudioTracks;
+            this.getAudioAnalyser = _getAudioAnalyser;
             this.getCurrentCaptions = _getCurrentCaptions;
             this.getCaptionsList = _getCaptionsList;
             this.getVisualQuality = _getVisualQuality;
+            this.getLiveLatency = _getLiveLatency;
+            this.getLiveWindow = _getLiveWindow;
             this.getConfig = _getConfig;
             this.getState = _getState;
             this.next = _nextUp;
             this.setConfig = (newConfig) => setConfig(_this, newConfig);
 
             // Model passthroughs
-            this.setVolume = _model.setVolume.bind(_model);
-            this.setMute = _model.setMute.bind(_model);
+            this.setVolume = _setVolume;
+            this.setMute = _setMute;
+            this.castToggle = _castToggle;
             this.setPlaybackRate = _model.setPlaybackRate.bind(_model);
             this.getProvider = function() {
                 return _model.get('provider');
@@ -832,6 +1065,7 @@ define([
             };
 
             this.playerDestroy = function () {
+                _destroyed = true;
                 this.stop();
                 this.showView(this.originalContainer);
 
@@ -845,6 +1079,26 @@ define([
                     _setup.destroy();
                     _setup = null;
                 }
+                if (_adSchedule) {
+                    _adSchedule.destroy();
+                    _adSchedule = null;
+                }
+                if (_vastPlayer) {
+                    _vastPlayer.destroy();
+                    _vastPlayer = null;
+                }
+                if (_ssaiTracker) {
+                    _ssaiTracker.destroy();
+                    _ssaiTracker = null;
+                }
+                if (_castSender) {
+                    _castSender.destroy();
+                    _castSender = null;
+                }
+                if (_companions) {
+                    _companions.destroy();
+                    _companions = null;
+                }
                 if (apiQueue) {
                     apiQueue.destroy();
                 }
@@ -864,6 +1118,36 @@ define([
                 }
             };
 
+            this.playAd = function(adBreak) {
+                _loadAds(ads => {
+                    if (!_vastPlayer) {
+                        _vastPlayer = new ads.VastPlayer(_this, _model, _companions);
+                    }
+                    _vastPlayer.playAd(adBreak);
+                });
+            };
+
+            this.registerCompanionSlot = function(element, width, height) {
+                if (_companions) {
+                    _companions.register(element, width, height);
+                } else {
+                    _companionSlots.push([element, width, height]);
+                }
+            };
+
+            this.pauseAd = function(toggle) {
+                const adState = _getAdState();
+                if (!_.isString(adState)) {
+                    return;
+                }
+                const pause = _.isBoolean(toggle) ? toggle : adState !== states.PAUSED;
+                if (pause) {
+                    this._instreamAdapter.pause();
+                } else {
+                    this._instreamAdapter.play();
+                }
+            };
+
             this.instreamDestroy = function() {
                 if (_this._instreamAdapter) {
                     _this._instreamAdapter.destroy();
@@ -877,6 +1161,7 @@ define([
                 'pause',
                 'seek',
                 'stop',
+                'playAd',
                 'playlistItem',
                 'playlistNext',
                 'playlistPrev',
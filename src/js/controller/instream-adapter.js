@@ -1,4 +1,5 @@
 import { OS } from 'environment/environment';
+import SkipAdButton from 'view/controls/skip-ad-button';
 
 define([
     'controller/instream-html5',
@@ -39,6 +40,8 @@ define([
         var _oldProvider;
         var _oldpos;
         var _olditem;
+        var _skipButton = null;
+        var _itemFailed = false;
         var _this = this;
 
         var _clickHandler = _.bind(function(evt) {
@@ -125,8 +128,7 @@ define([
             // We want a play event for the next item, so we ensure the state != playing
             _instream._adModel.set('state', 'buffering');
 
-            // destroy skip button
-            _model.set('skipButton', false);
+            _destroySkipButton();
 
             _arrayIndex++;
             var item = _array[_arrayIndex];
@@ -147,18 +149,56 @@ define([
                 data.tag = _options.tag;
             }
 
-            this.trigger(type, data);
+            if (type === events.JWPLAYER_AD_SKIPPED) {
+                // Interactive creatives may skip the ad themselves
+                this.skipAd(data);
+                return;
+            }
 
             if (type === 'mediaError' || type === 'error') {
-                if (_array && _arrayIndex + 1 < _array.length) {
-                    _loadNextItem();
+                // Report each failed ad once, then move on to the next ad of the pod or end the break
+                if (_itemFailed) {
+                    return;
                 }
+                _itemFailed = true;
+                this.trigger(type, data);
+                _instreamItemNext.call(this, {
+                    type: type
+                });
+                return;
             }
+
+            this.trigger(type, data);
         }
 
         function _instreamTime(evt) {
             _instream._adModel.set('duration', evt.duration);
             _instream._adModel.set('position', evt.position);
+            _updateText(evt.position, evt.duration);
+        }
+
+        // Show the position in the pod and the time left in the controlbar
+        function _updateText(position, duration) {
+            var localization = _model.get('localization');
+            var text = [];
+            if (_array && _array.length > 1) {
+                text.push((_options.podMessage || localization.podMessage)
+                    .replace(/__AD_POD_CURRENT__/g, _arrayIndex + 1)
+                    .replace(/__AD_POD_LENGTH__/g, _array.length));
+            }
+            if (duration > 0) {
+                text.push((_options.adMessage || localization.adMessage)
+                    .replace(/xx/gi, Math.ceil(Math.max(duration - position, 0))));
+            }
+            _this.setText(text.join(' '));
+        }
+
+        function _destroySkipButton() {
+            _model.set('skipButton', false);
+            if (_skipButton) {
+                _skipButton.destroy();
+                _skipButton = null;
+            }
         }
 
         function _instreamItemComplete(e) {
@@ -175,7 +215,7 @@ define([
                 _loadNextItem();
             } else {
                 // notify vast of breakEnd
-                this.trigger('adBreakEnd', {});
+                this.trigger(events.JWPLAYER_AD_BREAK_END, {});
                 if (e.type === events.JWPLAYER_MEDIA_COMPLETE) {
                     // Dispatch playlist complete event for ad pods
                     this.trigger(events.JWPLAYER_PLAYLIST_COMPLETE, {});
@@ -222,6 +262,7 @@ define([
                     });
 
                     _options = _.extend({}, _defaultOptions, options);
+                    _itemFailed = false;
                     _instream.load(item);
 
                     _this.addClickHandler();
@@ -234,13 +275,24 @@ define([
         };
 
         this.setupSkipButton = function(skipoffset, options, customNext) {
-            _model.set('skipButton', false);
+            _destroySkipButton();
             if (customNext) {
                 _instreamItemNext = customNext;
             }
-            _instream._adModel.set('skipMessage', options.skipMessage);
-            _instream._adModel.set('skipText', options.skipText);
+            var localization = _model.get('localization');
+            var skipMessage = options.skipMessage || localization.skipMessage;
+            var skipText = options.skipText || localization.skipText;
+            _instream._adModel.set('skipMessage', skipMessage);
+            _instream._adModel.set('skipText', skipText);
             _instream._adModel.set('skipOffset', skipoffset);
+
+            var container = _view.controlsContainer();
+            if (container) {
+                _skipButton = new SkipAdButton(_instream._adModel, skipoffset, skipMessage, skipText, function() {
+                    _this.skipAd({});
+                });
+                container.appendChild(_skipButton.element());
+            }
             _model.set('skipButton', true);
         };
 
@@ -286,7 +338,7 @@ define([
         this.destroy = function() {
             this.off();
 
-            _model.set('skipButton', false);
+            _destroySkipButton();
 
             if (_instream) {
                 if (_view.clickHandler()) {
@@ -1,3 +1,5 @@
+import * as AdsLoader from 'controller/ads-loader';
+
 define([
     'utils/underscore',
     'utils/backbone.events',
@@ -10,6 +12,8 @@ define([
     var InstreamHtml5 = function(_controller, _model) {
         var _adModel;
         var _currentProvider;
+        // The interactive creative of the ad being played
+        var _interactive = null;
         var _this = _.extend(this, Events);
 
         // Listen for player resize events
@@ -32,14 +36,27 @@ define([
             });
             _adModel.on('fullscreenchange', _nativeFullscreenHandler);
 
+            _model.on('change:volume change:mute', _interactiveVolumeHandler, _this);
+            _model.on('change:containerWidth change:containerHeight change:fullscreen', _interactiveResizeHandler, _this);
+
             this._adModel = _adModel;
         };
 
         /** Load an instream item and initialize playback **/
         _this.load = function(item) {
+            _destroyInteractive();
 
             _adModel.set('item', 0);
             _adModel.set('playlistItem', item);
+
+            if (item.interactive && !item.sources.length) {
+                // The creative plays the ad's media itself
+                if (_currentProvider) {
+                    _currentProvider.stop();
+                }
+                _loadInteractive(item.interactive);
+                return;
+            }
             // Make sure it chooses a provider
             _adModel.setActiveItem(item);
 
@@ -54,6 +71,10 @@ define([
 
             // Load the instream item
             _adModel.loadVideo(item);
+
+            if (item.interactive) {
+                _loadInteractive(item.interactive);
+            }
         };
 
         _this.applyProviderListeners = function(provider) {
@@ -90,6 +111,8 @@ define([
 
             _adModel.off();
 
+            _destroyInteractive();
+
             // We don't want the instream provider to be attached to the video tag anymore
             this.off();
             if (_currentProvider) {
@@ -106,10 +129,15 @@ define([
             // Remove all callbacks for 'this' for all events
             _controller.off(null, null, this);
             _controller = null;
+            _model.off(null, null, this);
         };
 
         /** Start instream playback **/
         _this.instreamPlay = function() {
+            if (_interactive && _interactive.playsMedia) {
+                _interactive.play();
+                return;
+            }
             if (!_adModel.getVideo()) {
                 return;
             }
@@ -118,6 +146,10 @@ define([
 
         /** Pause instream playback **/
         _this.instreamPause = function() {
+            if (_interactive && _interactive.playsMedia) {
+                _interactive.pause();
+                return;
+            }
             if (!_adModel.getVideo()) {
                 return;
             }
@@ -147,6 +179,9 @@ define([
                     if (isVpaidProvider && (type === events.JWPLAYER_MEDIA_COMPLETE)) {
                         return;
                     }
+                    if (_interactive) {
+                        _interactive.media(type, data);
+                    }
                     this.trigger(type, _.extend({}, data, { type: type }));
                 }, _this);
 
@@ -161,6 +196,99 @@ define([
             }
         }
 
+        function _loadInteractive(creative) {
+            var item = _adModel.get('playlistItem');
+            AdsLoader.load().then(function(ads) {
+                // The ad may have moved on to another item, or ended, while the ad modules loaded
+                if (_adModel && _adModel.get('playlistItem') === item && !_interactive) {
+                    _createInteractive(ads.createInteractiveAd, creative);
+                }
+            });
+        }
+
+        function _createInteractive(createInteractiveAd, creative) {
+            _interactive = createInteractiveAd(_model.get('mediaContainer'), creative);
+            if (!_interactive) {
+                _this.trigger(events.JWPLAYER_MEDIA_ERROR, {
+                    message: 'Error playing ad: Unsupported interactive creative ' + creative.apiFramework
+                });
+                return;
+            }
+            _adModel.set('vpaid', _interactive.playsMedia);
+            _interactive.on('all', _interactiveHandler, _this);
+            _interactive.load({
+                width: _model.get('containerWidth'),
+                height: _model.get('containerHeight'),
+                fullscreen: _model.get('fullscreen'),
+                volume: _model.get('volume'),
+                mute: _model.get('mute') || _model.get('autostartMuted')
+            });
+        }
+
+        function _destroyInteractive() {
+            if (_interactive) {
+                _interactive.destroy();
+                _interactive = null;
+            }
+            if (_adModel) {
+                _adModel.set('vpaid', false);
+            }
+        }
+
+        // Reports the creative's ad events as media events, which the instream adapter turns into ad events
+        function _interactiveHandler(type, data) {
+            switch (type) {
+                case events.JWPLAYER_AD_PLAY:
+                case events.JWPLAYER_AD_PAUSE:
+                    var playing = (type === events.JWPLAYER_AD_PLAY);
+                    if (!_interactive.playsMedia) {
+                        // Creatives shown over the media ask the player to play or pause it
+                        if (playing) {
+                            _this.instreamPlay();
+                        } else {
+                            _this.instreamPause();
+                        }
+                        break;
+                    }
+                    var newstate = playing ? states.PLAYING : states.PAUSED;
+                    if (_adModel.get('state') !== newstate) {
+                        _adModel.set('state', newstate);
+                        this.trigger(events.JWPLAYER_PLAYER_STATE, {
+                            newstate: newstate
+                        });
+                    }
+                    break;
+                case events.JWPLAYER_AD_TIME:
+                    this.trigger(events.JWPLAYER_MEDIA_TIME, data);
+                    break;
+                case events.JWPLAYER_AD_COMPLETE:
+                    this.trigger(events.JWPLAYER_MEDIA_COMPLETE, {});
+                    break;
+                case events.JWPLAYER_AD_ERROR:
+                    this.trigger(events.JWPLAYER_MEDIA_ERROR, {
+                        message: data.message,
+                        adErrorCode: data.code
+                    });
+                    break;
+                default:
+                    // Clicks and skips are handled by the instream adapter
+                    this.trigger(type, data);
+                    break;
+            }
+        }
+
+        function _interactiveVolumeHandler() {
+            if (_interactive) {
+                _interactive.setVolume(_model.get('volume'), _model.get('mute'));
+            }
+        }
+
+        function _interactiveResizeHandler() {
+            if (_interactive) {
+                _interactive.resize(_model.get('containerWidth'), _model.get('containerHeight'), _model.get('fullscreen'));
+            }
+        }
+
         function stateHandler(evt) {
             switch (evt.newstate) {
                 case states.PLAYING:
@@ -4,18 +4,21 @@ import { playerDefaults } from '../model/player-model';
 
 define([
     'utils/helpers',
+    'utils/language',
     'providers/providers',
     'controller/qoe',
     'utils/underscore',
     'utils/backbone.events',
     'events/events',
     'events/states'
-], function(utils, Providers, QOE, _, Events, events, states) {
+], function(utils, languageUtils, Providers, QOE, _, Events, events, states) {
 
     // Represents the state of the player
     var Model = function() {
         var _this = this;
         var _providers;
+        // Why the current provider was chosen: 'source', 'priority' or 'default'
+        var _providerReason;
         var _provider;
         var _beforecompleted = false;
         var _attached = true;
@@ -120,7 +123,7 @@ define([
                     }
                     break;
                 case events.JWPLAYER_PROVIDER_CHANGED:
-                    this.set('provider', _provider.getName());
+                    this.set('provider', _getProviderInfo());
                     break;
                 case events.JWPLAYER_MEDIA_LEVELS:
                     this.setQualityLevel(data.currentQuality, data.levels);
@@ -140,6 +143,7 @@ define([
                 case events.JWPLAYER_AUDIO_TRACKS:
                     this.setCurrentAudioTrack(data.currentTrack, data.tracks);
                     mediaModel.set('audioTracks', data.tracks);
+                    this.selectPreferredAudioTrack(data.currentTrack, data.tracks);
                     break;
                 case events.JWPLAYER_AUDIO_TRACK_CHANGED:
                     this.setCurrentAudioTrack(data.currentTrack, data.tracks);
@@ -147,10 +151,26 @@ define([
                 case 'subtitlesTrackChanged':
                     this.persistVideoSubtitleTrack(data.currentTrack, data.tracks);
                     break;
+                case 'liveLatency':
+                    this.set('liveLatency', data.latency);
+                    break;
                 case 'visualQuality':
                     var visualQuality = Object.assign({}, data);
                     mediaModel.set('visualQuality', visualQuality);
                     break;
+                case events.JWPLAYER_CAST_AVAILABLE:
+                    this.set('castAvailable', data.available);
+                    break;
+                case 'airplayActive':
+                    // Playback continues through the provider while it plays on an AirPlay target
+                    this.set('airplayActive', data.active);
+                    this.set('castActive', data.active);
+                    this.set('castState', {
+                        available: this.get('castAvailable'),
+                        active: data.active,
+                        deviceName: ''
+                    });
+                    return;
                 case 'autoplayFailed':
                     this.set('autostartFailed', true);
                     if (mediaModel.get('state') === states.PLAYING) {
@@ -183,6 +203,27 @@ define([
             }
         };
 
+        // Switches to the audio track in the viewer's most preferred language, when it is preferred to the current one
+        this.selectPreferredAudioTrack = function(currentTrack, tracks) {
+            var preferences = languageUtils.getPreferredLanguages(this.get('preferredLanguages'));
+            // Only tracks which may be autoselected are chosen, when the source says which those are
+            var flagged = _.some(tracks, function(track) {
+                return track.autoselect !== undefined;
+            });
+            var languages = _.map(tracks, function(track) {
+                return !flagged || track.autoselect ? track.language : null;
+            });
+            var index = languageUtils.findPreferredLanguage(languages, preferences);
+            if (index < 0 || index === currentTrack) {
+                return;
+            }
+            var current = tracks[currentTrack];
+            var currentRank = languageUtils.getLanguageRank(current && current.language, preferences);
+            if (currentRank < 0 || languageUtils.getLanguageRank(languages[index], preferences) < currentRank) {
+                _provider.setCurrentAudioTrack(index);
+            }
+        };
+
         this.onMediaContainer = function() {
             var container = this.get('mediaContainer');
             _provider.setContainer(container);
@@ -291,7 +332,9 @@ define([
         // Give the option for a provider to be forced
         this.chooseProvider = function(source) {
             // if _providers.choose is null, something went wrong in filtering
-            return _providers.choose(source).provider;
+            var choice = _providers.choose(source);
+            _providerReason = choice.reason;
+            return choice.provider;
         };
 
         this.setItemIndex = function(index) {
@@ -314,6 +357,7 @@ define([
             this.set('mediaModel', this.mediaModel);
             this.set('position', item.starttime || 0);
             this.set('minDvrWindow', item.minDvrWindow);
+            this.set('liveLatency', null);
             this.set('duration', (item.duration && utils.seconds(item.duration)) || 0);
             this.setProvider(item);
         };
@@ -325,14 +369,26 @@ define([
                 return;
             }
 
-            var provider = this.chooseProvider(source);
+            if (!this.initProvider(item)) {
+                return;
+            }
+
+            // Listening for change:item won't suffice when loading the same index or file
+            // We also can't listen for change:mediaModel because it triggers whether or not
+            //  an item was actually loaded
+            this.trigger('itemReady', item);
+        };
+
+        // Choose, create if needed, and initialize the provider for the item's first source
+        this.initProvider = function(item) {
+            var provider = this.chooseProvider(item.sources[0]);
             // If we are changing video providers
             if (!provider || !(_provider instanceof provider)) {
                 _this.changeVideoProvider(provider);
             }
 
             if (!_provider) {
-                return;
+                return false;
             }
 
             // this allows the providers to preload
@@ -341,14 +397,16 @@ define([
             }
 
             // Set the Provider after calling init because some Provider properties are only set afterwards
-            this.set('provider', _provider.getName());
-
-            // Listening for change:item won't suffice when loading the same index or file
-            // We also can't listen for change:mediaModel because it triggers whether or not
-            //  an item was actually loaded
-            this.trigger('itemReady', item);
+            this.set('provider', _getProviderInfo());
+            return true;
         };
 
+        function _getProviderInfo() {
+            return Object.assign({}, _provider.getName(), {
+                reason: _providerReason
+            });
+        }
+
         this.getProviders = function() {
             return _providers;
         };
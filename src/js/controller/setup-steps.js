@@ -1,4 +1,5 @@
 import * as ControlsLoader from 'controller/controls-loader';
+import * as AdsLoader from 'controller/ads-loader';
 
 export const SkinsIncluded = ['seven'];
 export const SkinsLoadable = ['beelden', 'bekle', 'five', 'glow', 'roundster', 'six', 'stormtrooper', 'vapor'];
@@ -40,6 +41,10 @@ define([
                 method: _loadControls,
                 depends: []
             },
+            LOAD_ADS: {
+                method: _loadAds,
+                depends: []
+            },
             SETUP_VIEW: {
                 method: _setupView,
                 depends: [
@@ -65,7 +70,9 @@ define([
                 method: _setPlaylistItem,
                 depends: [
                     'INIT_PLUGINS',
-                    'FILTER_PLAYLIST'
+                    'FILTER_PLAYLIST',
+                    // The ad schedule handles the first item's preroll
+                    'LOAD_ADS'
                 ]
             },
             DEFERRED: {
@@ -245,6 +252,21 @@ define([
             });
     }
 
+    function _loadAds(resolve, _model) {
+        if (!_model.get('advertising')) {
+            resolve();
+            return;
+        }
+
+        AdsLoader.load()
+            .then(function () {
+                resolve();
+            })
+            .catch(function (reason) {
+                error(resolve, 'Failed to load ads', reason);
+            });
+    }
+
     function error(resolve, msg, reason) {
         resolve({
             type: 'error',
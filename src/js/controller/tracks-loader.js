@@ -1,11 +1,8 @@
 define([
     'utils/underscore',
     'utils/helpers',
-    'parsers/parsers',
-    'parsers/captions/srt',
-    'parsers/captions/dfxp',
     'parsers/captions/vttcue'
-], function(_, utils, parsers, srt, dfxp, VTTCue) {
+], function(_, utils, VTTCue) {
     var tracksLoader = {};
 
     tracksLoader.loadFile = function(track, successHandler, errorHandler) {
@@ -39,73 +36,35 @@ define([
     };
 
     function xhrSuccess(xhr, track, successHandler, errorHandler) {
-        var xmlRoot = xhr.responseXML ? xhr.responseXML.firstChild : null;
-        var cues;
-        var vttCues;
+        // The captions parsers load with the WebVTT parser, the first time a sidecar file is parsed
+        require.ensure(['parsers/captions/formats'], function (require) {
+            var findCaptionsFormat = require('parsers/captions/formats').findCaptionsFormat;
+            parseFile(findCaptionsFormat, xhr, track, successHandler, errorHandler);
+        }, 'vttparser');
+    }
 
-        // IE9 sets the firstChild element to the root <xml> tag
-        if (xmlRoot) {
-            if (parsers.localName(xmlRoot) === 'xml') {
-                xmlRoot = xmlRoot.nextSibling;
-            }
-            // Ignore all comments
-            while (xmlRoot.nodeType === xmlRoot.COMMENT_NODE) {
-                xmlRoot = xmlRoot.nextSibling;
-            }
-        }
+    function parseFile(findCaptionsFormat, xhr, track, successHandler, errorHandler) {
+        var text = xhr.responseText || '';
+        var mimeType = xhr.getResponseHeader ? xhr.getResponseHeader('Content-Type') : xhr.contentType;
+        var format = findCaptionsFormat(text, xhr.responseXML, mimeType);
+        var cues;
 
         try {
-            if (xmlRoot && parsers.localName(xmlRoot) === 'tt') {
-                // parse dfxp track
-                cues = dfxp(xhr.responseXML);
-                vttCues = this.convertToVTTCues(cues);
-                delete track.xhr;
-                successHandler(vttCues);
-            } else {
-                // parse VTT/SRT track
-                var responseText = xhr.responseText;
-
-                // TODO: parse SRT with using vttParser and deprecate srt module
-                if (responseText.indexOf('WEBVTT') >= 0) {
-                    // make VTTCues from VTT track
-                    parseCuesFromText(responseText, track, successHandler, errorHandler);
-                } else {
-                    // make VTTCues from SRT track
-                    cues = srt(responseText);
-                    vttCues = this.convertToVTTCues(cues);
-                    delete track.xhr;
-                    successHandler(vttCues);
-                }
-            }
+            cues = format.parse(text, xhr.responseXML, track);
         } catch (error) {
             delete track.xhr;
             errorHandler(error);
+            return;
         }
-    }
-
-    function parseCuesFromText(text, track, successHandler, errorHandler) {
-        require.ensure(['parsers/captions/vttparser'], function (require) {
-            var VTTParser = require('parsers/captions/vttparser');
-            var parser = new VTTParser(window);
-            var vttCues = [];
-            parser.oncue = function(cue) {
-                vttCues.push(cue);
-            };
-
-            parser.onflush = function() {
-                delete track.xhr;
-                successHandler(vttCues);
-            };
-
-            try {
-                // Parse calls onflush internally
-                parser.parse(text);
-            } catch (error) {
-                delete track.xhr;
-                errorHandler(error);
-            }
 
-        }, 'vttparser');
+        // Formats parse synchronously, or return a promise of their cues
+        Promise.resolve(cues).then(function(vttCues) {
+            delete track.xhr;
+            successHandler(vttCues);
+        }, function(error) {
+            delete track.xhr;
+            errorHandler(error);
+        });
     }
 
     return tracksLoader;
@@ -18,6 +18,9 @@ define([], function() {
         ERROR: 'error',
 
         // Ad events
+        JWPLAYER_AD_BLOCK: 'adBlock',
+        JWPLAYER_AD_BREAK_END: 'adBreakEnd',
+        JWPLAYER_AD_BREAK_START: 'adBreakStart',
         JWPLAYER_AD_CLICK: 'adClick',
         JWPLAYER_AD_COMPANIONS: 'adCompanions',
         JWPLAYER_AD_COMPLETE: 'adComplete',
@@ -41,6 +44,7 @@ define([], function() {
         JWPLAYER_PLAYLIST_COMPLETE: 'playlistComplete',
         JWPLAYER_CAST_SESSION: 'cast',
         JWPLAYER_MEDIA_ERROR: 'mediaError',
+        JWPLAYER_SOURCE_FALLBACK: 'sourceFallback',
         JWPLAYER_MEDIA_FIRST_FRAME: 'firstFrame',
         JWPLAYER_MEDIA_PLAY_ATTEMPT: 'playAttempt',
         JWPLAYER_MEDIA_LOADED: 'loaded',
@@ -1,3 +1,4 @@
+import _ from 'utils/underscore';
 import parser from 'utils/parser';
 
 let storage = {
@@ -8,6 +9,16 @@ try {
     storage = window.localStorage;
 } catch (e) {/* ignore */}
 
+// Objects are stored as JSON
+function deserialize(val) {
+    if (val.charAt(0) === '{') {
+        try {
+            return JSON.parse(val);
+        } catch (e) {/* ignore */}
+    }
+    return parser.serialize(val);
+}
+
 function Storage(namespace, persistItems) {
     this.namespace = namespace;
     this.items = persistItems;
@@ -18,7 +29,7 @@ Object.assign(Storage.prototype, {
         return this.items.reduce((memo, key) => {
             const val = storage[`${this.namespace}.${key}`];
             if (val) {
-                memo[key] = parser.serialize(val);
+                memo[key] = deserialize(val);
             }
             return memo;
         }, {});
@@ -27,7 +38,7 @@ Object.assign(Storage.prototype, {
         this.items.forEach((key) => {
             model.on(`change:${key}`, (changeModel, value) => {
                 try {
-                    storage[`${this.namespace}.${key}`] = value;
+                    storage[`${this.namespace}.${key}`] = _.isObject(value) ? JSON.stringify(value) : value;
                 } catch (e) {
                     // ignore QuotaExceededError unless debugging
                     const jwplayer = window.jwplayer;
@@ -0,0 +1,121 @@
+import Cea608Decoder from 'parsers/captions/cea608';
+import Cea708Decoder from 'parsers/captions/cea708';
+
+const SEI_USER_DATA_REGISTERED = 4;
+const COUNTRY_CODE_US = 0xb5;
+const PROVIDER_CODE_ATSC = 0x31;
+const USER_IDENTIFIER_ATSC = 0x47413934; // 'GA94'
+const USER_DATA_TYPE_CC = 0x03;
+
+// cc_data types
+const NTSC_FIELD_1 = 0;
+const NTSC_FIELD_2 = 1;
+const DTVCC_PACKET_DATA = 2;
+const DTVCC_PACKET_START = 3;
+
+/**
+ * Reads the caption data of the ATSC A/53 user data in an SEI NAL unit
+ * @param {Uint8Array} sei - An H.264 SEI NAL unit, with its header, and without emulation prevention bytes.
+ * @returns {Array.<{type: number, byte1: number, byte2: number}>} The valid cc_data byte pairs. Types 0 and 1 are
+ * CEA-608 pairs of fields 1 and 2, 2 is DTVCC packet data and 3 the start of a DTVCC packet.
+ */
+export function parseCcData(sei) {
+    const ccData = [];
+    let offset = 1;
+    // The last byte is the RBSP trailing bits
+    while (offset < sei.length - 1) {
+        let payloadType = 0;
+        while (sei[offset] === 0xff) {
+            payloadType += 255;
+            offset++;
+        }
+        payloadType += sei[offset++];
+        let payloadSize = 0;
+        while (sei[offset] === 0xff) {
+            payloadSize += 255;
+            offset++;
+        }
+        payloadSize += sei[offset++];
+        if (payloadType === SEI_USER_DATA_REGISTERED && offset + payloadSize <= sei.length) {
+            parseUserData(sei, offset, ccData);
+        }
+        offset += payloadSize;
+    }
+    return ccData;
+}
+
+function parseUserData(data, offset, ccData) {
+    const userIdentifier = ((data[offset + 3] << 24) | (data[offset + 4] << 16) | (data[offset + 5] << 8) |
+        data[offset + 6]) >>> 0;
+    if (data[offset] !== COUNTRY_CODE_US ||
+        ((data[offset + 1] << 8) | data[offset + 2]) !== PROVIDER_CODE_ATSC ||
+        userIdentifier !== USER_IDENTIFIER_ATSC ||
+        data[offset + 7] !== USER_DATA_TYPE_CC ||
+        !(data[offset + 8] & 0x40)) {
+        return;
+    }
+    const count = data[offset + 8] & 0x1f;
+    // Skip the flags and em_data
+    offset += 10;
+    for (let i = 0; i < count && offset + 2 < data.length; i++, offset += 3) {
+        if (data[offset] & 0x04) {
+            ccData.push({
+                type: data[offset] & 0x03,
+                byte1: data[offset + 1],
+                byte2: data[offset + 2]
+            });
+        }
+    }
+}
+
+/**
+ * Decodes the CEA-608 and CEA-708 captions carried in the SEI NAL units of H.264 video into cues, for the channels
+ * CC1 to CC4 and the services SERVICE1 to SERVICE63.
+ */
+export default class CeaCaptions {
+    /**
+     * @param {function(CeaCue)} oncue - Called with each cue when it ends.
+     */
+    constructor(oncue) {
+        this.field1 = new Cea608Decoder(1, oncue);
+        this.field2 = new Cea608Decoder(2, oncue);
+        this.dtvcc = new Cea708Decoder(oncue);
+        this.time = 0;
+    }
+
+    /**
+     * Decodes an SEI NAL unit. Units must be pushed in presentation order.
+     * @param {number} time - The presentation time of the unit's video frame, in seconds.
+     * @param {Uint8Array} sei - An SEI NAL unit, with its header, and without emulation prevention bytes.
+     */
+    push(time, sei) {
+        this.time = time;
+        parseCcData(sei).forEach(cc => {
+            switch (cc.type) {
+                case NTSC_FIELD_1:
+                    this.field1.decode(time, cc.byte1, cc.byte2);
+                    break;
+                case NTSC_FIELD_2:
+                    this.field2.decode(time, cc.byte1, cc.byte2);
+                    break;
+                case DTVCC_PACKET_DATA:
+                case DTVCC_PACKET_START:
+                    this.dtvcc.decode(time, cc.type === DTVCC_PACKET_START, cc.byte1, cc.byte2);
+                    break;
+                default:
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Ends the cues being shown when the data stops, and clears the decoders' state, before data which doesn't
+     * follow on from the last pushed, such as after seeking
+     */
+    reset() {
+        [this.field1, this.field2, this.dtvcc].forEach(decoder => {
+            decoder.flush(this.time);
+            decoder.reset();
+        });
+    }
+}
@@ -0,0 +1,56 @@
+/**
+ * A caption cue decoded from CEA-608 or CEA-708 data
+ * @typedef {object} CeaCue
+ * @property {string} channel - 'CC1' to 'CC4' for CEA-608 channels, 'SERVICE1' to 'SERVICE63' for CEA-708 services.
+ * @property {number} begin - The start time in seconds.
+ * @property {number} end - The end time in seconds.
+ * @property {string} text - The lines shown, separated by '\n'.
+ * @property {number} line - The position of the bottom of the text, as a percentage of the video's height.
+ */
+
+/**
+ * Turns what a caption channel shows over time into cues. Decoders report the text on screen each time it may have
+ * changed, and a cue is made of each text shown, from when it appeared until it changed.
+ */
+export default class CueBuilder {
+    constructor(channel, oncue) {
+        this.channel = channel;
+        this.oncue = oncue;
+        this.text = '';
+        this.line = 0;
+        this.begin = 0;
+    }
+
+    /**
+     * @param {number} time - The presentation time of the change, in seconds.
+     * @param {string} text - The text shown, '' when nothing is.
+     * @param {number} line - The position of the bottom of the text, as a percentage of the video's height.
+     */
+    update(time, text, line) {
+        if (text === this.text && line === this.line) {
+            return;
+        }
+        this.flush(time);
+        this.text = text;
+        this.line = line;
+        this.begin = time;
+    }
+
+    /**
+     * Ends the cue being shown
+     * @param {number} time
+     */
+    flush(time) {
+        if (this.text && time > this.begin) {
+            this.oncue({
+                channel: this.channel,
+                begin: this.begin,
+                end: time,
+                text: this.text,
+                line: this.line
+            });
+        }
+        this.text = '';
+        this.begin = time;
+    }
+}
@@ -0,0 +1,306 @@
+import CueBuilder from 'parsers/captions/cea-cues';
+
+const ROWS = 15;
+const COLUMNS = 32;
+
+// Characters of the basic set which differ from ASCII
+const BASIC_CHARACTERS = {
+    0x2a: 'á',
+    0x5c: 'é',
+    0x5e: 'í',
+    0x5f: 'ó',
+    0x60: 'ú',
+    0x7b: 'ç',
+    0x7c: '÷',
+    0x7d: 'Ñ',
+    0x7e: 'ñ',
+    0x7f: '\u2588'
+};
+
+// Special characters, sent as 0x11 0x30 to 0x11 0x3f
+const SPECIAL_CHARACTERS = ['®', '°', '½', '¿', '™', '¢', '£', '♪', 'à', '\u00a0', 'è', 'â', 'ê', 'î', 'ô', 'û'];
+
+// Extended characters, sent as 0x12 0x20 to 0x13 0x3f. Each replaces the basic character sent before it, which
+// decoders without them show instead.
+const EXTENDED_CHARACTERS = [
+    'Á', 'É', 'Ó', 'Ú', 'Ü', 'ü', '‘', '¡', '*', '’', '—', '©', '℠', '•', '“', '”',
+    'À', 'Â', 'Ç', 'È', 'Ê', 'Ë', 'ë', 'Î', 'Ï', 'ï', 'Ô', 'Ù', 'ù', 'Û', '«', '»',
+    'Ã', 'ã', 'Í', 'Ì', 'ì', 'Ò', 'ò', 'Õ', 'õ', '{', '}', '\\', '^', '_', '|', '~',
+    'Ä', 'ä', 'Ö', 'ö', 'ß', '¥', '¤', '¦', 'Å', 'å', 'Ø', 'ø', '┌', '┐', '└', '┘'
+];
+
+// The rows set by preamble address codes, by their first byte's low bits, for second bytes below and from 0x60
+const PAC_ROWS = [[11, 11], [1, 2], [3, 4], [12, 13], [14, 15], [5, 6], [7, 8], [9, 10]];
+
+// Miscellaneous control codes, the second byte of 0x14 or 0x15 0x2x
+const RCL = 0x20;
+const BS = 0x21;
+const DER = 0x24;
+const RU2 = 0x25;
+const RU3 = 0x26;
+const RU4 = 0x27;
+const RDC = 0x29;
+const TR = 0x2a;
+const RTD = 0x2b;
+const EDM = 0x2c;
+const CR = 0x2d;
+const ENM = 0x2e;
+const EOC = 0x2f;
+
+function emptyRow() {
+    const row = [];
+    for (let i = 0; i < COLUMNS; i++) {
+        row.push(' ');
+    }
+    return row;
+}
+
+function emptyScreen() {
+    const screen = [];
+    for (let i = 0; i < ROWS; i++) {
+        screen.push(emptyRow());
+    }
+    return screen;
+}
+
+/**
+ * The position of the bottom of a row, as a percentage of the video's height. Rows fill the middle 80% of the
+ * picture, which is safe from overscan.
+ * @param {number} row - From 0 to 14.
+ * @returns {number}
+ */
+export function rowLine(row) {
+    return Math.round(10 + ((row + 1) * 80 / ROWS));
+}
+
+// A data channel, with the memory shown on screen and the memory pop-on captions are written to
+class Channel {
+    constructor(name, oncue) {
+        this.cues = new CueBuilder(name, oncue);
+        this.reset();
+    }
+
+    reset() {
+        this.mode = null;
+        this.displayed = emptyScreen();
+        this.nonDisplayed = emptyScreen();
+        this.row = ROWS - 1;
+        this.column = 0;
+        this.rollUpRows = 2;
+    }
+
+    // Pop-on captions are written off screen, and shown at once by EOC. Roll-up and paint-on captions are shown as
+    // they're written.
+    memory() {
+        return this.mode === 'popOn' ? this.nonDisplayed : this.displayed;
+    }
+
+    write(character) {
+        if (!this.mode || this.mode === 'text') {
+            return;
+        }
+        this.memory()[this.row][this.column] = character;
+        this.column = Math.min(this.column + 1, COLUMNS - 1);
+    }
+
+    backspace() {
+        if (this.column > 0) {
+            this.column--;
+            this.memory()[this.row][this.column] = ' ';
+        }
+    }
+
+    command(code) {
+        switch (code) {
+            case RCL:
+                this.mode = 'popOn';
+                break;
+            case BS:
+                this.backspace();
+                break;
+            case DER: {
+                const row = this.memory()[this.row];
+                for (let i = this.column; i < COLUMNS; i++) {
+                    row[i] = ' ';
+                }
+                break;
+            }
+            case RU2:
+            case RU3:
+            case RU4:
+                if (this.mode !== 'rollUp') {
+                    this.displayed = emptyScreen();
+                    this.nonDisplayed = emptyScreen();
+                    this.row = ROWS - 1;
+                    this.column = 0;
+                }
+                this.mode = 'rollUp';
+                this.rollUpRows = code - RU2 + 2;
+                this.row = Math.max(this.row, this.rollUpRows - 1);
+                break;
+            case RDC:
+                if (this.mode === 'rollUp') {
+                    this.displayed = emptyScreen();
+                }
+                this.mode = 'paintOn';
+                break;
+            case TR:
+            case RTD:
+                // Text mode data is not captions
+                this.mode = 'text';
+                break;
+            case EDM:
+                this.displayed = emptyScreen();
+                break;
+            case CR:
+                if (this.mode === 'rollUp') {
+                    this.scroll();
+                }
+                this.column = 0;
+                break;
+            case ENM:
+                this.nonDisplayed = emptyScreen();
+                break;
+            case EOC: {
+                const displayed = this.displayed;
+                this.displayed = this.nonDisplayed;
+                this.nonDisplayed = displayed;
+                this.mode = 'popOn';
+                break;
+            }
+            default:
+                break;
+        }
+    }
+
+    // Moves the rows of a roll-up caption up one row, and clears the base row
+    scroll() {
+        const top = this.row - this.rollUpRows + 1;
+        for (let i = 0; i < this.row; i++) {
+            this.displayed[i] = i >= top ? this.displayed[i + 1] : emptyRow();
+        }
+        this.displayed[this.row] = emptyRow();
+    }
+
+    preamble(row, indent) {
+        if (this.mode === 'rollUp') {
+            row = Math.max(row, this.rollUpRows - 1);
+            if (row !== this.row) {
+                // The base row moved, and the rows of the caption move with it
+                const rows = this.displayed.slice(Math.max(0, this.row - this.rollUpRows + 1), this.row + 1);
+                this.displayed = emptyScreen();
+                rows.forEach((content, i) => {
+                    this.displayed[row - rows.length + 1 + i] = content;
+                });
+            }
+        }
+        this.row = row;
+        this.column = indent;
+    }
+
+    tab(columns) {
+        this.column = Math.min(this.column + columns, COLUMNS - 1);
+    }
+
+    update(time) {
+        const lines = [];
+        let bottom = ROWS - 1;
+        this.displayed.forEach((row, i) => {
+            const text = row.join('').replace(/\s+$/, '').replace(/^ +/, '');
+            if (text) {
+                lines.push(text);
+                bottom = i;
+            }
+        });
+        this.cues.update(time, lines.join('\n'), rowLine(bottom));
+    }
+}
+
+/**
+ * Decodes the CEA-608 captions of one field of line 21 data into cues. Field 1 carries CC1 and CC2, and field 2 CC3
+ * and CC4.
+ */
+export default class Cea608Decoder {
+    /**
+     * @param {number} field - 1 or 2.
+     * @param {function(CeaCue)} oncue - Called with each cue when it ends.
+     */
+    constructor(field, oncue) {
+        const first = field === 2 ? 3 : 1;
+        this.channels = [new Channel('CC' + first, oncue), new Channel('CC' + (first + 1), oncue)];
+        this.channel = null;
+        this.lastControl = null;
+    }
+
+    /**
+     * Decodes a byte pair
+     * @param {number} time - The presentation time of the pair, in seconds.
+     * @param {number} byte1
+     * @param {number} byte2
+     */
+    decode(time, byte1, byte2) {
+        // Remove the parity bits
+        const b1 = byte1 & 0x7f;
+        const b2 = byte2 & 0x7f;
+        if (!b1 && !b2) {
+            return;
+        }
+        if (b1 >= 0x10 && b1 <= 0x1f) {
+            // Control codes are sent twice, in case one is lost
+            const control = (b1 << 8) | b2;
+            if (this.lastControl === control) {
+                this.lastControl = null;
+                return;
+            }
+            this.lastControl = control;
+            this.channel = this.channels[(b1 & 0x08) ? 1 : 0];
+            this.control(b1 & 0x17, b2);
+        } else {
+            this.lastControl = null;
+            if (!this.channel || b1 < 0x20) {
+                return;
+            }
+            this.channel.write(BASIC_CHARACTERS[b1] || String.fromCharCode(b1));
+            if (b2 >= 0x20) {
+                this.channel.write(BASIC_CHARACTERS[b2] || String.fromCharCode(b2));
+            }
+        }
+        this.channel.update(time);
+    }
+
+    control(b1, b2) {
+        const channel = this.channel;
+        if (b2 >= 0x40) {
+            // Preamble address codes set the cursor's row, and its column in steps of four
+            const row = PAC_ROWS[b1 & 0x07][b2 >= 0x60 ? 1 : 0] - 1;
+            const indent = (b2 & 0x10) ? ((b2 & 0x0e) >> 1) * 4 : 0;
+            channel.preamble(row, indent);
+        } else if ((b1 === 0x14 || b1 === 0x15) && b2 >= 0x20 && b2 <= 0x2f) {
+            channel.command(b2);
+        } else if (b1 === 0x17 && b2 >= 0x21 && b2 <= 0x23) {
+            channel.tab(b2 - 0x20);
+        } else if (b1 === 0x11 && b2 >= 0x20 && b2 <= 0x2f) {
+            // Mid-row codes change the style of the text which follows, and are shown as a space
+            channel.write(' ');
+        } else if (b1 === 0x11 && b2 >= 0x30 && b2 <= 0x3f) {
+            channel.write(SPECIAL_CHARACTERS[b2 - 0x30]);
+        } else if ((b1 === 0x12 || b1 === 0x13) && b2 >= 0x20 && b2 <= 0x3f) {
+            channel.backspace();
+            channel.write(EXTENDED_CHARACTERS[((b1 - 0x12) * 32) + b2 - 0x20]);
+        }
+    }
+
+    /**
+     * Ends the cues being shown
+     * @param {number} time
+     */
+    flush(time) {
+        this.channels.forEach(channel => channel.cues.flush(time));
+    }
+
+    reset() {
+        this.channels.forEach(channel => channel.reset());
+        this.channel = null;
+        this.lastControl = null;
+    }
+}
@@ -0,0 +1,340 @@
+import CueBuilder from 'parsers/captions/cea-cues';
+
+const WINDOWS = 8;
+
+// The height of a row as a percentage of the video's height, as CEA-608 rows are
+const ROW_HEIGHT = 80 / 15;
+
+// The number of parameter bytes of C1 commands, from 0x80 to 0x9f
+const C1_PARAMETERS = [
+    0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 1, 1, 0, 0,
+    2, 3, 2, 0, 0, 0, 0, 4, 6, 6, 6, 6, 6, 6, 6, 6
+];
+
+// C1 commands
+const CW0 = 0x80;
+const CLW = 0x88;
+const DSW = 0x89;
+const HDW = 0x8a;
+const TGW = 0x8b;
+const DLW = 0x8c;
+const RST = 0x8f;
+const SPL = 0x92;
+const DF0 = 0x98;
+
+// C0 commands
+const EXT1 = 0x10;
+const BS = 0x08;
+const FF = 0x0c;
+const CR = 0x0d;
+const HCR = 0x0e;
+
+// The characters of the G2 set, reached through EXT1, which have a text equivalent
+const G2_CHARACTERS = {
+    0x20: ' ',
+    0x21: '\u00a0',
+    0x25: '…',
+    0x2a: 'Š',
+    0x2c: 'Œ',
+    0x30: '█',
+    0x31: '‘',
+    0x32: '’',
+    0x33: '“',
+    0x34: '”',
+    0x35: '•',
+    0x39: '™',
+    0x3a: 'š',
+    0x3c: 'œ',
+    0x3d: '℠',
+    0x3f: 'Ÿ',
+    0x76: '⅛',
+    0x77: '⅜',
+    0x78: '⅝',
+    0x79: '⅞',
+    0x7a: '│',
+    0x7b: '┐',
+    0x7c: '└',
+    0x7d: '─',
+    0x7e: '┘',
+    0x7f: '┌'
+};
+
+class Window {
+    constructor() {
+        this.visible = false;
+        this.rowCount = 1;
+        this.anchorVertical = 0;
+        this.anchorPoint = 0;
+        this.relative = false;
+        this.clear();
+    }
+
+    define(parameters) {
+        this.visible = !!(parameters[0] & 0x20);
+        this.relative = !!(parameters[1] & 0x80);
+        this.anchorVertical = parameters[1] & 0x7f;
+        this.anchorPoint = parameters[3] >> 4;
+        this.rowCount = (parameters[3] & 0x0f) + 1;
+        this.rows = this.rows.slice(-this.rowCount);
+        while (this.rows.length < this.rowCount) {
+            this.rows.push([]);
+        }
+        this.row = Math.min(this.row, this.rowCount - 1);
+    }
+
+    clear() {
+        this.rows = [];
+        for (let i = 0; i < this.rowCount; i++) {
+            this.rows.push([]);
+        }
+        this.row = 0;
+        this.column = 0;
+    }
+
+    write(character) {
+        const row = this.rows[this.row];
+        while (row.length < this.column) {
+            row.push(' ');
+        }
+        row[this.column++] = character;
+    }
+
+    command(code) {
+        switch (code) {
+            case BS:
+                if (this.column > 0) {
+                    this.column--;
+                    this.rows[this.row].splice(this.column, 1);
+                }
+                break;
+            case FF:
+                this.clear();
+                break;
+            case CR:
+                this.column = 0;
+                if (++this.row >= this.rowCount) {
+                    // Rows scroll up when text is written past the last one
+                    this.rows.shift();
+                    this.rows.push([]);
+                    this.row = this.rowCount - 1;
+                }
+                break;
+            case HCR:
+                this.rows[this.row] = [];
+                this.column = 0;
+                break;
+            default:
+                break;
+        }
+    }
+
+    setPenLocation(row, column) {
+        this.row = Math.min(row, this.rowCount - 1);
+        this.column = column;
+    }
+
+    lines() {
+        return this.rows.map(row => row.join('').replace(/\s+$/, '').replace(/^ +/, '')).filter(line => line);
+    }
+
+    // The position of the window's bottom as a percentage of the video's height, inside its middle 80%
+    bottom() {
+        // Absolute positions are in a grid of 75 rows
+        const anchor = this.relative ? this.anchorVertical : this.anchorVertical * 100 / 75;
+        const height = this.rowCount * ROW_HEIGHT;
+        let bottom = anchor;
+        if (this.anchorPoint < 3) {
+            bottom += height;
+        } else if (this.anchorPoint < 6) {
+            bottom += height / 2;
+        }
+        return Math.round(10 + (Math.min(bottom, 100) * 0.8));
+    }
+}
+
+// A caption service, with the windows its commands define, fill, show and hide
+class Service {
+    constructor(number, oncue) {
+        this.cues = new CueBuilder('SERVICE' + number, oncue);
+        this.reset();
+    }
+
+    reset() {
+        this.windows = [];
+        this.window = null;
+    }
+
+    decode(time, data) {
+        let i = 0;
+        while (i < data.length) {
+            const code = data[i++];
+            if (code === EXT1) {
+                const extended = data[i++];
+                if (extended < 0x20) {
+                    // C2 codes have up to three parameter bytes
+                    i += extended < 0x08 ? 0 : Math.floor((extended - 0x08) / 8) + 1;
+                } else if (extended < 0x80) {
+                    this.write(G2_CHARACTERS[extended] || '');
+                } else if (extended < 0xa0) {
+                    // C3 codes have four or five parameter bytes, and variable length codes aren't captions
+                    if (extended >= 0x90) {
+                        break;
+                    }
+                    i += extended < 0x88 ? 4 : 5;
+                }
+            } else if (code < 0x20) {
+                if (code >= 0x18) {
+                    i += 2;
+                } else if (code > EXT1) {
+                    i += 1;
+                } else if (this.window) {
+                    this.window.command(code);
+                }
+            } else if (code < 0x80) {
+                this.write(code === 0x7f ? '♪' : String.fromCharCode(code));
+            } else if (code < 0xa0) {
+                const parameters = data.slice(i, i + C1_PARAMETERS[code - 0x80]);
+                i += parameters.length;
+                this.command(code, parameters);
+            } else {
+                // G1 is Latin-1
+                this.write(String.fromCharCode(code));
+            }
+        }
+        this.update(time);
+    }
+
+    write(character) {
+        if (this.window && character) {
+            this.window.write(character);
+        }
+    }
+
+    // Calls a function with each window a bitmap parameter selects
+    eachWindow(bitmap, callback) {
+        for (let id = 0; id < WINDOWS; id++) {
+            if ((bitmap & (1 << id)) && this.windows[id]) {
+                callback(this.windows[id], id);
+            }
+        }
+    }
+
+    command(code, parameters) {
+        if (code >= DF0) {
+            const id = code - DF0;
+            const captionWindow = this.windows[id] = this.windows[id] || new Window();
+            captionWindow.define(parameters);
+            this.window = captionWindow;
+        } else if (code < CLW) {
+            this.window = this.windows[code - CW0] || this.window;
+        } else if (code === CLW) {
+            this.eachWindow(parameters[0], captionWindow => captionWindow.clear());
+        } else if (code === DSW) {
+            this.eachWindow(parameters[0], captionWindow => {
+                captionWindow.visible = true;
+            });
+        } else if (code === HDW) {
+            this.eachWindow(parameters[0], captionWindow => {
+                captionWindow.visible = false;
+            });
+        } else if (code === TGW) {
+            this.eachWindow(parameters[0], captionWindow => {
+                captionWindow.visible = !captionWindow.visible;
+            });
+        } else if (code === DLW) {
+            this.eachWindow(parameters[0], (captionWindow, id) => {
+                if (this.window === captionWindow) {
+                    this.window = null;
+                }
+                this.windows[id] = null;
+            });
+        } else if (code === RST) {
+            this.reset();
+        } else if (code === SPL && this.window) {
+            this.window.setPenLocation(parameters[0] & 0x0f, parameters[1] & 0x3f);
+        }
+    }
+
+    update(time) {
+        const shown = this.windows.filter(captionWindow => captionWindow && captionWindow.visible &&
+            captionWindow.lines().length);
+        shown.sort((a, b) => a.bottom() - b.bottom());
+        const text = shown.map(captionWindow => captionWindow.lines().join('\n')).join('\n');
+        const line = shown.length ? shown[shown.length - 1].bottom() : 0;
+        this.cues.update(time, text, line);
+    }
+}
+
+/**
+ * Decodes the CEA-708 caption services of DTVCC packets into cues. Each service shows the text of its visible windows.
+ */
+export default class Cea708Decoder {
+    /**
+     * @param {function(CeaCue)} oncue - Called with each cue when it ends.
+     */
+    constructor(oncue) {
+        this.oncue = oncue;
+        this.services = {};
+        this.packet = null;
+    }
+
+    /**
+     * Adds a byte pair of DTVCC packet data
+     * @param {number} time - The presentation time of the pair, in seconds.
+     * @param {boolean} start - Whether the pair starts a packet.
+     * @param {number} byte1
+     * @param {number} byte2
+     */
+    decode(time, start, byte1, byte2) {
+        if (start) {
+            this.packet = [];
+        }
+        const packet = this.packet;
+        if (!packet) {
+            return;
+        }
+        packet.push(byte1, byte2);
+        // The packet's size is given in its header, in pairs of bytes
+        const sizeCode = packet[0] & 0x3f;
+        const size = sizeCode ? sizeCode * 2 : 128;
+        if (packet.length >= size) {
+            this.packet = null;
+            this.parsePacket(time, packet.slice(0, size));
+        }
+    }
+
+    parsePacket(time, packet) {
+        let i = 1;
+        while (i < packet.length) {
+            let number = packet[i] >> 5;
+            const blockSize = packet[i++] & 0x1f;
+            if (number === 7 && blockSize) {
+                number = packet[i++] & 0x3f;
+            }
+            if (!number || !blockSize) {
+                // A null block pads the rest of the packet
+                break;
+            }
+            this.service(number).decode(time, packet.slice(i, i + blockSize));
+            i += blockSize;
+        }
+    }
+
+    service(number) {
+        this.services[number] = this.services[number] || new Service(number, this.oncue);
+        return this.services[number];
+    }
+
+    /**
+     * Ends the cues being shown
+     * @param {number} time
+     */
+    flush(time) {
+        Object.keys(this.services).forEach(number => this.services[number].cues.flush(time));
+    }
+
+    reset() {
+        Object.keys(this.services).forEach(number => this.services[number].reset());
+        this.packet = null;
+    }
+}
@@ -0,0 +1,21 @@
+import _ from 'utils/underscore';
+
+// Formats added with jwplayer.api.registerCaptionsFormat. The built-in formats' parsers load with the captions chunk.
+// The most recently registered formats are first, and are chosen first
+export const registeredFormats = [];
+
+/**
+ * Adds a captions format, or replaces the format of the same name. Registered formats are chosen before the built-in
+ * ones when a file matches several.
+ * @param {CaptionsFormat} format
+ */
+export default function registerCaptionsFormat(format) {
+    if (!format || !format.name || !_.isFunction(format.sniff) || !_.isFunction(format.parse)) {
+        throw new Error('Tried to register a captions format with an invalid object');
+    }
+    const index = _.pluck(registeredFormats, 'name').indexOf(format.name);
+    if (index >= 0) {
+        registeredFormats.splice(index, 1);
+    }
+    registeredFormats.unshift(format);
+}
@@ -0,0 +1,120 @@
+import _ from 'utils/underscore';
+import parsers from 'parsers/parsers';
+import VTTCue from 'parsers/captions/vttcue';
+import parseTTML, { applyRegion } from 'parsers/captions/ttml';
+import srtToWebVTT, { isSubRip } from 'parsers/captions/subrip';
+import ssaToWebVTT, { isSSA } from 'parsers/captions/ssa';
+import samiToWebVTT, { isSAMI } from 'parsers/captions/sami';
+import { registeredFormats } from 'parsers/captions/formats-register';
+
+/**
+ * A sidecar captions file format
+ * @typedef {object} CaptionsFormat
+ * @property {string} name
+ * @property {Array.<string>} [mimeTypes] - The MIME types files of the format are served with.
+ * @property {function(string, Document): boolean} sniff - Whether a file's text, or its XML document when it is
+ * XML, is in the format.
+ * @property {function(string, Document, object): (Array.<VTTCue>|Promise)} parse - Parses a file's text or XML
+ * document into VTTCues, or a promise of them, for a track ({ file, kind, label, language }). Throws or rejects when
+ * the file is invalid.
+ */
+
+/**
+ * Parses WebVTT text
+ * @param {string} text
+ * @returns {Promise} Resolves with the VTTCues of the text.
+ */
+export function parseWebVTT(text) {
+    return new Promise((resolve, reject) => {
+        require.ensure(['parsers/captions/vttparser'], function (require) {
+            const VTTParser = require('parsers/captions/vttparser');
+            const parser = new VTTParser(window);
+            const cues = [];
+            parser.oncue = function(cue) {
+                cues.push(cue);
+            };
+            parser.onflush = function() {
+                resolve(cues);
+            };
+            try {
+                // Parse calls onflush internally
+                parser.parse(text);
+            } catch (error) {
+                reject(error);
+            }
+        }, 'vttparser');
+    });
+}
+
+function isXMLRoot(xml, name) {
+    return !!(xml && xml.documentElement && parsers.localName(xml.documentElement) === name);
+}
+
+const builtInFormats = [
+    {
+        name: 'ttml',
+        mimeTypes: ['application/ttml+xml', 'application/ttaf+xml'],
+        sniff: (text, xml) => isXMLRoot(xml, 'tt'),
+        parse: (text, xml) => {
+            // Keep the cues' styles and regions for the captions renderer
+            const cues = parseTTML(xml);
+            return _.map(cues, cue => {
+                const vttCue = new VTTCue(cue.begin, cue.end, cue.text);
+                vttCue.ttml = cue;
+                applyRegion(vttCue, cue);
+                return vttCue;
+            });
+        }
+    },
+    {
+        name: 'webvtt',
+        mimeTypes: ['text/vtt'],
+        sniff: text => /^\uFEFF?WEBVTT/.test(text),
+        parse: text => parseWebVTT(text.replace(/^\uFEFF/, ''))
+    },
+    {
+        name: 'srt',
+        mimeTypes: ['application/x-subrip', 'text/srt'],
+        sniff: text => isSubRip(text),
+        parse: text => parseWebVTT(srtToWebVTT(text))
+    },
+    {
+        name: 'ssa',
+        mimeTypes: ['text/x-ssa', 'text/x-ass'],
+        sniff: text => isSSA(text),
+        parse: text => parseWebVTT(ssaToWebVTT(text))
+    },
+    {
+        name: 'sami',
+        mimeTypes: ['application/x-sami'],
+        sniff: text => isSAMI(text),
+        parse: (text, xml, track) => parseWebVTT(samiToWebVTT(text, track.language || track.label))
+    }
+];
+
+// Files no format recognizes are read as loosely laid out SubRip, as the player always has
+const lenientSubRip = {
+    name: 'srt-lenient',
+    sniff: () => true,
+    parse: text => parseWebVTT(srtToWebVTT(text, { lenient: true }))
+};
+
+/**
+ * Finds the format of a captions file by sniffing its content. The MIME type it was served with chooses between
+ * formats which both match it.
+ * @param {string} text
+ * @param {Document} [xml]
+ * @param {string} [mimeType] - The file's Content-Type.
+ * @returns {CaptionsFormat}
+ */
+export function findCaptionsFormat(text, xml, mimeType) {
+    const type = (mimeType || '').split(';')[0].trim().toLowerCase();
+    const registeredNames = _.pluck(registeredFormats, 'name');
+    const formats = registeredFormats.concat(_.reject(builtInFormats, format => {
+        return _.contains(registeredNames, format.name);
+    }));
+    const matches = _.filter(formats, format => format.sniff(text, xml));
+    return _.find(matches, format => _.contains(format.mimeTypes || [], type)) ||
+        matches[0] ||
+        lenientSubRip;
+}
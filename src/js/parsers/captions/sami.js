@@ -0,0 +1,125 @@
+import { writeCue, writeFile, markupToCueText } from 'parsers/captions/webvtt';
+
+// The end time of a caption which no later sync clears, which is shown until the end of the media
+const UNTIL_END = 359999.999;
+
+/**
+ * Whether text is a Synchronized Accessible Media Interchange (SAMI) file
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isSAMI(text) {
+    return /^\s*<sami[\s>]/i.test(text);
+}
+
+function attribute(tag, name) {
+    const match = new RegExp('\\b' + name + '\\s*=\\s*(?:"([^"]*)"|\'([^\']*)\'|([^\\s>]+))', 'i').exec(tag);
+    return match ? (match[1] || match[2] || match[3]) : null;
+}
+
+function textAlign(rules) {
+    const match = /text-align\s*:\s*(left|right|center)/i.exec(rules || '');
+    return match ? match[1].toLowerCase() : null;
+}
+
+// Reads the language classes of the file's style sheet
+function parseClasses(text) {
+    const classes = [];
+    const style = /<style[^>]*>([\s\S]*?)<\/style>/i.exec(text);
+    const rules = /\.([\w-]+)\s*\{([^}]*)\}/g;
+    let rule;
+    while (style && (rule = rules.exec(style[1]))) {
+        const lang = /\blang\s*:\s*([\w-]+)/i.exec(rule[2]);
+        const name = /\bname\s*:\s*([^;]+)/i.exec(rule[2]);
+        classes.push({
+            id: rule[1].toLowerCase(),
+            lang: lang ? lang[1].toLowerCase() : null,
+            name: name ? name[1].trim().toLowerCase() : null,
+            align: textAlign(rule[2])
+        });
+    }
+    return classes;
+}
+
+// Chooses the class of a language, by its language code or name, or the first language
+function chooseClass(classes, language) {
+    const languages = classes.filter(languageClass => languageClass.lang);
+    if (language) {
+        language = language.toLowerCase();
+        const match = languages.filter(languageClass => {
+            return languageClass.lang.split('-')[0] === language.split('-')[0] || languageClass.name === language;
+        })[0];
+        if (match) {
+            return match;
+        }
+    }
+    return languages[0] || null;
+}
+
+function decodeEntities(text) {
+    return text.replace(/&#(x?)([0-9a-f]+);/gi, (entity, hex, code) => {
+        return String.fromCharCode(parseInt(code, hex ? 16 : 10));
+    }).replace(/&quot;/g, '"').replace(/&apos;/g, '\'');
+}
+
+// Converts a paragraph's HTML to cue text. Its white space collapses as HTML's does.
+function cueText(html) {
+    const text = markupToCueText(html.replace(/\s+/g, ' '))
+        .replace(/&nbsp;/gi, ' ');
+    return decodeEntities(text).split('\n').map(line => line.trim()).filter(line => line).join('\n');
+}
+
+/**
+ * Converts a SAMI file to WebVTT. A file may have captions in several languages, each of a class of paragraphs, and
+ * the captions of one language are converted.
+ * @param {string} text
+ * @param {string} [language] - The language code or name of the captions wanted. The file's first language is
+ * converted when it has no captions in the language.
+ * @returns {string}
+ */
+export default function samiToWebVTT(text, language) {
+    const classes = parseClasses(text);
+    const captionsClass = chooseClass(classes, language);
+    const body = /<body[^>]*>([\s\S]*?)(<\/body>|$)/i.exec(text);
+    const cues = [];
+    let previous = null;
+
+    (body ? body[1] : text).split(/<sync\b/i).slice(1).forEach(sync => {
+        const tagEnd = sync.indexOf('>');
+        const start = parseInt(attribute(sync.substr(0, tagEnd), 'start'), 10);
+        if (isNaN(start)) {
+            return;
+        }
+        // Syncs with captions only in other languages don't change this one's
+        const paragraphs = sync.substr(tagEnd + 1).split(/<p\b/i).slice(1).filter(paragraph => {
+            const className = attribute(paragraph.substr(0, paragraph.indexOf('>')), 'class');
+            return !captionsClass || (className && className.toLowerCase() === captionsClass.id);
+        });
+        if (!paragraphs.length) {
+            return;
+        }
+        const time = start / 1000;
+        if (previous && time > previous.begin) {
+            cues.push(writeCue(previous.begin, time, previous.text, previous.settings));
+        }
+        const lines = [];
+        let align = captionsClass && captionsClass.align;
+        paragraphs.forEach(paragraph => {
+            const paragraphTagEnd = paragraph.indexOf('>');
+            align = textAlign(attribute(paragraph.substr(0, paragraphTagEnd), 'style')) || align;
+            const paragraphText = cueText(paragraph.substr(paragraphTagEnd + 1).replace(/<\/p>[\s\S]*$/i, ''));
+            if (paragraphText) {
+                lines.push(paragraphText);
+            }
+        });
+        previous = lines.length ? {
+            begin: time,
+            text: lines.join('\n'),
+            settings: align && align !== 'center' ? ['align:' + align] : []
+        } : null;
+    });
+    if (previous) {
+        cues.push(writeCue(previous.begin, UNTIL_END, previous.text, previous.settings));
+    }
+    return writeFile(cues);
+}
@@ -0,0 +1,281 @@
+import { writeCue, writeFile, alignmentSettings, escapeText, colorClass } from 'parsers/captions/webvtt';
+
+// The script resolution positions and margins are given in, when a script doesn't set it
+const DEFAULT_PLAY_RES_X = 384;
+const DEFAULT_PLAY_RES_Y = 288;
+
+const DEFAULT_STYLE = {
+    bold: false,
+    italic: false,
+    underline: false,
+    color: null,
+    alignment: 2,
+    marginL: 0,
+    marginR: 0,
+    marginV: 0
+};
+
+/**
+ * Whether text is a SubStation Alpha (SSA) or Advanced SubStation Alpha (ASS) script
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isSSA(text) {
+    return /^\s*\[Script Info\]/i.test(text);
+}
+
+function fields(value) {
+    return value.split(',').map(field => field.trim().toLowerCase());
+}
+
+// Reads a line of comma separated values, the last of which may contain commas
+function record(format, value) {
+    const values = value.split(',');
+    const result = {};
+    format.forEach((field, i) => {
+        result[field] = (i === format.length - 1 ? values.slice(i).join(',') : values[i] || '');
+        if (field !== 'text') {
+            result[field] = result[field].trim();
+        }
+    });
+    return result;
+}
+
+function parseTime(value) {
+    const match = /(\d+):(\d+):(\d+(?:\.\d+)?)/.exec(value || '');
+    if (!match) {
+        return null;
+    }
+    return (parseInt(match[1], 10) * 3600) + (parseInt(match[2], 10) * 60) + parseFloat(match[3]);
+}
+
+// Colors are &HAABBGGRR in hexadecimal in ASS, and BGR integers in SSA
+function parseColor(value) {
+    if (!value) {
+        return null;
+    }
+    const hex = /&H([0-9a-f]+)/i.exec(value);
+    const bgr = hex ? parseInt(hex[1], 16) : parseInt(value, 10);
+    if (isNaN(bgr)) {
+        return null;
+    }
+    const className = colorClass('#' + [bgr & 0xff, (bgr >> 8) & 0xff, (bgr >> 16) & 0xff].map(component => {
+        return ('0' + component.toString(16)).slice(-2);
+    }).join(''));
+    // White text is left to the viewer's caption settings
+    return className === 'white' ? null : className;
+}
+
+// SSA alignments are 1 to 3 along the bottom, 5 to 7 along the top and 9 to 11 across the middle
+function legacyAlignment(value) {
+    const column = (value - 1) % 4;
+    if (value >= 9) {
+        return column + 4;
+    }
+    return value >= 5 ? column + 7 : column + 1;
+}
+
+function parseStyle(style, legacy) {
+    const flag = value => value !== undefined && value !== '' && value !== '0';
+    const alignment = parseInt(style.alignment, 10) || DEFAULT_STYLE.alignment;
+    return {
+        bold: flag(style.bold),
+        italic: flag(style.italic),
+        underline: flag(style.underline),
+        color: parseColor(style.primarycolour),
+        alignment: legacy ? legacyAlignment(alignment) : alignment,
+        marginL: parseInt(style.marginl, 10) || 0,
+        marginR: parseInt(style.marginr, 10) || 0,
+        marginV: parseInt(style.marginv, 10) || 0
+    };
+}
+
+function openTags(state) {
+    return (state.bold ? '<b>' : '') + (state.italic ? '<i>' : '') + (state.underline ? '<u>' : '') +
+        (state.color ? '<c.' + state.color + '>' : '');
+}
+
+function closeTags(state) {
+    return (state.color ? '</c>' : '') + (state.underline ? '</u>' : '') + (state.italic ? '</i>' : '') +
+        (state.bold ? '</b>' : '');
+}
+
+function sameStyle(a, b) {
+    return a.bold === b.bold && a.italic === b.italic && a.underline === b.underline && a.color === b.color;
+}
+
+// Applies the override tags of a {} block to the text style, and the first positioning tags to the placement
+function applyOverrides(overrides, state, placement, style, styles) {
+    const tags = /\\(\d?[a-z]+)([^\\]*)/gi;
+    let tag;
+    while ((tag = tags.exec(overrides))) {
+        const name = tag[1].toLowerCase();
+        const value = tag[2].trim();
+        const enabled = value === '' ? null : value !== '0';
+        if (name === 'b') {
+            // Bold may be given as a font weight
+            const weight = parseInt(value, 10);
+            state.bold = enabled === null ? style.bold : (weight === 1 || weight >= 700);
+        } else if (name === 'i') {
+            state.italic = enabled === null ? style.italic : enabled;
+        } else if (name === 'u') {
+            state.underline = enabled === null ? style.underline : enabled;
+        } else if (name === 'c' || name === '1c') {
+            state.color = value ? parseColor(value) : style.color;
+        } else if (name === 'p') {
+            state.drawing = enabled === true;
+        } else if (name === 'an' && !placement.alignment) {
+            placement.alignment = parseInt(value, 10) || 0;
+        } else if (name === 'a' && !placement.alignment) {
+            placement.alignment = legacyAlignment(parseInt(value, 10) || 2);
+        } else if (name === 'pos' && !placement.position) {
+            const coordinates = value.replace(/[()]/g, '').split(',').map(parseFloat);
+            if (coordinates.length === 2 && !coordinates.some(isNaN)) {
+                placement.position = { x: coordinates[0], y: coordinates[1] };
+            }
+        } else if (name[0] === 'r') {
+            // \r resets the style, to the event's or a named one
+            const reset = styles[(tag[1].substr(1) + tag[2]).trim()] || style;
+            state.bold = reset.bold;
+            state.italic = reset.italic;
+            state.underline = reset.underline;
+            state.color = reset.color;
+        }
+    }
+}
+
+// Converts an event's text and its override tags to WebVTT cue text
+function cueText(text, style, styles, wrapStyle, placement) {
+    const state = {
+        bold: style.bold,
+        italic: style.italic,
+        underline: style.underline,
+        color: style.color,
+        drawing: false
+    };
+    let written = {};
+    let result = '';
+    text.split(/(\{[^}]*\})/).forEach(part => {
+        if (part[0] === '{' && part[part.length - 1] === '}') {
+            applyOverrides(part.slice(1, -1), state, placement, style, styles);
+            return;
+        }
+        if (state.drawing || !part) {
+            return;
+        }
+        const content = escapeText(part.replace(/\\N/g, '\n')
+            .replace(/\\n/g, wrapStyle === 2 ? '\n' : ' ')
+            .replace(/\\h/g, '\u00a0'));
+        if (!sameStyle(state, written)) {
+            result += closeTags(written) + openTags(state);
+            written = {
+                bold: state.bold,
+                italic: state.italic,
+                underline: state.underline,
+                color: state.color
+            };
+        }
+        result += content;
+    });
+    return result + closeTags(written);
+}
+
+function cueSettings(placement, alignment, margins, resolution) {
+    if (!placement.position) {
+        return alignmentSettings(alignment, {
+            left: margins.left * 100 / resolution.x,
+            right: margins.right * 100 / resolution.x,
+            vertical: margins.vertical * 100 / resolution.y
+        });
+    }
+    // The position is of the alignment point of the text
+    const row = Math.floor((alignment - 1) / 3);
+    const column = (alignment - 1) % 3;
+    const x = Math.min(Math.max(placement.position.x * 100 / resolution.x, 0), 100);
+    const y = Math.min(Math.max(placement.position.y * 100 / resolution.y, 0), 100);
+    const round = value => Math.round(value * 100) / 100;
+    const settings = ['line:' + round(y) + '%' + ['', ',center', ',end'][2 - row]];
+    settings.push('position:' + round(x) + '%');
+    if (column !== 1) {
+        settings.push(column ? 'align:right' : 'align:left');
+    }
+    return settings;
+}
+
+/**
+ * Converts a SubStation Alpha or Advanced SubStation Alpha script to WebVTT. The bold, italic, underline and color
+ * of styles and override tags are kept where WebVTT can show them, and events are placed by their alignments,
+ * margins and \pos tags.
+ * @param {string} text
+ * @returns {string}
+ */
+export default function ssaToWebVTT(text) {
+    const info = {};
+    const styles = {};
+    const events = [];
+    let section = '';
+    let styleFormat = null;
+    let eventFormat = null;
+
+    text.split(/\r\n|\r|\n/).forEach(line => {
+        line = line.trim();
+        const header = /^\[(.+)\]$/.exec(line);
+        if (header) {
+            section = header[1].toLowerCase();
+            return;
+        }
+        const separator = line.indexOf(':');
+        if (separator < 0 || line[0] === ';') {
+            return;
+        }
+        const key = line.substr(0, separator).trim().toLowerCase();
+        const value = line.substr(separator + 1).trim();
+        if (section === 'script info') {
+            info[key] = value;
+        } else if (section === 'v4 styles' || section === 'v4+ styles') {
+            if (key === 'format') {
+                styleFormat = fields(value);
+            } else if (key === 'style' && styleFormat) {
+                const style = record(styleFormat, value);
+                styles[style.name] = parseStyle(style, section === 'v4 styles');
+            }
+        } else if (section === 'events') {
+            if (key === 'format') {
+                eventFormat = fields(value);
+            } else if (key === 'dialogue' && eventFormat) {
+                events.push(record(eventFormat, line.substr(separator + 1).replace(/^ /, '')));
+            }
+        }
+    });
+
+    const resolution = {
+        x: parseFloat(info.playresx) || DEFAULT_PLAY_RES_X,
+        y: parseFloat(info.playresy) || DEFAULT_PLAY_RES_Y
+    };
+    const wrapStyle = parseInt(info.wrapstyle, 10);
+    const cues = [];
+    events.forEach(event => {
+        const begin = parseTime(event.start);
+        const end = parseTime(event.end);
+        if (begin === null || end === null || end <= begin) {
+            return;
+        }
+        const style = styles[(event.style || '').replace(/^\*/, '')] || styles.Default || DEFAULT_STYLE;
+        const placement = {
+            alignment: 0,
+            position: null
+        };
+        const cue = cueText(event.text || '', style, styles, wrapStyle, placement);
+        if (!cue.replace(/<[^>]*>/g, '').trim()) {
+            return;
+        }
+        const alignment = placement.alignment >= 1 && placement.alignment <= 9 ? placement.alignment : style.alignment;
+        const margins = {
+            left: parseInt(event.marginl, 10) || style.marginL,
+            right: parseInt(event.marginr, 10) || style.marginR,
+            vertical: parseInt(event.marginv, 10) || style.marginV
+        };
+        cues.push(writeCue(begin, end, cue, cueSettings(placement, alignment, margins, resolution)));
+    });
+    return writeFile(cues);
+}
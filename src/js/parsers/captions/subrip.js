@@ -0,0 +1,88 @@
+import { writeCue, writeFile, alignmentSettings, markupToCueText } from 'parsers/captions/webvtt';
+import utils from 'utils/helpers';
+
+const TIMESTAMP = '(\\d+):(\\d{1,2}):(\\d{1,2})(?:[,.](\\d{1,3}))?';
+const TIMING = new RegExp('^\\s*' + TIMESTAMP + '\\s*-->\\s*' + TIMESTAMP);
+// Any times the player can read, such as WebVTT's, which may omit hours and be followed by cue settings
+const LENIENT_TIMING = /^\s*(\S+)\s*-->\s*(\S+)/;
+
+function seconds(match, index) {
+    const fraction = match[index + 3] || '0';
+    return (parseInt(match[index], 10) * 3600) + (parseInt(match[index + 1], 10) * 60) +
+        parseInt(match[index + 2], 10) + parseFloat('0.' + fraction);
+}
+
+/**
+ * Whether text is a SubRip file, which starts with a cue's timing, after the cue's number
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isSubRip(text) {
+    const lines = text.replace(/^\uFEFF/, '').trim().split(/\r\n|\r|\n/, 2);
+    return TIMING.test(lines[0]) || (/^\d+\s*$/.test(lines[0]) && TIMING.test(lines[1] || ''));
+}
+
+function readTiming(line, lenient) {
+    const timing = TIMING.exec(line);
+    if (timing) {
+        return { begin: seconds(timing, 1), end: seconds(timing, 5) };
+    }
+    const lenientTiming = lenient && LENIENT_TIMING.exec(line);
+    if (lenientTiming) {
+        return { begin: utils.seconds(lenientTiming[1]), end: utils.seconds(lenientTiming[2]) };
+    }
+    return null;
+}
+
+/**
+ * Reads the cues of a SubRip (SRT) file
+ * @param {string} text
+ * @param {object} [options]
+ * @param {boolean} [options.lenient] - Read loosely laid out files, such as WebVTT thumbnails and chapters: blocks
+ * without text are skipped and times are read as utils.seconds reads them.
+ * @returns {Array.<object>} Cues as { begin, end, text }, where text keeps the file's markup.
+ */
+export function parseSubRip(text, options) {
+    const lenient = !!(options && options.lenient);
+    const blocks = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').trim().split(/\n\s*\n/);
+    const cues = [];
+    blocks.forEach(block => {
+        const lines = block.split('\n');
+        let timingIndex = 0;
+        let timing = readTiming(lines[0], lenient);
+        if (!timing) {
+            timingIndex = 1;
+            timing = readTiming(lines[1] || '', lenient);
+        }
+        const cueText = lines.slice(timingIndex + 1).join('\n');
+        if (!timing || (lenient && !cueText)) {
+            return;
+        }
+        cues.push({ begin: timing.begin, end: timing.end, text: cueText });
+    });
+    return cues;
+}
+
+/**
+ * Converts a SubRip (SRT) file to WebVTT, so that it's parsed as WebVTT is. Bold, italic, underline and font color
+ * tags are kept, and {\an1} to {\an9} tags position their cues.
+ * @param {string} text
+ * @param {object} [options] - As parseSubRip's.
+ * @returns {string}
+ */
+export default function srtToWebVTT(text, options) {
+    const cues = parseSubRip(text, options).map(cue => {
+        let settings = [];
+        const cueText = cue.text
+            .replace(/\{(\/?)([biu])\}/g, '<$1$2>')
+            .replace(/\{\\([^}]*)\}/g, (tag, overrides) => {
+                const alignment = /\\?an([1-9])/.exec(overrides);
+                if (alignment) {
+                    settings = alignmentSettings(parseInt(alignment[1], 10));
+                }
+                return '';
+            });
+        return writeCue(cue.begin, cue.end, markupToCueText(cueText), settings);
+    });
+    return writeFile(cues);
+}
@@ -0,0 +1,655 @@
+import parsers from 'parsers/parsers';
+
+/**
+ * A caption cue parsed from a TTML document
+ * @typedef {object} TTMLCue
+ * @property {number} begin - The start time in seconds.
+ * @property {number} end - The end time in seconds, Infinity when the cue is shown until the end of the media.
+ * @property {string} text - The cue's text, with lines separated by '\n'.
+ * @property {Array.<Array.<{text: string, style: object}>>} lines - The runs of text of each line, with their styles.
+ * @property {TTMLRegion} region - Where the cue is shown.
+ * @property {object} style - The paragraph's style: { textAlign, lineHeight, backgroundColor }
+ * @property {string|null} image - The URL of the cue's image, for the image profile.
+ */
+
+/**
+ * An area of the video captions are shown in, as percentages of the video's width and height
+ * @typedef {object} TTMLRegion
+ * @property {string} id
+ * @property {object} origin - { x, y }
+ * @property {object} extent - { width, height }
+ * @property {string} displayAlign - 'before', 'center' or 'after'.
+ * @property {string} [backgroundColor]
+ * @property {object} [style] - The styles content shown in the region inherits.
+ */
+
+const DEFAULT_FRAME_RATE = 30;
+
+const NAMED_COLORS = {
+    transparent: [0, 0, 0, 0],
+    black: [0, 0, 0],
+    silver: [192, 192, 192],
+    gray: [128, 128, 128],
+    white: [255, 255, 255],
+    maroon: [128, 0, 0],
+    red: [255, 0, 0],
+    purple: [128, 0, 128],
+    fuchsia: [255, 0, 255],
+    magenta: [255, 0, 255],
+    green: [0, 128, 0],
+    lime: [0, 255, 0],
+    olive: [128, 128, 0],
+    yellow: [255, 255, 0],
+    navy: [0, 0, 128],
+    blue: [0, 0, 255],
+    teal: [0, 128, 128],
+    aqua: [0, 255, 255],
+    cyan: [0, 255, 255]
+};
+
+const GENERIC_FONT_FAMILIES = {
+    'default': 'monospace',
+    monospace: 'monospace',
+    sansSerif: 'sans-serif',
+    serif: 'serif',
+    monospaceSansSerif: 'monospace',
+    monospaceSerif: 'monospace',
+    proportionalSansSerif: 'sans-serif',
+    proportionalSerif: 'serif'
+};
+
+const TEXT_DECORATIONS = {
+    underline: 'underline',
+    lineThrough: 'line-through',
+    overline: 'overline',
+    none: 'none'
+};
+
+// Styles content inherits from its parent. The others only apply to the element they're specified on.
+const INHERITED_STYLES = ['color', 'fontFamily', 'fontSize', 'fontStyle', 'fontWeight', 'textAlign',
+    'textDecoration', 'textOutline', 'lineHeight'];
+
+const DEFAULT_REGION = {
+    id: '',
+    origin: { x: 0, y: 0 },
+    extent: { width: 100, height: 100 },
+    displayAlign: 'after'
+};
+
+/**
+ * Parses a TTML document, including IMSC1 text and image profile documents, into cues which keep their styles,
+ * regions and timing
+ * @param {Document} xmlDoc
+ * @returns {Array.<TTMLCue>}
+ */
+export default function parseTTML(xmlDoc) {
+    const tt = xmlDoc && xmlDoc.documentElement;
+    if (!tt || parsers.localName(tt) !== 'tt') {
+        parseError();
+    }
+    const params = parameters(tt);
+    const head = child(tt, 'head');
+    const body = child(tt, 'body');
+    const styles = {};
+    const regions = {};
+    const images = {};
+
+    if (head) {
+        children(child(head, 'styling'), 'style').forEach(style => {
+            styles[attribute(style, 'id')] = style;
+        });
+        children(child(head, 'layout'), 'region').forEach(region => {
+            regions[attribute(region, 'id')] = parseRegion(region, styles, params);
+        });
+        descendants(head, 'image').forEach(image => {
+            images[attribute(image, 'id')] = image;
+        });
+    }
+
+    const cues = [];
+    if (body) {
+        const context = {
+            params,
+            styles,
+            regions,
+            images,
+            region: null,
+            chain: [],
+            begin: 0,
+            end: Infinity
+        };
+        parseContainer(body, context, cues);
+    }
+    if (!cues.length) {
+        parseError();
+    }
+    return cues;
+}
+
+/**
+ * Positions a VTTCue as its TTML region would, for browsers which render captions natively
+ * @param {VTTCue} vttCue
+ * @param {TTMLCue} cue
+ */
+export function applyRegion(vttCue, cue) {
+    const region = cue.region;
+    if (region.id === '') {
+        return;
+    }
+    setCueSetting(vttCue, 'snapToLines', [false]);
+    setCueSetting(vttCue, 'size', [region.extent.width]);
+    setCueSetting(vttCue, 'position', [region.origin.x + region.extent.width / 2]);
+    setCueSetting(vttCue, 'positionAlign', ['center', 'middle']);
+    if (region.displayAlign === 'before') {
+        setCueSetting(vttCue, 'line', [region.origin.y]);
+        setCueSetting(vttCue, 'lineAlign', ['start']);
+    } else if (region.displayAlign === 'center') {
+        setCueSetting(vttCue, 'line', [region.origin.y + region.extent.height / 2]);
+        setCueSetting(vttCue, 'lineAlign', ['center', 'middle']);
+    } else {
+        setCueSetting(vttCue, 'line', [region.origin.y + region.extent.height]);
+        setCueSetting(vttCue, 'lineAlign', ['end']);
+    }
+    if (cue.style.textAlign) {
+        setCueSetting(vttCue, 'align', cue.style.textAlign === 'center' ? ['center', 'middle'] : [cue.style.textAlign]);
+    }
+}
+
+// Sets the first of the values the VTTCue accepts. Older implementations and the polyfill call centering 'middle', and
+// throw on values they don't know.
+function setCueSetting(vttCue, name, values) {
+    for (let i = 0; i < values.length; i++) {
+        try {
+            vttCue[name] = values[i];
+            return;
+        } catch (error) {
+            // Try the next value
+        }
+    }
+}
+
+/**
+ * @param {string} value - A TTML time expression, either a clock time (hh:mm:ss.fraction or hh:mm:ss:frames) or an
+ * offset time (e.g. '1.5s', '20f' or '90000t').
+ * @param {object} params - The document's { frameRate, tickRate }
+ * @returns {number|null} The time in seconds.
+ */
+export function parseTime(value, params) {
+    if (!value) {
+        return null;
+    }
+    let match = /^(\d+):(\d{2}):(\d{2})(?:(\.\d+)|:(\d+(?:\.\d+)?))?$/.exec(value.trim());
+    if (match) {
+        let seconds = parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseInt(match[3], 10);
+        if (match[4]) {
+            seconds += parseFloat(match[4]);
+        } else if (match[5]) {
+            seconds += parseFloat(match[5]) / params.frameRate;
+        }
+        return seconds;
+    }
+    match = /^(\d+(?:\.\d+)?)(h|m|s|ms|f|t)$/.exec(value.trim());
+    if (!match) {
+        return null;
+    }
+    const count = parseFloat(match[1]);
+    switch (match[2]) {
+        case 'h':
+            return count * 3600;
+        case 'm':
+            return count * 60;
+        case 's':
+            return count;
+        case 'ms':
+            return count / 1000;
+        case 'f':
+            return count / params.frameRate;
+        default:
+            return count / params.tickRate;
+    }
+}
+
+/**
+ * @param {string} value - A TTML color: a named color, #rrggbb, #rrggbbaa, rgb(r,g,b) or rgba(r,g,b,a) with an alpha
+ * from 0 to 255.
+ * @returns {string|null} The CSS color.
+ */
+export function parseColor(value) {
+    value = (value || '').trim();
+    let rgba = NAMED_COLORS[value];
+    let match;
+    if (!rgba && (match = /^#([0-9a-f]{6})([0-9a-f]{2})?$/i.exec(value))) {
+        rgba = [0, 2, 4].map(i => parseInt(match[1].substr(i, 2), 16));
+        if (match[2]) {
+            rgba.push(parseInt(match[2], 16) / 255);
+        }
+    } else if (!rgba && (match = /^rgba?\(([^)]*)\)$/.exec(value))) {
+        rgba = match[1].split(',').map(component => parseInt(component, 10));
+        if (rgba.length === 4) {
+            rgba[3] = rgba[3] / 255;
+        }
+    }
+    if (!rgba || rgba.length < 3 || rgba.some(isNaN)) {
+        return null;
+    }
+    const alpha = rgba.length > 3 ? Math.round(rgba[3] * 100) / 100 : 1;
+    return 'rgba(' + rgba.slice(0, 3).join(', ') + ', ' + alpha + ')';
+}
+
+function parseError() {
+    throw new Error('Invalid TTML file');
+}
+
+function children(element, name) {
+    const result = [];
+    if (!element) {
+        return result;
+    }
+    for (let node = element.firstChild; node; node = node.nextSibling) {
+        if (node.nodeType === 1 && (!name || parsers.localName(node) === name)) {
+            result.push(node);
+        }
+    }
+    return result;
+}
+
+function child(element, name) {
+    return children(element, name)[0] || null;
+}
+
+function descendants(element, name) {
+    return children(element).reduce((result, node) => {
+        if (parsers.localName(node) === name) {
+            result.push(node);
+        }
+        return result.concat(descendants(node, name));
+    }, []);
+}
+
+// Reads an attribute by its local name, whatever prefix its namespace is bound to
+function attribute(element, name, namespacePattern) {
+    const attributes = element.attributes;
+    for (let i = 0; i < attributes.length; i++) {
+        const attr = attributes[i];
+        if (parsers.localName(attr) === name &&
+            (!namespacePattern || namespacePattern.test(attr.namespaceURI || ''))) {
+            return attr.value;
+        }
+    }
+    return null;
+}
+
+function parameters(tt) {
+    const parameter = name => attribute(tt, name, /#parameter$/);
+    const frameRate = parseFloat(parameter('frameRate')) || DEFAULT_FRAME_RATE;
+    const multiplier = (parameter('frameRateMultiplier') || '').split(/\s+/).map(parseFloat);
+    const effectiveFrameRate = (multiplier.length === 2 && multiplier[0] && multiplier[1]) ?
+        frameRate * multiplier[0] / multiplier[1] : frameRate;
+    const cells = (parameter('cellResolution') || '').split(/\s+/).map(parseFloat);
+    const extent = (attribute(tt, 'extent', /#styl/) || '').split(/\s+/).map(parseFloat);
+
+    return {
+        frameRate: effectiveFrameRate,
+        tickRate: parseFloat(parameter('tickRate')) || (parameter('frameRate') ? effectiveFrameRate : 1),
+        columns: cells[0] > 0 && cells[1] > 0 ? cells[0] : 32,
+        rows: cells[0] > 0 && cells[1] > 0 ? cells[1] : 15,
+        // The size of the root container in pixels, which pixel lengths are relative to
+        width: extent[0] > 0 && extent[1] > 0 ? extent[0] : null,
+        height: extent[0] > 0 && extent[1] > 0 ? extent[1] : null
+    };
+}
+
+// Converts a length to a fraction of the root container's width or height, or of a reference length for percentages
+function parseLength(value, axis, params, reference) {
+    const match = /^([+-]?\d+(?:\.\d+)?)(%|px|c|em)?$/.exec((value || '').trim());
+    if (!match) {
+        return null;
+    }
+    const length = parseFloat(match[1]);
+    const vertical = axis === 'height';
+    switch (match[2]) {
+        case '%':
+            return length / 100 * reference;
+        case 'px': {
+            const size = vertical ? params.height : params.width;
+            return size ? length / size : null;
+        }
+        case 'c':
+            return length / (vertical ? params.rows : params.columns);
+        case 'em':
+            return reference === undefined ? null : length * reference;
+        default:
+            return null;
+    }
+}
+
+// The styles specified on an element by reference and by its own attributes, which override referenced ones
+function specifiedStyle(element, styles, visited = []) {
+    let specified = {};
+    const references = (attribute(element, 'style') || '').split(/\s+/);
+    references.forEach(id => {
+        const style = styles[id];
+        if (style && visited.indexOf(style) === -1) {
+            Object.assign(specified, specifiedStyle(style, styles, visited.concat(style)));
+        }
+    });
+    const attributes = element.attributes;
+    for (let i = 0; i < attributes.length; i++) {
+        const attr = attributes[i];
+        if (/#styl/.test(attr.namespaceURI || '')) {
+            specified[parsers.localName(attr)] = attr.value;
+        }
+    }
+    return specified;
+}
+
+// Computes an element's style from its parent's and the styles specified on it
+function cascade(parent, specified, params) {
+    const style = {};
+    INHERITED_STYLES.forEach(name => {
+        if (name in parent) {
+            style[name] = parent[name];
+        }
+    });
+    const fontSize = parent.fontSize || 1 / params.rows;
+
+    Object.keys(specified).forEach(name => {
+        const value = specified[name].trim();
+        let computed;
+        switch (name) {
+            case 'color':
+            case 'backgroundColor':
+                computed = parseColor(value);
+                break;
+            case 'fontSize':
+                // With two lengths, the first is the width of glyphs and the second their height
+                computed = parseLength(value.split(/\s+/).pop(), 'height', params, fontSize);
+                break;
+            case 'lineHeight':
+                computed = value === 'normal' ? null : parseLength(value, 'height', params, fontSize);
+                break;
+            case 'fontFamily':
+                computed = value.split(',').map(family => {
+                    family = family.trim();
+                    return GENERIC_FONT_FAMILIES[family] || family;
+                }).join(', ');
+                break;
+            case 'fontStyle':
+            case 'fontWeight':
+            case 'textAlign':
+                computed = value;
+                break;
+            case 'textDecoration':
+                computed = value.split(/\s+/).map(decoration => TEXT_DECORATIONS[decoration])
+                    .filter(decoration => decoration).join(' ') || null;
+                break;
+            case 'textOutline':
+                computed = parseTextOutline(value, params, fontSize);
+                break;
+            default:
+                return;
+        }
+        if (computed !== null) {
+            style[name] = computed;
+        }
+    });
+    return style;
+}
+
+// tts:textOutline is 'none', or an optional color followed by a thickness and an optional blur radius
+function parseTextOutline(value, params, fontSize) {
+    if (value === 'none') {
+        return null;
+    }
+    const parts = value.split(/\s+/);
+    let color = parseColor(parts[0]);
+    if (color) {
+        parts.shift();
+    }
+    const width = parseLength(parts[0], 'height', params, fontSize);
+    if (width === null) {
+        return null;
+    }
+    return {
+        color: color,
+        width: width,
+        blur: parseLength(parts[1], 'height', params, fontSize) || 0
+    };
+}
+
+// Converts a pair of lengths to percentages of the root container
+function parsePosition(value, params) {
+    const lengths = (value || '').trim().split(/\s+/);
+    if (lengths.length !== 2) {
+        return null;
+    }
+    const x = parseLength(lengths[0], 'width', params, 1);
+    const y = parseLength(lengths[1], 'height', params, 1);
+    if (x === null || y === null) {
+        return null;
+    }
+    return [x * 100, y * 100];
+}
+
+function parseRegion(element, styles, params) {
+    const specified = specifiedStyle(element, styles);
+    const origin = parsePosition(specified.origin, params) || [0, 0];
+    const extent = parsePosition(specified.extent, params) || [100 - origin[0], 100 - origin[1]];
+    const region = {
+        id: attribute(element, 'id'),
+        origin: {
+            x: origin[0],
+            y: origin[1]
+        },
+        extent: {
+            width: extent[0],
+            height: extent[1]
+        },
+        displayAlign: specified.displayAlign || 'before',
+        // Content flowed into the region inherits its styles
+        style: cascade({}, specified, params)
+    };
+    const backgroundColor = parseColor(specified.backgroundColor);
+    if (backgroundColor) {
+        region.backgroundColor = backgroundColor;
+    }
+    return region;
+}
+
+// Times are relative to the parent's begin, and content is never active outside of its parent's interval
+function timing(element, parentBegin, parentEnd, params) {
+    const begin = parseTime(attribute(element, 'begin'), params);
+    const end = parseTime(attribute(element, 'end'), params);
+    const dur = parseTime(attribute(element, 'dur'), params);
+    const start = parentBegin + (begin || 0);
+    let stop = parentEnd;
+    if (end !== null) {
+        stop = Math.min(stop, parentBegin + end);
+    }
+    if (dur !== null) {
+        stop = Math.min(stop, start + dur);
+    }
+    return {
+        begin: start,
+        end: stop
+    };
+}
+
+function parseContainer(element, context, cues) {
+    const time = timing(element, context.begin, context.end, context.params);
+    if (time.begin >= time.end) {
+        return;
+    }
+    context = Object.assign({}, context, time, {
+        region: attribute(element, 'region') || context.region,
+        chain: context.chain.concat(element)
+    });
+
+    if (parsers.localName(element) === 'div') {
+        const image = divImage(element, context);
+        if (image) {
+            cues.push(createCue(context, context.begin, context.end, [], {}, image));
+            return;
+        }
+    }
+    children(element).forEach(node => {
+        const name = parsers.localName(node);
+        if (name === 'div') {
+            parseContainer(node, context, cues);
+        } else if (name === 'p') {
+            parseParagraph(node, context, cues);
+        }
+    });
+}
+
+// The image profile shows an image for a div, referenced by smpte:backgroundImage or an image element
+function divImage(div, context) {
+    const imageElement = child(div, 'image');
+    const source = attribute(div, 'backgroundImage') || (imageElement && attribute(imageElement, 'src'));
+    if (!source) {
+        return null;
+    }
+    if (source.charAt(0) !== '#') {
+        return source;
+    }
+    const image = context.images[source.substr(1)];
+    if (!image) {
+        return null;
+    }
+    const type = attribute(image, 'imagetype') || 'PNG';
+    const data = (image.textContent || '').replace(/\s+/g, '');
+    return 'data:image/' + type.toLowerCase() + ';base64,' + data;
+}
+
+function parseParagraph(p, context, cues) {
+    const time = timing(p, context.begin, context.end, context.params);
+    if (time.begin >= time.end) {
+        return;
+    }
+    const regionId = attribute(p, 'region') || context.region;
+    const region = context.regions[regionId];
+    let style = region ? region.style : {};
+    context.chain.concat(p).forEach(element => {
+        style = cascade(style, specifiedStyle(element, context.styles), context.params);
+    });
+    const paragraphStyle = Object.assign({}, style, {
+        backgroundColor: parseColor(specifiedStyle(p, context.styles).backgroundColor)
+    });
+
+    // Nested spans may be shown for part of the paragraph's interval, so each change of content is a cue
+    const times = [time.begin, time.end];
+    collectTimes(p, time.begin, time.end, context.params, times);
+    times.sort((a, b) => a - b);
+
+    let previous;
+    for (let i = 0; i < times.length - 1; i++) {
+        const begin = times[i];
+        const end = times[i + 1];
+        if (begin === end) {
+            continue;
+        }
+        const lines = [[]];
+        appendContent(p, style, time, begin, end, context, lines);
+        const trimmed = trimLines(lines);
+        if (!trimmed.length) {
+            previous = null;
+            continue;
+        }
+        const cue = createCue(context, begin, end, trimmed, paragraphStyle, null, region);
+        if (previous && previous.text === cue.text && previous.end === begin) {
+            previous.end = end;
+        } else {
+            cues.push(cue);
+            previous = cue;
+        }
+    }
+}
+
+function collectTimes(element, parentBegin, parentEnd, params, times) {
+    children(element).forEach(node => {
+        const time = timing(node, parentBegin, parentEnd, params);
+        if (time.begin < time.end) {
+            times.push(time.begin);
+            if (time.end !== Infinity) {
+                times.push(time.end);
+            }
+            collectTimes(node, time.begin, time.end, params, times);
+        }
+    });
+}
+
+function appendContent(element, style, time, begin, end, context, lines) {
+    for (let node = element.firstChild; node; node = node.nextSibling) {
+        if (node.nodeType === 3 || node.nodeType === 4) {
+            const text = node.nodeValue.replace(/\s+/g, ' ');
+            const line = lines[lines.length - 1];
+            const last = line[line.length - 1];
+            if (last && last.style === style) {
+                last.text = (last.text + text).replace(/ {2,}/g, ' ');
+            } else if (text) {
+                line.push({
+                    text: text,
+                    style: style
+                });
+            }
+        } else if (node.nodeType === 1) {
+            const name = parsers.localName(node);
+            if (name === 'br') {
+                lines.push([]);
+            } else if (name === 'span') {
+                const spanTime = timing(node, time.begin, time.end, context.params);
+                if (spanTime.begin <= begin && spanTime.end >= end) {
+                    const specified = specifiedStyle(node, context.styles);
+                    const spanStyle = cascade(style, specified, context.params);
+                    const backgroundColor = parseColor(specified.backgroundColor);
+                    if (backgroundColor) {
+                        spanStyle.backgroundColor = backgroundColor;
+                    }
+                    appendContent(node, spanStyle, spanTime, begin, end, context, lines);
+                }
+            }
+        }
+    }
+}
+
+// Removes the white space around lines and between runs of text, and empty lines
+function trimLines(lines) {
+    return lines.map(line => {
+        let trailingSpace = true;
+        line = line.map(run => {
+            let text = run.text;
+            if (trailingSpace) {
+                text = text.replace(/^ /, '');
+            }
+            if (text) {
+                trailingSpace = text.charAt(text.length - 1) === ' ';
+            }
+            return {
+                text: text,
+                style: run.style
+            };
+        }).filter(run => run.text);
+        while (line.length) {
+            const last = line[line.length - 1];
+            last.text = last.text.replace(/ $/, '');
+            if (last.text) {
+                break;
+            }
+            line.pop();
+        }
+        return line;
+    }).filter(line => line.length);
+}
+
+function createCue(context, begin, end, lines, style, image, region) {
+    region = region || context.regions[context.region];
+    return {
+        begin: begin,
+        end: end,
+        text: lines.map(line => line.map(run => run.text).join('')).join('\n'),
+        lines: lines,
+        region: region || DEFAULT_REGION,
+        style: style,
+        image: image
+    };
+}
@@ -0,0 +1,148 @@
+import { parseColor } from 'parsers/captions/ttml';
+
+// The colors WebVTT defines classes for, which cue text can be colored with
+const COLOR_CLASSES = {
+    'rgba(255, 255, 255, 1)': 'white',
+    'rgba(0, 255, 0, 1)': 'lime',
+    'rgba(0, 255, 255, 1)': 'cyan',
+    'rgba(255, 0, 0, 1)': 'red',
+    'rgba(255, 255, 0, 1)': 'yellow',
+    'rgba(255, 0, 255, 1)': 'magenta',
+    'rgba(0, 0, 255, 1)': 'blue',
+    'rgba(0, 0, 0, 1)': 'black'
+};
+
+const STYLE_TAGS = {
+    b: 'b',
+    strong: 'b',
+    i: 'i',
+    em: 'i',
+    u: 'u'
+};
+
+function pad(number, length) {
+    return ('000' + number).slice(-length);
+}
+
+function percent(value) {
+    return (Math.round(Math.min(Math.max(value, 0), 100) * 100) / 100) + '%';
+}
+
+/**
+ * Formats a time as a WebVTT timestamp
+ * @param {number} seconds
+ * @returns {string} hh:mm:ss.ttt
+ */
+export function formatTime(seconds) {
+    const milliseconds = Math.max(0, Math.round(seconds * 1000));
+    return pad(Math.floor(milliseconds / 3600000), 2) + ':' +
+        pad(Math.floor(milliseconds / 60000) % 60, 2) + ':' +
+        pad(Math.floor(milliseconds / 1000) % 60, 2) + '.' +
+        pad(milliseconds % 1000, 3);
+}
+
+/**
+ * Writes a WebVTT cue block
+ * @param {number} begin - The start time in seconds.
+ * @param {number} end - The end time in seconds.
+ * @param {string} text - WebVTT cue text.
+ * @param {Array.<string>} [settings] - Cue settings, such as 'line:10%'.
+ * @returns {string}
+ */
+export function writeCue(begin, end, text, settings) {
+    const timing = formatTime(begin) + ' --> ' + formatTime(end);
+    // Cue text can't contain blank lines, which end the cue
+    const lines = text.split('\n').filter(line => line.trim());
+    return [(settings && settings.length) ? timing + ' ' + settings.join(' ') : timing].concat(lines).join('\n');
+}
+
+/**
+ * Writes a WebVTT file
+ * @param {Array.<string>} cues - Cue blocks, from writeCue.
+ * @returns {string}
+ */
+export function writeFile(cues) {
+    return 'WEBVTT\n\n' + cues.join('\n\n') + '\n';
+}
+
+/**
+ * Cue settings which place a cue as SubStation Alpha alignments do. Alignments are numbered as on a keypad: 1 to 3
+ * along the bottom of the video, 4 to 6 across its middle and 7 to 9 along its top, from left to right.
+ * @param {number} alignment - From 1 to 9.
+ * @param {object} [margins] - { left, right, vertical } as percentages of the video's width and height.
+ * @returns {Array.<string>}
+ */
+export function alignmentSettings(alignment, margins) {
+    const settings = [];
+    const row = Math.floor((alignment - 1) / 3);
+    const column = (alignment - 1) % 3;
+    if (row === 2) {
+        settings.push('line:' + (margins ? percent(margins.vertical) : '0'));
+    } else if (row === 1) {
+        settings.push('line:50%,center');
+    } else if (margins && margins.vertical) {
+        settings.push('line:' + percent(100 - margins.vertical) + ',end');
+    }
+    if (column === 0) {
+        if (margins) {
+            settings.push('position:' + percent(margins.left));
+        }
+        settings.push('align:left');
+    } else if (column === 2) {
+        if (margins) {
+            settings.push('position:' + percent(100 - margins.right));
+        }
+        settings.push('align:right');
+    } else if (margins && margins.left !== margins.right) {
+        settings.push('position:' + percent((margins.left + 100 - margins.right) / 2));
+    }
+    if (margins && (margins.left || margins.right)) {
+        settings.push('size:' + percent(100 - margins.left - margins.right));
+    }
+    return settings;
+}
+
+/**
+ * Escapes plain text for WebVTT cue text
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Finds the WebVTT class of a color
+ * @param {string} color - A CSS color.
+ * @returns {string|null} The class name, or null when the color has none.
+ */
+export function colorClass(color) {
+    return COLOR_CLASSES[parseColor(color.toLowerCase())] || null;
+}
+
+/**
+ * Converts the HTML-like markup of SubRip and SAMI captions to WebVTT cue text. Bold, italic and underline tags are
+ * kept, fonts with a WebVTT color become classes, line breaks become new lines, and other tags are removed.
+ * @param {string} html
+ * @returns {string}
+ */
+export function markupToCueText(html) {
+    return html.replace(/<(\/?)([a-zA-Z]+)([^>]*)>/g, (tag, closing, name, attributes) => {
+        name = name.toLowerCase();
+        if (name === 'br') {
+            return '\n';
+        }
+        if (STYLE_TAGS[name]) {
+            return '<' + closing + STYLE_TAGS[name] + '>';
+        }
+        if (name === 'font') {
+            if (closing) {
+                return '</c>';
+            }
+            const color = attributes.match(/color\s*=\s*["']?([^"'\s>]+)/i);
+            const className = color ? colorClass(color[1]) : null;
+            return className ? '<c.' + className + '>' : '<c>';
+        }
+        return '';
+    });
+}
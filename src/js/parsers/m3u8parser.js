@@ -0,0 +1,352 @@
+import parser from 'utils/parser';
+
+/**
+ * A variant stream listed in an HLS master playlist
+ * @typedef {object} HlsLevel
+ * @property {string} url - The absolute URL of the variant's media playlist.
+ * @property {number} bitrate - The BANDWIDTH of the variant in bits per second.
+ * @property {number} [width]
+ * @property {number} [height]
+ * @property {string} [codecs]
+ * @property {string} [audio] - The GROUP-ID of the variant's alternate audio renditions.
+ * @property {string} [subtitles] - The GROUP-ID of the variant's subtitles renditions.
+ */
+
+/**
+ * A segment listed in an HLS media playlist
+ * @typedef {object} HlsSegment
+ * @property {string} url - The absolute URL of the segment.
+ * @property {number} sn - The media sequence number.
+ * @property {number} cc - The discontinuity sequence number.
+ * @property {number} start - The segment start time in seconds, relative to the first segment in the playlist.
+ * @property {number} duration - The EXTINF duration in seconds.
+ * @property {object} [byteRange] - The byte range of the segment ({ offset, length }).
+ * @property {object} [key] - The EXT-X-KEY that applies to the segment ({ method, url, iv }).
+ * @property {object} [map] - The EXT-X-MAP initialization section that applies to the segment ({ url, byteRange }).
+ * @property {number} [programDateTime] - The EXT-X-PROGRAM-DATE-TIME of the segment as ms since the epoch.
+ * @property {number} [cueOut] - The duration of the ad break an EXT-X-CUE-OUT starts at the segment, or 0 when unknown.
+ * @property {boolean} [cueIn] - Whether an EXT-X-CUE-IN ends an ad break at the segment.
+ */
+
+/**
+ * An EXT-X-DATERANGE listed in an HLS media playlist
+ * @typedef {object} HlsDateRange
+ * @property {string} id
+ * @property {string} [class]
+ * @property {number} startDate - The start of the range as ms since the epoch.
+ * @property {number} [endDate] - The end of the range as ms since the epoch.
+ * @property {number} [duration] - The duration in seconds.
+ * @property {number} [plannedDuration] - The expected duration in seconds, when the actual one is not known yet.
+ * @property {string} [scte35Cmd] - The SCTE-35 splice_info_section carried by the range, as a hex string.
+ * @property {string} [scte35Out]
+ * @property {string} [scte35In]
+ * @property {boolean} endOnNext - Whether the range ends where the next one of its class starts.
+ * @property {object} clientAttributes - The range's X- attributes, by name.
+ */
+
+const ATTRIBUTES_REGEX = /\s*(.+?)\s*=((?:".*?")|.*?)(?:,|$)/g;
+
+export function parseAttributes(input) {
+    const attributes = {};
+    let match;
+    ATTRIBUTES_REGEX.lastIndex = 0;
+    while ((match = ATTRIBUTES_REGEX.exec(input)) !== null) {
+        let value = match[2];
+        if (value.charAt(0) === '"' && value.charAt(value.length - 1) === '"') {
+            value = value.slice(1, -1);
+        }
+        attributes[match[1]] = value;
+    }
+    return attributes;
+}
+
+function parseByteRange(value, previous) {
+    const parts = value.split('@');
+    const length = parseInt(parts[0], 10);
+    let offset = parseInt(parts[1], 10);
+    if (isNaN(offset)) {
+        offset = previous ? previous.offset + previous.length : 0;
+    }
+    return {
+        offset: offset,
+        length: length
+    };
+}
+
+function parseResolution(value) {
+    const parts = (value || '').split('x');
+    return {
+        width: parseInt(parts[0], 10) || 0,
+        height: parseInt(parts[1], 10) || 0
+    };
+}
+
+function parseIV(value) {
+    if (!value) {
+        return null;
+    }
+    let hex = value.replace(/^0x/i, '');
+    while (hex.length < 32) {
+        hex = '0' + hex;
+    }
+    const iv = new Uint8Array(16);
+    for (let i = 0; i < 16; i++) {
+        iv[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return iv;
+}
+
+function parseDate(value) {
+    const date = Date.parse(value);
+    return isNaN(date) ? undefined : date;
+}
+
+function parseNumber(value) {
+    const number = parseFloat(value);
+    return isNaN(number) ? undefined : number;
+}
+
+function parseDateRange(value) {
+    const attr = parseAttributes(value);
+    const clientAttributes = {};
+    Object.keys(attr).forEach(name => {
+        if (name.indexOf('X-') === 0) {
+            clientAttributes[name] = attr[name];
+        }
+    });
+    return {
+        id: attr.ID,
+        'class': attr.CLASS,
+        startDate: parseDate(attr['START-DATE']),
+        endDate: parseDate(attr['END-DATE']),
+        duration: parseNumber(attr.DURATION),
+        plannedDuration: parseNumber(attr['PLANNED-DURATION']),
+        scte35Cmd: attr['SCTE35-CMD'],
+        scte35Out: attr['SCTE35-OUT'],
+        scte35In: attr['SCTE35-IN'],
+        endOnNext: attr['END-ON-NEXT'] === 'YES',
+        clientAttributes: clientAttributes
+    };
+}
+
+function splitLines(text) {
+    return text.split(/\r?\n/).map(line => line.trim()).filter(line => line.length);
+}
+
+function resolve(uri, baseUrl) {
+    return parser.getAbsolutePath(uri, baseUrl);
+}
+
+export function isMasterPlaylist(text) {
+    return text.indexOf('#EXT-X-STREAM-INF') > -1;
+}
+
+export function parseMasterPlaylist(text, baseUrl) {
+    const lines = splitLines(text);
+    const levels = [];
+    const media = [];
+    let streamInf = null;
+
+    if (lines[0] !== '#EXTM3U') {
+        throw new Error('Invalid HLS playlist');
+    }
+
+    for (let i = 1; i < lines.length; i++) {
+        const line = lines[i];
+        if (line.indexOf('#EXT-X-STREAM-INF:') === 0) {
+            streamInf = parseAttributes(line.substr(18));
+        } else if (line.indexOf('#EXT-X-MEDIA:') === 0) {
+            const attr = parseAttributes(line.substr(13));
+            media.push({
+                type: attr.TYPE,
+                groupid: attr['GROUP-ID'],
+                name: attr.NAME,
+                language: attr.LANGUAGE,
+                defaulttrack: attr.DEFAULT === 'YES',
+                autoselect: attr.AUTOSELECT === 'YES',
+                forced: attr.FORCED === 'YES',
+                instreamId: attr['INSTREAM-ID'],
+                characteristics: attr.CHARACTERISTICS,
+                url: attr.URI ? resolve(attr.URI, baseUrl) : null
+            });
+        } else if (streamInf && line.charAt(0) !== '#') {
+            const resolution = parseResolution(streamInf.RESOLUTION);
+            levels.push({
+                url: resolve(line, baseUrl),
+                bitrate: parseInt(streamInf.BANDWIDTH, 10) || 0,
+                averageBitrate: parseInt(streamInf['AVERAGE-BANDWIDTH'], 10) || 0,
+                width: resolution.width,
+                height: resolution.height,
+                frameRate: parseFloat(streamInf['FRAME-RATE']) || 0,
+                codecs: streamInf.CODECS,
+                name: streamInf.NAME,
+                audio: streamInf.AUDIO,
+                subtitles: streamInf.SUBTITLES,
+                closedCaptions: streamInf['CLOSED-CAPTIONS']
+            });
+            streamInf = null;
+        }
+    }
+
+    return {
+        levels: levels,
+        audioTracks: media.filter(rendition => rendition.type === 'AUDIO'),
+        subtitleTracks: media.filter(rendition => rendition.type === 'SUBTITLES'),
+        captionServices: media.filter(rendition => rendition.type === 'CLOSED-CAPTIONS')
+    };
+}
+
+export function parseMediaPlaylist(text, baseUrl) {
+    const lines = splitLines(text);
+    const segments = [];
+    const playlist = {
+        url: baseUrl,
+        targetDuration: 0,
+        mediaSequence: 0,
+        discontinuitySequence: 0,
+        endList: false,
+        type: null,
+        totalDuration: 0,
+        segments: segments,
+        dateRanges: []
+    };
+
+    if (lines[0] !== '#EXTM3U') {
+        throw new Error('Invalid HLS playlist');
+    }
+
+    let duration = null;
+    let title = '';
+    let byteRange = null;
+    let lastByteRange = null;
+    let key = null;
+    let map = null;
+    let programDateTime = null;
+    let discontinuity = false;
+    let cueOut = null;
+    let cueIn = false;
+    let start = 0;
+    let cc = 0;
+
+    for (let i = 1; i < lines.length; i++) {
+        const line = lines[i];
+        if (line.charAt(0) !== '#') {
+            if (duration === null) {
+                continue;
+            }
+            const segment = {
+                url: resolve(line, baseUrl),
+                sn: playlist.mediaSequence + segments.length,
+                cc: cc,
+                start: start,
+                duration: duration,
+                title: title,
+                discontinuity: discontinuity,
+                key: key,
+                map: map
+            };
+            if (byteRange) {
+                segment.byteRange = byteRange;
+                lastByteRange = byteRange;
+            }
+            if (programDateTime !== null) {
+                segment.programDateTime = programDateTime;
+                programDateTime += duration * 1000;
+            }
+            if (cueOut !== null) {
+                segment.cueOut = cueOut;
+            }
+            if (cueIn) {
+                segment.cueIn = true;
+            }
+            segments.push(segment);
+            start += duration;
+            duration = null;
+            title = '';
+            byteRange = null;
+            discontinuity = false;
+            cueOut = null;
+            cueIn = false;
+            continue;
+        }
+
+        const separator = line.indexOf(':');
+        const tag = separator > -1 ? line.substr(0, separator) : line;
+        const value = separator > -1 ? line.substr(separator + 1) : '';
+
+        switch (tag) {
+            case '#EXTINF': {
+                const comma = value.indexOf(',');
+                duration = parseFloat(comma > -1 ? value.substr(0, comma) : value) || 0;
+                title = comma > -1 ? value.substr(comma + 1) : '';
+                break;
+            }
+            case '#EXT-X-TARGETDURATION':
+                playlist.targetDuration = parseFloat(value) || 0;
+                break;
+            case '#EXT-X-MEDIA-SEQUENCE':
+                playlist.mediaSequence = parseInt(value, 10) || 0;
+                break;
+            case '#EXT-X-DISCONTINUITY-SEQUENCE':
+                playlist.discontinuitySequence = cc = parseInt(value, 10) || 0;
+                break;
+            case '#EXT-X-DISCONTINUITY':
+                discontinuity = true;
+                cc++;
+                break;
+            case '#EXT-X-BYTERANGE':
+                byteRange = parseByteRange(value, lastByteRange);
+                break;
+            case '#EXT-X-KEY': {
+                const attr = parseAttributes(value);
+                key = attr.METHOD === 'NONE' ? null : {
+                    method: attr.METHOD,
+                    url: attr.URI ? resolve(attr.URI, baseUrl) : null,
+                    iv: parseIV(attr.IV),
+                    keyFormat: attr.KEYFORMAT || 'identity'
+                };
+                break;
+            }
+            case '#EXT-X-MAP': {
+                const attr = parseAttributes(value);
+                map = {
+                    url: resolve(attr.URI, baseUrl),
+                    byteRange: attr.BYTERANGE ? parseByteRange(attr.BYTERANGE) : null
+                };
+                break;
+            }
+            case '#EXT-X-PROGRAM-DATE-TIME': {
+                const date = Date.parse(value);
+                programDateTime = isNaN(date) ? null : date;
+                break;
+            }
+            case '#EXT-X-DATERANGE': {
+                const dateRange = parseDateRange(value);
+                if (dateRange.id && dateRange.startDate !== undefined) {
+                    playlist.dateRanges.push(dateRange);
+                }
+                break;
+            }
+            case '#EXT-X-CUE-OUT': {
+                // Either a duration, or DURATION=n attributes
+                const attr = parseAttributes(value);
+                cueOut = parseNumber(attr.DURATION) || parseNumber(value) || 0;
+                break;
+            }
+            case '#EXT-X-CUE-IN':
+                cueIn = true;
+                break;
+            case '#EXT-X-PLAYLIST-TYPE':
+                playlist.type = value;
+                break;
+            case '#EXT-X-ENDLIST':
+                playlist.endList = true;
+                break;
+            default:
+                break;
+        }
+    }
+
+    playlist.totalDuration = start;
+    return playlist;
+}
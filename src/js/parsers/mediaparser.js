@@ -4,8 +4,9 @@
 define([
     'parsers/parsers',
     'utils/strings',
-    'utils/helpers'
-], function(parsers, strings, utils) {
+    'utils/helpers',
+    'utils/language'
+], function(parsers, strings, utils, languageUtils) {
 
     var _xmlAttribute = strings.xmlAttribute;
     var _localName = parsers.localName;
@@ -24,25 +25,6 @@ define([
         var tracks = 'tracks';
         var captions = [];
 
-        function getLabel(code) {
-            var LANGS = {
-                zh: 'Chinese',
-                nl: 'Dutch',
-                en: 'English',
-                fr: 'French',
-                de: 'German',
-                it: 'Italian',
-                ja: 'Japanese',
-                pt: 'Portuguese',
-                ru: 'Russian',
-                es: 'Spanish'
-            };
-
-            if (LANGS[code]) {
-                return LANGS[code];
-            }
-            return code;
-        }
         for (i = 0; i < _numChildren(obj); i++) {
             node = obj.childNodes[i];
             if (node.prefix === PREFIX) {
@@ -98,7 +80,8 @@ define([
                         entry.file = _xmlAttribute(node, 'url');
                         entry.kind = 'captions';
                         if (_xmlAttribute(node, 'lang').length > 0) {
-                            entry.label = getLabel(_xmlAttribute(node, 'lang'));
+                            entry.language = _xmlAttribute(node, 'lang');
+                            entry.label = languageUtils.getLabel(entry.language);
                         }
                         captions.push(entry);
                         break;
@@ -0,0 +1,542 @@
+import parser from 'utils/parser';
+import parsers from 'parsers/parsers';
+
+/**
+ * A Representation listed in a DASH manifest
+ * @typedef {object} DashRepresentation
+ * @property {string} id
+ * @property {number} bandwidth - The @bandwidth of the Representation in bits per second.
+ * @property {number} width
+ * @property {number} height
+ * @property {string} mimeType
+ * @property {string} codecs
+ * @property {string} baseUrl - The absolute URL media and index URLs are resolved against.
+ * @property {object} [segmentTemplate] - { timescale, duration, startNumber, presentationTimeOffset, initialization, media, timeline }
+ * @property {object} [segmentBase] - { timescale, presentationTimeOffset, indexRange, initialization }
+ * @property {object} [segmentList] - { timescale, duration, startNumber, presentationTimeOffset, initialization, segments }
+ */
+
+/**
+ * A media segment of a DASH Representation
+ * @typedef {object} DashSegment
+ * @property {string} url - The absolute URL of the segment.
+ * @property {object} [byteRange] - { offset, length }
+ * @property {number} number - The segment number.
+ * @property {number} start - The presentation start time in seconds.
+ * @property {number} duration - The duration in seconds.
+ */
+
+const DURATION_REGEX = /^(-)?P(?:(\d+(?:\.\d+)?)Y)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/;
+const DURATION_UNITS = [365 * 24 * 60 * 60, 30 * 24 * 60 * 60, 24 * 60 * 60, 60 * 60, 60, 1];
+const TEMPLATE_REGEX = /\$(RepresentationID|Number|Bandwidth|Time)(?:%0(\d+)d)?\$|\$\$/g;
+
+/**
+ * Converts an ISO 8601 duration (e.g. 'PT1H2M3.5S') to seconds
+ * @param {string} value
+ * @returns {number|null}
+ */
+export function parseDuration(value) {
+    const match = DURATION_REGEX.exec(value || '');
+    if (!match) {
+        return null;
+    }
+    let seconds = 0;
+    for (let i = 0; i < DURATION_UNITS.length; i++) {
+        seconds += (parseFloat(match[i + 2]) || 0) * DURATION_UNITS[i];
+    }
+    return match[1] ? -seconds : seconds;
+}
+
+/**
+ * @param {string} value - An xs:dateTime. Times without a time zone are UTC.
+ * @returns {number|null} ms since the epoch
+ */
+export function parseDate(value) {
+    if (!value) {
+        return null;
+    }
+    if (!/(Z|[+-]\d\d:?\d\d)$/.test(value)) {
+        value += 'Z';
+    }
+    const date = Date.parse(value);
+    return isNaN(date) ? null : date;
+}
+
+/**
+ * Parses a byte range in the 'first-last' form used by @indexRange and @range
+ * @param {string} value
+ * @returns {{offset: number, length: number}|null}
+ */
+export function parseRange(value) {
+    const parts = (value || '').split('-');
+    const first = parseInt(parts[0], 10);
+    const last = parseInt(parts[1], 10);
+    if (isNaN(first) || isNaN(last)) {
+        return null;
+    }
+    return {
+        offset: first,
+        length: last - first + 1
+    };
+}
+
+/**
+ * Substitutes identifiers in a SegmentTemplate @media or @initialization string
+ * @param {string} template
+ * @param {object} values - { RepresentationID, Number, Bandwidth, Time }
+ * @returns {string}
+ */
+export function fillTemplate(template, values) {
+    return template.replace(TEMPLATE_REGEX, (match, identifier, width) => {
+        if (!identifier) {
+            return '$';
+        }
+        let value = '' + values[identifier];
+        if (width && identifier !== 'RepresentationID') {
+            while (value.length < parseInt(width, 10)) {
+                value = '0' + value;
+            }
+        }
+        return value;
+    });
+}
+
+function resolveUrl(uri, baseUrl) {
+    const url = parser.getAbsolutePath(uri, baseUrl);
+    // Keep the trailing slash that makes a BaseURL a directory other URLs are resolved against
+    return /\/$/.test(uri) && !/\/$/.test(url) ? url + '/' : url;
+}
+
+function children(node, name) {
+    const result = [];
+    const childNodes = node ? node.childNodes : [];
+    for (let i = 0; i < childNodes.length; i++) {
+        if (parsers.localName(childNodes[i]) === name) {
+            result.push(childNodes[i]);
+        }
+    }
+    return result;
+}
+
+function child(node, name) {
+    return children(node, name)[0] || null;
+}
+
+function attribute(node, name) {
+    return node && node.hasAttribute(name) ? node.getAttribute(name) : undefined;
+}
+
+function numberAttribute(node, name) {
+    const value = parseFloat(attribute(node, name));
+    return isNaN(value) ? undefined : value;
+}
+
+function frameRate(value) {
+    if (!value) {
+        return 0;
+    }
+    const parts = value.split('/');
+    return parts.length > 1 ? parseFloat(parts[0]) / parseFloat(parts[1]) : parseFloat(value);
+}
+
+function resolveBaseUrl(node, baseUrl) {
+    const base = child(node, 'BaseURL');
+    return base ? resolveUrl(parsers.textContent(base), baseUrl) : baseUrl;
+}
+
+function parseInitialization(node, baseUrl) {
+    const initialization = child(node, 'Initialization');
+    if (!initialization) {
+        return undefined;
+    }
+    const sourceURL = attribute(initialization, 'sourceURL');
+    // Without a sourceURL the Initialization Segment is part of the Representation's BaseURL resource
+    return {
+        url: sourceURL ? resolveUrl(sourceURL, baseUrl) : undefined,
+        byteRange: parseRange(attribute(initialization, 'range'))
+    };
+}
+
+// Segment information is inherited from the Period and AdaptationSet, with lower levels overriding attributes
+function defined(object) {
+    const result = {};
+    Object.keys(object).forEach(key => {
+        if (object[key] !== undefined) {
+            result[key] = object[key];
+        }
+    });
+    return result;
+}
+
+function parseSegmentTemplate(node, inherited) {
+    const template = child(node, 'SegmentTemplate');
+    if (!template) {
+        return inherited;
+    }
+    const timeline = child(template, 'SegmentTimeline');
+    return Object.assign({}, inherited, defined({
+        timescale: numberAttribute(template, 'timescale'),
+        duration: numberAttribute(template, 'duration'),
+        startNumber: numberAttribute(template, 'startNumber'),
+        presentationTimeOffset: numberAttribute(template, 'presentationTimeOffset'),
+        initialization: attribute(template, 'initialization'),
+        media: attribute(template, 'media'),
+        timeline: timeline ? children(timeline, 'S').map(s => ({
+            t: numberAttribute(s, 't'),
+            d: numberAttribute(s, 'd'),
+            r: numberAttribute(s, 'r') || 0
+        })) : undefined
+    }));
+}
+
+function parseSegmentBase(node, inherited, baseUrl) {
+    const base = child(node, 'SegmentBase');
+    if (!base) {
+        return inherited;
+    }
+    return Object.assign({}, inherited, defined({
+        timescale: numberAttribute(base, 'timescale'),
+        presentationTimeOffset: numberAttribute(base, 'presentationTimeOffset'),
+        indexRange: parseRange(attribute(base, 'indexRange')) || undefined,
+        initialization: parseInitialization(base, baseUrl)
+    }));
+}
+
+function parseSegmentList(node, inherited, baseUrl) {
+    const list = child(node, 'SegmentList');
+    if (!list) {
+        return inherited;
+    }
+    return Object.assign({}, inherited, defined({
+        timescale: numberAttribute(list, 'timescale'),
+        duration: numberAttribute(list, 'duration'),
+        startNumber: numberAttribute(list, 'startNumber'),
+        presentationTimeOffset: numberAttribute(list, 'presentationTimeOffset'),
+        initialization: parseInitialization(list, baseUrl),
+        segments: children(list, 'SegmentURL').map(segmentUrl => {
+            const media = attribute(segmentUrl, 'media');
+            return {
+                url: media ? resolveUrl(media, baseUrl) : undefined,
+                byteRange: parseRange(attribute(segmentUrl, 'mediaRange'))
+            };
+        })
+    }));
+}
+
+function parseContentType(adaptationSet, representation) {
+    const contentType = attribute(adaptationSet, 'contentType');
+    if (contentType) {
+        return contentType;
+    }
+    const mimeType = attribute(representation, 'mimeType') || attribute(adaptationSet, 'mimeType') || '';
+    const codecs = attribute(representation, 'codecs') || attribute(adaptationSet, 'codecs') || '';
+    if (/^text\//.test(mimeType) || /^(stpp|wvtt)/.test(codecs)) {
+        return 'text';
+    }
+    return mimeType.split('/')[0];
+}
+
+function parseRepresentation(node, adaptationSet, baseUrl, inherited) {
+    const representationBaseUrl = resolveBaseUrl(node, baseUrl);
+    const representation = {
+        id: attribute(node, 'id'),
+        bandwidth: numberAttribute(node, 'bandwidth') || 0,
+        width: numberAttribute(node, 'width') || numberAttribute(adaptationSet, 'width') || 0,
+        height: numberAttribute(node, 'height') || numberAttribute(adaptationSet, 'height') || 0,
+        frameRate: frameRate(attribute(node, 'frameRate') || attribute(adaptationSet, 'frameRate')),
+        mimeType: attribute(node, 'mimeType') || attribute(adaptationSet, 'mimeType') || '',
+        codecs: attribute(node, 'codecs') || attribute(adaptationSet, 'codecs') || '',
+        audioSamplingRate: numberAttribute(node, 'audioSamplingRate') || numberAttribute(adaptationSet, 'audioSamplingRate'),
+        baseUrl: representationBaseUrl
+    };
+    const segmentTemplate = parseSegmentTemplate(node, inherited.segmentTemplate);
+    const segmentList = parseSegmentList(node, inherited.segmentList, representationBaseUrl);
+    const segmentBase = parseSegmentBase(node, inherited.segmentBase, representationBaseUrl);
+    if (segmentTemplate) {
+        representation.segmentTemplate = segmentTemplate;
+    } else if (segmentList) {
+        representation.segmentList = segmentList;
+    } else {
+        // A Representation with only a BaseURL is a single segment indexed by its sidx box
+        representation.segmentBase = segmentBase || {};
+    }
+    return representation;
+}
+
+function parseAdaptationSet(node, index, baseUrl, inherited) {
+    const adaptationSetBaseUrl = resolveBaseUrl(node, baseUrl);
+    const segmentInfo = {
+        segmentTemplate: parseSegmentTemplate(node, inherited.segmentTemplate),
+        segmentList: parseSegmentList(node, inherited.segmentList, adaptationSetBaseUrl),
+        segmentBase: parseSegmentBase(node, inherited.segmentBase, adaptationSetBaseUrl)
+    };
+    const representationNodes = children(node, 'Representation');
+    const label = child(node, 'Label');
+    return {
+        id: attribute(node, 'id') || '' + index,
+        contentType: parseContentType(node, representationNodes[0]),
+        mimeType: attribute(node, 'mimeType') || '',
+        lang: attribute(node, 'lang') || '',
+        label: label ? parsers.textContent(label) : '',
+        roles: children(node, 'Role').map(role => attribute(role, 'value')),
+        representations: representationNodes.map(representation => {
+            return parseRepresentation(representation, node, adaptationSetBaseUrl, segmentInfo);
+        })
+    };
+}
+
+function parsePeriod(node, previous, mpd) {
+    const baseUrl = resolveBaseUrl(node, mpd.baseUrl);
+    let start = parseDuration(attribute(node, 'start'));
+    if (start === null) {
+        start = previous && previous.duration !== null ? previous.start + previous.duration : 0;
+    }
+    return {
+        id: attribute(node, 'id'),
+        start: start,
+        duration: parseDuration(attribute(node, 'duration')),
+        node: node,
+        baseUrl: baseUrl
+    };
+}
+
+/**
+ * Parses a DASH Media Presentation Description.
+ * Only one Period is played: the first Period of static presentations, and the last of dynamic (live) ones.
+ * @param {Document} xmlDoc
+ * @param {string} url - The manifest URL, used to resolve relative URLs.
+ * @returns {object}
+ */
+export function parseMPD(xmlDoc, url) {
+    const root = xmlDoc && (xmlDoc.documentElement || xmlDoc);
+    if (!root || parsers.localName(root) !== 'MPD') {
+        throw new Error('Invalid DASH manifest');
+    }
+    const location = child(root, 'Location');
+    const manifest = {
+        url: url,
+        baseUrl: resolveBaseUrl(root, url),
+        type: attribute(root, 'type') || 'static',
+        duration: parseDuration(attribute(root, 'mediaPresentationDuration')),
+        minBufferTime: parseDuration(attribute(root, 'minBufferTime')) || 0,
+        minimumUpdatePeriod: parseDuration(attribute(root, 'minimumUpdatePeriod')),
+        availabilityStartTime: parseDate(attribute(root, 'availabilityStartTime')) || 0,
+        timeShiftBufferDepth: parseDuration(attribute(root, 'timeShiftBufferDepth')),
+        suggestedPresentationDelay: parseDuration(attribute(root, 'suggestedPresentationDelay')),
+        location: location ? resolveUrl(parsers.textContent(location), url) : null
+    };
+    manifest.live = manifest.type === 'dynamic';
+
+    const periods = [];
+    children(root, 'Period').forEach(node => {
+        periods.push(parsePeriod(node, periods[periods.length - 1], manifest));
+    });
+    if (!periods.length) {
+        throw new Error('Invalid DASH manifest');
+    }
+    const period = manifest.live ? periods[periods.length - 1] : periods[0];
+    if (period.duration === null) {
+        period.duration = manifest.duration !== null ? manifest.duration - period.start : null;
+    }
+    const inherited = {
+        segmentTemplate: parseSegmentTemplate(period.node, null),
+        segmentList: parseSegmentList(period.node, null, period.baseUrl),
+        segmentBase: parseSegmentBase(period.node, null, period.baseUrl)
+    };
+    manifest.period = {
+        id: period.id,
+        start: period.start,
+        duration: period.duration
+    };
+    manifest.adaptationSets = children(period.node, 'AdaptationSet').map((node, index) => {
+        return parseAdaptationSet(node, index, period.baseUrl, inherited);
+    });
+    return manifest;
+}
+
+function templateValues(representation, number, time) {
+    return {
+        RepresentationID: representation.id,
+        Number: number,
+        Bandwidth: representation.bandwidth,
+        Time: time
+    };
+}
+
+/**
+ * @param {DashRepresentation} representation
+ * @returns {{url: string, byteRange: object}|null} The Initialization Segment of a Representation
+ */
+export function getInitSegment(representation) {
+    const template = representation.segmentTemplate;
+    if (template) {
+        return template.initialization ? {
+            url: resolveUrl(fillTemplate(template.initialization, templateValues(representation)),
+                representation.baseUrl),
+            byteRange: null
+        } : null;
+    }
+    const info = representation.segmentList || representation.segmentBase;
+    if (info.initialization) {
+        return {
+            url: info.initialization.url || representation.baseUrl,
+            byteRange: info.initialization.byteRange
+        };
+    }
+    if (representation.segmentBase && info.indexRange) {
+        // Without an Initialization element the moov box precedes the index
+        return {
+            url: representation.baseUrl,
+            byteRange: {
+                offset: 0,
+                length: info.indexRange.offset
+            }
+        };
+    }
+    return null;
+}
+
+function timelineSegments(representation, template, period, end) {
+    const timescale = template.timescale || 1;
+    const offset = template.presentationTimeOffset || 0;
+    const timeline = template.timeline;
+    const segments = [];
+    let number = template.startNumber === undefined ? 1 : template.startNumber;
+    let time = 0;
+    for (let i = 0; i < timeline.length; i++) {
+        const entry = timeline[i];
+        if (entry.t !== undefined) {
+            time = entry.t;
+        }
+        let repeat = entry.r;
+        if (repeat < 0) {
+            // Repeat until the next S element's start time, or the end of the Period
+            const next = timeline[i + 1];
+            const until = next && next.t !== undefined ? next.t : offset + ((end - period.start) * timescale);
+            repeat = Math.ceil((until - time) / entry.d) - 1;
+        }
+        for (let j = 0; j <= repeat; j++) {
+            segments.push({
+                url: resolveUrl(fillTemplate(template.media, templateValues(representation, number, time)),
+                    representation.baseUrl),
+                number: number,
+                start: period.start + ((time - offset) / timescale),
+                duration: entry.d / timescale
+            });
+            number++;
+            time += entry.d;
+        }
+    }
+    return segments;
+}
+
+function numberedSegments(representation, template, manifest, now) {
+    const period = manifest.period;
+    const timescale = template.timescale || 1;
+    const duration = template.duration / timescale;
+    const startNumber = template.startNumber === undefined ? 1 : template.startNumber;
+    let first = 0;
+    let last;
+    if (manifest.live) {
+        // Segments become available once they have been fully published
+        const elapsed = ((now - manifest.availabilityStartTime) / 1000) - period.start;
+        last = Math.floor(elapsed / duration) - 1;
+        if (manifest.timeShiftBufferDepth !== null) {
+            first = Math.max(0, Math.floor((elapsed - manifest.timeShiftBufferDepth) / duration));
+        }
+        if (period.duration !== null) {
+            last = Math.min(last, Math.ceil(period.duration / duration) - 1);
+        }
+    } else {
+        last = Math.ceil((period.duration || 0) / duration) - 1;
+    }
+    const segments = [];
+    for (let i = first; i <= last; i++) {
+        const number = startNumber + i;
+        segments.push({
+            url: resolveUrl(fillTemplate(template.media,
+                templateValues(representation, number, (i * template.duration) + (template.presentationTimeOffset || 0))),
+                representation.baseUrl),
+            number: number,
+            start: period.start + (i * duration),
+            duration: duration
+        });
+    }
+    return segments;
+}
+
+function listSegments(representation, list, period) {
+    const timescale = list.timescale || 1;
+    const duration = (list.duration || 0) / timescale;
+    const startNumber = list.startNumber === undefined ? 1 : list.startNumber;
+    return list.segments.map((segment, i) => ({
+        url: segment.url || representation.baseUrl,
+        byteRange: segment.byteRange,
+        number: startNumber + i,
+        start: period.start + (i * duration),
+        duration: duration || period.duration || 0
+    }));
+}
+
+/**
+ * Lists the media segments of a Representation described by a SegmentTemplate or SegmentList.
+ * Representations with a SegmentBase are indexed by their sidx box; see segmentsFromIndex.
+ * @param {DashRepresentation} representation
+ * @param {object} manifest
+ * @param {number} now - The wall-clock time in ms, used to find the segments available in live presentations.
+ * @returns {Array.<DashSegment>|null}
+ */
+export function getSegments(representation, manifest, now) {
+    const period = manifest.period;
+    const template = representation.segmentTemplate;
+    if (template && template.timeline) {
+        const end = period.duration !== null ? period.start + period.duration :
+            ((now - manifest.availabilityStartTime) / 1000);
+        return timelineSegments(representation, template, period, end);
+    }
+    if (template && template.duration) {
+        return numberedSegments(representation, template, manifest, now);
+    }
+    if (representation.segmentList) {
+        return listSegments(representation, representation.segmentList, period);
+    }
+    return null;
+}
+
+/**
+ * Lists the media segments of a Representation with a SegmentBase from its parsed sidx box
+ * @param {DashRepresentation} representation
+ * @param {object} period
+ * @param {object} index - { timescale, earliestPresentationTime, references: [{ offset, size, duration }] }
+ * The offsets are relative to the start of the file.
+ * @returns {Array.<DashSegment>}
+ */
+export function segmentsFromIndex(representation, period, index) {
+    const offset = (representation.segmentBase.presentationTimeOffset || 0) / index.timescale;
+    let start = period.start + (index.earliestPresentationTime / index.timescale) - offset;
+    return index.references.map((reference, i) => {
+        const segment = {
+            url: representation.baseUrl,
+            byteRange: {
+                offset: reference.offset,
+                length: reference.size
+            },
+            number: i + 1,
+            start: start,
+            duration: reference.duration / index.timescale
+        };
+        start += segment.duration;
+        return segment;
+    });
+}
+
+/**
+ * The timestamp offset that places media times of a Representation on the presentation timeline
+ * @param {DashRepresentation} representation
+ * @param {object} period
+ * @returns {number}
+ */
+export function getTimestampOffset(representation, period) {
+    const info = representation.segmentTemplate || representation.segmentList || representation.segmentBase;
+    return period.start - ((info.presentationTimeOffset || 0) / (info.timescale || 1));
+}
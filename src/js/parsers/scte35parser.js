@@ -0,0 +1,241 @@
+/**
+ * A parsed SCTE-35 splice_info_section
+ * @typedef {object} Scte35
+ * @property {number} commandType - The splice_command_type, such as 5 for splice_insert or 6 for time_signal.
+ * @property {string} command - 'splice_null', 'splice_schedule', 'splice_insert', 'time_signal',
+ * 'bandwidth_reservation' or 'private_command'.
+ * @property {number} [spliceEventId] - The splice_insert's event id.
+ * @property {boolean} [cancel] - Whether the splice_insert cancels an earlier one.
+ * @property {boolean} [outOfNetwork] - Whether the splice_insert leaves the network feed, as at the start of a break.
+ * @property {number} [ptsTime] - When the splice happens, in 90kHz ticks, when the command gives a time.
+ * @property {number} [breakDuration] - The splice_insert's break duration in seconds.
+ * @property {Array.<Scte35Segmentation>} segmentations - The section's segmentation descriptors.
+ */
+
+/**
+ * A segmentation_descriptor of a splice_info_section
+ * @typedef {object} Scte35Segmentation
+ * @property {number} eventId
+ * @property {boolean} cancel
+ * @property {number} typeId - The segmentation_type_id, such as 0x30 for a provider advertisement start.
+ * @property {number} [duration] - The segment's duration in seconds.
+ */
+
+const TABLE_ID = 0xFC;
+const SEGMENTATION_DESCRIPTOR = 0x02;
+const PTS_CLOCK = 90000;
+const COMMANDS = {
+    0x00: 'splice_null',
+    0x04: 'splice_schedule',
+    0x05: 'splice_insert',
+    0x06: 'time_signal',
+    0x07: 'bandwidth_reservation',
+    0xFF: 'private_command'
+};
+
+// segmentation_type_ids of breaks, advertisements and placement opportunities, by whether they start or end one
+const SEGMENTATION_STARTS = [0x22, 0x30, 0x32, 0x34, 0x36];
+const SEGMENTATION_ENDS = [0x23, 0x31, 0x33, 0x35, 0x37];
+
+function toBytes(data) {
+    if (data instanceof Uint8Array) {
+        return data;
+    }
+    if (data instanceof ArrayBuffer) {
+        return new Uint8Array(data);
+    }
+    const value = `${data}`.trim();
+    if (/^0x[0-9a-f]+$/i.test(value)) {
+        const hex = value.substr(2);
+        const bytes = new Uint8Array(Math.floor(hex.length / 2));
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+    const binary = window.atob(value);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+// Reads a 33-bit value whose most significant bit is the lowest bit of the byte at offset
+function read33(bytes, offset) {
+    return ((bytes[offset] & 0x01) * 0x100000000) + read32(bytes, offset + 1);
+}
+
+function read32(bytes, offset) {
+    return ((bytes[offset] << 24) >>> 0) + (bytes[offset + 1] << 16) + (bytes[offset + 2] << 8) + bytes[offset + 3];
+}
+
+// Reads a splice_time(), returning its pts_time when specified and the offset after it
+function readSpliceTime(bytes, offset) {
+    if (bytes[offset] & 0x80) {
+        return {
+            ptsTime: read33(bytes, offset),
+            offset: offset + 5
+        };
+    }
+    return {
+        ptsTime: undefined,
+        offset: offset + 1
+    };
+}
+
+function parseSpliceInsert(bytes, offset, result) {
+    result.spliceEventId = read32(bytes, offset);
+    result.cancel = !!(bytes[offset + 4] & 0x80);
+    offset += 5;
+    if (result.cancel) {
+        return offset;
+    }
+    const flags = bytes[offset++];
+    const programSplice = !!(flags & 0x40);
+    const hasDuration = !!(flags & 0x20);
+    const immediate = !!(flags & 0x10);
+    result.outOfNetwork = !!(flags & 0x80);
+    if (programSplice && !immediate) {
+        const spliceTime = readSpliceTime(bytes, offset);
+        result.ptsTime = spliceTime.ptsTime;
+        offset = spliceTime.offset;
+    } else if (!programSplice) {
+        const componentCount = bytes[offset++];
+        for (let i = 0; i < componentCount; i++) {
+            offset++;
+            if (!immediate) {
+                offset = readSpliceTime(bytes, offset).offset;
+            }
+        }
+    }
+    if (hasDuration) {
+        result.breakDuration = read33(bytes, offset) / PTS_CLOCK;
+        offset += 5;
+    }
+    // unique_program_id, avail_num and avails_expected
+    return offset + 4;
+}
+
+function parseSegmentation(bytes, offset, end) {
+    const segmentation = {
+        eventId: read32(bytes, offset + 4),
+        cancel: !!(bytes[offset + 8] & 0x80),
+        typeId: undefined
+    };
+    offset += 9;
+    if (segmentation.cancel) {
+        return segmentation;
+    }
+    const flags = bytes[offset++];
+    if (!(flags & 0x80)) {
+        // Skip the components
+        offset += 1 + (bytes[offset] * 6);
+    }
+    if (flags & 0x40) {
+        // The 40-bit segmentation_duration
+        segmentation.duration = ((bytes[offset] * 0x100000000) + read32(bytes, offset + 1)) / PTS_CLOCK;
+        offset += 5;
+    }
+    // segmentation_upid_type and segmentation_upid
+    offset += 2 + bytes[offset + 1];
+    if (offset < end) {
+        segmentation.typeId = bytes[offset];
+    }
+    return segmentation;
+}
+
+/**
+ * Parses an SCTE-35 splice_info_section
+ * @param {Uint8Array|ArrayBuffer|string} data - The section's bytes, or a hex ('0xFC30...') or base64 string of them.
+ * @returns {Scte35|null} Null when the data is not a splice_info_section.
+ */
+export function parseSCTE35(data) {
+    let bytes;
+    try {
+        bytes = toBytes(data);
+    } catch (e) {
+        return null;
+    }
+    if (bytes.length < 16 || bytes[0] !== TABLE_ID) {
+        return null;
+    }
+    // Encrypted sections cannot be read
+    if (bytes[4] & 0x80) {
+        return null;
+    }
+    const commandLength = ((bytes[11] & 0x0F) << 8) | bytes[12];
+    const commandType = bytes[13];
+    const result = {
+        commandType: commandType,
+        command: COMMANDS[commandType] || 'unknown',
+        segmentations: []
+    };
+    let offset = 14;
+    if (commandType === 0x05) {
+        offset = parseSpliceInsert(bytes, offset, result);
+    } else if (commandType === 0x06) {
+        const spliceTime = readSpliceTime(bytes, offset);
+        result.ptsTime = spliceTime.ptsTime;
+        offset = spliceTime.offset;
+    } else if (commandLength === 0xFFF) {
+        // Without a command length the descriptors after unknown commands cannot be found
+        return result;
+    }
+    if (commandLength !== 0xFFF) {
+        offset = 14 + commandLength;
+    }
+
+    const loopEnd = Math.min(offset + 2 + ((bytes[offset] << 8) | bytes[offset + 1]), bytes.length);
+    offset += 2;
+    while (offset + 2 <= loopEnd) {
+        const tag = bytes[offset];
+        const length = bytes[offset + 1];
+        const end = Math.min(offset + 2 + length, loopEnd);
+        if (tag === SEGMENTATION_DESCRIPTOR && length >= 9) {
+            result.segmentations.push(parseSegmentation(bytes, offset + 2, end));
+        }
+        offset = end;
+    }
+    return result;
+}
+
+/**
+ * Tells whether an SCTE-35 section starts or ends an ad break
+ * @param {Scte35} scte35
+ * @returns {{type: string, duration: (number|undefined)}|null} 'start' with the break's duration when known, 'end',
+ * or null when the section signals neither.
+ */
+export function scte35AdSignal(scte35) {
+    if (!scte35) {
+        return null;
+    }
+    if (scte35.command === 'splice_insert' && !scte35.cancel) {
+        return scte35.outOfNetwork ? {
+            type: 'start',
+            duration: scte35.breakDuration
+        } : {
+            type: 'end',
+            duration: undefined
+        };
+    }
+    for (let i = 0; i < scte35.segmentations.length; i++) {
+        const segmentation = scte35.segmentations[i];
+        if (segmentation.cancel) {
+            continue;
+        }
+        if (SEGMENTATION_STARTS.indexOf(segmentation.typeId) !== -1) {
+            return {
+                type: 'start',
+                duration: segmentation.duration
+            };
+        }
+        if (SEGMENTATION_ENDS.indexOf(segmentation.typeId) !== -1) {
+            return {
+                type: 'end',
+                duration: undefined
+            };
+        }
+    }
+    return null;
+}
@@ -0,0 +1,30 @@
+// VAST times are also read by the skip button, which loads with the core rather than the ads chunk
+
+const TIME_REGEX = /^(\d+):(\d\d):(\d\d(?:\.\d+)?)$/;
+
+/**
+ * Converts a VAST time ('HH:MM:SS' or 'HH:MM:SS.mmm') to seconds
+ * @param {string} value
+ * @returns {number|null}
+ */
+export function parseTime(value) {
+    const match = TIME_REGEX.exec(value || '');
+    if (!match) {
+        return null;
+    }
+    return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseFloat(match[3]);
+}
+
+/**
+ * Converts a VAST offset, given as a time or a percentage of the ad's duration, to seconds
+ * @param {string} value - 'HH:MM:SS.mmm' or 'n%'
+ * @param {number} duration
+ * @returns {number|null}
+ */
+export function parseOffset(value, duration) {
+    const percent = /^(\d+(?:\.\d+)?)%$/.exec(value || '');
+    if (percent) {
+        return duration > 0 ? duration * parseFloat(percent[1]) / 100 : null;
+    }
+    return parseTime(value);
+}
@@ -0,0 +1,219 @@
+import parsers from 'parsers/parsers';
+import { parseTime, parseOffset } from 'parsers/vast-time';
+
+/**
+ * An ad listed in a VAST response
+ * @typedef {object} VastAd
+ * @property {string} id
+ * @property {number} [sequence] - The ad's position in an ad pod. Ads without a sequence are stand-alone ads.
+ * @property {boolean} wrapper - Wrappers point to another VAST response with their adTagURI.
+ * @property {string} [adTagURI] - The VAST response a wrapper points to.
+ * @property {boolean} followAdditionalWrappers - Whether ads returned for a wrapper may be wrappers themselves.
+ * @property {string} system - The AdSystem serving the ad.
+ * @property {string} title
+ * @property {Array.<string>} impressions - Impression tracking URLs.
+ * @property {Array.<string>} errors - Error tracking URLs.
+ * @property {VastLinear|null} linear - The ad's linear creative.
+ * @property {Array.<VastCompanion>} companions - The ad's companion creatives, shown in the page around the player.
+ */
+
+/**
+ * A linear creative of a VAST ad
+ * @typedef {object} VastLinear
+ * @property {string} id
+ * @property {number} duration - The duration in seconds.
+ * @property {string} [skipoffset] - When the ad can be skipped, as a time ('00:00:05') or percentage ('10%').
+ * @property {Array.<VastMediaFile>} mediaFiles
+ * @property {Array.<VastInteractiveFile>} interactiveFiles - Creatives shown over the media, such as SIMID ones.
+ * @property {Array.<{event: string, url: string, offset: string}>} trackingEvents
+ * @property {string} [clickThrough] - The page opened when the ad is clicked.
+ * @property {Array.<string>} clickTracking - Click tracking URLs.
+ * @property {string} [adParameters]
+ */
+
+/**
+ * A media file of a VAST linear creative
+ * @typedef {object} VastMediaFile
+ * @property {string} file - The media URL.
+ * @property {string} type - The media's MIME type.
+ * @property {string} delivery - 'progressive' or 'streaming'.
+ * @property {number} width
+ * @property {number} height
+ * @property {number} bitrate - The average bitrate in Kbps, or 0 when not listed.
+ * @property {string} [apiFramework] - The API the creative speaks, such as 'VPAID'.
+ */
+
+/**
+ * An interactive creative file of a VAST 4.1 linear creative
+ * @typedef {object} VastInteractiveFile
+ * @property {string} file - The creative's URL.
+ * @property {string} type - The creative's MIME type, such as 'text/html'.
+ * @property {string} [apiFramework] - The API the creative speaks, such as 'SIMID'.
+ * @property {boolean} variableDuration - Whether the creative may extend the ad's duration.
+ */
+
+/**
+ * A companion creative of a VAST ad
+ * @typedef {object} VastCompanion
+ * @property {string} id
+ * @property {number} width
+ * @property {number} height
+ * @property {{url: string, creativeType: string}} [staticResource] - An image, or another resource shown as is.
+ * @property {string} [iframeResource] - The URL of a page shown in an iframe.
+ * @property {string} [htmlResource] - The HTML of the companion.
+ * @property {string} [clickThrough] - The page opened when a static companion is clicked.
+ * @property {Array.<string>} clickTracking - Click tracking URLs.
+ * @property {Array.<string>} creativeView - Tracking URLs called when the companion is shown.
+ * @property {string} [altText]
+ */
+
+export { parseTime, parseOffset };
+
+function children(node, name) {
+    const result = [];
+    const childNodes = node ? node.childNodes : [];
+    for (let i = 0; i < childNodes.length; i++) {
+        if (parsers.localName(childNodes[i]) === name) {
+            result.push(childNodes[i]);
+        }
+    }
+    return result;
+}
+
+function child(node, name) {
+    return children(node, name)[0] || null;
+}
+
+function attribute(node, name) {
+    return node && node.hasAttribute(name) ? node.getAttribute(name) : undefined;
+}
+
+function numberAttribute(node, name) {
+    const value = parseFloat(attribute(node, name));
+    return isNaN(value) ? undefined : value;
+}
+
+function booleanAttribute(node, name, defaultValue) {
+    const value = attribute(node, name);
+    return value === undefined ? defaultValue : value === 'true' || value === '1';
+}
+
+function text(node) {
+    return node ? parsers.textContent(node) : '';
+}
+
+// URLs listed in child elements, skipping empty ones
+function urls(node, name) {
+    return children(node, name).map(text).filter(url => !!url);
+}
+
+function parseMediaFile(node) {
+    return {
+        file: text(node),
+        type: attribute(node, 'type') || '',
+        delivery: attribute(node, 'delivery') || 'progressive',
+        width: numberAttribute(node, 'width') || 0,
+        height: numberAttribute(node, 'height') || 0,
+        bitrate: numberAttribute(node, 'bitrate') || numberAttribute(node, 'maxBitrate') || 0,
+        apiFramework: attribute(node, 'apiFramework')
+    };
+}
+
+function parseLinear(creative, linear) {
+    const videoClicks = child(linear, 'VideoClicks');
+    const clickThrough = text(child(videoClicks, 'ClickThrough'));
+    const adParameters = child(linear, 'AdParameters');
+    return {
+        id: attribute(creative, 'id') || attribute(creative, 'adId') || '',
+        duration: parseTime(text(child(linear, 'Duration'))) || 0,
+        skipoffset: attribute(linear, 'skipoffset'),
+        mediaFiles: children(child(linear, 'MediaFiles'), 'MediaFile').map(parseMediaFile).filter(mediaFile => {
+            return !!mediaFile.file;
+        }),
+        interactiveFiles: children(child(linear, 'MediaFiles'), 'InteractiveCreativeFile').map(node => ({
+            file: text(node),
+            type: attribute(node, 'type') || '',
+            apiFramework: attribute(node, 'apiFramework'),
+            variableDuration: booleanAttribute(node, 'variableDuration', false)
+        })).filter(interactiveFile => !!interactiveFile.file),
+        trackingEvents: children(child(linear, 'TrackingEvents'), 'Tracking').map(tracking => ({
+            event: attribute(tracking, 'event'),
+            url: text(tracking),
+            offset: attribute(tracking, 'offset')
+        })).filter(tracking => !!tracking.url),
+        clickThrough: clickThrough || undefined,
+        clickTracking: urls(videoClicks, 'ClickTracking'),
+        adParameters: adParameters ? text(adParameters) : undefined
+    };
+}
+
+function parseCompanion(node) {
+    const staticResource = child(node, 'StaticResource');
+    return {
+        id: attribute(node, 'id') || '',
+        width: numberAttribute(node, 'width') || 0,
+        height: numberAttribute(node, 'height') || 0,
+        staticResource: text(staticResource) ? {
+            url: text(staticResource),
+            creativeType: attribute(staticResource, 'creativeType') || ''
+        } : undefined,
+        iframeResource: text(child(node, 'IFrameResource')) || undefined,
+        htmlResource: text(child(node, 'HTMLResource')) || undefined,
+        clickThrough: text(child(node, 'CompanionClickThrough')) || undefined,
+        clickTracking: urls(node, 'CompanionClickTracking'),
+        creativeView: children(child(node, 'TrackingEvents'), 'Tracking').filter(tracking => {
+            return attribute(tracking, 'event') === 'creativeView';
+        }).map(text).filter(url => !!url),
+        altText: text(child(node, 'AltText')) || undefined
+    };
+}
+
+function parseAd(node) {
+    const wrapper = child(node, 'Wrapper');
+    const content = wrapper || child(node, 'InLine');
+    if (!content) {
+        return null;
+    }
+    let linear = null;
+    let companions = [];
+    children(child(content, 'Creatives'), 'Creative').forEach(creative => {
+        const linearNode = child(creative, 'Linear');
+        if (linearNode && !linear) {
+            linear = parseLinear(creative, linearNode);
+        }
+        companions = companions.concat(children(child(creative, 'CompanionAds'), 'Companion').map(parseCompanion));
+    });
+    return {
+        id: attribute(node, 'id') || '',
+        sequence: numberAttribute(node, 'sequence'),
+        wrapper: !!wrapper,
+        adTagURI: wrapper ? text(child(wrapper, 'VASTAdTagURI')) : undefined,
+        followAdditionalWrappers: booleanAttribute(wrapper, 'followAdditionalWrappers', true),
+        system: text(child(content, 'AdSystem')),
+        title: text(child(content, 'AdTitle')),
+        impressions: urls(content, 'Impression'),
+        errors: urls(content, 'Error'),
+        linear: linear,
+        companions: companions.filter(companion => {
+            return !!(companion.staticResource || companion.iframeResource || companion.htmlResource);
+        })
+    };
+}
+
+/**
+ * Parses a VAST 2, 3 or 4 response
+ * @param {XMLDocument|Element} xmlDoc
+ * @returns {{version: string, ads: Array.<VastAd>, errors: Array.<string>}|null} The ads, and the error URLs to
+ * call when there are none to play. Null when the document is not a VAST response.
+ */
+export function parseVAST(xmlDoc) {
+    const root = xmlDoc && xmlDoc.documentElement ? xmlDoc.documentElement : xmlDoc;
+    if (parsers.localName(root) !== 'VAST') {
+        return null;
+    }
+    return {
+        version: attribute(root, 'version') || '',
+        ads: children(root, 'Ad').map(parseAd).filter(ad => !!ad),
+        errors: urls(root, 'Error')
+    };
+}
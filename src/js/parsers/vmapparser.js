@@ -0,0 +1,69 @@
+import parsers from 'parsers/parsers';
+
+/**
+ * An ad break listed in a VMAP response
+ * @typedef {object} VmapAdBreak
+ * @property {string} id - The breakId.
+ * @property {string} offset - The timeOffset: 'start', 'end', 'HH:MM:SS.mmm', 'n%' or '#n'.
+ * @property {Array.<string>} types - The breakType values, such as 'linear'.
+ * @property {string} [tag] - The VAST ad tag to request.
+ * @property {Element} [vast] - The VAST document included in the response.
+ * @property {object} tracking - Tracking URLs by event: { breakStart, breakEnd, error }.
+ */
+
+function children(node, name) {
+    const result = [];
+    const childNodes = node ? node.childNodes : [];
+    for (let i = 0; i < childNodes.length; i++) {
+        if (parsers.localName(childNodes[i]) === name) {
+            result.push(childNodes[i]);
+        }
+    }
+    return result;
+}
+
+function child(node, name) {
+    return children(node, name)[0] || null;
+}
+
+function attribute(node, name) {
+    return node && node.hasAttribute(name) ? node.getAttribute(name) : undefined;
+}
+
+function parseAdBreak(node) {
+    const adSource = child(node, 'AdSource');
+    const adTagURI = child(adSource, 'AdTagURI');
+    const tracking = {
+        breakStart: [],
+        breakEnd: [],
+        error: []
+    };
+    children(child(node, 'TrackingEvents'), 'Tracking').forEach(trackingNode => {
+        const url = parsers.textContent(trackingNode);
+        const urls = tracking[attribute(trackingNode, 'event')];
+        if (url && urls) {
+            urls.push(url);
+        }
+    });
+    return {
+        id: attribute(node, 'breakId') || '',
+        offset: attribute(node, 'timeOffset') || '',
+        types: (attribute(node, 'breakType') || 'linear').split(',').map(type => type.trim()),
+        tag: adTagURI ? parsers.textContent(adTagURI) : undefined,
+        vast: child(child(adSource, 'VASTAdData'), 'VAST') || undefined,
+        tracking: tracking
+    };
+}
+
+/**
+ * Parses a VMAP 1.0 response
+ * @param {XMLDocument|Element} xmlDoc
+ * @returns {Array.<VmapAdBreak>|null} The ad breaks with an ad source, or null when the document is not VMAP.
+ */
+export function parseVMAP(xmlDoc) {
+    const root = xmlDoc && xmlDoc.documentElement ? xmlDoc.documentElement : xmlDoc;
+    if (parsers.localName(root) !== 'VMAP') {
+        return null;
+    }
+    return children(root, 'AdBreak').map(parseAdBreak).filter(adBreak => !!(adBreak.tag || adBreak.vast));
+}
@@ -54,6 +54,7 @@ define([
         var itemDrm = item.drm || model.get('drm');
         var withCredentials = _fallbackIfUndefined(item.withCredentials, model.get('withCredentials'));
         var hlsjsdefault = model.get('hlsjsdefault');
+        var webaudio = model.get('webaudio');
 
         return _.compact(_.map(sources, function(originalSource) {
             if (!_.isObject(originalSource)) {
@@ -81,6 +82,10 @@ define([
                 originalSource.hlsjsdefault = hlsjsdefault;
             }
 
+            if (webaudio) {
+                originalSource.webaudio = webaudio;
+            }
+
             return Source(originalSource);
         }));
     };
@@ -119,5 +124,7 @@ define([
         return _.isUndefined(value) ? fallback : value;
     }
 
+    Playlist.filterSources = _filterSources;
+
     return Playlist;
 });
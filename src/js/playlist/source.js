@@ -38,6 +38,8 @@ define([
         // check if the source is youtube or rtmp
         if (utils.isYouTube(_source.file)) {
             _source.type = 'youtube';
+        } else if (utils.isVimeo(_source.file)) {
+            _source.type = 'vimeo';
         } else if (utils.isRtmp(_source.file)) {
             _source.type = 'rtmp';
         } else if (!_source.type) {
@@ -54,6 +56,7 @@ define([
             case 'vnd.apple.mpegurl':
                 _source.type = 'hls';
                 break;
+            case 'mpd':
             case 'dash+xml':
                 _source.type = 'dash';
                 break;
@@ -12,6 +12,10 @@ define([
      * @typedef {object} PlaylistItemTrack
      * @property {'captions'|'subtitles'|'chapters'|'thumbnails'} kind - The kind of track.
      * @property {boolean} default - Enable the track by default.
+     * @property {string} [language] - The BCP 47 language tag of the track.
+     * @property {boolean} [autoselect] - Whether the track may be enabled when its language is the viewer's.
+     * @property {boolean} [forced] - Whether the track only has subtitles of what the viewer must understand, which
+     * are shown in their language when no other track is enabled.
      */
 
     return function Track(config) {
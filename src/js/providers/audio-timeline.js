@@ -0,0 +1,61 @@
+/**
+ * Maps AudioContext time to media time for a decoded buffer played from an offset.
+ *
+ * Buffer source nodes cannot be paused or report their position, so the media time is derived from
+ * the context time at which playback last started, the offset it started from, and the playback rate.
+ */
+export default class AudioTimeline {
+    constructor() {
+        this.rate = 1;
+        this.reset(0);
+    }
+
+    /**
+     * @param {number} offset - The media time to resume playback from.
+     */
+    reset(offset) {
+        this.offset = offset;
+        this.startTime = 0;
+        this.playing = false;
+    }
+
+    /**
+     * @param {number} contextTime - The context time at which the media at the current offset is heard.
+     */
+    start(contextTime) {
+        this.startTime = contextTime;
+        this.playing = true;
+    }
+
+    /**
+     * @param {number} contextTime
+     * @returns {number} The media time at the given context time.
+     */
+    position(contextTime) {
+        if (!this.playing) {
+            return this.offset;
+        }
+        return this.offset + (Math.max(0, contextTime - this.startTime) * this.rate);
+    }
+
+    pause(contextTime) {
+        this.offset = this.position(contextTime);
+        this.playing = false;
+    }
+
+    setRate(contextTime, rate) {
+        if (this.playing) {
+            this.offset = this.position(contextTime);
+            this.startTime = contextTime;
+        }
+        this.rate = rate;
+    }
+
+    /**
+     * @param {number} duration - The duration of the buffer.
+     * @returns {number} The context time at which playback reaches the end of the buffer.
+     */
+    endTime(duration) {
+        return this.startTime + (Math.max(0, duration - this.offset) / this.rate);
+    }
+}
@@ -0,0 +1,502 @@
+import load from 'providers/mse/loader';
+import AudioTimeline from 'providers/audio-timeline';
+import ProvidersSupported from 'providers/providers-supported';
+
+define([
+    'utils/helpers',
+    'utils/underscore',
+    'events/events',
+    'events/states',
+    'utils/backbone.events'
+], function(utils, _, events, states, Events) {
+
+    // Interval of time events while playing, in milliseconds
+    var TIME_UPDATE_INTERVAL = 250;
+    // The least time in seconds needed to schedule the start of the next item before the current one ends
+    var SCHEDULE_AHEAD_TIME = 0.1;
+
+    var _audioContext = null;
+
+    // Browsers limit the number of audio contexts, so all players share one
+    function getAudioContext() {
+        if (!_audioContext) {
+            var AudioContext = window.AudioContext || window.webkitAudioContext;
+            _audioContext = new AudioContext();
+        }
+        return _audioContext;
+    }
+
+    function decodeAudioData(context, data) {
+        return new Promise(function(resolve, reject) {
+            // Safari only supports the callback form of decodeAudioData
+            var promise = context.decodeAudioData(data, resolve, reject);
+            if (promise && promise.catch) {
+                promise.catch(utils.noop);
+            }
+        });
+    }
+
+    function playsSource(source) {
+        var supported = _.findWhere(ProvidersSupported, { name: 'audio' });
+        return !!source && !!supported && supported.supports(source);
+    }
+
+    /**
+     * Plays audio files from decoded buffers with the Web Audio API.
+     *
+     * Unlike the html5 provider, the next playlist item is decoded ahead of time and scheduled to start
+     * on the exact sample the current item ends on, so consecutive items play without a gap.
+     * The analyser node returned by getAudioAnalyser() taps the output for visualizers.
+     */
+    function AudioProvider() {
+        this.state = states.IDLE;
+
+        _.extend(this, Events);
+
+        var _this = this;
+        var _container = null;
+        var _gain = null;
+        var _analyser = null;
+        var _volume = 1;
+        var _muted = false;
+        var _timeline = new AudioTimeline();
+        var _timeUpdateInterval = -1;
+        // Decoded buffers of the current and next items, by file
+        var _buffers = {};
+        // Incremented with each load so that buffers decoded for a previous item are ignored
+        var _loadId = 0;
+        var _playRequested = false;
+
+        var _source = null;
+        var _buffer = null;
+        var _node = null;
+
+        var _nextSource = null;
+        var _nextNode = null;
+        var _nextStartTime = 0;
+
+        // The next item's node, playing since the current item completed, until the next item is loaded
+        var _handoff = null;
+        var _handoffTimeout = -1;
+
+        function _getContext() {
+            var context = getAudioContext();
+            if (!_gain) {
+                _gain = context.createGain();
+                _analyser = context.createAnalyser();
+                _gain.connect(_analyser);
+                _analyser.connect(context.destination);
+                _updateGain();
+            }
+            return context;
+        }
+
+        function _updateGain() {
+            if (_gain) {
+                _gain.gain.value = _muted ? 0 : _volume;
+            }
+        }
+
+        function _loadBuffer(source, onProgress) {
+            var entry = _buffers[source.file];
+            if (!entry) {
+                entry = _buffers[source.file] = {
+                    buffer: null,
+                    request: null,
+                    onProgress: null
+                };
+                entry.promise = new Promise(function(resolve, reject) {
+                    entry.request = load({
+                        url: source.file,
+                        responseType: 'arraybuffer',
+                        withCredentials: source.withCredentials
+                    }, function(data) {
+                        entry.request = null;
+                        resolve(decodeAudioData(_getContext(), data));
+                    }, function(message) {
+                        entry.request = null;
+                        reject(new Error(message));
+                    }, function(stats) {
+                        if (entry.onProgress) {
+                            entry.onProgress(stats);
+                        }
+                    });
+                }).then(function(buffer) {
+                    entry.buffer = buffer;
+                    return buffer;
+                });
+            }
+            entry.onProgress = onProgress || null;
+            return entry.promise;
+        }
+
+        // Abort loading and free the decoded buffers of files no longer needed
+        function _releaseBuffers() {
+            var keep = _.compact([
+                _source && _source.file,
+                _nextSource && _nextSource.file,
+                _handoff && _handoff.file
+            ]);
+            _.each(_.keys(_buffers), function(file) {
+                if (_.contains(keep, file)) {
+                    return;
+                }
+                if (_buffers[file].request) {
+                    _buffers[file].request.abort();
+                }
+                delete _buffers[file];
+            });
+        }
+
+        function _createNode(buffer) {
+            var node = _getContext().createBufferSource();
+            node.buffer = buffer;
+            node.playbackRate.value = _timeline.rate;
+            node.connect(_gain);
+            return node;
+        }
+
+        function _disposeNode(node) {
+            node.onended = null;
+            node.stop();
+            node.disconnect();
+        }
+
+        function _stopNode() {
+            if (_node) {
+                _disposeNode(_node);
+                _node = null;
+            }
+        }
+
+        function _startPlayback() {
+            var context = _getContext();
+            _stopNode();
+            _node = _createNode(_buffer);
+            _node.onended = _endedHandler;
+            _node.start(0, Math.min(_timeline.offset, _buffer.duration));
+            _timeline.start(context.currentTime);
+            _playing();
+        }
+
+        function _playing() {
+            _this.setState(states.PLAYING);
+            _this.trigger(events.JWPLAYER_PROVIDER_FIRST_FRAME, {});
+            clearInterval(_timeUpdateInterval);
+            _timeUpdateInterval = setInterval(_timeUpdateHandler, TIME_UPDATE_INTERVAL);
+            _scheduleNext();
+        }
+
+        function _timeUpdateHandler() {
+            if (!_buffer || _this.state !== states.PLAYING) {
+                return;
+            }
+            var duration = _buffer.duration;
+            _this.trigger(events.JWPLAYER_MEDIA_TIME, {
+                position: Math.min(_timeline.position(_getContext().currentTime), duration),
+                duration: duration
+            });
+        }
+
+        function _endedHandler() {
+            var context = _getContext();
+            clearInterval(_timeUpdateInterval);
+            _stopNode();
+            _timeline.pause(context.currentTime);
+            if (_nextNode) {
+                // The next item has already started; keep it playing until it is loaded
+                _handoff = {
+                    file: _nextSource.file,
+                    buffer: _buffers[_nextSource.file].buffer,
+                    node: _nextNode,
+                    startTime: _nextStartTime
+                };
+                _nextNode = null;
+            }
+            if (_this.state !== states.IDLE && _this.state !== states.COMPLETE) {
+                _this.trigger(events.JWPLAYER_MEDIA_COMPLETE);
+            }
+        }
+
+        // Start the next item on the sample the current one ends on
+        function _scheduleNext() {
+            _cancelNext();
+            var entry = _nextSource && _buffers[_nextSource.file];
+            if (!_node || !entry || !entry.buffer) {
+                return;
+            }
+            var startTime = _timeline.endTime(_buffer.duration);
+            if (startTime < _getContext().currentTime + SCHEDULE_AHEAD_TIME) {
+                return;
+            }
+            _nextNode = _createNode(entry.buffer);
+            _nextNode.start(startTime, 0);
+            _nextStartTime = startTime;
+        }
+
+        function _cancelNext() {
+            if (_nextNode) {
+                _disposeNode(_nextNode);
+                _nextNode = null;
+            }
+        }
+
+        function _cancelHandoff() {
+            clearTimeout(_handoffTimeout);
+            if (_handoff) {
+                _disposeNode(_handoff.node);
+                _handoff = null;
+                _releaseBuffers();
+            }
+        }
+
+        function _adoptHandoff(source) {
+            clearTimeout(_handoffTimeout);
+            _source = source;
+            _buffer = _handoff.buffer;
+            _node = _handoff.node;
+            _node.onended = _endedHandler;
+            _timeline.reset(0);
+            _timeline.start(_handoff.startTime);
+            _handoff = null;
+            _sendLoaded();
+        }
+
+        function _sendMediaType() {
+            _this.trigger(events.JWPLAYER_MEDIA_TYPE, {
+                mediaType: 'audio'
+            });
+        }
+
+        function _sendLoaded() {
+            _this.trigger(events.JWPLAYER_MEDIA_META, {
+                duration: _buffer.duration
+            });
+            _this.trigger(events.JWPLAYER_MEDIA_BUFFER, {
+                bufferPercent: 100
+            });
+            _this.trigger(events.JWPLAYER_MEDIA_BUFFER_FULL);
+        }
+
+        this.init = function() {
+            _sendMediaType();
+        };
+
+        this.preload = function(item) {
+            var source = item.sources[0];
+            if (source.preload === 'auto' && !_source) {
+                _loadBuffer(source).catch(utils.noop);
+            }
+        };
+
+        this.load = function(item) {
+            var source = item.sources[0];
+            var loadId = ++_loadId;
+            _sendMediaType();
+
+            if (_handoff && _handoff.file === source.file && !item.starttime) {
+                _adoptHandoff(source);
+                return;
+            }
+            _cancelHandoff();
+            _stopNode();
+            _cancelNext();
+
+            _source = source;
+            _buffer = null;
+            _timeline.reset(item.starttime || 0);
+            _releaseBuffers();
+            this.setState(states.LOADING);
+
+            _loadBuffer(source, function(stats) {
+                if (stats.total) {
+                    _this.trigger(events.JWPLAYER_MEDIA_BUFFER, {
+                        bufferPercent: Math.round(stats.loaded / stats.total * 100)
+                    });
+                }
+            }).then(function(buffer) {
+                if (loadId !== _loadId) {
+                    return;
+                }
+                _buffer = buffer;
+                _sendLoaded();
+            }).catch(function() {
+                if (loadId !== _loadId) {
+                    return;
+                }
+                _this.trigger(events.JWPLAYER_MEDIA_ERROR, {
+                    message: 'Error loading media: File could not be played'
+                });
+            });
+        };
+
+        this.play = function() {
+            if (!_buffer) {
+                // Playback starts with the bufferFull event once the file is decoded
+                return;
+            }
+            if (_node) {
+                _playing();
+                return;
+            }
+            _playRequested = true;
+            var context = _getContext();
+            if (context.state !== 'suspended') {
+                _startPlayback();
+                return;
+            }
+            // Contexts created without a user gesture start suspended
+            context.resume().then(function() {
+                if (_playRequested && _buffer && !_node) {
+                    _startPlayback();
+                }
+            });
+        };
+
+        this.pause = function() {
+            _playRequested = false;
+            clearInterval(_timeUpdateInterval);
+            if (_node) {
+                _timeline.pause(_getContext().currentTime);
+                _stopNode();
+            }
+            _cancelNext();
+            this.setState(states.PAUSED);
+        };
+
+        this.seek = function(position) {
+            var duration = _buffer ? _buffer.duration : Infinity;
+            var offset = utils.between(position, 0, duration);
+            this.trigger(events.JWPLAYER_MEDIA_SEEK, {
+                position: _timeline.position(_getContext().currentTime),
+                offset: offset
+            });
+            var playing = !!_node;
+            _stopNode();
+            _cancelNext();
+            _timeline.reset(offset);
+            if (playing) {
+                _startPlayback();
+            }
+            this.trigger(events.JWPLAYER_MEDIA_SEEKED);
+        };
+
+        this.stop = function() {
+            _loadId++;
+            _playRequested = false;
+            clearInterval(_timeUpdateInterval);
+            _stopNode();
+            _cancelNext();
+            _source = _buffer = null;
+            _timeline.reset(0);
+            if (_handoff) {
+                // The playlist is advancing if the next item is loaded right after stopping
+                clearTimeout(_handoffTimeout);
+                _handoffTimeout = setTimeout(_cancelHandoff, 0);
+            }
+            _releaseBuffers();
+            this.setState(states.IDLE);
+        };
+
+        /**
+         * Decode the item to be played after the current one, to start it without a gap.
+         * @param {PlaylistItem|null} item
+         */
+        this.setNextItem = function(item) {
+            var source = item && !item.starttime ? item.sources[0] : null;
+            if (!playsSource(source)) {
+                source = null;
+            }
+            if ((source && source.file) === (_nextSource && _nextSource.file)) {
+                return;
+            }
+            _cancelNext();
+            _nextSource = source;
+            _releaseBuffers();
+            if (source) {
+                _loadBuffer(source).then(function() {
+                    if (_nextSource === source) {
+                        _scheduleNext();
+                    }
+                }).catch(utils.noop);
+            }
+        };
+
+        this.detachMedia = function() {
+            // Don't start the next item while ads play
+            _cancelNext();
+            _cancelHandoff();
+        };
+
+        this.volume = function(vol) {
+            _volume = utils.between(vol / 100, 0, 1);
+            _updateGain();
+        };
+
+        this.mute = function(state) {
+            _muted = !!state;
+            _updateGain();
+        };
+
+        this.setPlaybackRate = function(playbackRate) {
+            if (_node) {
+                _timeline.setRate(_getContext().currentTime, playbackRate);
+                _node.playbackRate.value = playbackRate;
+                _scheduleNext();
+            } else {
+                _timeline.setRate(0, playbackRate);
+            }
+            this.trigger('ratechange', { playbackRate: playbackRate });
+        };
+
+        this.getPlaybackRate = function() {
+            return _timeline.rate;
+        };
+
+        this.getSource = function() {
+            return _source;
+        };
+
+        /**
+         * @returns {AnalyserNode} A node through which all audio output passes, for visualizers.
+         */
+        this.getAudioAnalyser = function() {
+            _getContext();
+            return _analyser;
+        };
+
+        this.setContainer = function(element) {
+            _container = element;
+        };
+
+        this.getContainer = function() {
+            return _container;
+        };
+
+        this.remove = function() {
+            this.stop();
+            _cancelHandoff();
+            _nextSource = null;
+            _releaseBuffers();
+            _container = null;
+        };
+
+        this.destroy = function() {
+            this.remove();
+            this.off();
+            if (_gain) {
+                _gain.disconnect();
+                _analyser.disconnect();
+                _gain = _analyser = null;
+            }
+        };
+
+        this.getName = AudioProvider.getName;
+    }
+
+    AudioProvider.getName = function() {
+        return { name: 'audio' };
+    };
+
+    return AudioProvider;
+});
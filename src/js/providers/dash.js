@@ -0,0 +1,34 @@
+import DashEngine from 'providers/mse/dash-engine';
+
+define([
+    'providers/html5'
+], function(VideoProvider) {
+
+    var _name = 'dash';
+
+    /**
+     * Plays MPEG-DASH through Media Source Extensions.
+     * Playback and events are handled by the html5 provider, which the DASH engine feeds with segments.
+     */
+    function DashProvider(_playerId, _playerConfig) {
+        VideoProvider.call(this, _playerId, _playerConfig, new DashEngine({
+            abr: _playerConfig.abr,
+            liveSyncDuration: _playerConfig.liveSyncDuration
+        }));
+
+        this.getName = function() {
+            return { name: _name };
+        };
+    }
+
+    // Register provider
+    var F = function() {};
+    F.prototype = VideoProvider.prototype;
+    DashProvider.prototype = new F();
+
+    DashProvider.getName = function() {
+        return { name: _name };
+    };
+
+    return DashProvider;
+});
@@ -10,8 +10,9 @@ define([
 
     /** Audio Track information for tracks returned by {@link Api#getAudioTracks jwplayer().getAudioTracks()}
      * @typedef {object} AudioTrackOption
-     * @property autoselect
+     * @property autoselect - Whether the track may be chosen by the viewer's language.
      * @property defaulttrack
+     * @property forced
      * @property groupid
      * @property {string} language
      * @property {string} name
@@ -25,6 +26,14 @@ define([
      * @property {number} [bitrate]
      */
 
+    /**
+     * @typedef {object} LiveWindow
+     * @property {number} start - The start of the seekable range in seconds of media time.
+     * @property {number} end - The end of the seekable range, at the live edge.
+     * @property {Date|null} startDate - The wall-clock date of the start, when the stream provides one.
+     * @property {Date|null} endDate - The wall-clock date of the end.
+     */
+
     var DefaultProvider = {
         // This function is required to determine if a provider can work on a given source
         supports: returnFalse,
@@ -54,6 +63,9 @@ define([
 
         getName: noop,
 
+        // The source being played, used to find another source when it fails
+        getSource: noop,
+
         getQualityLevels: noop,
         getCurrentQuality: noop,
         setCurrentQuality: noop,
@@ -68,6 +80,24 @@ define([
             return 1;
         },
 
+        getLiveLatency: function() {
+            return null;
+        },
+
+        getLiveWindow: function() {
+            return null;
+        },
+
+        getAudioAnalyser: function() {
+            return null;
+        },
+
+        // Lets providers prepare the item played after the current one
+        setNextItem: noop,
+
+        // Lets the user choose an AirPlay target
+        showPlaybackTargetPicker: noop,
+
         // TODO :: The following are targets for removal after refactoring
         checkComplete: noop,
         setControls: noop,
@@ -0,0 +1,471 @@
+import Events from 'utils/backbone.events';
+import _ from 'utils/underscore';
+
+export const KEY_SYSTEMS = {
+    widevine: 'com.widevine.alpha',
+    playready: 'com.microsoft.playready',
+    clearkey: 'org.w3.clearkey',
+    fairplay: 'com.apple.fps'
+};
+
+/**
+ * Errors triggered as 'mediaError' events with a code, so that license failures can be told apart
+ */
+export const DrmErrors = {
+    KEY_SYSTEM_UNSUPPORTED: {
+        code: 2400,
+        message: 'Error playing protected content: No supported key system'
+    },
+    MEDIA_KEYS_FAILED: {
+        code: 2401,
+        message: 'Error playing protected content: Could not create media keys'
+    },
+    CERTIFICATE_FAILED: {
+        code: 2402,
+        message: 'Error playing protected content: Could not load server certificate'
+    },
+    LICENSE_REQUEST_FAILED: {
+        code: 2403,
+        message: 'Error playing protected content: License request failed'
+    },
+    LICENSE_RESPONSE_INVALID: {
+        code: 2404,
+        message: 'Error playing protected content: Invalid license'
+    },
+    KEY_SESSION_FAILED: {
+        code: 2405,
+        message: 'Error playing protected content: Key session error'
+    },
+    OUTPUT_RESTRICTED: {
+        code: 2406,
+        message: 'Error playing protected content: Output restricted'
+    }
+};
+
+// Key statuses which prevent playback
+const FAILED_KEY_STATUSES = ['output-restricted', 'internal-error', 'expired'];
+
+function noop() {}
+
+export function isEmeSupported() {
+    return !!(window.navigator.requestMediaKeySystemAccess && window.MediaKeys && window.MediaKeySystemAccess);
+}
+
+/**
+ * Returns the names of the key systems configured in a drm block, in order of preference
+ * @param {object} drm - { widevine: {...}, playready: {...}, clearkey: {...}, fairplay: {...} }
+ * @returns {Array.<string>}
+ */
+export function getKeySystemNames(drm) {
+    return _.filter(_.keys(drm || {}), name => KEY_SYSTEMS.hasOwnProperty(name) && !!drm[name]);
+}
+
+export function stringToBytes(str) {
+    const bytes = new Uint8Array(str.length);
+    for (let i = 0; i < str.length; i++) {
+        bytes[i] = str.charCodeAt(i) & 0xff;
+    }
+    return bytes;
+}
+
+export function bytesToString(bytes) {
+    let str = '';
+    for (let i = 0; i < bytes.length; i++) {
+        str += String.fromCharCode(bytes[i]);
+    }
+    return str;
+}
+
+function base64ToBase64Url(str) {
+    return str.replace(/\+/g, '-').replace(/\//g, '_').replace(/[=]+$/, '');
+}
+
+function hexToBase64Url(hex) {
+    let str = '';
+    const clean = hex.replace(/[^0-9a-f]/gi, '');
+    for (let i = 0; i < clean.length; i += 2) {
+        str += String.fromCharCode(parseInt(clean.substr(i, 2), 16));
+    }
+    return base64ToBase64Url(window.btoa(str));
+}
+
+function keyToBase64Url(key) {
+    // Keys and key ids are given as hex strings or base64url strings
+    if (/^[0-9a-f-]{32,36}$/i.test(key)) {
+        return hexToBase64Url(key);
+    }
+    return base64ToBase64Url(key);
+}
+
+/**
+ * Builds a ClearKey license from locally configured keys, so that no license server is needed
+ * @param {ArrayBuffer|Uint8Array} message - The JSON license request of a ClearKey key session.
+ * @param {object} keys - Keys by key id. Key ids and keys are hex or base64url strings.
+ * @returns {Uint8Array|null} The JSON Web Key set for the requested key ids, or null when none are known.
+ */
+export function clearKeyLicense(message, keys) {
+    let request;
+    try {
+        request = JSON.parse(bytesToString(new Uint8Array(message)));
+    } catch (e) {
+        return null;
+    }
+    const available = {};
+    _.each(keys, (key, keyId) => {
+        available[keyToBase64Url(keyId)] = keyToBase64Url(key);
+    });
+    const jwks = [];
+    _.each(request.kids || [], kid => {
+        const id = base64ToBase64Url(kid);
+        if (available[id]) {
+            jwks.push({
+                kty: 'oct',
+                kid: id,
+                k: available[id]
+            });
+        }
+    });
+    if (!jwks.length) {
+        return null;
+    }
+    return stringToBytes(JSON.stringify({
+        keys: jwks,
+        type: request.type || 'temporary'
+    }));
+}
+
+/**
+ * PlayReady CDMs wrap the license challenge and the HTTP headers it must be sent with in UTF-16 XML
+ * @param {ArrayBuffer|Uint8Array} message
+ * @returns {{body: Uint8Array, headers: object}|null} null when the message is not wrapped.
+ */
+export function parsePlayReadyMessage(message) {
+    const bytes = new Uint8Array(message);
+    let xml = '';
+    for (let i = 0; i + 1 < bytes.length; i += 2) {
+        xml += String.fromCharCode(bytes[i] | (bytes[i + 1] << 8));
+    }
+    const challenge = /<Challenge[^>]*>([^<]*)<\/Challenge>/.exec(xml);
+    if (!challenge) {
+        return null;
+    }
+    const headers = {};
+    const headerRegex = /<HttpHeader>\s*<name>([^<]*)<\/name>\s*<value>([^<]*)<\/value>\s*<\/HttpHeader>/g;
+    let header = headerRegex.exec(xml);
+    while (header) {
+        headers[header[1]] = header[2];
+        header = headerRegex.exec(xml);
+    }
+    return {
+        body: stringToBytes(window.atob(challenge[1].trim())),
+        headers: headers
+    };
+}
+
+function normalizeHeaders(headers) {
+    if (_.isArray(headers)) {
+        return _.reduce(headers, (obj, header) => {
+            obj[header.name] = header.value;
+            return obj;
+        }, {});
+    }
+    return Object.assign({}, headers);
+}
+
+function configuredKeys(config) {
+    if (config.keys) {
+        return config.keys;
+    }
+    if (config.keyId && config.key) {
+        const keys = {};
+        keys[config.keyId] = config.key;
+        return keys;
+    }
+    return null;
+}
+
+function requestAccess(keySystem, config) {
+    const configuration = {
+        initDataTypes: ['cenc', 'keyids', 'webm', 'sinf', 'skd'],
+        audioCapabilities: [{
+            contentType: 'audio/mp4;codecs="mp4a.40.2"',
+            robustness: config.audioRobustness || ''
+        }],
+        videoCapabilities: [{
+            contentType: 'video/mp4;codecs="avc1.42E01E"',
+            robustness: config.videoRobustness || ''
+        }],
+        distinctiveIdentifier: 'optional',
+        persistentState: 'optional',
+        sessionTypes: ['temporary']
+    };
+    return window.navigator.requestMediaKeySystemAccess(keySystem, [configuration]);
+}
+
+function xhrRequest(request) {
+    return new Promise((resolve, reject) => {
+        const xhr = new window.XMLHttpRequest();
+        xhr.open(request.method, request.url, true);
+        xhr.responseType = 'arraybuffer';
+        xhr.withCredentials = !!request.withCredentials;
+        _.each(request.headers, (value, name) => {
+            xhr.setRequestHeader(name, value);
+        });
+        xhr.onload = function() {
+            if (xhr.status >= 200 && xhr.status < 300) {
+                resolve(xhr.response);
+            } else {
+                reject(new Error('License request failed with status ' + xhr.status));
+            }
+        };
+        xhr.onerror = function() {
+            reject(new Error('License request failed'));
+        };
+        xhr.send(request.body);
+    });
+}
+
+function error(type, cause) {
+    const drmError = new Error(type.message);
+    drmError.code = type.code;
+    drmError.cause = cause;
+    return drmError;
+}
+
+/**
+ * Negotiates a key system for protected sources and runs their license exchange.
+ *
+ * The drm block of a source lists key systems in order of preference:
+ *  {
+ *    widevine: { url, headers, withCredentials, licenseRequestFilter, licenseResponseFilter },
+ *    playready: { url, headers, ... },
+ *    clearkey: { url } or { keys: { keyId: key } } or { keyId, key },
+ *    fairplay: { url, certificateUrl, ... }
+ *  }
+ *
+ * headers are an object or a list of { name, value }. licenseRequestFilter(request, keySystem) may change the
+ * { url, method, headers, body, withCredentials } of a license request, and licenseResponseFilter(response, request)
+ * the license returned. Both may return a promise.
+ *
+ * Events:
+ *  'error' - { message, code, sourceError }
+ */
+export default class EmeController {
+    constructor(drm) {
+        Object.assign(this, Events);
+        this.drm = drm;
+        this.video = null;
+        this.keySystemName = null;
+        this.mediaKeys = null;
+        this.sessions = [];
+        this.initData = {};
+        this.ready = null;
+        this.onEncrypted = this.onEncrypted.bind(this);
+    }
+
+    attach(video) {
+        this.video = video;
+        video.addEventListener('encrypted', this.onEncrypted);
+        this.ready = this.setupMediaKeys().catch(e => {
+            this.handleError(e);
+            throw e;
+        });
+        // Errors are reported once, by the handler above
+        this.ready.catch(noop);
+    }
+
+    detach() {
+        const video = this.video;
+        if (!video) {
+            return;
+        }
+        video.removeEventListener('encrypted', this.onEncrypted);
+        _.each(this.sessions, session => {
+            session.close().catch(noop);
+        });
+        this.sessions = [];
+        this.initData = {};
+        this.video = null;
+        if (video.mediaKeys) {
+            video.setMediaKeys(null).catch(noop);
+        }
+    }
+
+    destroy() {
+        this.detach();
+        this.off();
+    }
+
+    setupMediaKeys() {
+        const names = getKeySystemNames(this.drm);
+        if (!isEmeSupported() || !names.length) {
+            return Promise.reject(error(DrmErrors.KEY_SYSTEM_UNSUPPORTED));
+        }
+        // Try each configured key system in order until one is supported
+        const access = _.reduce(names, (promise, name) => {
+            return promise.catch(() => {
+                return requestAccess(KEY_SYSTEMS[name], this.drm[name]).then(keySystemAccess => {
+                    this.keySystemName = name;
+                    return keySystemAccess;
+                });
+            });
+        }, Promise.reject());
+
+        return access.catch(e => {
+            throw error(DrmErrors.KEY_SYSTEM_UNSUPPORTED, e);
+        }).then(keySystemAccess => {
+            return keySystemAccess.createMediaKeys().catch(e => {
+                throw error(DrmErrors.MEDIA_KEYS_FAILED, e);
+            });
+        }).then(mediaKeys => {
+            this.mediaKeys = mediaKeys;
+            return this.setServerCertificate(mediaKeys);
+        }).then(() => {
+            if (!this.video) {
+                return;
+            }
+            return this.video.setMediaKeys(this.mediaKeys).catch(e => {
+                throw error(DrmErrors.MEDIA_KEYS_FAILED, e);
+            });
+        });
+    }
+
+    setServerCertificate(mediaKeys) {
+        const config = this.drm[this.keySystemName];
+        if (!config.certificateUrl) {
+            return Promise.resolve();
+        }
+        return xhrRequest({
+            method: 'GET',
+            url: config.certificateUrl,
+            headers: normalizeHeaders(config.certificateHeaders),
+            withCredentials: config.withCredentials
+        }).then(certificate => {
+            return mediaKeys.setServerCertificate(certificate);
+        }).catch(e => {
+            throw error(DrmErrors.CERTIFICATE_FAILED, e);
+        });
+    }
+
+    onEncrypted(e) {
+        if (!e.initData) {
+            return;
+        }
+        // Init data is repeated in every initialization segment; only request keys for it once
+        const initDataKey = e.initDataType + ':' + bytesToString(new Uint8Array(e.initData));
+        if (this.initData[initDataKey]) {
+            return;
+        }
+        this.initData[initDataKey] = true;
+        this.ready.then(() => {
+            this.createSession(e.initDataType, e.initData);
+        }).catch(noop);
+    }
+
+    /**
+     * Starts a key session. MSE providers may also call this with init data found in their manifests.
+     * @param {string} initDataType
+     * @param {ArrayBuffer|Uint8Array} initData
+     */
+    createSession(initDataType, initData) {
+        if (!this.mediaKeys) {
+            return;
+        }
+        const session = this.mediaKeys.createSession();
+        this.sessions.push(session);
+        session.addEventListener('message', e => {
+            this.onMessage(session, e.message);
+        });
+        session.addEventListener('keystatuseschange', () => {
+            this.onKeyStatusesChange(session);
+        });
+        session.generateRequest(initDataType, initData).catch(e => {
+            this.handleError(error(DrmErrors.KEY_SESSION_FAILED, e));
+        });
+    }
+
+    onMessage(session, message) {
+        this.getLicense(message).then(license => {
+            if (this.sessions.indexOf(session) === -1) {
+                return;
+            }
+            return session.update(license).catch(e => {
+                throw error(DrmErrors.LICENSE_RESPONSE_INVALID, e);
+            });
+        }).catch(e => {
+            this.handleError(e);
+        });
+    }
+
+    onKeyStatusesChange(session) {
+        let failedStatus = null;
+        session.keyStatuses.forEach(status => {
+            if (FAILED_KEY_STATUSES.indexOf(status) !== -1) {
+                failedStatus = status;
+            }
+        });
+        if (failedStatus === 'output-restricted') {
+            this.handleError(error(DrmErrors.OUTPUT_RESTRICTED));
+        } else if (failedStatus) {
+            this.handleError(error(DrmErrors.KEY_SESSION_FAILED, new Error('Key status ' + failedStatus)));
+        }
+    }
+
+    getLicense(message) {
+        const name = this.keySystemName;
+        const config = this.drm[name];
+        const keys = name === 'clearkey' ? configuredKeys(config) : null;
+        if (keys) {
+            const license = clearKeyLicense(message, keys);
+            if (!license) {
+                return Promise.reject(error(DrmErrors.LICENSE_REQUEST_FAILED, new Error('No key for the requested key ids')));
+            }
+            return Promise.resolve(license);
+        }
+        if (!config.url) {
+            return Promise.reject(error(DrmErrors.LICENSE_REQUEST_FAILED, new Error('No license server url')));
+        }
+
+        let request = {
+            url: config.url,
+            method: 'POST',
+            headers: {},
+            body: message,
+            withCredentials: !!config.withCredentials
+        };
+        if (name === 'playready') {
+            const unwrapped = parsePlayReadyMessage(message);
+            if (unwrapped) {
+                request.body = unwrapped.body;
+                request.headers = unwrapped.headers;
+            } else {
+                request.headers['Content-Type'] = 'text/xml; charset=utf-8';
+            }
+        }
+        Object.assign(request.headers, normalizeHeaders(config.headers));
+
+        return Promise.resolve(config.licenseRequestFilter ? config.licenseRequestFilter(request, name) : request)
+            .then(filtered => {
+                request = filtered || request;
+                return xhrRequest(request);
+            }).catch(e => {
+                throw error(DrmErrors.LICENSE_REQUEST_FAILED, e);
+            }).then(response => {
+                if (config.licenseResponseFilter) {
+                    return Promise.resolve(config.licenseResponseFilter(response, request)).catch(e => {
+                        throw error(DrmErrors.LICENSE_RESPONSE_INVALID, e);
+                    });
+                }
+                return response;
+            });
+    }
+
+    handleError(e) {
+        const type = _.findWhere(DrmErrors, { code: e.code }) || DrmErrors.KEY_SESSION_FAILED;
+        this.trigger('error', {
+            message: type.message,
+            code: type.code,
+            sourceError: e.cause || null
+        });
+    }
+}
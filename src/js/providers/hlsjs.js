@@ -0,0 +1,34 @@
+import HlsEngine from 'providers/mse/hls-engine';
+
+define([
+    'providers/html5'
+], function(VideoProvider) {
+
+    var _name = 'hlsjs';
+
+    /**
+     * Plays HLS through Media Source Extensions in browsers without native HLS support.
+     * Playback and events are handled by the html5 provider, which the HLS engine feeds with transmuxed segments.
+     */
+    function HlsjsProvider(_playerId, _playerConfig) {
+        VideoProvider.call(this, _playerId, _playerConfig, new HlsEngine({
+            abr: _playerConfig.abr,
+            liveSyncDuration: _playerConfig.liveSyncDuration
+        }));
+
+        this.getName = function() {
+            return { name: _name };
+        };
+    }
+
+    // Register provider
+    var F = function() {};
+    F.prototype = VideoProvider.prototype;
+    HlsjsProvider.prototype = new F();
+
+    HlsjsProvider.getName = function() {
+        return { name: _name };
+    };
+
+    return HlsjsProvider;
+});
@@ -1,6 +1,8 @@
 import { qualityLevel } from 'providers/data-normalizer';
 import { Browser, OS } from 'environment/environment';
 import { isAndroidHls } from 'providers/html5-android-hls';
+import EmeController from 'providers/eme-controller';
+import LiveSync from 'providers/live-sync';
 
 define([
     'utils/css',
@@ -13,7 +15,8 @@ define([
     'utils/backbone.events',
     'providers/tracks-mixin',
     'utils/time-ranges',
-], function(cssUtils, utils, dom, _, events, states, DefaultProvider, Events, Tracks, timeRangesUtil) {
+    'utils/language',
+], function(cssUtils, utils, dom, _, events, states, DefaultProvider, Events, Tracks, timeRangesUtil, languageUtils) {
 
     var clearTimeout = window.clearTimeout;
     var STALL_DELAY = 256;
@@ -32,7 +35,7 @@ define([
         });
     }
 
-    function VideoProvider(_playerId, _playerConfig) {
+    function VideoProvider(_playerId, _playerConfig, _mediaEngine) {
         // Current media state
         this.state = states.IDLE;
 
@@ -71,7 +74,9 @@ define([
             ratechange: _playbackRateHandler,
             volumechange: _volumeChangeHandler,
             webkitbeginfullscreen: _fullscreenBeginHandler,
-            webkitendfullscreen: _fullscreenEndHandler
+            webkitendfullscreen: _fullscreenEndHandler,
+            webkitplaybacktargetavailabilitychanged: _playbackTargetAvailabilityHandler,
+            webkitcurrentplaybacktargetiswirelesschanged: _playbackTargetWirelessHandler
         };
         var _container;
         var _duration;
@@ -97,6 +102,13 @@ define([
         var _lastEndOfBuffer = null;
         var _stale = false;
         var _edgeOfLiveStream = false;
+        // Negotiates key systems and licenses for sources with a drm config
+        var _eme = null;
+        var _loadedSource = null;
+        // Keeps live streams within the configured latency of the live edge
+        var _liveSync = new LiveSync(_playerConfig);
+        var _liveSyncRate = 1;
+        var _liveLatency = null;
 
         // Find video tag, or create it if it doesn't exist.  View may not be built yet.
         var element = document.getElementById(_playerId);
@@ -115,6 +127,7 @@ define([
         }
 
         _videotag.className = 'jw-video jw-reset';
+        _setAttribute('x-webkit-airplay', 'allow');
 
         this.isSDK = _isSDK;
         this.video = _videotag;
@@ -122,13 +135,38 @@ define([
 
         _setupListeners(_mediaEvents, _videotag);
 
+        // A media engine feeds the video tag through Media Source Extensions and manages levels and tracks itself
+        if (_mediaEngine) {
+            _mediaEngine.on('levels', _mediaEngineLevelsHandler);
+            _mediaEngine.on('levelSwitched', _mediaEngineLevelSwitchedHandler);
+            _mediaEngine.on('audioTracks', _mediaEngineAudioTracksHandler);
+            _mediaEngine.on('subtitlesTracks', function(e) {
+                _this.addTextTracks(e.tracks);
+            });
+            _mediaEngine.on('cue', function(e) {
+                _this.addVTTCue(e);
+            });
+            _mediaEngine.on('captionsData', function(e) {
+                _this.addCaptionsData(e);
+            });
+            _mediaEngine.on('error', function(e) {
+                _this.trigger(events.JWPLAYER_MEDIA_ERROR, {
+                    message: e.message,
+                    code: e.code
+                });
+            });
+            _mediaEngine.setPlayerSize(_playerConfig.containerWidth, _playerConfig.containerHeight);
+        }
+
         _setAttribute('disableRemotePlayback', '');
         _setAttribute('webkit-playsinline');
         _setAttribute('playsinline');
 
         // Enable tracks support for HLS videos
         function _onLoadedData() {
-            _setAudioTracks(_videotag.audioTracks);
+            if (!_mediaEngine) {
+                _setAudioTracks(_videotag.audioTracks);
+            }
             _this.setTextTracks(_videotag.textTracks);
             _setAttribute('jw-loaded', 'data');
         }
@@ -170,6 +208,7 @@ define([
             _setPosition(_videotag.currentTime);
             // buffer ranges change during playback, not just on file progress
             _setBuffered(_getBuffer(), _position, _duration);
+            _setLiveLatency(_this.getLiveLatency());
 
             // send time events when playing
             if (_this.state === states.PLAYING) {
@@ -179,13 +218,44 @@ define([
                 });
 
                 _checkVisualQuality();
+                _syncLiveLatency(_liveLatency);
             }
         }
 
         function _playbackRateHandler() {
+            // Rate changes made to keep up with the live edge are not the viewer's playback rate
+            if (_videotag.playbackRate === _liveSyncRate && _liveSyncRate !== _videotag.defaultPlaybackRate) {
+                return;
+            }
             _this.trigger('ratechange', { playbackRate: _videotag.playbackRate });
         }
 
+        // The controls show whether playback is behind the live edge from the latency sent here
+        function _setLiveLatency(latency) {
+            if (latency !== _liveLatency) {
+                _liveLatency = latency;
+                _this.trigger('liveLatency', { latency: latency });
+            }
+        }
+
+        function _syncLiveLatency(latency) {
+            // Leave the playback rate alone while seeking, or when the viewer has chosen one
+            if (latency === null || _this.seeking || _videotag.defaultPlaybackRate !== 1) {
+                return;
+            }
+            var sync = _liveSync.update(latency);
+            if (!sync) {
+                return;
+            }
+            if (sync.seekLatency) {
+                _videotag.currentTime = _getSeekableEnd() - sync.seekLatency;
+            }
+            if (_videotag.playbackRate !== sync.playbackRate) {
+                _liveSyncRate = sync.playbackRate;
+                _videotag.playbackRate = sync.playbackRate;
+            }
+        }
+
         function _checkVisualQuality() {
             var level = _visualQuality.level;
             if (level.width !== _videotag.videoWidth ||
@@ -193,7 +263,8 @@ define([
                 level.width = _videotag.videoWidth;
                 level.height = _videotag.videoHeight;
                 _setMediaType();
-                if (!level.width || !level.height || _currentQuality === -1) {
+                // Media engines report the level being played with a levelSwitched event
+                if (!level.width || !level.height || _currentQuality === -1 || _mediaEngine) {
                     return;
                 }
                 _visualQuality.reason = _visualQuality.reason || 'auto';
@@ -396,6 +467,74 @@ define([
             return currentQuality;
         }
 
+        function _mediaEngineLevelsHandler(e) {
+            if (!e.levels.length) {
+                return;
+            }
+            var source = _levels[_currentQuality];
+            var levels = _.map(e.levels, function(level) {
+                return {
+                    label: utils.generateLabel(level, _playerConfig.qualityLabels),
+                    bitrate: level.bitrate,
+                    width: level.width,
+                    height: level.height,
+                    file: source.file,
+                    type: source.type,
+                    index: level.index
+                };
+            });
+            levels.sort(function(a, b) {
+                if (a.height && b.height && a.height !== b.height) {
+                    return b.height - a.height;
+                }
+                return b.bitrate - a.bitrate;
+            });
+            if (levels.length > 1) {
+                levels.unshift({
+                    label: 'Auto',
+                    file: source.file,
+                    type: source.type,
+                    index: -1
+                });
+            }
+            _currentQuality = -1;
+            _setLevels(levels);
+            _mediaEngine.setCurrentLevel(_levels[_currentQuality].index);
+        }
+
+        function _mediaEngineLevelSwitchedHandler(e) {
+            var level = _.findWhere(_levels, { index: e.level });
+            if (!level) {
+                return;
+            }
+            _this.trigger('visualQuality', {
+                reason: e.reason,
+                mode: _levels[_currentQuality].index === -1 ? 'auto' : 'manual',
+                bitrate: level.bitrate,
+                level: {
+                    index: _.indexOf(_levels, level),
+                    label: level.label,
+                    width: level.width,
+                    height: level.height,
+                    bitrate: level.bitrate
+                }
+            });
+        }
+
+        function _mediaEngineAudioTracksHandler(e) {
+            _currentAudioTrackIndex = e.currentTrack;
+            _audioTracks = _.map(e.tracks, function(track) {
+                return {
+                    name: track.name || languageUtils.getLabel(track.language),
+                    language: track.language,
+                    defaulttrack: track.defaulttrack,
+                    autoselect: track.autoselect,
+                    forced: track.forced
+                };
+            });
+            _this.trigger('audioTracks', { currentTrack: _currentAudioTrackIndex, tracks: _audioTracks });
+        }
+
         function _play() {
             var promise = _videotag.play();
             if (promise && promise.catch) {
@@ -416,9 +555,8 @@ define([
             _delayedSeek = 0;
             clearTimeouts();
 
-            var sourceElement = document.createElement('source');
-            sourceElement.src = _levels[_currentQuality].file;
-            var sourceChanged = (_videotag.src !== sourceElement.src);
+            var source = _levels[_currentQuality];
+            var sourceChanged = _sourceChanged(source);
 
             var loadedSrc = _videotag.getAttribute('jw-loaded');
 
@@ -426,9 +564,15 @@ define([
 
             if (sourceChanged || loadedSrc === 'none' || loadedSrc === 'started') {
                 _duration = duration;
-                _setVideotagSource(_levels[_currentQuality]);
+                _setupEme(source);
+                _setVideotagSource(source);
                 _this.setupSideloadedTracks(_this._itemTracks);
-                _videotag.load();
+                if (_mediaEngine) {
+                    _mediaEngine.attachMedia(_videotag);
+                    _mediaEngine.loadSource(source, startTime);
+                } else {
+                    _videotag.load();
+                }
             } else {
                 // Load event is from the same video as before
                 if (startTime === 0 && _videotag.currentTime > 0) {
@@ -462,6 +606,9 @@ define([
         }
 
         function _setVideotagSource(source) {
+            _loadedSource = source;
+            _liveSync.reset();
+            _setLiveLatency(null);
             _audioTracks = null;
             _currentAudioTrackIndex = -1;
             if (!_visualQuality.reason) {
@@ -478,16 +625,48 @@ define([
 
             _setAttribute('preload', 'none');
 
-            var sourceElement = document.createElement('source');
-            sourceElement.src = source.file;
-            var sourceChanged = (_videotag.src !== sourceElement.src);
-            if (sourceChanged) {
+            if (_sourceChanged(source)) {
                 _setAttribute('jw-loaded', 'none');
-                _videotag.src = source.file;
+                // Media engines set the video tag's source when they are attached in _completeLoad
+                if (!_mediaEngine) {
+                    _videotag.src = source.file;
+                }
+            }
+        }
+
+        // Protected sources need media keys on the video tag before encrypted media is loaded
+        function _setupEme(source) {
+            _destroyEme();
+            if (source.drm) {
+                _eme = new EmeController(source.drm);
+                _eme.on('error', function(e) {
+                    _this.trigger(events.JWPLAYER_MEDIA_ERROR, e);
+                });
+                _eme.attach(_videotag);
             }
         }
 
+        function _destroyEme() {
+            if (_eme) {
+                _eme.destroy();
+                _eme = null;
+            }
+        }
+
+        function _sourceChanged(source) {
+            if (_mediaEngine) {
+                return _mediaEngine.url !== source.file;
+            }
+            var sourceElement = document.createElement('source');
+            sourceElement.src = source.file;
+            return (_videotag.src !== sourceElement.src);
+        }
+
         function _clearVideotagSource() {
+            if (_mediaEngine) {
+                _mediaEngine.detachMedia();
+            }
+            _destroyEme();
             if (_videotag) {
                 _this.disableTextTrack();
                 _videotag.removeAttribute('preload');
@@ -546,6 +725,10 @@ define([
             this.removeTracksListener(_videotag.textTracks, 'change', _this.textTrackChangeHandler);
             this.remove();
             this.off();
+            if (_mediaEngine) {
+                _mediaEngine.destroy();
+            }
+            _destroyEme();
         };
 
         this.init = function(item) {
@@ -594,6 +777,10 @@ define([
         this.pause = function() {
             clearTimeouts();
             _videotag.pause();
+            if (_duration < 0) {
+                // Stay where DVR streams are paused, rather than returning to the target latency
+                _liveSync.pause();
+            }
             _beforeResumeHandler = function() {
                 var unpausing = _videotag.paused && _videotag.currentTime;
                 if (unpausing && _videotag.duration === Infinity) {
@@ -613,7 +800,8 @@ define([
 
         this.seek = function(seekPos) {
             if (seekPos < 0) {
-                seekPos += _getSeekableStart() + _getSeekableEnd();
+                // DVR positions are offsets from the end of the seekable range
+                seekPos += _getSeekableEnd();
             }
 
             if (_delayedSeek === 0) {
@@ -625,6 +813,9 @@ define([
             if (!_canSeek) {
                 _canSeek = !!_getSeekableEnd();
             }
+            if (_videotag.duration === Infinity && _canSeek) {
+                _liveSync.seek(_getSeekableEnd() - seekPos);
+            }
             if (_canSeek) {
                 _delayedSeek = 0;
                 // setting currentTime can throw an invalid DOM state exception if the video is not ready
@@ -717,6 +908,25 @@ define([
             _setCurrentAudioTrack(_selectedAudioTrackIndex);
         }
 
+        // AirPlay targets, reported by Safari's WebKit playback target API
+        function _playbackTargetAvailabilityHandler(e) {
+            _this.trigger(events.JWPLAYER_CAST_AVAILABLE, {
+                available: e.availability === 'available'
+            });
+        }
+
+        function _playbackTargetWirelessHandler() {
+            _this.trigger('airplayActive', {
+                active: !!_videotag.webkitCurrentPlaybackTargetIsWireless
+            });
+        }
+
+        this.showPlaybackTargetPicker = function() {
+            if (_videotag.webkitShowPlaybackTargetPicker) {
+                _videotag.webkitShowPlaybackTargetPicker();
+            }
+        };
+
         function _fullscreenEndHandler(e) {
             _fullscreenState = false;
             _sendFullscreen(e);
@@ -738,6 +948,10 @@ define([
         this.detachMedia = function() {
             clearTimeouts();
             _removeListeners(_mediaEvents, _videotag);
+            // The video tag may be given another source; the engine is attached again when the item is reloaded
+            if (_mediaEngine) {
+                _mediaEngine.detachMedia();
+            }
             // Stop listening to track changes so disabling the current track doesn't update the model
             this.removeTracksListener(_videotag.textTracks, 'change', this.textTrackChangeHandler);
             // Prevent tracks from showing during ad playback
@@ -772,6 +986,53 @@ define([
             return _container;
         };
 
+        this.getSource = function() {
+            return _loadedSource;
+        };
+
+        /**
+         * @returns {number|null} Seconds behind the live edge, or null when the stream is not live.
+         */
+        this.getLiveLatency = function() {
+            var end = _getSeekableEnd();
+            if (_videotag.duration !== Infinity || !end) {
+                return null;
+            }
+            return Math.max(0, end - _videotag.currentTime);
+        };
+
+        /**
+         * @returns {LiveWindow|null} The seekable window of a live or DVR stream, or null when the stream is not live.
+         */
+        this.getLiveWindow = function() {
+            var end = _getSeekableEnd();
+            if (_videotag.duration !== Infinity || !end) {
+                return null;
+            }
+            var start = _getSeekableStart();
+            var startDate = _getStartDate();
+            return {
+                start: start,
+                end: end,
+                startDate: startDate ? new Date(startDate.getTime() + (start * 1000)) : null,
+                endDate: startDate ? new Date(startDate.getTime() + (end * 1000)) : null
+            };
+        };
+
+        // The wall-clock date at media time 0, from EXT-X-PROGRAM-DATE-TIME or the availabilityStartTime of DASH streams
+        function _getStartDate() {
+            if (_mediaEngine) {
+                return _mediaEngine.getStartDate();
+            }
+            if (_videotag.getStartDate) {
+                var startDate = _videotag.getStartDate();
+                if (!isNaN(startDate.getTime())) {
+                    return startDate;
+                }
+            }
+            return null;
+        }
+
         this.remove = function() {
             // stop video silently
             _clearVideotagSource();
@@ -803,6 +1064,9 @@ define([
         };
 
         this.resize = function(width, height, stretching) {
+            if (_mediaEngine) {
+                _mediaEngine.setPlayerSize(width, height);
+            }
             if (!width || !height || !_videotag.videoWidth || !_videotag.videoHeight) {
                 return false;
             }
@@ -904,6 +1168,19 @@ define([
                     // from when the provider was first initialized
                     _playerConfig.qualityLabel = _levels[quality].label;
 
+                    if (_mediaEngine) {
+                        var levelIndex = _levels[quality].index;
+                        _mediaEngine.setCurrentLevel(levelIndex);
+                        // The level being played does not change, but the mode does
+                        if (levelIndex === -1 || levelIndex === _mediaEngine.currentLevel) {
+                            _mediaEngineLevelSwitchedHandler({
+                                level: _mediaEngine.currentLevel,
+                                reason: 'api'
+                            });
+                        }
+                        return;
+                    }
+
                     var time = _videotag.currentTime || 0;
                     var duration = _videotag.duration || 0;
                     if (duration <= 0) {
@@ -941,6 +1218,13 @@ define([
 
         this.getCurrentAudioTrack = _getCurrentAudioTrack;
 
+        if (_mediaEngine) {
+            this.setCurrentSubtitleTrack = function(index) {
+                var track = this._textTracks && this._textTracks[index];
+                _mediaEngine.setSubtitleTrack(track ? track._id : null);
+            };
+        }
+
         function _setAudioTracks(tracks) {
             _audioTracks = null;
             if (!tracks) {
@@ -959,7 +1243,7 @@ define([
                 }
                 _audioTracks = _.map(tracks, function(track) {
                     var _track = {
-                        name: track.label || track.language,
+                        name: track.label || languageUtils.getLabel(track.language),
                         language: track.language
                     };
                     return _track;
@@ -972,6 +1256,15 @@ define([
         }
 
         function _setCurrentAudioTrack(index) {
+            if (_mediaEngine) {
+                if (_audioTracks && index > -1 && index < _audioTracks.length && index !== _currentAudioTrackIndex) {
+                    _currentAudioTrackIndex = index;
+                    _mediaEngine.setAudioTrack(index);
+                    _this.trigger('audioTrackChanged', { currentTrack: _currentAudioTrackIndex,
+                        tracks: _audioTracks });
+                }
+                return;
+            }
             if (_videotag && _videotag.audioTracks && _audioTracks &&
                 index > -1 && index < _videotag.audioTracks.length && index !== _currentAudioTrackIndex) {
                 _videotag.audioTracks[_currentAudioTrackIndex].enabled = false;
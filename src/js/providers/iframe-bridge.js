@@ -0,0 +1,53 @@
+import Events from 'utils/backbone.events';
+
+/**
+ * Exchanges postMessage messages with a player embedded in an iframe.
+ *
+ * Messages are sent as JSON strings, which embeds accept in all browsers. Messages received from the
+ * iframe's window and origin are parsed and triggered as 'message' events; all others are ignored.
+ */
+export default class IframeBridge {
+    /**
+     * @param {HTMLIFrameElement} iframe
+     * @param {string} origin - The origin of the iframe's src, such as 'https://player.vimeo.com', or 'null' for
+     * sandboxed documents of an opaque origin.
+     */
+    constructor(iframe, origin) {
+        Object.assign(this, Events);
+        this.iframe = iframe;
+        this.origin = origin;
+        this.onMessage = this.onMessage.bind(this);
+        window.addEventListener('message', this.onMessage);
+    }
+
+    send(message) {
+        const contentWindow = this.iframe && this.iframe.contentWindow;
+        if (contentWindow) {
+            // Windows of an opaque origin, such as sandboxed documents, take messages for any origin only
+            contentWindow.postMessage(JSON.stringify(message), this.origin === 'null' ? '*' : this.origin);
+        }
+    }
+
+    onMessage(e) {
+        if (!this.iframe || e.source !== this.iframe.contentWindow || e.origin !== this.origin) {
+            return;
+        }
+        let data = e.data;
+        if (typeof data === 'string') {
+            try {
+                data = JSON.parse(data);
+            } catch (error) {
+                return;
+            }
+        }
+        if (data && typeof data === 'object') {
+            this.trigger('message', data);
+        }
+    }
+
+    destroy() {
+        window.removeEventListener('message', this.onMessage);
+        this.off();
+        this.iframe = null;
+    }
+}
@@ -0,0 +1,370 @@
+import { OS } from 'environment/environment';
+
+define([
+    'utils/helpers',
+    'utils/css',
+    'utils/underscore',
+    'events/events',
+    'events/states',
+    'utils/scriptloader',
+    'providers/default',
+    'utils/backbone.events'
+], function(utils, cssUtils, _, events, states, Scriptloader, DefaultProvider, Events) {
+
+    // How often to check on playback, in milliseconds. Embeds are polled when they stop sending time updates.
+    var POLL_INTERVAL = 250;
+
+    /**
+     * Controls a third-party player embedded in an iframe, and reports its playback as events.
+     * @typedef {object} IframeEmbed
+     * @property {string} [scriptUrl] - The host's player API, loaded before embedding.
+     * @property {function} [isApiReady] - Returns whether the player API has finished initializing.
+     * @property {function} create - Creates the embed for a source, returning its iframe or an element it replaces.
+     * @property {function} load - Loads another source into the embed.
+     * @property {function} play
+     * @property {function} pause
+     * @property {function} stop
+     * @property {function} seek - Seeks to a position in seconds.
+     * @property {function} setVolume - Sets the volume from 0 to 1.
+     * @property {function} setMuted
+     * @property {function} setPlaybackRate
+     * @property {function} poll - Requests the current time, answered with a 'time' event.
+     * @property {function} destroy
+     *
+     * Embeds trigger 'ready', 'playing', 'paused', 'buffering', 'seeked', 'ended', 'time' { position, duration },
+     * 'buffer' { percent }, 'meta' { duration, width, height } and 'error' { message } events.
+     */
+
+    /**
+     * Base of providers for media hosted by third-party players, such as Vimeo.
+     *
+     * Commands are queued until the embed is ready, and its events are mapped to player states and events.
+     * Providers built on it call IframeProvider with an IframeEmbed for the host's player.
+     */
+    function IframeProvider(_playerId, _playerConfig, _embed) {
+        this.state = states.IDLE;
+
+        _.extend(this, Events);
+
+        var _this = this;
+        var _container = null;
+        var _element = _createPlaceholder();
+        var _scriptLoader = null;
+        var _source = null;
+        var _embedded = false;
+        var _ready = false;
+        // Commands sent before the embed is ready
+        var _queue = [];
+        var _pollInterval = -1;
+        var _lastTimeUpdate = 0;
+        var _position = 0;
+        var _duration = 0;
+        var _bufferPercent = -1;
+        var _playbackRate = 1;
+        var _firstFrame = false;
+
+        _embed.on('ready', _readyHandler);
+        _embed.on('playing', _playingHandler);
+        _embed.on('paused', _pausedHandler);
+        _embed.on('buffering', _bufferingHandler);
+        _embed.on('seeked', _seekedHandler);
+        _embed.on('ended', _endedHandler);
+        _embed.on('time', _timeHandler);
+        _embed.on('buffer', _bufferHandler);
+        _embed.on('meta', _metaHandler);
+        _embed.on('error', _errorHandler);
+
+        if (_embed.scriptUrl) {
+            _scriptLoader = new Scriptloader(_embed.scriptUrl);
+            _scriptLoader.on(events.COMPLETE, _embedMedia);
+            _scriptLoader.on(events.ERROR, function() {
+                _this.trigger(events.JWPLAYER_MEDIA_ERROR, {
+                    message: 'Error loading player: Could not load the player API'
+                });
+            });
+            _scriptLoader.load();
+        }
+
+        this.setState = function(state) {
+            clearInterval(_pollInterval);
+            if (state !== states.IDLE && state !== states.COMPLETE) {
+                // Embeds in background tabs or throttled iframes may stop sending time updates
+                _pollInterval = setInterval(_checkPlayback, POLL_INTERVAL);
+            }
+            DefaultProvider.setState.apply(this, arguments);
+        };
+
+        function _createPlaceholder() {
+            var element = document.createElement('div');
+            element.id = _playerId + '_iframe';
+            return element;
+        }
+
+        function _isApiReady() {
+            if (_scriptLoader && _scriptLoader.getStatus() !== Scriptloader.loaderstatus.COMPLETE) {
+                return false;
+            }
+            return !_embed.isApiReady || _embed.isApiReady();
+        }
+
+        // Embed once there is a source, a container to embed into, and the player API has loaded
+        function _embedMedia() {
+            if (_embedded || !_source || !_container) {
+                return;
+            }
+            if (!_isApiReady()) {
+                if (_scriptLoader && _scriptLoader.getStatus() === Scriptloader.loaderstatus.COMPLETE) {
+                    // poll until the API has initialized
+                    setTimeout(_embedMedia, 100);
+                }
+                return;
+            }
+            _embedded = true;
+            var element = _embed.create(_source, _element);
+            if (element !== _element) {
+                if (_element.parentNode) {
+                    _element.parentNode.replaceChild(element, _element);
+                }
+                _element = element;
+            }
+            _this.setVisibility(true);
+        }
+
+        function _command(name) {
+            var args = Array.prototype.slice.call(arguments, 1);
+            if (_ready) {
+                _embed[name].apply(_embed, args);
+            } else {
+                _queue.push([name, args]);
+            }
+        }
+
+        function _checkPlayback() {
+            if (!_ready || _this.state === states.PAUSED) {
+                return;
+            }
+            if (_.now() - _lastTimeUpdate > POLL_INTERVAL * 2) {
+                _embed.poll();
+            }
+        }
+
+        function _readyHandler() {
+            _ready = true;
+            var queue = _queue;
+            _queue = [];
+            _.each(queue, function(command) {
+                _embed[command[0]].apply(_embed, command[1]);
+            });
+        }
+
+        function _playingHandler() {
+            _this.seeking = false;
+            _this.setState(states.PLAYING);
+            if (!_firstFrame) {
+                _firstFrame = true;
+                _this.trigger(events.JWPLAYER_PROVIDER_FIRST_FRAME, {});
+            }
+        }
+
+        function _pausedHandler() {
+            if (_this.state === states.IDLE || _this.state === states.COMPLETE) {
+                return;
+            }
+            _this.setState(states.PAUSED);
+        }
+
+        function _bufferingHandler() {
+            if (_this.state === states.PLAYING) {
+                _this.setState(_this.seeking ? states.LOADING : states.STALLED);
+            }
+        }
+
+        function _seekedHandler() {
+            _this.seeking = false;
+            _this.trigger(events.JWPLAYER_MEDIA_SEEKED);
+        }
+
+        function _endedHandler() {
+            if (_this.state !== states.IDLE && _this.state !== states.COMPLETE) {
+                _this.trigger(events.JWPLAYER_MEDIA_COMPLETE);
+            }
+        }
+
+        function _timeHandler(e) {
+            _lastTimeUpdate = _.now();
+            _position = e.position;
+            if (e.duration && e.duration !== _duration) {
+                _metaHandler({
+                    duration: e.duration
+                });
+            }
+            if (_this.state === states.PLAYING) {
+                _this.trigger(events.JWPLAYER_MEDIA_TIME, {
+                    position: _position,
+                    duration: _duration
+                });
+            }
+        }
+
+        function _bufferHandler(e) {
+            if (e.percent !== _bufferPercent) {
+                _bufferPercent = e.percent;
+                _this.trigger(events.JWPLAYER_MEDIA_BUFFER, {
+                    bufferPercent: e.percent
+                });
+            }
+        }
+
+        function _metaHandler(e) {
+            _duration = e.duration || _duration;
+            _this.trigger(events.JWPLAYER_MEDIA_META, {
+                duration: _duration,
+                width: e.width || _element.clientWidth,
+                height: e.height || _element.clientHeight
+            });
+        }
+
+        function _errorHandler(e) {
+            _this.trigger(events.JWPLAYER_MEDIA_ERROR, {
+                message: e.message
+            });
+        }
+
+        function _setItem(item) {
+            var source = item.sources[0];
+            _position = item.starttime || 0;
+            _duration = 0;
+            _bufferPercent = -1;
+            _firstFrame = false;
+            if (_embedded && _source && _source.file === source.file) {
+                // replay the current source
+                _command('seek', _position);
+                return;
+            }
+            _source = source;
+            if (_embedded) {
+                _command('load', source);
+            } else {
+                _embedMedia();
+            }
+            if (_position) {
+                _command('seek', _position);
+            }
+        }
+
+        this.init = function(item) {
+            _setItem(item);
+        };
+
+        this.load = function(item) {
+            this.setState(states.LOADING);
+            _setItem(item);
+            this.play();
+        };
+
+        this.play = function() {
+            _command('play');
+        };
+
+        this.pause = function() {
+            _command('pause');
+        };
+
+        this.stop = function() {
+            if (_embedded) {
+                _command('stop');
+            }
+            this.setState(states.IDLE);
+        };
+
+        this.seek = function(position) {
+            this.seeking = true;
+            this.trigger(events.JWPLAYER_MEDIA_SEEK, {
+                position: _position,
+                offset: position
+            });
+            _command('seek', position);
+        };
+
+        this.volume = function(vol) {
+            if (_.isNumber(vol)) {
+                _command('setVolume', utils.between(vol / 100, 0, 1));
+            }
+        };
+
+        this.mute = function(mute) {
+            _command('setMuted', !!mute);
+        };
+
+        this.setPlaybackRate = function(playbackRate) {
+            _playbackRate = playbackRate;
+            _command('setPlaybackRate', playbackRate);
+            this.trigger('ratechange', { playbackRate: playbackRate });
+        };
+
+        this.getPlaybackRate = function() {
+            return _playbackRate;
+        };
+
+        this.getSource = function() {
+            return _source;
+        };
+
+        this.setContainer = function(parent) {
+            _container = parent;
+            parent.appendChild(_element);
+            _embedMedia();
+            this.setVisibility(true);
+        };
+
+        this.getContainer = function() {
+            return _container;
+        };
+
+        this.remove = function() {
+            clearInterval(_pollInterval);
+            if (_embedded) {
+                _embed.destroy();
+            }
+            if (_container && _element.parentNode === _container) {
+                _container.removeChild(_element);
+            }
+            _container = _source = null;
+            _embedded = _ready = false;
+            _queue = [];
+            _element = _createPlaceholder();
+        };
+
+        this.destroy = function() {
+            this.remove();
+            this.off();
+            _embed.off();
+            if (_scriptLoader) {
+                _scriptLoader.off();
+                _scriptLoader = null;
+            }
+        };
+
+        this.setVisibility = function(state) {
+            if (state) {
+                cssUtils.style(_element, {
+                    display: 'block'
+                });
+                cssUtils.style(_container, {
+                    visibility: 'visible',
+                    opacity: 1
+                });
+            } else if (!OS.mobile) {
+                cssUtils.style(_container, {
+                    opacity: 0
+                });
+            }
+        };
+
+        this.resize = function() {
+            return false;
+        };
+    }
+
+    return IframeProvider;
+});
@@ -0,0 +1,83 @@
+// Bounds of the playback rate used to catch up with, or fall back from, the live edge
+const MIN_PLAYBACK_RATE = 0.9;
+const MAX_PLAYBACK_RATE = 1.1;
+// Change in playback rate per second of drift from the target latency
+const RATE_GAIN = 0.05;
+// Seconds of drift which start a rate adjustment, and the drift at which it ends
+const CATCH_UP_THRESHOLD = 1;
+const SYNC_TOLERANCE = 0.25;
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Keeps live playback near a target latency behind the live edge.
+ *
+ * With `liveSyncDuration` configured, the playback rate is nudged while the latency drifts from it,
+ * and playback seeks back to the target once the latency exceeds `liveMaxLatency`
+ * (twice `liveSyncDuration` by default). Viewers who seek or pause away from the live edge are left alone
+ * until they return to it.
+ */
+export default class LiveSync {
+    /**
+     * @param {object} config - { liveSyncDuration, liveMaxLatency }
+     */
+    constructor(config) {
+        const target = config.liveSyncDuration;
+        this.enabled = typeof target === 'number' && target > 0;
+        this.target = target;
+        this.maxLatency = config.liveMaxLatency > target ? config.liveMaxLatency : target * 2;
+        this.reset();
+    }
+
+    reset() {
+        this.following = true;
+        this.catchingUp = false;
+    }
+
+    /**
+     * Follow the live edge again when a seek lands close enough to it
+     * @param {number} latency - Seconds behind the live edge after the seek.
+     */
+    seek(latency) {
+        this.following = latency <= this.maxLatency;
+        this.catchingUp = false;
+    }
+
+    pause() {
+        this.following = false;
+        this.catchingUp = false;
+    }
+
+    /**
+     * @param {number} latency - Seconds behind the live edge.
+     * @returns {{playbackRate: number, seekLatency: number}|null} The playback rate to use, and when
+     * the latency is too high, the latency to seek to. null when live sync is disabled.
+     */
+    update(latency) {
+        if (!this.enabled) {
+            return null;
+        }
+        if (!this.following) {
+            return {
+                playbackRate: 1,
+                seekLatency: 0
+            };
+        }
+        if (latency > this.maxLatency) {
+            this.catchingUp = false;
+            return {
+                playbackRate: 1,
+                seekLatency: this.target
+            };
+        }
+        const drift = latency - this.target;
+        const threshold = this.catchingUp ? SYNC_TOLERANCE : CATCH_UP_THRESHOLD;
+        this.catchingUp = Math.abs(drift) > threshold;
+        return {
+            playbackRate: this.catchingUp ? clamp(1 + drift * RATE_GAIN, MIN_PLAYBACK_RATE, MAX_PLAYBACK_RATE) : 1,
+            seekLatency: 0
+        };
+    }
+}
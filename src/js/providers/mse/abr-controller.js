@@ -0,0 +1,178 @@
+import BandwidthEstimator from 'providers/mse/bandwidth-estimator';
+
+// Fraction of the bandwidth estimate a level's bitrate may use
+const BANDWIDTH_SAFETY_FACTOR = 0.8;
+// Seconds of buffer below which BOLA always chooses the lowest level, and hybrid selection uses throughput
+const BOLA_MIN_BUFFER = 10;
+
+const Defaults = {
+    algorithm: 'hybrid',
+    maxBitrate: Infinity,
+    maxHeight: Infinity,
+    capToPlayerSize: true,
+    defaultBandwidth: 500000
+};
+
+/**
+ * Chooses the quality level adaptive streaming providers load next.
+ *
+ * Algorithms:
+ *  'throughput' - The highest level whose bitrate fits the measured bandwidth.
+ *  'bola' - Buffer based selection (BOLA-BASIC), which favors higher levels as the buffer fills.
+ *  'hybrid' - Throughput based selection until the buffer is healthy, then buffer based selection
+ *  capped one level above what throughput allows.
+ *
+ * Levels can be capped by bitrate, by height and by the size of the player.
+ */
+export default class AbrController {
+    /**
+     * @param {object} [config] - { algorithm, maxBitrate, maxHeight, capToPlayerSize, defaultBandwidth }
+     */
+    constructor(config) {
+        this.config = Object.assign({}, Defaults, config);
+        this.bandwidth = new BandwidthEstimator(this.config.defaultBandwidth);
+        this.levels = [];
+        this.playerWidth = 0;
+        this.playerHeight = 0;
+        this.bufferTarget = 30;
+    }
+
+    /**
+     * @param {Array.<object>} levels - Levels with a bitrate, width and height, sorted by ascending bitrate.
+     */
+    setLevels(levels) {
+        this.levels = levels || [];
+    }
+
+    setPlayerSize(width, height) {
+        const pixelRatio = window.devicePixelRatio || 1;
+        this.playerWidth = (width || 0) * pixelRatio;
+        this.playerHeight = (height || 0) * pixelRatio;
+    }
+
+    /**
+     * @param {number} bufferTarget - Seconds of media buffered ahead when the buffer is full.
+     */
+    setBufferTarget(bufferTarget) {
+        this.bufferTarget = bufferTarget;
+    }
+
+    /**
+     * @param {LoadStats} stats - Loading statistics of a media segment.
+     */
+    sample(stats) {
+        this.bandwidth.sample(stats);
+    }
+
+    getEstimate() {
+        return this.bandwidth.getEstimate();
+    }
+
+    /**
+     * The highest level index allowed by the configured caps
+     * @returns {{index: number, bySize: boolean}}
+     */
+    getMaxLevel() {
+        const levels = this.levels;
+        const config = this.config;
+        let index = 0;
+        for (let i = 1; i < levels.length; i++) {
+            const level = levels[i];
+            if (level.bitrate > config.maxBitrate || (level.height && level.height > config.maxHeight)) {
+                break;
+            }
+            index = i;
+        }
+        if (config.capToPlayerSize && this.playerWidth && this.playerHeight) {
+            // Allow the smallest level that covers the player, and nothing larger
+            for (let i = 0; i < index; i++) {
+                const level = levels[i];
+                if (level.width >= this.playerWidth || level.height >= this.playerHeight) {
+                    return {
+                        index: i,
+                        bySize: true
+                    };
+                }
+            }
+        }
+        return {
+            index: index,
+            bySize: false
+        };
+    }
+
+    throughputLevel(maxIndex) {
+        const estimate = this.getEstimate() * BANDWIDTH_SAFETY_FACTOR;
+        let choice = 0;
+        for (let i = 1; i <= maxIndex; i++) {
+            if (this.levels[i].bitrate <= estimate) {
+                choice = i;
+            }
+        }
+        return choice;
+    }
+
+    bolaLevel(maxIndex, bufferLength) {
+        if (maxIndex < 1) {
+            return 0;
+        }
+        const levels = this.levels;
+        const lowest = Math.log(levels[0].bitrate || 1);
+        const utilities = levels.map(level => Math.log(level.bitrate || 1) - lowest + 1);
+        const bufferTarget = Math.max(this.bufferTarget, BOLA_MIN_BUFFER * 2);
+        const gp = (utilities[maxIndex] - 1) / ((bufferTarget / BOLA_MIN_BUFFER) - 1);
+        const vp = BOLA_MIN_BUFFER / gp;
+        let choice = 0;
+        let maxScore = -Infinity;
+        for (let i = 0; i <= maxIndex; i++) {
+            const score = ((vp * (utilities[i] + gp)) - bufferLength) / (levels[i].bitrate || 1);
+            if (score >= maxScore) {
+                maxScore = score;
+                choice = i;
+            }
+        }
+        return choice;
+    }
+
+    /**
+     * Chooses the level to load next
+     * @param {number} bufferLength - Seconds of media buffered ahead of the playback position.
+     * @returns {{index: number, reason: string}} reason is 'size' when the player size limits the choice.
+     */
+    chooseLevel(bufferLength) {
+        if (!this.levels.length) {
+            return {
+                index: 0,
+                reason: 'auto'
+            };
+        }
+        const max = this.getMaxLevel();
+        const throughput = this.throughputLevel(this.levels.length - 1);
+        let index;
+        switch (this.config.algorithm) {
+            case 'throughput':
+                index = throughput;
+                break;
+            case 'bola':
+                index = this.bolaLevel(this.levels.length - 1, bufferLength);
+                break;
+            default:
+                if (bufferLength < BOLA_MIN_BUFFER) {
+                    index = throughput;
+                } else {
+                    index = Math.min(this.bolaLevel(this.levels.length - 1, bufferLength), throughput + 1);
+                }
+                break;
+        }
+        if (index > max.index) {
+            return {
+                index: max.index,
+                reason: max.bySize ? 'size' : 'auto'
+            };
+        }
+        return {
+            index: index,
+            reason: 'auto'
+        };
+    }
+}
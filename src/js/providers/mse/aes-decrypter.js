@@ -0,0 +1,29 @@
+/**
+ * Decrypts AES-128 (CBC, PKCS7 padding) encrypted HLS segments with the Web Cryptography API
+ * @param {ArrayBuffer} data
+ * @param {ArrayBuffer} key
+ * @param {Uint8Array} iv
+ * @returns {Promise.<ArrayBuffer>}
+ */
+export default function decrypt(data, key, iv) {
+    const subtle = window.crypto && (window.crypto.subtle || window.crypto.webkitSubtle);
+    if (!subtle) {
+        return Promise.reject(new Error('AES-128 decryption is not supported'));
+    }
+    return subtle.importKey('raw', key, { name: 'AES-CBC' }, false, ['decrypt']).then(cryptoKey => {
+        return subtle.decrypt({ name: 'AES-CBC', iv: iv }, cryptoKey, data);
+    });
+}
+
+/**
+ * The IV for segments whose EXT-X-KEY has no IV attribute is the media sequence number
+ * @param {number} sn
+ * @returns {Uint8Array}
+ */
+export function sequenceNumberIV(sn) {
+    const iv = new Uint8Array(16);
+    for (let i = 12; i < 16; i++) {
+        iv[i] = (sn >> (8 * (15 - i))) & 0xff;
+    }
+    return iv;
+}
@@ -0,0 +1,63 @@
+// Exponentially weighted moving average of segment download throughput
+class Ewma {
+    constructor(halfLife) {
+        this.alpha = halfLife ? Math.exp(Math.log(0.5) / halfLife) : 0;
+        this.estimate = 0;
+        this.totalWeight = 0;
+    }
+
+    sample(weight, value) {
+        const adjustedAlpha = Math.pow(this.alpha, weight);
+        this.estimate = value * (1 - adjustedAlpha) + adjustedAlpha * this.estimate;
+        this.totalWeight += weight;
+    }
+
+    getEstimate() {
+        const zeroFactor = 1 - Math.pow(this.alpha, this.totalWeight);
+        return zeroFactor ? this.estimate / zeroFactor : this.estimate;
+    }
+}
+
+// Ignore samples from very small or cached responses
+const MIN_SAMPLE_BYTES = 16000;
+const MIN_SAMPLE_DURATION_MS = 5;
+
+/**
+ * Estimates available bandwidth in bits per second. The lower of a fast and slow moving average is used
+ * so that estimates drop quickly when throughput falls and recover gradually.
+ */
+export default class BandwidthEstimator {
+    constructor(defaultEstimate, fastHalfLife, slowHalfLife) {
+        this.defaultEstimate = defaultEstimate || 500000;
+        this.fast = new Ewma(fastHalfLife || 3);
+        this.slow = new Ewma(slowHalfLife || 9);
+        this.bytesSampled = 0;
+    }
+
+    /**
+     * @param {LoadStats} stats
+     */
+    sample(stats) {
+        const durationMs = Math.max(stats.tload - stats.trequest, MIN_SAMPLE_DURATION_MS);
+        const bytes = stats.loaded;
+        if (!bytes) {
+            return;
+        }
+        const bitsPerSecond = (8000 * bytes) / durationMs;
+        const weight = durationMs / 1000;
+        this.fast.sample(weight, bitsPerSecond);
+        this.slow.sample(weight, bitsPerSecond);
+        this.bytesSampled += bytes;
+    }
+
+    canEstimate() {
+        return this.bytesSampled >= MIN_SAMPLE_BYTES;
+    }
+
+    getEstimate() {
+        if (!this.canEstimate()) {
+            return this.defaultEstimate;
+        }
+        return Math.min(this.fast.getEstimate(), this.slow.getEstimate());
+    }
+}
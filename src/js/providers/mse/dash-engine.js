@@ -0,0 +1,663 @@
+import _ from 'utils/underscore';
+import parser from 'utils/parser';
+import MediaEngine from 'providers/mse/media-engine';
+import { loadWithRetry } from 'providers/mse/loader';
+import { parseSidx, getTimescales, getVideoTrack, getSeiUnits } from 'providers/mse/mp4-inspect';
+import { isMediaSourceSupported } from 'providers/mse/media-source';
+import { parseMPD, getInitSegment, getSegments, segmentsFromIndex, getTimestampOffset } from 'parsers/mpdparser';
+import VTTParser from 'parsers/captions/vttparser';
+
+// Live playback starts this many segment durations behind the live edge unless the manifest suggests a delay
+const LIVE_SYNC_SEGMENTS = 3;
+// Live manifests without a minimumUpdatePeriod are not refreshed more often than this many seconds
+const MIN_UPDATE_PERIOD = 2;
+// How long, in ms, the segment list of a live Representation is reused before it is recomputed
+const LIVE_SEGMENTS_TTL = 1000;
+
+function createStream(type) {
+    return {
+        type: type,
+        representation: null,
+        segments: null,
+        segmentsListedAt: 0,
+        indexRequest: null,
+        request: null,
+        frag: null,
+        lastFrag: null,
+        contiguous: false,
+        init: null,
+        appendedInit: null,
+        level: -1,
+        reason: 'initial choice',
+        ended: false
+    };
+}
+
+function segmentsEnd(segments) {
+    const last = segments[segments.length - 1];
+    return last ? last.start + last.duration : 0;
+}
+
+function isSupported(representation) {
+    return isMediaSourceSupported(representation.codecs, representation.mimeType);
+}
+
+function byteRangeKey(request) {
+    return request.url + (request.byteRange ? '@' + request.byteRange.offset : '');
+}
+
+/**
+ * Plays MPEG-DASH presentations of fragmented MP4 Representations through Media Source Extensions.
+ * Video Representations are switched between adaptively; each audio AdaptationSet is an audio track;
+ * WebVTT text AdaptationSets are offered as subtitles tracks.
+ */
+export default class DashEngine extends MediaEngine {
+    constructor(config) {
+        super(config);
+        this.name = 'dash';
+        this.manifest = null;
+        this.manifestRequest = null;
+        this.manifestLoadedAt = 0;
+        this.streams = {};
+        this.subtitleTracks = [];
+        this.currentSubtitleTrack = -1;
+        this.subtitles = null;
+        this.started = false;
+    }
+
+    loadManifest(url) {
+        this.stopLoad();
+        this.manifest = null;
+        this.streams = {};
+        this.subtitleTracks = [];
+        this.currentSubtitleTrack = -1;
+        this.subtitles = null;
+        this.started = false;
+        this.live = false;
+        this.requestManifest(url);
+    }
+
+    requestManifest(url) {
+        const request = this.manifestRequest = loadWithRetry({
+            url: url,
+            timeout: this.config.playlistLoadTimeout,
+            withCredentials: this.config.withCredentials
+        }, this.config);
+        request.promise.then(response => {
+            this.manifestRequest = null;
+            let manifest;
+            try {
+                manifest = parseMPD(parser.parseXML(response.data), url);
+            } catch (error) {
+                this.fatalError(error, 'Error loading stream: Invalid DASH manifest');
+                return;
+            }
+            this.manifestLoadedAt = new Date().getTime();
+            if (this.manifest) {
+                this.onManifestUpdated(manifest);
+            } else {
+                this.onManifestLoaded(manifest);
+            }
+        }).catch(error => {
+            this.manifestRequest = null;
+            if (this.manifest) {
+                // Keep playing what is available and retry on the next update
+                this.manifestLoadedAt = new Date().getTime();
+                return;
+            }
+            this.fatalError(error, 'Error loading stream: Manifest not found');
+        });
+    }
+
+    onManifestLoaded(manifest) {
+        this.manifest = manifest;
+        this.live = manifest.live;
+
+        const sets = manifest.adaptationSets;
+        const videoSet = _.find(_.where(sets, { contentType: 'video' }), set => {
+            return _.some(set.representations, isSupported);
+        });
+        const audioSets = _.filter(_.where(sets, { contentType: 'audio' }), set => {
+            return _.some(set.representations, isSupported);
+        });
+        if (!videoSet && !audioSets.length) {
+            this.fatalError(null, 'Error loading media: File could not be played');
+            return;
+        }
+
+        this.levels = [];
+        if (videoSet) {
+            this.levels = _.filter(videoSet.representations, isSupported)
+                .sort((a, b) => a.bandwidth - b.bandwidth)
+                .map((representation, index) => ({
+                    index: index,
+                    id: representation.id,
+                    bitrate: representation.bandwidth,
+                    width: representation.width,
+                    height: representation.height,
+                    frameRate: representation.frameRate,
+                    codecs: representation.codecs,
+                    representation: representation
+                }));
+            this.streams.video = createStream('video');
+        }
+
+        this.audioTracks = _.map(audioSets, set => ({
+            id: set.id,
+            name: set.label || set.lang,
+            language: set.lang,
+            defaulttrack: _.contains(set.roles, 'main'),
+            adaptationSet: set
+        }));
+        this.currentAudioTrack = -1;
+        if (this.audioTracks.length) {
+            const defaultTrack = _.findWhere(this.audioTracks, { defaulttrack: true });
+            this.currentAudioTrack = Math.max(0, _.indexOf(this.audioTracks, defaultTrack));
+            this.streams.audio = createStream('audio');
+        }
+        this.expectedTypes = _.keys(this.streams);
+
+        this.subtitleTracks = [];
+        _.each(_.where(sets, { contentType: 'text' }), set => {
+            const representation = set.representations[0];
+            if (representation && /vtt/.test(representation.mimeType) && !getSegments(representation, manifest, 0)) {
+                this.subtitleTracks.push({
+                    _id: 'subtitles' + this.subtitleTracks.length,
+                    name: set.label || set.lang,
+                    language: set.lang,
+                    url: representation.baseUrl
+                });
+            }
+        });
+
+        this.setLiveStartPosition();
+
+        this.trigger('levels', {
+            levels: this.levels,
+            currentLevel: this.manualLevel
+        });
+        if (this.audioTracks.length) {
+            this.trigger('audioTracks', {
+                tracks: this.audioTracks,
+                currentTrack: this.currentAudioTrack
+            });
+        }
+        if (this.subtitleTracks.length) {
+            this.trigger('subtitlesTracks', {
+                tracks: _.map(this.subtitleTracks, track => ({
+                    _id: track._id,
+                    kind: 'subtitles',
+                    label: track.name,
+                    language: track.language,
+                    embedded: true
+                }))
+            });
+        }
+        this.updateDuration();
+        this.tick();
+    }
+
+    // Live manifest updates replace the Representations' segment information, keeping the current selections
+    onManifestUpdated(manifest) {
+        const previous = this.manifest;
+        this.manifest = manifest;
+        const representations = {};
+        _.each(manifest.adaptationSets, set => {
+            _.each(set.representations, representation => {
+                representations[set.contentType + '/' + representation.id] = representation;
+            });
+        });
+        _.each(this.levels, level => {
+            level.representation = representations['video/' + level.id] || level.representation;
+        });
+        _.each(this.audioTracks, track => {
+            const set = _.findWhere(manifest.adaptationSets, { id: track.id, contentType: 'audio' });
+            track.adaptationSet = set || track.adaptationSet;
+        });
+        _.each(this.streams, stream => {
+            if (stream.representation) {
+                const representation = representations[stream.type + '/' + stream.representation.id];
+                stream.representation = representation || stream.representation;
+                stream.segments = null;
+            }
+        });
+        if (manifest.period.id !== previous.period.id || manifest.period.start !== previous.period.start) {
+            // Periods are not stitched together; start over at the new Period
+            this.seekTo(manifest.period.start);
+        }
+        this.updateDuration();
+        this.tick();
+    }
+
+    setLiveStartPosition() {
+        const manifest = this.manifest;
+        if (!manifest.live || this.startPosition) {
+            return;
+        }
+        const stream = this.streams.video || this.streams.audio;
+        const segments = this.streamSegments(stream, this.streamRepresentation(stream));
+        if (!segments || !segments.length) {
+            return;
+        }
+        const end = segmentsEnd(segments);
+        let delay = this.config.liveSyncDuration;
+        if (!delay) {
+            delay = manifest.suggestedPresentationDelay !== null ? manifest.suggestedPresentationDelay :
+                LIVE_SYNC_SEGMENTS * segments[segments.length - 1].duration;
+        }
+        this.startPosition = Math.max(segments[0].start, end - delay);
+    }
+
+    stopLoad() {
+        if (this.manifestRequest) {
+            this.manifestRequest.abort();
+            this.manifestRequest = null;
+        }
+        _.each(this.streams, stream => {
+            this.abortStream(stream);
+            if (stream.indexRequest) {
+                stream.indexRequest.abort();
+                stream.indexRequest = null;
+            }
+        });
+        if (this.subtitles && this.subtitles.request) {
+            this.subtitles.request.abort();
+            this.subtitles.request = null;
+        }
+    }
+
+    abortStream(stream) {
+        if (stream.request) {
+            stream.request.abort();
+            stream.request = null;
+        }
+        stream.frag = null;
+    }
+
+    seekTo(position) {
+        this.startPosition = position;
+        _.each(this.streams, stream => {
+            this.abortStream(stream);
+            stream.contiguous = false;
+            stream.lastFrag = null;
+            stream.ended = false;
+        });
+    }
+
+    loadNext() {
+        const manifest = this.manifest;
+        if (!manifest) {
+            return;
+        }
+        if (manifest.live && !this.manifestRequest) {
+            const updatePeriod = Math.max(manifest.minimumUpdatePeriod || 0, MIN_UPDATE_PERIOD);
+            if (new Date().getTime() - this.manifestLoadedAt >= updatePeriod * 1000) {
+                this.requestManifest(manifest.location || manifest.url);
+            }
+        }
+        const position = this.getPosition();
+        _.each(this.streams, stream => {
+            this.loadStream(stream, position);
+        });
+        this.loadSubtitles();
+    }
+
+    getDuration() {
+        const manifest = this.manifest;
+        if (!manifest) {
+            return 0;
+        }
+        if (manifest.live) {
+            return Infinity;
+        }
+        const period = manifest.period;
+        if (period.duration !== null) {
+            return period.start + period.duration;
+        }
+        const stream = this.streams.video || this.streams.audio;
+        return stream.segments ? segmentsEnd(stream.segments) : 0;
+    }
+
+    getSeekableRange() {
+        const stream = this.streams.video || this.streams.audio;
+        const segments = stream && stream.representation && this.streamSegments(stream, stream.representation);
+        if (!segments || !segments.length) {
+            return null;
+        }
+        return {
+            start: segments[0].start,
+            end: segmentsEnd(segments)
+        };
+    }
+
+    getStartDate() {
+        // Media time is presentation time, which starts at the availabilityStartTime of live presentations
+        const manifest = this.manifest;
+        if (!manifest || !manifest.live || !manifest.availabilityStartTime) {
+            return null;
+        }
+        return new Date(manifest.availabilityStartTime);
+    }
+
+    // Representations
+
+    streamRepresentation(stream) {
+        if (stream.type === 'audio') {
+            const track = this.audioTracks[this.currentAudioTrack];
+            // Audio bitrates are small compared to video, so the best supported Representation is used
+            const representations = _.filter(track.adaptationSet.representations, isSupported);
+            return _.max(representations, representation => representation.bandwidth);
+        }
+        const choice = this.chooseLevel();
+        if (choice.index !== stream.level) {
+            stream.reason = stream.level === -1 ? 'initial choice' : choice.reason;
+            stream.level = choice.index;
+        }
+        return this.levels[choice.index].representation;
+    }
+
+    /**
+     * Lists the segments of a Representation, loading its segment index if needed
+     * @returns {Array.<DashSegment>|null} null until the index is available
+     */
+    streamSegments(stream, representation) {
+        const now = new Date().getTime();
+        if (stream.representation === representation && stream.segments &&
+            (!this.manifest.live || now - stream.segmentsListedAt < LIVE_SEGMENTS_TTL)) {
+            return stream.segments;
+        }
+        let segments;
+        if (representation.segmentBase) {
+            if (!representation.index) {
+                this.loadIndex(stream, representation);
+                return null;
+            }
+            segments = segmentsFromIndex(representation, this.manifest.period, representation.index);
+        } else {
+            segments = getSegments(representation, this.manifest, now);
+        }
+        if (stream.representation === representation) {
+            stream.segments = segments;
+            stream.segmentsListedAt = now;
+        }
+        return segments;
+    }
+
+    loadIndex(stream, representation) {
+        const indexRange = representation.segmentBase.indexRange;
+        if (stream.indexRequest || !indexRange) {
+            if (!indexRange) {
+                this.fatalError(null, 'Error loading stream: Representation has no segment index');
+            }
+            return;
+        }
+        const request = stream.indexRequest = loadWithRetry({
+            url: representation.baseUrl,
+            byteRange: indexRange,
+            responseType: 'arraybuffer',
+            timeout: this.config.fragmentLoadTimeout,
+            withCredentials: this.config.withCredentials
+        }, this.config);
+        request.promise.then(response => {
+            stream.indexRequest = null;
+            const index = parseSidx(new Uint8Array(response.data), indexRange.offset);
+            if (!index) {
+                this.fatalError(null, 'Error loading stream: Invalid segment index');
+                return;
+            }
+            representation.index = index;
+            this.tick();
+        }).catch(error => {
+            stream.indexRequest = null;
+            this.fatalError(error, 'Error loading stream: Could not load segment index');
+        });
+    }
+
+    // Segments
+
+    loadStream(stream, position) {
+        if (!stream || stream.frag || stream.ended) {
+            return;
+        }
+        const representation = this.streamRepresentation(stream);
+        if (!representation) {
+            return;
+        }
+        if (stream.representation !== representation) {
+            if (!stream.representation || stream.representation.id !== representation.id) {
+                stream.contiguous = false;
+            }
+            stream.representation = representation;
+            stream.segments = null;
+        }
+        const segments = this.streamSegments(stream, representation);
+        if (!segments) {
+            return;
+        }
+
+        const info = this.bufferInfo(position, stream.type);
+        if (info.len >= this.config.maxBufferLength) {
+            return;
+        }
+        const bufferEnd = stream.contiguous && stream.lastFrag ?
+            stream.lastFrag.start + stream.lastFrag.duration : info.end;
+        if (segments.length && bufferEnd < segments[0].start) {
+            // The position has fallen out of the live window
+            this.loadFragment(stream, representation, segments[0]);
+            return;
+        }
+        const frag = _.find(segments, segment => segment.start + segment.duration > bufferEnd + 0.05);
+        if (!frag) {
+            if (!this.manifest.live && bufferEnd >= segmentsEnd(segments) - 0.5) {
+                stream.ended = true;
+                this.checkEnded();
+            }
+            return;
+        }
+        this.loadFragment(stream, representation, frag);
+    }
+
+    loadFragment(stream, representation, frag) {
+        const level = stream.type === 'video' ? stream.level : undefined;
+        const reason = stream.reason;
+        stream.frag = frag;
+        const request = stream.request = {
+            aborted: false,
+            current: null,
+            abort: function() {
+                this.aborted = true;
+                if (this.current) {
+                    this.current.abort();
+                }
+            }
+        };
+        this.loadInit(stream, representation).then(init => {
+            if (request.aborted) {
+                return;
+            }
+            request.current = loadWithRetry({
+                url: frag.url,
+                byteRange: frag.byteRange,
+                responseType: 'arraybuffer',
+                timeout: this.config.fragmentLoadTimeout,
+                withCredentials: this.config.withCredentials
+            }, this.config);
+            return request.current.promise.then(response => {
+                if (request.aborted) {
+                    return;
+                }
+                stream.request = null;
+                if (stream.type === 'video' || !this.streams.video) {
+                    this.abr.sample(response.stats);
+                }
+                this.onFragmentLoaded(stream, representation, init, frag, level, reason, new Uint8Array(response.data));
+            });
+        }).catch(error => {
+            if (request.aborted) {
+                return;
+            }
+            stream.request = null;
+            stream.frag = null;
+            this.fatalError(error, 'Error loading stream: Could not load segment');
+        });
+    }
+
+    loadInit(stream, representation) {
+        const initSegment = getInitSegment(representation);
+        if (!initSegment) {
+            return Promise.resolve(null);
+        }
+        const key = byteRangeKey(initSegment);
+        if (stream.init && stream.init.key === key) {
+            return Promise.resolve(stream.init);
+        }
+        return loadWithRetry({
+            url: initSegment.url,
+            byteRange: initSegment.byteRange,
+            responseType: 'arraybuffer',
+            timeout: this.config.fragmentLoadTimeout,
+            withCredentials: this.config.withCredentials
+        }, this.config).promise.then(response => {
+            const data = new Uint8Array(response.data);
+            stream.init = {
+                key: key,
+                data: data,
+                timescales: getTimescales(data),
+                videoTrack: stream.type === 'video' ? getVideoTrack(data) : null
+            };
+            return stream.init;
+        });
+    }
+
+    onFragmentLoaded(stream, representation, init, frag, level, reason, data) {
+        const appendInit = init && stream.appendedInit !== init.key ? {
+            mimeType: representation.mimeType + '; codecs="' + representation.codecs + '"',
+            data: init.data
+        } : null;
+        if (init) {
+            stream.appendedInit = init.key;
+        }
+        const timestampOffset = getTimestampOffset(representation, this.manifest.period);
+        if (init && init.videoTrack) {
+            this.addCaptionsData(getSeiUnits(init.videoTrack, init.timescales, data).map(unit => ({
+                time: unit.time + timestampOffset,
+                data: unit.data
+            })), stream.contiguous);
+        }
+        this.appendSegment(stream.type, appendInit, data, {
+            start: frag.start,
+            end: frag.start + frag.duration,
+            level: level,
+            reason: reason,
+            timestampOffset: timestampOffset
+        }, () => {
+            stream.lastFrag = frag;
+            stream.contiguous = true;
+            stream.frag = null;
+            this.checkStartPosition();
+            this.tick();
+        });
+    }
+
+    checkStartPosition() {
+        const video = this.video;
+        if (this.started || !video || !video.buffered.length) {
+            return;
+        }
+        this.started = true;
+        const start = Math.max(this.startPosition, video.buffered.start(0));
+        if (Math.abs(video.currentTime - start) > 0.1) {
+            video.currentTime = start;
+        }
+    }
+
+    checkEnded() {
+        const ended = _.every(this.streams, stream => stream.ended);
+        if (ended) {
+            this.endOfStream();
+        }
+    }
+
+    // Audio tracks
+
+    setAudioTrack(index) {
+        if (index === this.currentAudioTrack || !this.audioTracks[index]) {
+            return;
+        }
+        super.setAudioTrack(index);
+        const stream = this.streams.audio;
+        this.abortStream(stream);
+        stream.contiguous = false;
+        stream.lastFrag = null;
+        stream.ended = false;
+        if (this.buffers && this.video && this.buffers.has('audio')) {
+            const duration = this.mediaSource.duration;
+            const start = this.video.currentTime + 0.5;
+            this.buffers.remove('audio', start, isFinite(duration) ? duration : Infinity);
+        }
+        this.tick();
+    }
+
+    // Subtitles
+
+    setSubtitleTrack(id) {
+        const index = _.indexOf(this.subtitleTracks, _.findWhere(this.subtitleTracks, { _id: id }));
+        if (index === this.currentSubtitleTrack) {
+            return;
+        }
+        if (this.subtitles && this.subtitles.request) {
+            this.subtitles.request.abort();
+        }
+        this.currentSubtitleTrack = index;
+        this.subtitles = index === -1 ? null : {
+            track: this.subtitleTracks[index],
+            loaded: false,
+            request: null
+        };
+        this.tick();
+    }
+
+    // Text AdaptationSets are loaded as a single WebVTT file
+    loadSubtitles() {
+        const subtitles = this.subtitles;
+        if (!subtitles || subtitles.loaded || subtitles.request) {
+            return;
+        }
+        const track = subtitles.track;
+        const request = subtitles.request = loadWithRetry({
+            url: track.url,
+            timeout: this.config.fragmentLoadTimeout,
+            withCredentials: this.config.withCredentials
+        }, this.config);
+        request.promise.then(response => {
+            subtitles.request = null;
+            subtitles.loaded = true;
+            const offset = this.manifest.period.start;
+            const vttParser = new VTTParser(window);
+            vttParser.oncue = cue => {
+                cue.startTime += offset;
+                cue.endTime += offset;
+                this.trigger('cue', {
+                    type: 'subtitles',
+                    track: track._id,
+                    cue: cue
+                });
+            };
+            try {
+                vttParser.parse(response.data);
+            } catch (e) {/* ignore malformed cues */}
+        }).catch(() => {
+            // Subtitles are not essential to playback
+            subtitles.request = null;
+            subtitles.loaded = true;
+        });
+    }
+
+    fatalError(error, message) {
+        this.trigger('error', {
+            message: message,
+            error: error,
+            fatal: true
+        });
+    }
+}
@@ -0,0 +1,178 @@
+// Reads Exp-Golomb coded values from H.264 RBSP data (SPS and SEI payloads)
+export default class ExpGolomb {
+    constructor(data) {
+        this.data = data;
+        this.bytesAvailable = data.byteLength;
+        this.word = 0;
+        this.bitsAvailable = 0;
+    }
+
+    loadWord() {
+        const position = this.data.byteLength - this.bytesAvailable;
+        const availableBytes = Math.min(4, this.bytesAvailable);
+        if (availableBytes === 0) {
+            throw new Error('No bytes available');
+        }
+        const workingBytes = new Uint8Array(4);
+        workingBytes.set(this.data.subarray(position, position + availableBytes));
+        this.word = new DataView(workingBytes.buffer).getUint32(0);
+        this.bitsAvailable = availableBytes * 8;
+        this.bytesAvailable -= availableBytes;
+    }
+
+    skipBits(count) {
+        if (this.bitsAvailable > count) {
+            this.word <<= count;
+            this.bitsAvailable -= count;
+        } else {
+            count -= this.bitsAvailable;
+            const skipBytes = count >> 3;
+            count -= (skipBytes << 3);
+            this.bytesAvailable -= skipBytes;
+            this.loadWord();
+            this.word <<= count;
+            this.bitsAvailable -= count;
+        }
+    }
+
+    readBits(size) {
+        let bits = Math.min(this.bitsAvailable, size);
+        const value = this.word >>> (32 - bits);
+        this.bitsAvailable -= bits;
+        if (this.bitsAvailable > 0) {
+            this.word <<= bits;
+        } else if (this.bytesAvailable > 0) {
+            this.loadWord();
+        }
+        bits = size - bits;
+        if (bits > 0 && this.bitsAvailable) {
+            return (value << bits) | this.readBits(bits);
+        }
+        return value;
+    }
+
+    skipLeadingZeros() {
+        let leadingZeroCount;
+        for (leadingZeroCount = 0; leadingZeroCount < this.bitsAvailable; ++leadingZeroCount) {
+            if ((this.word & (0x80000000 >>> leadingZeroCount)) !== 0) {
+                this.word <<= leadingZeroCount;
+                this.bitsAvailable -= leadingZeroCount;
+                return leadingZeroCount;
+            }
+        }
+        this.loadWord();
+        return leadingZeroCount + this.skipLeadingZeros();
+    }
+
+    skipUEG() {
+        this.skipBits(1 + this.skipLeadingZeros());
+    }
+
+    skipEG() {
+        this.skipBits(1 + this.skipLeadingZeros());
+    }
+
+    readUEG() {
+        const leadingZeros = this.skipLeadingZeros();
+        return this.readBits(leadingZeros + 1) - 1;
+    }
+
+    readEG() {
+        const value = this.readUEG();
+        if (value & 0x01) {
+            // the number is odd if the low order bit is set
+            return (1 + value) >>> 1;
+        }
+        return -1 * (value >>> 1);
+    }
+
+    readBoolean() {
+        return this.readBits(1) === 1;
+    }
+
+    readUByte() {
+        return this.readBits(8);
+    }
+
+    skipScalingList(count) {
+        let lastScale = 8;
+        let nextScale = 8;
+        for (let j = 0; j < count; j++) {
+            if (nextScale !== 0) {
+                const deltaScale = this.readEG();
+                nextScale = (lastScale + deltaScale + 256) % 256;
+            }
+            lastScale = (nextScale === 0) ? lastScale : nextScale;
+        }
+    }
+
+    // Returns the coded dimensions and codec string of a sequence parameter set
+    readSPS() {
+        let frameCropLeftOffset = 0;
+        let frameCropRightOffset = 0;
+        let frameCropTopOffset = 0;
+        let frameCropBottomOffset = 0;
+
+        this.readUByte(); // NAL header
+        const profileIdc = this.readUByte();
+        const constraintFlags = this.readUByte();
+        const levelIdc = this.readUByte();
+        this.skipUEG(); // seq_parameter_set_id
+
+        if (profileIdc === 100 || profileIdc === 110 || profileIdc === 122 || profileIdc === 244 ||
+            profileIdc === 44 || profileIdc === 83 || profileIdc === 86 || profileIdc === 118 || profileIdc === 128) {
+            const chromaFormatIdc = this.readUEG();
+            if (chromaFormatIdc === 3) {
+                this.skipBits(1); // separate_colour_plane_flag
+            }
+            this.skipUEG(); // bit_depth_luma_minus8
+            this.skipUEG(); // bit_depth_chroma_minus8
+            this.skipBits(1); // qpprime_y_zero_transform_bypass_flag
+            if (this.readBoolean()) { // seq_scaling_matrix_present_flag
+                const scalingListCount = (chromaFormatIdc !== 3) ? 8 : 12;
+                for (let i = 0; i < scalingListCount; i++) {
+                    if (this.readBoolean()) {
+                        this.skipScalingList(i < 6 ? 16 : 64);
+                    }
+                }
+            }
+        }
+        this.skipUEG(); // log2_max_frame_num_minus4
+        const picOrderCntType = this.readUEG();
+        if (picOrderCntType === 0) {
+            this.readUEG(); // log2_max_pic_order_cnt_lsb_minus4
+        } else if (picOrderCntType === 1) {
+            this.skipBits(1); // delta_pic_order_always_zero_flag
+            this.skipEG(); // offset_for_non_ref_pic
+            this.skipEG(); // offset_for_top_to_bottom_field
+            const numRefFramesInPicOrderCntCycle = this.readUEG();
+            for (let i = 0; i < numRefFramesInPicOrderCntCycle; i++) {
+                this.skipEG(); // offset_for_ref_frame[i]
+            }
+        }
+        this.skipUEG(); // max_num_ref_frames
+        this.skipBits(1); // gaps_in_frame_num_value_allowed_flag
+        const picWidthInMbsMinus1 = this.readUEG();
+        const picHeightInMapUnitsMinus1 = this.readUEG();
+        const frameMbsOnlyFlag = this.readBits(1);
+        if (frameMbsOnlyFlag === 0) {
+            this.skipBits(1); // mb_adaptive_frame_field_flag
+        }
+        this.skipBits(1); // direct_8x8_inference_flag
+        if (this.readBoolean()) { // frame_cropping_flag
+            frameCropLeftOffset = this.readUEG();
+            frameCropRightOffset = this.readUEG();
+            frameCropTopOffset = this.readUEG();
+            frameCropBottomOffset = this.readUEG();
+        }
+
+        const toHex = value => ('0' + value.toString(16)).slice(-2);
+
+        return {
+            width: Math.ceil((((picWidthInMbsMinus1 + 1) * 16) - frameCropLeftOffset * 2 - frameCropRightOffset * 2)),
+            height: ((2 - frameMbsOnlyFlag) * (picHeightInMapUnitsMinus1 + 1) * 16) -
+                ((frameMbsOnlyFlag ? 2 : 4) * (frameCropTopOffset + frameCropBottomOffset)),
+            codec: 'avc1.' + toHex(profileIdc) + toHex(constraintFlags) + toHex(levelIdc)
+        };
+    }
+}
@@ -0,0 +1,885 @@
+import _ from 'utils/underscore';
+import MediaEngine from 'providers/mse/media-engine';
+import { loadWithRetry } from 'providers/mse/loader';
+import TSDemuxer from 'providers/mse/ts-demuxer';
+import MP4Remuxer from 'providers/mse/mp4-remuxer';
+import decrypt, { sequenceNumberIV } from 'providers/mse/aes-decrypter';
+import { getTimescales, getStartTime, getVideoTrack, getSeiUnits } from 'providers/mse/mp4-inspect';
+import { isMediaSourceSupported } from 'providers/mse/media-source';
+import { splitFrames } from 'providers/mse/id3';
+import { isMasterPlaylist, parseMasterPlaylist, parseMediaPlaylist } from 'parsers/m3u8parser';
+import VTTParser from 'parsers/captions/vttparser';
+
+const MPEG_TS_CLOCK = 90000;
+const DEFAULT_CODECS = 'avc1.42e01e,mp4a.40.2';
+const AUDIO_CODEC_REGEX = /^(mp4a|ac-3|ec-3|opus|flac)/;
+// Number of target durations behind the live edge to start playback at
+const LIVE_SYNC_SEGMENTS = 3;
+const TIMESTAMP_MAP_REGEX = /X-TIMESTAMP-MAP=.*?MPEGTS:(\d+)/;
+const LOCAL_TIME_REGEX = /LOCAL:((?:\d+:)?\d+:\d+\.\d+)/;
+
+function createStream(type) {
+    return {
+        type: type,
+        url: null,
+        details: null,
+        request: null,
+        playlistRequest: null,
+        frag: null,
+        lastFrag: null,
+        contiguous: false,
+        reference: null,
+        demuxer: new TSDemuxer(),
+        remuxer: new MP4Remuxer(),
+        map: null,
+        appendedMap: null,
+        level: -1,
+        reason: 'initial choice',
+        ended: false
+    };
+}
+
+function splitCodecs(codecs) {
+    const list = (codecs || DEFAULT_CODECS).split(',').map(codec => codec.trim());
+    return {
+        video: _.filter(list, codec => !AUDIO_CODEC_REGEX.test(codec)).join(','),
+        audio: _.filter(list, codec => AUDIO_CODEC_REGEX.test(codec)).join(',')
+    };
+}
+
+function playlistEnd(details) {
+    const last = details.segments[details.segments.length - 1];
+    return last ? last.start + last.duration : 0;
+}
+
+function shiftPlaylist(details, delta) {
+    if (!delta) {
+        return;
+    }
+    details.segments.forEach(segment => {
+        segment.start += delta;
+    });
+}
+
+// Place a refreshed or newly loaded playlist on the same timeline as a previously loaded one
+function alignPlaylist(details, reference) {
+    const segments = details.segments;
+    if (!reference || !segments.length || !reference.segments.length) {
+        return;
+    }
+    const first = segments[0];
+    const matching = _.find(reference.segments, segment => segment.sn === first.sn);
+    if (matching) {
+        shiftPlaylist(details, matching.start - first.start);
+        return;
+    }
+    const referenceStart = reference.segments[0];
+    if (first.programDateTime && referenceStart.programDateTime) {
+        shiftPlaylist(details, referenceStart.start +
+            ((first.programDateTime - referenceStart.programDateTime) / 1000) - first.start);
+        return;
+    }
+    // Without overlapping segments, assume both playlists end at the live edge
+    shiftPlaylist(details, playlistEnd(reference) - playlistEnd(details));
+}
+
+// Converts a date (ms since the epoch) to a time of the playlist's timeline, using the nearest EXT-X-PROGRAM-DATE-TIME
+function playlistTime(details, date) {
+    let reference = null;
+    details.segments.forEach(segment => {
+        if (segment.programDateTime && (!reference || Math.abs(date - segment.programDateTime) <
+            Math.abs(date - reference.programDateTime))) {
+            reference = segment;
+        }
+    });
+    return reference ? reference.start + ((date - reference.programDateTime) / 1000) : null;
+}
+
+function parseVTTTime(time) {
+    const parts = time.split(':').map(parseFloat);
+    return parts.reduce((seconds, part) => (seconds * 60) + part, 0);
+}
+
+function createCue(start, end, text) {
+    const Cue = window.VTTCue || window.TextTrackCue;
+    return new Cue(start, end, text);
+}
+
+/**
+ * Plays HLS streams through Media Source Extensions. MPEG-TS segments are transmuxed to fragmented MP4;
+ * fMP4 (EXT-X-MAP) segments are appended as they are.
+ */
+export default class HlsEngine extends MediaEngine {
+    constructor(config) {
+        super(config);
+        this.name = 'hlsjs';
+        this.manifestRequest = null;
+        this.streams = {};
+        this.initPTS = {};
+        this.keys = {};
+        this.mainTypes = null;
+        this.subtitleTracks = [];
+        this.currentSubtitleTrack = -1;
+        this.subtitles = null;
+        this.started = false;
+        this.signalCues = {};
+    }
+
+    loadManifest(url) {
+        this.stopLoad();
+        this.streams = {
+            main: createStream('main')
+        };
+        this.initPTS = {};
+        this.mainTypes = null;
+        this.subtitleTracks = [];
+        this.currentSubtitleTrack = -1;
+        this.subtitles = null;
+        this.started = false;
+        this.live = false;
+        this.signalCues = {};
+
+        const request = this.manifestRequest = loadWithRetry({
+            url: url,
+            timeout: this.config.playlistLoadTimeout,
+            withCredentials: this.config.withCredentials
+        }, this.config);
+        request.promise.then(response => {
+            this.manifestRequest = null;
+            this.onManifestLoaded(response.data, url);
+        }).catch(error => {
+            this.manifestRequest = null;
+            this.fatalError(error, 'Error loading stream: Manifest not found');
+        });
+    }
+
+    onManifestLoaded(text, url) {
+        let manifest;
+        try {
+            if (isMasterPlaylist(text)) {
+                manifest = parseMasterPlaylist(text, url);
+            } else {
+                const details = parseMediaPlaylist(text, url);
+                details.loadedAt = new Date().getTime();
+                manifest = {
+                    levels: [{ url: url, bitrate: 0, width: 0, height: 0, details: details }],
+                    audioTracks: [],
+                    subtitleTracks: []
+                };
+            }
+        } catch (error) {
+            this.fatalError(error, 'Error loading stream: Invalid HLS manifest');
+            return;
+        }
+
+        let levels = manifest.levels;
+        const playable = _.filter(levels, level => !level.codecs || isMediaSourceSupported(level.codecs));
+        if (playable.length) {
+            levels = playable;
+        }
+        levels.sort((a, b) => a.bitrate - b.bitrate);
+        levels.forEach((level, index) => {
+            level.index = index;
+        });
+        this.levels = levels;
+        if (levels[0].details) {
+            this.addSignalCues(levels[0].details);
+        }
+
+        const audioGroup = levels[0].audio;
+        this.audioTracks = _.filter(manifest.audioTracks, track => track.groupid === audioGroup);
+        this.currentAudioTrack = -1;
+        if (this.audioTracks.length) {
+            const defaultTrack = _.findWhere(this.audioTracks, { defaulttrack: true });
+            this.currentAudioTrack = Math.max(0, _.indexOf(this.audioTracks, defaultTrack));
+            if (_.some(this.audioTracks, track => track.url)) {
+                this.streams.audio = createStream('audio');
+            }
+        }
+
+        const subtitlesGroup = levels[0].subtitles;
+        this.subtitleTracks = _.map(_.filter(manifest.subtitleTracks, track => track.groupid === subtitlesGroup),
+            (track, index) => Object.assign({ _id: 'subtitles' + index }, track));
+
+        this.trigger('levels', {
+            levels: this.levels,
+            currentLevel: this.manualLevel
+        });
+        if (this.audioTracks.length) {
+            this.trigger('audioTracks', {
+                tracks: this.audioTracks,
+                currentTrack: this.currentAudioTrack
+            });
+        }
+        if (this.subtitleTracks.length) {
+            this.trigger('subtitlesTracks', {
+                tracks: _.map(this.subtitleTracks, track => ({
+                    _id: track._id,
+                    kind: 'subtitles',
+                    label: track.name,
+                    language: track.language,
+                    embedded: true,
+                    defaulttrack: track.defaulttrack,
+                    autoselect: track.autoselect,
+                    forced: track.forced
+                }))
+            });
+        }
+        this.tick();
+    }
+
+    stopLoad() {
+        if (this.manifestRequest) {
+            this.manifestRequest.abort();
+            this.manifestRequest = null;
+        }
+        _.each(this.streams, stream => {
+            this.abortStream(stream);
+            if (stream.playlistRequest) {
+                stream.playlistRequest.abort();
+                stream.playlistRequest = null;
+            }
+        });
+        if (this.subtitles && this.subtitles.request) {
+            this.subtitles.request.abort();
+            this.subtitles.request = null;
+        }
+    }
+
+    abortStream(stream) {
+        if (stream.request) {
+            stream.request.abort();
+            stream.request = null;
+        }
+        stream.frag = null;
+    }
+
+    seekTo(position) {
+        this.startPosition = position;
+        _.each(this.streams, stream => {
+            this.abortStream(stream);
+            stream.contiguous = false;
+            stream.lastFrag = null;
+            stream.ended = false;
+        });
+    }
+
+    loadNext() {
+        if (!this.levels.length) {
+            return;
+        }
+        const position = this.getPosition();
+        this.loadStream(this.streams.main, position);
+        if (this.streams.audio && this.mainTypes) {
+            this.loadStream(this.streams.audio, position);
+        }
+        this.loadSubtitles(position);
+    }
+
+    getDuration() {
+        const details = this.streams.main && this.streams.main.details;
+        if (!details) {
+            return 0;
+        }
+        return details.endList ? playlistEnd(details) : Infinity;
+    }
+
+    getSeekableRange() {
+        const details = this.streams.main && this.streams.main.details;
+        if (!details || !details.segments.length) {
+            return null;
+        }
+        return {
+            start: details.segments[0].start,
+            end: playlistEnd(details)
+        };
+    }
+
+    getStartDate() {
+        const details = this.streams.main && this.streams.main.details;
+        const segment = details && _.find(details.segments, s => !!s.programDateTime);
+        if (!segment) {
+            return null;
+        }
+        return new Date(segment.programDateTime - (segment.start * 1000));
+    }
+
+    // Playlists
+
+    playlistUrl(stream) {
+        if (stream.type === 'audio') {
+            const track = this.audioTracks[this.currentAudioTrack];
+            return track && track.url;
+        }
+        const choice = this.chooseLevel();
+        const level = choice.index;
+        if (level !== stream.level) {
+            stream.reason = stream.level === -1 ? 'initial choice' : choice.reason;
+            stream.level = level;
+            stream.contiguous = false;
+            stream.demuxer.reset();
+            stream.remuxer.reset();
+        }
+        return this.levels[level].url;
+    }
+
+    playlistOwner(stream) {
+        return stream.type === 'audio' ? this.audioTracks[this.currentAudioTrack] : this.levels[stream.level];
+    }
+
+    loadPlaylist(stream, url) {
+        const owner = this.playlistOwner(stream);
+        const request = stream.playlistRequest = loadWithRetry({
+            url: url,
+            timeout: this.config.playlistLoadTimeout,
+            withCredentials: this.config.withCredentials
+        }, this.config);
+        request.promise.then(response => {
+            stream.playlistRequest = null;
+            let details;
+            try {
+                details = parseMediaPlaylist(response.data, url);
+            } catch (error) {
+                this.fatalError(error, 'Error loading stream: Invalid HLS playlist');
+                return;
+            }
+            details.loadedAt = new Date().getTime();
+            this.onPlaylistLoaded(stream, owner, details);
+        }).catch(error => {
+            stream.playlistRequest = null;
+            this.fatalError(error, 'Error loading stream: Playlist not found');
+        });
+    }
+
+    onPlaylistLoaded(stream, owner, details) {
+        if (!details.endList) {
+            const reference = stream.details || stream.reference ||
+                (stream.type === 'audio' ? this.streams.main.details : null);
+            alignPlaylist(details, reference);
+        }
+        owner.details = details;
+        if (stream.url === details.url) {
+            stream.details = details;
+        }
+        if (stream.type === 'main') {
+            if (!details.endList && !this.live) {
+                this.live = true;
+                if (!this.startPosition) {
+                    const end = playlistEnd(details);
+                    const delay = this.config.liveSyncDuration || LIVE_SYNC_SEGMENTS * details.targetDuration;
+                    this.startPosition = Math.max(details.segments.length ? details.segments[0].start : 0,
+                        end - delay);
+                }
+            }
+            this.updateDuration();
+            this.addSignalCues(details);
+        }
+        this.tick();
+    }
+
+    needsRefresh(details) {
+        return !details.endList && (new Date().getTime() - details.loadedAt) >= details.targetDuration * 1000;
+    }
+
+    // Fragments
+
+    loadStream(stream, position) {
+        if (!stream || stream.frag || stream.ended) {
+            return;
+        }
+        const url = this.playlistUrl(stream);
+        if (!url) {
+            return;
+        }
+        if (stream.url !== url) {
+            const owner = this.playlistOwner(stream);
+            stream.url = url;
+            stream.reference = stream.details || stream.reference;
+            stream.details = owner.details && (owner.details.endList || !this.needsRefresh(owner.details)) ? owner.details : null;
+            stream.contiguous = false;
+        }
+        const details = stream.details;
+        if ((!details || this.needsRefresh(details)) && !stream.playlistRequest) {
+            this.loadPlaylist(stream, url);
+        }
+        if (!details) {
+            return;
+        }
+
+        const bufferType = stream.type === 'audio' ? 'audio' : this.mainBufferType();
+        const info = this.bufferInfo(position, bufferType);
+        if (info.len >= this.config.maxBufferLength) {
+            return;
+        }
+        const frag = this.findFragment(stream, details, info.end);
+        if (!frag) {
+            if (details.endList && info.end >= playlistEnd(details) - 0.5) {
+                stream.ended = true;
+                this.checkEnded();
+            }
+            return;
+        }
+        this.loadFragment(stream, frag);
+    }
+
+    mainBufferType() {
+        if (!this.mainTypes) {
+            return undefined;
+        }
+        return _.contains(this.mainTypes, 'video') ? 'video' : 'audio';
+    }
+
+    findFragment(stream, details, bufferEnd) {
+        const segments = details.segments;
+        if (!segments.length) {
+            return null;
+        }
+        const last = stream.lastFrag;
+        if (stream.contiguous && last) {
+            const next = _.find(segments, segment => segment.sn === last.sn + 1);
+            if (next) {
+                return next;
+            }
+            if (last.sn >= segments[segments.length - 1].sn) {
+                // Wait for the live playlist to be updated
+                return null;
+            }
+        }
+        if (bufferEnd < segments[0].start) {
+            // The position has fallen out of the live window
+            return segments[0];
+        }
+        return _.find(segments, segment => segment.start + segment.duration > bufferEnd + 0.1) || null;
+    }
+
+    loadFragment(stream, frag) {
+        const level = stream.level;
+        const reason = stream.reason;
+        stream.frag = frag;
+        const loading = [this.loadMap(stream, frag), this.loadKey(frag)];
+        const request = stream.request = {
+            aborted: false,
+            current: null,
+            abort: function() {
+                this.aborted = true;
+                if (this.current) {
+                    this.current.abort();
+                }
+            }
+        };
+        Promise.all(loading).then(results => {
+            if (request.aborted) {
+                return;
+            }
+            request.current = loadWithRetry({
+                url: frag.url,
+                byteRange: frag.byteRange,
+                responseType: 'arraybuffer',
+                timeout: this.config.fragmentLoadTimeout,
+                withCredentials: this.config.withCredentials
+            }, this.config);
+            return request.current.promise.then(response => {
+                if (request.aborted) {
+                    return;
+                }
+                this.abr.sample(response.stats);
+                const key = results[1];
+                if (key) {
+                    return decrypt(response.data, key, frag.key.iv || sequenceNumberIV(frag.sn));
+                }
+                return response.data;
+            });
+        }).then(data => {
+            if (request.aborted || !data) {
+                return;
+            }
+            stream.request = null;
+            this.onFragmentLoaded(stream, frag, level, reason, new Uint8Array(data));
+        }).catch(error => {
+            if (request.aborted) {
+                return;
+            }
+            stream.request = null;
+            stream.frag = null;
+            this.fatalError(error, 'Error loading stream: Could not load segment');
+        });
+    }
+
+    loadMap(stream, frag) {
+        const map = frag.map;
+        if (!map) {
+            return Promise.resolve(null);
+        }
+        const mapKey = map.url + (map.byteRange ? '@' + map.byteRange.offset : '');
+        if (stream.map && stream.map.key === mapKey) {
+            return Promise.resolve(stream.map);
+        }
+        return loadWithRetry({
+            url: map.url,
+            byteRange: map.byteRange,
+            responseType: 'arraybuffer',
+            timeout: this.config.fragmentLoadTimeout,
+            withCredentials: this.config.withCredentials
+        }, this.config).promise.then(response => {
+            const data = new Uint8Array(response.data);
+            stream.map = {
+                key: mapKey,
+                data: data,
+                timescales: getTimescales(data),
+                videoTrack: getVideoTrack(data)
+            };
+            return stream.map;
+        });
+    }
+
+    loadKey(frag) {
+        const key = frag.key;
+        if (!key || key.method !== 'AES-128' || !key.url) {
+            return Promise.resolve(null);
+        }
+        if (this.keys[key.url]) {
+            return Promise.resolve(this.keys[key.url]);
+        }
+        return loadWithRetry({
+            url: key.url,
+            responseType: 'arraybuffer',
+            timeout: this.config.fragmentLoadTimeout,
+            withCredentials: this.config.withCredentials
+        }, this.config).promise.then(response => {
+            this.keys[key.url] = response.data;
+            return response.data;
+        });
+    }
+
+    onFragmentLoaded(stream, frag, level, reason, data) {
+        const contiguous = stream.contiguous && !!stream.lastFrag &&
+            frag.sn === stream.lastFrag.sn + 1 && frag.cc === stream.lastFrag.cc;
+        const segmentInfo = {
+            level: stream.type === 'main' ? level : undefined,
+            reason: reason
+        };
+        const appends = [];
+
+        if (frag.map) {
+            const codecs = this.streamCodecs(stream, level);
+            const type = stream.type === 'audio' || !codecs.video ? 'audio' : 'video';
+            const start = getStartTime(stream.map.timescales, data);
+            this.setMainTypes(stream, [type]);
+            const init = stream.appendedMap !== stream.map.key ? {
+                mimeType: type + '/mp4; codecs="' + (type === 'audio' ? codecs.audio : _.compact([codecs.video, codecs.audio]).join(',')) + '"',
+                data: stream.map.data
+            } : null;
+            stream.appendedMap = stream.map.key;
+            if (type === 'video' && stream.map.videoTrack && start !== null) {
+                const offset = frag.start - start;
+                this.addCaptionsData(getSeiUnits(stream.map.videoTrack, stream.map.timescales, data).map(unit => ({
+                    time: unit.time + offset,
+                    data: unit.data
+                })), contiguous);
+            }
+            appends.push({
+                type: type,
+                init: init,
+                data: data,
+                segment: Object.assign({
+                    start: frag.start,
+                    end: frag.start + frag.duration,
+                    timestampOffset: start === null ? undefined : frag.start - start
+                }, segmentInfo)
+            });
+        } else {
+            if (!contiguous && stream.lastFrag && frag.cc !== stream.lastFrag.cc) {
+                stream.demuxer.reset();
+            }
+            const demuxed = stream.demuxer.demux(data, contiguous);
+            const initPTS = this.initPTS[frag.cc];
+            const result = stream.remuxer.remux(demuxed, frag.start, contiguous, initPTS === undefined ? null : initPTS);
+            if (result) {
+                this.initPTS[frag.cc] = result.initPTS;
+                let segments = result.segments;
+                if (stream.type === 'main' && this.streams.audio) {
+                    // Audio comes from the alternate rendition
+                    segments = _.filter(segments, segment => segment.type !== 'audio');
+                }
+                this.setMainTypes(stream, _.pluck(segments, 'type'));
+                segments.forEach(segment => {
+                    const init = result.initSegments[segment.type];
+                    appends.push({
+                        type: segment.type,
+                        init: init ? {
+                            mimeType: init.container + '; codecs="' + init.codec + '"',
+                            data: init.data
+                        } : null,
+                        data: segment.data,
+                        segment: Object.assign({
+                            start: segment.start,
+                            end: segment.end
+                        }, segmentInfo)
+                    });
+                });
+                this.addMetadataCues(result.id3, frag);
+                this.addCaptionsData(result.captions, contiguous);
+            }
+        }
+
+        let pending = appends.length;
+        const done = () => {
+            if (--pending > 0) {
+                return;
+            }
+            stream.lastFrag = frag;
+            stream.contiguous = true;
+            stream.frag = null;
+            this.checkStartPosition();
+            this.tick();
+        };
+        if (!pending) {
+            pending = 1;
+            done();
+            return;
+        }
+        appends.forEach(append => {
+            this.appendSegment(append.type, append.init, append.data, append.segment, done);
+        });
+    }
+
+    streamCodecs(stream, level) {
+        if (stream.type === 'audio') {
+            const codecs = splitCodecs(this.levels[this.streams.main.level].codecs);
+            return { video: '', audio: codecs.audio || 'mp4a.40.2' };
+        }
+        const codecs = splitCodecs(this.levels[level].codecs);
+        if (this.streams.audio) {
+            codecs.audio = '';
+        }
+        return codecs;
+    }
+
+    setMainTypes(stream, types) {
+        if (stream.type !== 'main' || this.mainTypes || !types.length) {
+            return;
+        }
+        this.mainTypes = _.filter(types, (type, index) => _.indexOf(types, type) === index);
+        this.expectedTypes = this.mainTypes.slice();
+        if (this.streams.audio && !_.contains(this.expectedTypes, 'audio')) {
+            this.expectedTypes.push('audio');
+        }
+    }
+
+    checkStartPosition() {
+        const video = this.video;
+        if (this.started || !video || !video.buffered.length) {
+            return;
+        }
+        this.started = true;
+        const start = Math.max(this.startPosition, video.buffered.start(0));
+        if (Math.abs(video.currentTime - start) > 0.1) {
+            video.currentTime = start;
+        }
+    }
+
+    checkEnded() {
+        const ended = _.every(this.streams, stream => stream.ended);
+        if (ended) {
+            this.endOfStream();
+        }
+    }
+
+    addMetadataCues(samples, frag) {
+        const fragEnd = frag.start + frag.duration;
+        samples.forEach(sample => {
+            splitFrames(sample.data).forEach(frame => {
+                const cue = createCue(sample.time, Math.max(fragEnd, sample.time + 0.25), '');
+                cue.data = frame;
+                this.trigger('cue', {
+                    type: 'metadata',
+                    cue: cue
+                });
+            });
+        });
+    }
+
+    // Ad signals
+
+    /**
+     * Adds metadata cues for the ad signals of a playlist: EXT-X-CUE-OUT and EXT-X-CUE-IN tags, and the start and
+     * end of EXT-X-DATERANGE tags. Their text is JSON, such as {"cueOut":{"duration":30}} or
+     * {"daterange":{...},"edge":"start"}, and each signal is added once.
+     * @param {object} details - The playlist
+     */
+    addSignalCues(details) {
+        details.segments.forEach(segment => {
+            const end = segment.start + segment.duration;
+            if (segment.cueOut !== undefined) {
+                this.addSignalCue(`cueout${segment.sn}`, segment.start, end, {
+                    cueOut: {
+                        duration: segment.cueOut
+                    }
+                });
+            }
+            if (segment.cueIn) {
+                this.addSignalCue(`cuein${segment.sn}`, segment.start, end, {
+                    cueIn: {}
+                });
+            }
+        });
+        details.dateRanges.forEach(dateRange => {
+            const start = playlistTime(details, dateRange.startDate);
+            if (start === null) {
+                return;
+            }
+            let duration = dateRange.duration;
+            if (duration === undefined && dateRange.endDate !== undefined) {
+                duration = (dateRange.endDate - dateRange.startDate) / 1000;
+            }
+            this.addSignalCue(`daterange${dateRange.id}`, start, start + details.targetDuration, {
+                daterange: dateRange,
+                edge: 'start'
+            });
+            // Refreshed playlists may add the end of a range which has already started
+            if (duration !== undefined) {
+                this.addSignalCue(`daterange${dateRange.id}-end`, start + duration,
+                    start + duration + details.targetDuration, {
+                        daterange: dateRange,
+                        edge: 'end'
+                    });
+            }
+        });
+    }
+
+    addSignalCue(id, start, end, data) {
+        if (this.signalCues[id]) {
+            return;
+        }
+        this.signalCues[id] = true;
+        this.trigger('cue', {
+            type: 'metadata',
+            cue: createCue(start, end, JSON.stringify(data))
+        });
+    }
+
+    // Audio tracks
+
+    setAudioTrack(index) {
+        if (index === this.currentAudioTrack || !this.audioTracks[index]) {
+            return;
+        }
+        super.setAudioTrack(index);
+        const stream = this.streams.audio;
+        if (!stream) {
+            return;
+        }
+        this.abortStream(stream);
+        stream.contiguous = false;
+        stream.lastFrag = null;
+        stream.ended = false;
+        stream.demuxer.reset();
+        stream.remuxer.reset();
+        if (this.buffers && this.video && this.buffers.has('audio')) {
+            const duration = this.mediaSource.duration;
+            const start = this.video.currentTime + 0.5;
+            this.buffers.remove('audio', start, isFinite(duration) ? duration : Infinity);
+        }
+        this.tick();
+    }
+
+    // Subtitles
+
+    setSubtitleTrack(id) {
+        const index = _.indexOf(this.subtitleTracks, _.findWhere(this.subtitleTracks, { _id: id }));
+        if (index === this.currentSubtitleTrack) {
+            return;
+        }
+        if (this.subtitles && this.subtitles.request) {
+            this.subtitles.request.abort();
+        }
+        this.currentSubtitleTrack = index;
+        this.subtitles = index === -1 ? null : {
+            track: this.subtitleTracks[index],
+            details: null,
+            loaded: {},
+            request: null
+        };
+        this.tick();
+    }
+
+    loadSubtitles(position) {
+        const subtitles = this.subtitles;
+        if (!subtitles || subtitles.request) {
+            return;
+        }
+        const track = subtitles.track;
+        const details = subtitles.details;
+        if (!details || this.needsRefresh(details)) {
+            const request = subtitles.request = loadWithRetry({
+                url: track.url,
+                timeout: this.config.playlistLoadTimeout,
+                withCredentials: this.config.withCredentials
+            }, this.config);
+            request.promise.then(response => {
+                subtitles.request = null;
+                const updated = parseMediaPlaylist(response.data, track.url);
+                updated.loadedAt = new Date().getTime();
+                if (!updated.endList) {
+                    alignPlaylist(updated, subtitles.details || this.streams.main.details);
+                }
+                subtitles.details = updated;
+            }).catch(() => {
+                // Subtitles are not essential to playback
+                subtitles.request = null;
+                subtitles.details = subtitles.details || { segments: [], endList: true };
+            });
+            return;
+        }
+        const maxTime = position + this.config.maxBufferLength;
+        const frag = _.find(details.segments, segment => !subtitles.loaded[segment.sn] &&
+            segment.start + segment.duration > position && segment.start < maxTime);
+        if (!frag || (this.initPTS[frag.cc] === undefined && _.keys(this.initPTS).length)) {
+            return;
+        }
+        const request = subtitles.request = loadWithRetry({
+            url: frag.url,
+            timeout: this.config.fragmentLoadTimeout,
+            withCredentials: this.config.withCredentials
+        }, this.config);
+        request.promise.then(response => {
+            subtitles.request = null;
+            subtitles.loaded[frag.sn] = true;
+            this.parseSubtitles(response.data, frag, track);
+        }).catch(() => {
+            subtitles.request = null;
+            subtitles.loaded[frag.sn] = true;
+        });
+    }
+
+    parseSubtitles(text, frag, track) {
+        let offset = 0;
+        const mpegts = text.match(TIMESTAMP_MAP_REGEX);
+        if (mpegts) {
+            const local = text.match(LOCAL_TIME_REGEX);
+            const initPTS = this.initPTS[frag.cc] || 0;
+            offset = ((parseInt(mpegts[1], 10) - initPTS) / MPEG_TS_CLOCK) - (local ? parseVTTTime(local[1]) : 0);
+        }
+        const parser = new VTTParser(window);
+        parser.oncue = cue => {
+            cue.startTime += offset;
+            cue.endTime += offset;
+            this.trigger('cue', {
+                type: 'subtitles',
+                track: track._id,
+                cue: cue
+            });
+        };
+        try {
+            parser.parse(text);
+        } catch (e) {/* ignore malformed cues */}
+    }
+
+    fatalError(error, message) {
+        this.trigger('error', {
+            message: message,
+            error: error,
+            fatal: true
+        });
+    }
+}
@@ -0,0 +1,49 @@
+const HEADER_LENGTH = 10;
+
+function readSyncSafe(data, offset) {
+    return ((data[offset] & 0x7f) << 21) |
+        ((data[offset + 1] & 0x7f) << 14) |
+        ((data[offset + 2] & 0x7f) << 7) |
+        (data[offset + 3] & 0x7f);
+}
+
+function isHeader(data, offset) {
+    return offset + HEADER_LENGTH <= data.length &&
+        data[offset] === 0x49 && data[offset + 1] === 0x44 && data[offset + 2] === 0x33; // 'ID3'
+}
+
+/**
+ * Splits ID3v2 tags into single frame tags. Each result contains the tag header followed by one frame,
+ * which is the cue data format handled by utils/id3Parser.
+ * @param {Uint8Array} data
+ * @returns {Array.<ArrayBuffer>}
+ */
+export function splitFrames(data) {
+    const frames = [];
+    let offset = 0;
+    while (isHeader(data, offset)) {
+        const tagSize = readSyncSafe(data, offset + 6);
+        const header = data.subarray(offset, offset + HEADER_LENGTH);
+        const tagEnd = Math.min(offset + HEADER_LENGTH + tagSize, data.length);
+        let frameOffset = offset + HEADER_LENGTH;
+        if (header[5] & 0x40) {
+            // Skip the extended header
+            frameOffset += readSyncSafe(data, frameOffset);
+        }
+        while (frameOffset + HEADER_LENGTH < tagEnd && data[frameOffset] !== 0) {
+            const frameSize = readSyncSafe(data, frameOffset + 4);
+            const frameEnd = Math.min(frameOffset + HEADER_LENGTH + frameSize, tagEnd);
+            const frame = new Uint8Array(HEADER_LENGTH + frameEnd - frameOffset);
+            frame.set(header, 0);
+            frame.set(data.subarray(frameOffset, frameEnd), HEADER_LENGTH);
+            frames.push(frame.buffer);
+            frameOffset = frameEnd;
+        }
+        offset = tagEnd;
+        if (header[5] & 0x10) {
+            // Skip the footer
+            offset += HEADER_LENGTH;
+        }
+    }
+    return frames;
+}
@@ -0,0 +1,140 @@
+/**
+ * Loading statistics used for bandwidth estimation
+ * @typedef {object} LoadStats
+ * @property {number} trequest - The time the request was sent.
+ * @property {number} tfirst - The time the first byte was received.
+ * @property {number} tload - The time the request completed.
+ * @property {number} loaded - The number of bytes received.
+ */
+
+function now() {
+    return window.performance && window.performance.now ? window.performance.now() : new Date().getTime();
+}
+
+/**
+ * Requests a playlist, manifest, key or media segment
+ * @param {object} request - { url, responseType, byteRange: { offset, length }, withCredentials, timeout }
+ * @param {function} onSuccess - Called with (response, stats, xhr).
+ * @param {function} onError - Called with (message, status, xhr).
+ * @param {function} [onProgress] - Called with (stats) as data arrives.
+ * @returns {{abort: function}}
+ */
+export default function load(request, onSuccess, onError, onProgress) {
+    const xhr = new window.XMLHttpRequest();
+    const stats = {
+        trequest: now(),
+        tfirst: 0,
+        tload: 0,
+        loaded: 0,
+        total: 0
+    };
+    let timeoutId = -1;
+    let done = false;
+
+    function finish() {
+        done = true;
+        clearTimeout(timeoutId);
+        xhr.onreadystatechange = xhr.onprogress = xhr.onerror = null;
+    }
+
+    xhr.onreadystatechange = function() {
+        if (xhr.readyState >= 2 && !stats.tfirst) {
+            stats.tfirst = Math.max(now(), stats.trequest);
+        }
+        if (xhr.readyState !== 4) {
+            return;
+        }
+        const status = xhr.status;
+        finish();
+        if (status >= 200 && status < 300) {
+            const response = request.responseType === 'arraybuffer' ? xhr.response : xhr.responseText;
+            stats.tload = Math.max(now(), stats.tfirst);
+            stats.loaded = stats.total = response.byteLength || response.length || 0;
+            onSuccess(response, stats, xhr);
+        } else {
+            onError(status === 404 ? 'File not found' : 'Error loading file', status, xhr);
+        }
+    };
+    xhr.onerror = function() {
+        finish();
+        onError('Error loading file', 0, xhr);
+    };
+    if (onProgress) {
+        xhr.onprogress = function(e) {
+            stats.loaded = e.loaded;
+            stats.total = e.lengthComputable ? e.total : 0;
+            onProgress(stats);
+        };
+    }
+
+    xhr.open('GET', request.url, true);
+    if (request.byteRange) {
+        const range = request.byteRange;
+        xhr.setRequestHeader('Range', 'bytes=' + range.offset + '-' + (range.offset + range.length - 1));
+    }
+    if (request.responseType) {
+        xhr.responseType = request.responseType;
+    }
+    if (request.withCredentials) {
+        xhr.withCredentials = true;
+    }
+    if (request.timeout) {
+        timeoutId = setTimeout(function() {
+            finish();
+            xhr.abort();
+            onError('Timeout', 0, xhr);
+        }, request.timeout);
+    }
+    xhr.send();
+
+    return {
+        stats: stats,
+        abort: function() {
+            if (!done) {
+                finish();
+                xhr.abort();
+            }
+        }
+    };
+}
+
+/**
+ * Requests a resource, retrying failed requests
+ * @param {object} request - See load.
+ * @param {object} config - { maxLoadRetries, retryDelay }
+ * @returns {{promise: Promise, abort: function}} The promise resolves with { data, stats } and rejects
+ * with { message, status } once retries are exhausted. It never settles once aborted.
+ */
+export function loadWithRetry(request, config) {
+    let current = null;
+    let retryTimeout = -1;
+    let aborted = false;
+    const promise = new Promise((resolve, reject) => {
+        let attempts = 0;
+        const send = function() {
+            current = load(request, (data, stats) => {
+                resolve({ data: data, stats: stats });
+            }, (message, status) => {
+                if (aborted) {
+                    return;
+                }
+                if (attempts++ < config.maxLoadRetries) {
+                    retryTimeout = setTimeout(send, config.retryDelay * attempts);
+                    return;
+                }
+                reject({ message: message, status: status });
+            });
+        };
+        send();
+    });
+    return {
+        promise: promise,
+        abort: function() {
+            aborted = true;
+            clearTimeout(retryTimeout);
+            if (current) {
+                current.abort();
+            }
+        }
+    };
+}
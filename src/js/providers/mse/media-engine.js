@@ -0,0 +1,497 @@
+import Events from 'utils/backbone.events';
+import _ from 'utils/underscore';
+import SourceBuffers from 'providers/mse/source-buffers';
+import AbrController from 'providers/mse/abr-controller';
+import { getMediaSource } from 'providers/mse/media-source';
+
+const TICK_INTERVAL = 100;
+// Buffered ranges separated by less than this many seconds are treated as contiguous
+const MAX_BUFFER_HOLE = 0.5;
+// Maximum gap, in seconds, that is skipped over when playback stalls at the end of a buffered range
+const MAX_GAP_JUMP = 2;
+
+const Defaults = {
+    maxBufferLength: 30,
+    backBufferLength: 30,
+    fragmentLoadTimeout: 20000,
+    playlistLoadTimeout: 10000,
+    maxLoadRetries: 3,
+    retryDelay: 1000,
+    defaultBandwidth: 500000,
+    withCredentials: false,
+    abr: null,
+    // Seconds behind the live edge to start live streams at, instead of a number of segments
+    liveSyncDuration: null
+};
+
+/**
+ * Base class for streaming engines that feed a video element through Media Source Extensions.
+ * Subclasses load manifests and segments; this class owns the MediaSource, the SourceBuffers,
+ * buffer housekeeping, level selection and the event interface used by the provider.
+ *
+ * Events:
+ *  'levels' { levels, currentLevel }
+ *  'levelSwitched' { level, reason }
+ *  'audioTracks' { tracks, currentTrack }
+ *  'subtitlesTracks' { tracks }
+ *  'cue' { type, track, cue }
+ *  'captionsData' { samples, contiguous }
+ *  'duration' { duration }
+ *  'error' { message, fatal }
+ */
+export default class MediaEngine {
+    constructor(config) {
+        _.extend(this, Events);
+        this.config = Object.assign({}, Defaults, config);
+        this.video = null;
+        this.mediaSource = null;
+        this.buffers = null;
+        this.objectUrl = null;
+        this.url = null;
+        this.source = null;
+        this.levels = [];
+        this.audioTracks = [];
+        this.currentAudioTrack = -1;
+        this.currentLevel = -1;
+        this.manualLevel = -1;
+        this.expectedTypes = null;
+        this.pendingInitSegments = {};
+        this.pendingAppends = [];
+        this.bufferedSegments = [];
+        this.timestampOffsets = {};
+        this.startPosition = 0;
+        this.live = false;
+        this.tickInterval = -1;
+        this.abr = new AbrController(Object.assign({
+            defaultBandwidth: this.config.defaultBandwidth
+        }, this.config.abr));
+
+        this.tick = this.tick.bind(this);
+        this.onSourceOpen = this.onSourceOpen.bind(this);
+        this.onSeeking = this.onSeeking.bind(this);
+        this.onBufferError = this.onBufferError.bind(this);
+    }
+
+    attachMedia(video) {
+        this.detachMedia();
+        const MediaSource = getMediaSource();
+        this.video = video;
+        this.mediaSource = new MediaSource();
+        this.mediaSource.addEventListener('sourceopen', this.onSourceOpen);
+        this.objectUrl = window.URL.createObjectURL(this.mediaSource);
+        video.src = this.objectUrl;
+        video.addEventListener('seeking', this.onSeeking);
+    }
+
+    detachMedia() {
+        clearInterval(this.tickInterval);
+        this.stopLoad();
+        if (this.buffers) {
+            this.buffers.destroy();
+            this.buffers = null;
+        }
+        if (this.mediaSource) {
+            this.mediaSource.removeEventListener('sourceopen', this.onSourceOpen);
+            if (this.mediaSource.readyState === 'open') {
+                try {
+                    this.mediaSource.endOfStream();
+                } catch (e) {/* ignore */}
+            }
+            this.mediaSource = null;
+        }
+        if (this.objectUrl) {
+            window.URL.revokeObjectURL(this.objectUrl);
+            this.objectUrl = null;
+        }
+        if (this.video) {
+            this.video.removeEventListener('seeking', this.onSeeking);
+            this.video = null;
+        }
+        this.url = null;
+        this.expectedTypes = null;
+        this.pendingInitSegments = {};
+        this.pendingAppends = [];
+        this.bufferedSegments = [];
+        this.timestampOffsets = {};
+    }
+
+    /**
+     * Start loading a playlist item source. Must be called after attachMedia.
+     * @param {PlaylistItemSource} source
+     * @param {number} [startPosition]
+     */
+    loadSource(source, startPosition) {
+        this.source = source;
+        this.url = source.file;
+        this.startPosition = startPosition || 0;
+        this.config.withCredentials = !!source.withCredentials;
+        this.levels = [];
+        this.audioTracks = [];
+        this.currentLevel = -1;
+        this.loadManifest(source.file);
+    }
+
+    destroy() {
+        this.detachMedia();
+        this.off();
+    }
+
+    onSourceOpen() {
+        if (!this.mediaSource || this.buffers) {
+            return;
+        }
+        this.buffers = new SourceBuffers(this.mediaSource, this.onBufferError);
+        clearInterval(this.tickInterval);
+        this.tickInterval = setInterval(this.tick, TICK_INTERVAL);
+        this.tick();
+    }
+
+    onBufferError(error) {
+        if (error && error.name === 'QuotaExceededError') {
+            // Free space by shrinking the forward buffer target and evicting played content
+            this.config.maxBufferLength = Math.max(this.config.maxBufferLength / 2, 5);
+            this.evictBackBuffer(0);
+            return;
+        }
+        this.trigger('error', {
+            message: 'Error appending media data',
+            fatal: true
+        });
+    }
+
+    onSeeking() {
+        if (!this.video) {
+            return;
+        }
+        const position = this.video.currentTime;
+        const info = this.bufferInfo(position);
+        if (!info.len) {
+            this.seekTo(position);
+        }
+        this.tick();
+    }
+
+    isReady() {
+        return !!(this.video && this.buffers && this.mediaSource && this.mediaSource.readyState !== 'closed');
+    }
+
+    tick() {
+        if (!this.isReady()) {
+            return;
+        }
+        this.jumpGaps();
+        this.checkLevelSwitched();
+        this.loadNext();
+    }
+
+    // Implemented by subclasses
+    loadManifest() {}
+    loadNext() {}
+    seekTo() {}
+    stopLoad() {}
+
+    getPosition() {
+        if (!this.video) {
+            return this.startPosition;
+        }
+        // Before data has been appended the element's currentTime is 0
+        if (!this.bufferedSegments.length && !this.video.currentTime) {
+            return this.startPosition;
+        }
+        return this.video.currentTime;
+    }
+
+    /**
+     * Returns the contiguous buffered range around a position
+     * @param {number} position
+     * @param {string} [type] - Measure only this SourceBuffer's ranges.
+     * @returns {{start: number, end: number, len: number, nextStart: number}}
+     */
+    bufferInfo(position, type) {
+        let ranges = null;
+        if (type && this.buffers) {
+            ranges = this.buffers.buffered(type);
+        } else if (this.video) {
+            ranges = this.video.buffered;
+        }
+        const info = {
+            start: position,
+            end: position,
+            len: 0,
+            nextStart: undefined
+        };
+        if (!ranges) {
+            return info;
+        }
+        for (let i = 0; i < ranges.length; i++) {
+            const start = ranges.start(i);
+            const end = ranges.end(i);
+            if (position + MAX_BUFFER_HOLE >= start && position < end) {
+                info.start = Math.min(info.start, start);
+                info.end = Math.max(info.end, end);
+            } else if (start > position && info.nextStart === undefined) {
+                if (start - info.end <= MAX_BUFFER_HOLE) {
+                    info.end = end;
+                } else {
+                    info.nextStart = start;
+                }
+            }
+        }
+        info.len = info.end - position;
+        return info;
+    }
+
+    jumpGaps() {
+        const video = this.video;
+        if (video.paused || video.seeking || video.readyState > 2) {
+            return;
+        }
+        const position = video.currentTime;
+        const info = this.bufferInfo(position);
+        if (info.len < MAX_BUFFER_HOLE && info.nextStart !== undefined && info.nextStart - position < MAX_GAP_JUMP) {
+            video.currentTime = info.nextStart + 0.05;
+        }
+    }
+
+    evictBackBuffer(backBufferLength) {
+        if (!this.buffers || !this.video) {
+            return;
+        }
+        const removeEnd = this.video.currentTime - (backBufferLength === undefined ?
+            this.config.backBufferLength : backBufferLength);
+        if (removeEnd > 0) {
+            this.buffers.removeAll(0, removeEnd);
+            this.bufferedSegments = _.filter(this.bufferedSegments, segment => segment.end > removeEnd);
+        }
+    }
+
+    /**
+     * Remove buffered content from a time to the end of the buffer so newly loaded content replaces it
+     * @param {number} start
+     */
+    flushForward(start) {
+        if (!this.buffers) {
+            return;
+        }
+        const duration = this.mediaSource.duration;
+        const end = isFinite(duration) ? duration : Infinity;
+        if (end > start) {
+            this.buffers.removeAll(start, end);
+        }
+        this.bufferedSegments = _.filter(this.bufferedSegments, segment => segment.start < start);
+    }
+
+    /**
+     * Appends an initialization segment and media segment to the SourceBuffer for a type.
+     * SourceBuffers are only created once initialization segments for all expected types are available,
+     * since some browsers do not allow adding SourceBuffers after the first append.
+     * @param {string} type - 'video' or 'audio'
+     * @param {object|null} init - { mimeType, data }
+     * @param {Uint8Array} data
+     * @param {object} segment - { start, end, level } describes the media time range being appended.
+     * @param {function} [callback]
+     */
+    appendSegment(type, init, data, segment, callback) {
+        if (!this.buffers) {
+            return;
+        }
+        if (!this.buffers.has(type)) {
+            if (init) {
+                this.pendingInitSegments[type] = init;
+            }
+            this.pendingAppends.push([type, null, data, segment, callback]);
+            this.createSourceBuffers();
+            return;
+        }
+        if (init) {
+            this.buffers.append(type, init.data);
+        }
+        if (segment && segment.timestampOffset !== undefined && this.timestampOffsets[type] !== segment.timestampOffset) {
+            this.timestampOffsets[type] = segment.timestampOffset;
+            this.buffers.setTimestampOffset(type, segment.timestampOffset);
+        }
+        if (data && data.byteLength) {
+            this.buffers.append(type, data, () => {
+                if (segment) {
+                    this.bufferedSegments.push(Object.assign({ type: type }, segment));
+                }
+                if (callback) {
+                    callback();
+                }
+            });
+        } else if (callback) {
+            callback();
+        }
+    }
+
+    /**
+     * Hands the SEI NAL units of video samples to the provider, which decodes the captions they carry
+     * @param {Array.<{time: number, data: Uint8Array}>} samples - Units with the presentation times of their samples.
+     * @param {boolean} contiguous - Whether the samples follow on from the last ones.
+     */
+    addCaptionsData(samples, contiguous) {
+        if (samples.length) {
+            this.trigger('captionsData', {
+                samples: samples,
+                contiguous: contiguous
+            });
+        }
+    }
+
+    createSourceBuffers() {
+        const pending = this.pendingInitSegments;
+        const expected = this.expectedTypes || _.keys(pending);
+        const ready = _.every(expected, type => pending[type]);
+        if (!ready) {
+            return;
+        }
+        try {
+            _.each(expected, type => {
+                this.buffers.create(type, pending[type].mimeType);
+            });
+        } catch (error) {
+            this.trigger('error', {
+                message: 'Error loading media: File could not be played',
+                fatal: true
+            });
+            return;
+        }
+        this.onSourceBuffersCreated();
+        _.each(expected, type => {
+            this.buffers.append(type, pending[type].data);
+        });
+        const appends = this.pendingAppends;
+        this.pendingInitSegments = {};
+        this.pendingAppends = [];
+        _.each(appends, args => {
+            this.appendSegment.apply(this, args);
+        });
+    }
+
+    onSourceBuffersCreated() {
+        this.updateDuration();
+    }
+
+    endOfStream() {
+        if (this.buffers) {
+            this.buffers.endOfStream();
+        }
+    }
+
+    updateDuration() {
+        const mediaSource = this.mediaSource;
+        const duration = this.getDuration();
+        if (!mediaSource || mediaSource.readyState !== 'open' || !this.buffers || this.buffers.isUpdating()) {
+            return;
+        }
+        if (this.live) {
+            if (mediaSource.duration !== Infinity) {
+                mediaSource.duration = Infinity;
+            }
+            const range = this.getSeekableRange();
+            if (range && mediaSource.setLiveSeekableRange) {
+                mediaSource.setLiveSeekableRange(range.start, range.end);
+            }
+        } else if (duration && (isNaN(mediaSource.duration) || Math.abs(mediaSource.duration - duration) > 0.1)) {
+            try {
+                mediaSource.duration = duration;
+            } catch (e) {/* ignore */}
+        }
+    }
+
+    // Implemented by subclasses
+    getDuration() {
+        return 0;
+    }
+
+    getSeekableRange() {
+        return null;
+    }
+
+    /**
+     * @returns {Date|null} The wall-clock date at media time 0, when the stream maps media time to dates.
+     */
+    getStartDate() {
+        return null;
+    }
+
+    checkLevelSwitched() {
+        const position = this.video.currentTime;
+        const current = _.find(this.bufferedSegments, segment => {
+            return segment.level !== undefined && segment.start <= position && segment.end > position;
+        });
+        if (current && current.level !== this.currentLevel) {
+            this.currentLevel = current.level;
+            this.trigger('levelSwitched', {
+                level: current.level,
+                reason: current.reason || 'auto'
+            });
+        }
+    }
+
+    // Levels
+
+    getLevels() {
+        return this.levels;
+    }
+
+    /**
+     * @param {number} index - Level index, or -1 for automatic selection
+     */
+    setCurrentLevel(index) {
+        if (index === this.manualLevel) {
+            return;
+        }
+        this.manualLevel = index;
+        if (index !== -1 && this.video && this.isReady()) {
+            // Replace what is buffered ahead so the selected quality is shown right away
+            this.flushForward(this.video.currentTime + 1);
+            this.seekTo(this.video.currentTime);
+        }
+    }
+
+    getAutoLevelEnabled() {
+        return this.manualLevel === -1;
+    }
+
+    /**
+     * The size of the player, which limits the levels chosen automatically
+     * @param {number} width
+     * @param {number} height
+     */
+    setPlayerSize(width, height) {
+        this.abr.setPlayerSize(width, height);
+    }
+
+    /**
+     * Choose the level to load next
+     * @returns {{index: number, reason: string}} reason is 'api' for levels selected with setCurrentLevel,
+     * otherwise the reason given by the ABR controller.
+     */
+    chooseLevel() {
+        if (this.manualLevel !== -1) {
+            return {
+                index: this.manualLevel,
+                reason: 'api'
+            };
+        }
+        const bufferLength = this.video ? this.bufferInfo(this.getPosition()).len : 0;
+        this.abr.setLevels(this.levels);
+        this.abr.setBufferTarget(this.config.maxBufferLength);
+        return this.abr.chooseLevel(bufferLength);
+    }
+
+    // Audio tracks
+
+    getAudioTracks() {
+        return this.audioTracks;
+    }
+
+    setAudioTrack(index) {
+        this.currentAudioTrack = index;
+    }
+
+    // Subtitles
+
+    setSubtitleTrack() {}
+}
@@ -0,0 +1,24 @@
+export function getMediaSource() {
+    return window.MediaSource || window.WebKitMediaSource;
+}
+
+/**
+ * Whether Media Source Extensions can play fragmented MP4 with the given codecs
+ * @param {string} [codecs] - Defaults to H.264 baseline video with AAC-LC audio.
+ * @param {string} [mimeType] - Defaults to 'video/mp4'.
+ * @returns {boolean}
+ */
+export function isMediaSourceSupported(codecs, mimeType) {
+    const MediaSource = getMediaSource();
+    if (!MediaSource || typeof MediaSource.isTypeSupported !== 'function') {
+        return false;
+    }
+    const sourceBuffer = window.SourceBuffer || window.WebKitSourceBuffer;
+    // Some browsers expose MediaSource but not a usable SourceBuffer (e.g. iOS Safari before 13)
+    if (sourceBuffer && (!sourceBuffer.prototype ||
+        typeof sourceBuffer.prototype.appendBuffer !== 'function' ||
+        typeof sourceBuffer.prototype.remove !== 'function')) {
+        return false;
+    }
+    return !!MediaSource.isTypeSupported((mimeType || 'video/mp4') + '; codecs="' + (codecs || 'avc1.42E01E,mp4a.40.2') + '"');
+}
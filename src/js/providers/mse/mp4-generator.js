@@ -0,0 +1,303 @@
+// Builds the ISO BMFF boxes needed to feed transmuxed samples to a SourceBuffer
+
+const UINT32_MAX = Math.pow(2, 32) - 1;
+
+function boxType(name) {
+    return [name.charCodeAt(0), name.charCodeAt(1), name.charCodeAt(2), name.charCodeAt(3)];
+}
+
+function box(type) {
+    const payload = Array.prototype.slice.call(arguments, 1);
+    let size = 8;
+    for (let i = 0; i < payload.length; i++) {
+        size += payload[i].byteLength;
+    }
+    const result = new Uint8Array(size);
+    result[0] = (size >> 24) & 0xff;
+    result[1] = (size >> 16) & 0xff;
+    result[2] = (size >> 8) & 0xff;
+    result[3] = size & 0xff;
+    result.set(boxType(type), 4);
+    let offset = 8;
+    for (let i = 0; i < payload.length; i++) {
+        result.set(payload[i], offset);
+        offset += payload[i].byteLength;
+    }
+    return result;
+}
+
+function uint32(value) {
+    return [(value >> 24) & 0xff, (value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+}
+
+function zeros(count) {
+    const result = [];
+    for (let i = 0; i < count; i++) {
+        result.push(0);
+    }
+    return result;
+}
+
+function uint64(value) {
+    const upper = Math.floor(value / (UINT32_MAX + 1));
+    const lower = Math.floor(value % (UINT32_MAX + 1));
+    return uint32(upper).concat(uint32(lower));
+}
+
+const FTYP = box('ftyp', new Uint8Array([].concat(
+    boxType('isom'), // major brand
+    uint32(1), // minor version
+    boxType('isom'), boxType('avc1'), boxType('iso5') // compatible brands
+)));
+
+const HDLR = {
+    video: new Uint8Array([].concat(
+        uint32(0), // version and flags
+        uint32(0), // pre_defined
+        boxType('vide'),
+        uint32(0), uint32(0), uint32(0), // reserved
+        [0x56, 0x69, 0x64, 0x65, 0x6f, 0x48, 0x61, 0x6e, 0x64, 0x6c, 0x65, 0x72, 0x00] // 'VideoHandler'
+    )),
+    audio: new Uint8Array([].concat(
+        uint32(0),
+        uint32(0),
+        boxType('soun'),
+        uint32(0), uint32(0), uint32(0),
+        [0x53, 0x6f, 0x75, 0x6e, 0x64, 0x48, 0x61, 0x6e, 0x64, 0x6c, 0x65, 0x72, 0x00] // 'SoundHandler'
+    ))
+};
+
+const DINF = box('dinf', box('dref', new Uint8Array([].concat(
+    uint32(0), // version and flags
+    uint32(1), // entry_count
+    uint32(0x0c), boxType('url '), uint32(1) // self-contained data reference
+))));
+
+const EMPTY_TABLE = new Uint8Array(uint32(0).concat(uint32(0))); // version and flags, entry_count
+const STSZ = new Uint8Array([].concat(uint32(0), uint32(0), uint32(0)));
+
+const MATRIX = [].concat(
+    uint32(0x00010000), uint32(0), uint32(0),
+    uint32(0), uint32(0x00010000), uint32(0),
+    uint32(0), uint32(0), uint32(0x40000000)
+);
+
+function mvhd(timescale, duration) {
+    return box('mvhd', new Uint8Array([].concat(
+        uint32(0x01000000), // version 1
+        uint64(0), // creation_time
+        uint64(0), // modification_time
+        uint32(timescale),
+        uint64(duration),
+        uint32(0x00010000), // rate 1.0
+        [0x01, 0x00], // volume 1.0
+        [0x00, 0x00], uint32(0), uint32(0), // reserved
+        MATRIX,
+        uint32(0), uint32(0), uint32(0), uint32(0), uint32(0), uint32(0), // pre_defined
+        uint32(0xffffffff) // next_track_ID
+    )));
+}
+
+function tkhd(track) {
+    return box('tkhd', new Uint8Array([].concat(
+        uint32(0x01000007), // version 1, flags: enabled, in movie, in preview
+        uint64(0), // creation_time
+        uint64(0), // modification_time
+        uint32(track.id),
+        uint32(0), // reserved
+        uint64(track.duration || 0),
+        uint32(0), uint32(0), // reserved
+        [0x00, 0x00], // layer
+        [0x00, 0x00], // alternate_group
+        track.type === 'audio' ? [0x01, 0x00] : [0x00, 0x00], // volume
+        [0x00, 0x00], // reserved
+        MATRIX,
+        uint32((track.width || 0) << 16),
+        uint32((track.height || 0) << 16)
+    )));
+}
+
+function mdhd(timescale, duration) {
+    return box('mdhd', new Uint8Array([].concat(
+        uint32(0x01000000), // version 1
+        uint64(0),
+        uint64(0),
+        uint32(timescale),
+        uint64(duration || 0),
+        [0x55, 0xc4], // 'und' language
+        [0x00, 0x00]
+    )));
+}
+
+function avc1(track) {
+    let sps = [];
+    let pps = [];
+    track.sps.forEach(unit => {
+        sps = sps.concat([(unit.byteLength >>> 8) & 0xff, unit.byteLength & 0xff], Array.prototype.slice.call(unit));
+    });
+    track.pps.forEach(unit => {
+        pps = pps.concat([(unit.byteLength >>> 8) & 0xff, unit.byteLength & 0xff], Array.prototype.slice.call(unit));
+    });
+    const avcC = box('avcC', new Uint8Array([].concat(
+        [0x01, sps[3], sps[4], sps[5], 0xff, 0xe0 | track.sps.length],
+        sps,
+        [track.pps.length],
+        pps
+    )));
+    return box('avc1', new Uint8Array([].concat(
+        [0, 0, 0, 0, 0, 0], // reserved
+        [0, 1], // data_reference_index
+        [0, 0, 0, 0], uint32(0), uint32(0), uint32(0), // pre_defined, reserved
+        [(track.width >> 8) & 0xff, track.width & 0xff, (track.height >> 8) & 0xff, track.height & 0xff],
+        uint32(0x00480000), // horizresolution 72 dpi
+        uint32(0x00480000), // vertresolution 72 dpi
+        uint32(0), // reserved
+        [0x00, 0x01], // frame_count
+        zeros(32), // compressorname
+        [0x00, 0x18], // depth
+        [0xff, 0xff] // pre_defined
+    )), avcC);
+}
+
+function esds(track) {
+    const config = track.config;
+    const configLength = config.length;
+    return new Uint8Array([].concat(
+        uint32(0), // version and flags
+        [0x03, 0x17 + configLength], // ES_Descriptor
+        [0x00, 0x01], // ES_ID
+        [0x00], // flags
+        [0x04, 0x0f + configLength], // DecoderConfigDescriptor
+        [0x40], // object type: MPEG-4 audio
+        [0x15], // stream type: audio
+        [0x00, 0x00, 0x00], // buffer size
+        uint32(0), // max bitrate
+        uint32(0), // avg bitrate
+        [0x05, configLength], // DecoderSpecificInfo
+        config,
+        [0x06, 0x01, 0x02] // SLConfigDescriptor
+    ));
+}
+
+function mp4a(track) {
+    return box('mp4a', new Uint8Array([].concat(
+        [0, 0, 0, 0, 0, 0], // reserved
+        [0, 1], // data_reference_index
+        uint32(0), uint32(0), // reserved
+        [0x00, track.channelCount], // channelcount
+        [0x00, 0x10], // samplesize
+        [0x00, 0x00, 0x00, 0x00], // reserved
+        [(track.samplerate >> 8) & 0xff, track.samplerate & 0xff, 0x00, 0x00] // samplerate 16.16
+    )), box('esds', esds(track)));
+}
+
+function stbl(track) {
+    const sampleEntry = track.type === 'audio' ? mp4a(track) : avc1(track);
+    return box('stbl',
+        box('stsd', new Uint8Array(uint32(0).concat(uint32(1))), sampleEntry),
+        box('stts', EMPTY_TABLE),
+        box('stsc', EMPTY_TABLE),
+        box('stsz', STSZ),
+        box('stco', EMPTY_TABLE)
+    );
+}
+
+function minf(track) {
+    const header = track.type === 'audio' ?
+        box('smhd', new Uint8Array([].concat(uint32(0), [0, 0, 0, 0]))) :
+        box('vmhd', new Uint8Array([].concat(uint32(1), [0, 0, 0, 0, 0, 0, 0, 0])));
+    return box('minf', header, DINF, stbl(track));
+}
+
+function trak(track) {
+    return box('trak',
+        tkhd(track),
+        box('mdia', mdhd(track.timescale, track.duration), box('hdlr', HDLR[track.type]), minf(track))
+    );
+}
+
+function trex(track) {
+    return box('trex', new Uint8Array([].concat(
+        uint32(0), // version and flags
+        uint32(track.id),
+        uint32(1), // default_sample_description_index
+        uint32(0), // default_sample_duration
+        uint32(0), // default_sample_size
+        uint32(0x00010001) // default_sample_flags
+    )));
+}
+
+/**
+ * Creates an initialization segment for one track
+ * @param {object} track - { id, type, timescale, duration, and codec configuration (sps/pps or config) }
+ * @returns {Uint8Array}
+ */
+export function initSegment(track) {
+    const moov = box('moov',
+        mvhd(track.timescale, track.duration || 0),
+        trak(track),
+        box('mvex', trex(track))
+    );
+    const result = new Uint8Array(FTYP.byteLength + moov.byteLength);
+    result.set(FTYP);
+    result.set(moov, FTYP.byteLength);
+    return result;
+}
+
+function sampleFlags(sample) {
+    // sample_depends_on: 2 for sync samples, 1 for samples that depend on others
+    const dependsOn = sample.key ? 2 : 1;
+    return [
+        dependsOn,
+        sample.key ? 0x00 : 0x01, // sample_is_non_sync_sample
+        0x00,
+        0x00
+    ];
+}
+
+function trun(track, offset) {
+    const samples = track.samples;
+    const count = samples.length;
+    const arrayLength = 12 + (16 * count);
+    const data = new Uint8Array(arrayLength);
+    offset += 8 + arrayLength;
+    // version 0, flags: data offset, duration, size, flags and composition time offset present
+    data.set([0x00, 0x00, 0x0f, 0x01].concat(uint32(count), uint32(offset)), 0);
+    for (let i = 0; i < count; i++) {
+        const sample = samples[i];
+        data.set([].concat(
+            uint32(sample.duration),
+            uint32(sample.size),
+            sampleFlags(sample),
+            uint32(sample.cts)
+        ), 12 + (16 * i));
+    }
+    return box('trun', data);
+}
+
+function moof(sequenceNumber, baseMediaDecodeTime, track) {
+    const mfhd = box('mfhd', new Uint8Array(uint32(0).concat(uint32(sequenceNumber))));
+    const tfhd = box('tfhd', new Uint8Array(uint32(0).concat(uint32(track.id))));
+    const tfdt = box('tfdt', new Uint8Array([0x01, 0x00, 0x00, 0x00].concat(uint64(baseMediaDecodeTime))));
+    // Offset to the mdat payload: moof and traf headers, mfhd, tfhd, tfdt and the mdat header.
+    // trun adds its own size.
+    const trunOffset = 8 + mfhd.byteLength + 8 + tfhd.byteLength + tfdt.byteLength + 8;
+    return box('moof', mfhd, box('traf', tfhd, tfdt, trun(track, trunOffset)));
+}
+
+/**
+ * Creates a media segment (moof + mdat) for one track's samples
+ * @param {number} sequenceNumber
+ * @param {number} baseMediaDecodeTime - The decode time of the first sample in the track timescale.
+ * @param {object} track - { id, samples: [{ duration, size, cts, key }] }
+ * @param {Uint8Array} payload - The sample data, in the same order as track.samples.
+ * @returns {Uint8Array}
+ */
+export function mediaSegment(sequenceNumber, baseMediaDecodeTime, track, payload) {
+    const moofBox = moof(sequenceNumber, baseMediaDecodeTime, track);
+    const mdatBox = box('mdat', payload);
+    const result = new Uint8Array(moofBox.byteLength + mdatBox.byteLength);
+    result.set(moofBox);
+    result.set(mdatBox, moofBox.byteLength);
+    return result;
+}
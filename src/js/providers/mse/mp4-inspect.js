@@ -0,0 +1,279 @@
+import { removeEmulationPrevention, NAL_SEI } from 'providers/mse/ts-demuxer';
+
+// Reads the parts of ISO BMFF segments needed to place passthrough fMP4 media on the timeline, and its captions
+
+function readUint32(data, offset) {
+    return ((data[offset] << 24) | (data[offset + 1] << 16) | (data[offset + 2] << 8) | data[offset + 3]) >>> 0;
+}
+
+function boxName(data, offset) {
+    return String.fromCharCode(data[offset], data[offset + 1], data[offset + 2], data[offset + 3]);
+}
+
+/**
+ * Finds the payloads of boxes at a path
+ * @param {Uint8Array} data
+ * @param {Array.<string>} path - e.g. ['moov', 'trak', 'mdia', 'mdhd']
+ * @returns {Array.<Uint8Array>}
+ */
+export function findBox(data, path) {
+    const results = [];
+    if (!path.length) {
+        return results;
+    }
+    let offset = 0;
+    while (offset + 8 <= data.length) {
+        let size = readUint32(data, offset);
+        const type = boxName(data, offset + 4);
+        let headerSize = 8;
+        if (size === 1) {
+            size = readUint32(data, offset + 8) * Math.pow(2, 32) + readUint32(data, offset + 12);
+            headerSize = 16;
+        } else if (size === 0) {
+            size = data.length - offset;
+        }
+        if (size < headerSize) {
+            break;
+        }
+        const end = Math.min(offset + size, data.length);
+        if (type === path[0]) {
+            const payload = data.subarray(offset + headerSize, end);
+            if (path.length === 1) {
+                results.push(payload);
+            } else {
+                Array.prototype.push.apply(results, findBox(payload, path.slice(1)));
+            }
+        }
+        offset = end;
+    }
+    return results;
+}
+
+/**
+ * @param {Uint8Array} initSegment
+ * @returns {object} A map of track id to timescale.
+ */
+export function getTimescales(initSegment) {
+    const timescales = {};
+    findBox(initSegment, ['moov', 'trak']).forEach(trak => {
+        const tkhd = findBox(trak, ['tkhd'])[0];
+        const mdhd = findBox(trak, ['mdia', 'mdhd'])[0];
+        if (!tkhd || !mdhd) {
+            return;
+        }
+        const trackId = readUint32(tkhd, tkhd[0] === 0 ? 12 : 20);
+        timescales[trackId] = readUint32(mdhd, mdhd[0] === 0 ? 12 : 20);
+    });
+    return timescales;
+}
+
+/**
+ * Returns the earliest base media decode time of a media segment in seconds
+ * @param {object} timescales - From getTimescales.
+ * @param {Uint8Array} segment
+ * @returns {number|null}
+ */
+export function getStartTime(timescales, segment) {
+    let start = null;
+    findBox(segment, ['moof', 'traf']).forEach(traf => {
+        const tfhd = findBox(traf, ['tfhd'])[0];
+        const tfdt = findBox(traf, ['tfdt'])[0];
+        if (!tfhd || !tfdt) {
+            return;
+        }
+        const timescale = timescales[readUint32(tfhd, 4)] || 90000;
+        let baseTime = readUint32(tfdt, 4);
+        if (tfdt[0] === 1) {
+            baseTime = baseTime * Math.pow(2, 32) + readUint32(tfdt, 8);
+        }
+        const time = baseTime / timescale;
+        start = start === null ? time : Math.min(start, time);
+    });
+    return start;
+}
+
+function readInt64(data, offset) {
+    return (readUint32(data, offset) * Math.pow(2, 32)) + readUint32(data, offset + 4);
+}
+
+/**
+ * Finds the H.264 video track of an initialization segment
+ * @param {Uint8Array} initSegment
+ * @returns {object|null} { id, nalLengthSize }
+ */
+export function getVideoTrack(initSegment) {
+    let track = null;
+    findBox(initSegment, ['moov', 'trak']).forEach(trak => {
+        const tkhd = findBox(trak, ['tkhd'])[0];
+        const hdlr = findBox(trak, ['mdia', 'hdlr'])[0];
+        const stsd = findBox(trak, ['mdia', 'minf', 'stbl', 'stsd'])[0];
+        if (track || !tkhd || !hdlr || !stsd || boxName(hdlr, 8) !== 'vide' || stsd.length < 16) {
+            return;
+        }
+        // The first sample entry follows the stsd's version, flags and entry count
+        const entry = stsd.subarray(8, 8 + readUint32(stsd, 8));
+        const type = boxName(entry, 4);
+        if (type !== 'avc1' && type !== 'avc3') {
+            return;
+        }
+        // Visual sample entries have 78 bytes of fields before their boxes
+        const avcC = findBox(entry.subarray(8 + 78), ['avcC'])[0];
+        track = {
+            id: readUint32(tkhd, tkhd[0] === 0 ? 12 : 20),
+            nalLengthSize: avcC ? (avcC[4] & 0x03) + 1 : 4
+        };
+    });
+    return track;
+}
+
+function readSeiUnits(segment, offset, size, nalLengthSize, time, units) {
+    const end = Math.min(offset + size, segment.length);
+    while (offset + nalLengthSize <= end) {
+        let length = 0;
+        for (let i = 0; i < nalLengthSize; i++) {
+            length = (length * 256) + segment[offset + i];
+        }
+        offset += nalLengthSize;
+        if ((segment[offset] & 0x1f) === NAL_SEI) {
+            units.push({
+                time: time,
+                data: removeEmulationPrevention(segment.subarray(offset, Math.min(offset + length, end)))
+            });
+        }
+        offset += length;
+    }
+}
+
+/**
+ * Finds the SEI NAL units of the video samples of a media segment, which carry CEA-608/708 captions
+ * @param {object} track - From getVideoTrack.
+ * @param {object} timescales - From getTimescales.
+ * @param {Uint8Array} segment
+ * @returns {Array.<{time: number, data: Uint8Array}>} The units without emulation prevention bytes, with the
+ * presentation times of their samples in seconds.
+ */
+export function getSeiUnits(track, timescales, segment) {
+    const units = [];
+    const timescale = timescales[track.id] || 90000;
+    findBox(segment, ['moof']).forEach(moof => {
+        // Sample data offsets are relative to the start of the moof box
+        const moofStart = moof.byteOffset - segment.byteOffset - 8;
+        findBox(moof, ['traf']).forEach(traf => {
+            const tfhd = findBox(traf, ['tfhd'])[0];
+            if (!tfhd || readUint32(tfhd, 4) !== track.id) {
+                return;
+            }
+            const tfhdFlags = readUint32(tfhd, 0) & 0xffffff;
+            let offset = 8;
+            let baseOffset = moofStart;
+            let defaultDuration = 0;
+            let defaultSize = 0;
+            if (tfhdFlags & 0x01) {
+                baseOffset = readInt64(tfhd, offset);
+                offset += 8;
+            }
+            if (tfhdFlags & 0x02) {
+                offset += 4;
+            }
+            if (tfhdFlags & 0x08) {
+                defaultDuration = readUint32(tfhd, offset);
+                offset += 4;
+            }
+            if (tfhdFlags & 0x10) {
+                defaultSize = readUint32(tfhd, offset);
+            }
+            const tfdt = findBox(traf, ['tfdt'])[0];
+            let decodeTime = 0;
+            if (tfdt) {
+                decodeTime = tfdt[0] === 1 ? readInt64(tfdt, 4) : readUint32(tfdt, 4);
+            }
+
+            let dataOffset = baseOffset;
+            findBox(traf, ['trun']).forEach(trun => {
+                const flags = readUint32(trun, 0) & 0xffffff;
+                const count = readUint32(trun, 4);
+                let position = 8;
+                if (flags & 0x01) {
+                    dataOffset = baseOffset + (readUint32(trun, position) | 0);
+                    position += 4;
+                }
+                if (flags & 0x04) {
+                    position += 4;
+                }
+                for (let i = 0; i < count; i++) {
+                    let duration = defaultDuration;
+                    let size = defaultSize;
+                    let compositionOffset = 0;
+                    if (flags & 0x100) {
+                        duration = readUint32(trun, position);
+                        position += 4;
+                    }
+                    if (flags & 0x200) {
+                        size = readUint32(trun, position);
+                        position += 4;
+                    }
+                    if (flags & 0x400) {
+                        position += 4;
+                    }
+                    if (flags & 0x800) {
+                        compositionOffset = readUint32(trun, position) | 0;
+                        position += 4;
+                    }
+                    readSeiUnits(segment, dataOffset, size, track.nalLengthSize,
+                        (decodeTime + compositionOffset) / timescale, units);
+                    dataOffset += size;
+                    decodeTime += duration;
+                }
+            });
+        });
+    });
+    return units;
+}
+
+/**
+ * Parses a segment index (sidx) box
+ * @param {Uint8Array} data - Data starting with the sidx box.
+ * @param {number} fileOffset - The position of the data in the file.
+ * @returns {object|null} { timescale, earliestPresentationTime, references: [{ offset, size, duration }] }
+ * with offsets relative to the start of the file.
+ */
+export function parseSidx(data, fileOffset) {
+    const sidx = findBox(data, ['sidx'])[0];
+    if (!sidx) {
+        return null;
+    }
+    const version = sidx[0];
+    const timescale = readUint32(sidx, 8);
+    let offset = 12;
+    let earliestPresentationTime;
+    let firstOffset;
+    if (version === 0) {
+        earliestPresentationTime = readUint32(sidx, offset);
+        firstOffset = readUint32(sidx, offset + 4);
+        offset += 8;
+    } else {
+        earliestPresentationTime = (readUint32(sidx, offset) * Math.pow(2, 32)) + readUint32(sidx, offset + 4);
+        firstOffset = (readUint32(sidx, offset + 8) * Math.pow(2, 32)) + readUint32(sidx, offset + 12);
+        offset += 16;
+    }
+    const referenceCount = (sidx[offset + 2] << 8) | sidx[offset + 3];
+    offset += 4;
+    // References are relative to the first byte after the sidx box
+    let referenceOffset = fileOffset + (sidx.byteOffset - data.byteOffset) + sidx.length + firstOffset;
+    const references = [];
+    for (let i = 0; i < referenceCount; i++) {
+        const size = readUint32(sidx, offset) & 0x7fffffff;
+        references.push({
+            offset: referenceOffset,
+            size: size,
+            duration: readUint32(sidx, offset + 4)
+        });
+        referenceOffset += size;
+        offset += 12;
+    }
+    return {
+        timescale: timescale,
+        earliestPresentationTime: earliestPresentationTime,
+        references: references
+    };
+}
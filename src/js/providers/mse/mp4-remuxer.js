@@ -0,0 +1,256 @@
+import { initSegment, mediaSegment } from 'providers/mse/mp4-generator';
+
+const MPEG_TS_CLOCK = 90000;
+const VIDEO_TRACK_ID = 1;
+const AUDIO_TRACK_ID = 2;
+const AAC_SAMPLES_PER_FRAME = 1024;
+// Snap to the expected timestamp when a contiguous fragment starts within this many seconds of it
+const MAX_CONTIGUOUS_DRIFT = 0.5;
+
+function toSeconds(timestamp, initPTS) {
+    return (timestamp - initPTS) / MPEG_TS_CLOCK;
+}
+
+/**
+ * Converts demuxed MPEG-TS elementary streams into fragmented MP4 segments
+ */
+export default class MP4Remuxer {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.initPTS = null;
+        this.sequenceNumber = 0;
+        this.nextVideoDts = null;
+        this.nextAudioPts = null;
+        this.videoConfig = null;
+        this.audioConfig = null;
+    }
+
+    resetTimestamps() {
+        this.initPTS = null;
+        this.nextVideoDts = null;
+        this.nextAudioPts = null;
+    }
+
+    /**
+     * @param {object} demuxed - Output of TSDemuxer.demux
+     * @param {number} timeOffset - The playlist start time of the fragment in seconds.
+     * @param {boolean} contiguous - Whether the fragment follows the previously remuxed one.
+     * @param {number|null} initPTS - The 90kHz timestamp that maps to zero on the media timeline.
+     * @returns {object} { initPTS, initSegments, segments, id3, captions }
+     */
+    remux(demuxed, timeOffset, contiguous, initPTS) {
+        const video = demuxed.video;
+        const audio = demuxed.audio;
+        const hasVideo = video.samples.length && video.sps && video.pps;
+        const hasAudio = audio.samples.length && audio.config;
+
+        if (!contiguous) {
+            this.nextVideoDts = null;
+            this.nextAudioPts = null;
+        }
+
+        if (initPTS === null || initPTS === undefined) {
+            const starts = [];
+            if (hasVideo) {
+                starts.push(video.samples.reduce((min, sample) => Math.min(min, sample.dts), Infinity));
+            }
+            if (hasAudio) {
+                starts.push(audio.samples[0].pts);
+            }
+            if (!starts.length) {
+                return null;
+            }
+            initPTS = Math.min.apply(Math, starts) - (timeOffset * MPEG_TS_CLOCK);
+        }
+        this.initPTS = initPTS;
+
+        const result = {
+            initPTS: initPTS,
+            initSegments: {},
+            segments: [],
+            id3: demuxed.id3.samples.map(sample => ({
+                time: toSeconds(sample.pts, initPTS),
+                data: sample.data
+            })),
+            captions: demuxed.captions.map(caption => ({
+                time: toSeconds(caption.pts, initPTS),
+                data: caption.data
+            }))
+        };
+
+        if (hasVideo) {
+            this.remuxVideo(video, initPTS, result);
+        }
+        if (hasAudio) {
+            this.remuxAudio(audio, initPTS, result);
+        }
+        return result;
+    }
+
+    remuxVideo(track, initPTS, result) {
+        const configKey = track.codec + track.width + 'x' + track.height;
+        if (this.videoConfig !== configKey) {
+            this.videoConfig = configKey;
+            result.initSegments.video = {
+                codec: track.codec,
+                container: 'video/mp4',
+                width: track.width,
+                height: track.height,
+                data: initSegment({
+                    id: VIDEO_TRACK_ID,
+                    type: 'video',
+                    timescale: MPEG_TS_CLOCK,
+                    width: track.width,
+                    height: track.height,
+                    sps: track.sps,
+                    pps: track.pps
+                })
+            };
+        }
+
+        let samples = track.samples.slice().sort((a, b) => a.dts - b.dts);
+        if (this.nextVideoDts === null) {
+            // A decoder can only start from a key frame
+            while (samples.length && !samples[0].key) {
+                samples.shift();
+            }
+        }
+        if (!samples.length) {
+            return;
+        }
+
+        let firstDts = samples[0].dts - initPTS;
+        if (this.nextVideoDts !== null) {
+            const delta = firstDts - this.nextVideoDts;
+            if (Math.abs(delta) < MAX_CONTIGUOUS_DRIFT * MPEG_TS_CLOCK) {
+                firstDts = this.nextVideoDts;
+            }
+        }
+        firstDts = Math.max(0, firstDts);
+
+        const outputSamples = [];
+        let payloadSize = 0;
+        samples.forEach(sample => {
+            payloadSize += sample.length + (4 * sample.units.length);
+        });
+        const payload = new Uint8Array(payloadSize);
+        let offset = 0;
+        let lastDts = firstDts;
+
+        for (let i = 0; i < samples.length; i++) {
+            const sample = samples[i];
+            const dts = i === 0 ? firstDts : Math.max(lastDts, sample.dts - initPTS);
+            const pts = Math.max(dts, sample.pts - initPTS);
+            let size = 0;
+            for (let j = 0; j < sample.units.length; j++) {
+                const unit = sample.units[j];
+                const length = unit.byteLength;
+                payload[offset++] = (length >>> 24) & 0xff;
+                payload[offset++] = (length >>> 16) & 0xff;
+                payload[offset++] = (length >>> 8) & 0xff;
+                payload[offset++] = length & 0xff;
+                payload.set(unit, offset);
+                offset += length;
+                size += length + 4;
+            }
+            outputSamples.push({
+                dts: dts,
+                pts: pts,
+                size: size,
+                cts: Math.round(pts - dts),
+                key: sample.key
+            });
+            lastDts = dts;
+        }
+
+        for (let i = 0; i < outputSamples.length; i++) {
+            const next = outputSamples[i + 1];
+            if (next) {
+                outputSamples[i].duration = Math.round(next.dts - outputSamples[i].dts);
+            } else {
+                outputSamples[i].duration = i > 0 ? outputSamples[i - 1].duration : 3000;
+            }
+        }
+
+        const last = outputSamples[outputSamples.length - 1];
+        this.nextVideoDts = last.dts + last.duration;
+
+        result.segments.push({
+            type: 'video',
+            data: mediaSegment(++this.sequenceNumber, Math.round(firstDts), {
+                id: VIDEO_TRACK_ID,
+                samples: outputSamples
+            }, payload),
+            start: outputSamples.reduce((min, sample) => Math.min(min, sample.pts), Infinity) / MPEG_TS_CLOCK,
+            end: this.nextVideoDts / MPEG_TS_CLOCK,
+            samples: outputSamples.length
+        });
+    }
+
+    remuxAudio(track, initPTS, result) {
+        const samplerate = track.samplerate;
+        const configKey = track.codec + samplerate + track.channelCount;
+        if (this.audioConfig !== configKey) {
+            this.audioConfig = configKey;
+            result.initSegments.audio = {
+                codec: track.codec,
+                container: 'audio/mp4',
+                channelCount: track.channelCount,
+                samplerate: samplerate,
+                data: initSegment({
+                    id: AUDIO_TRACK_ID,
+                    type: 'audio',
+                    timescale: samplerate,
+                    config: track.config,
+                    channelCount: track.channelCount,
+                    samplerate: samplerate
+                })
+            };
+        }
+
+        const scale = samplerate / MPEG_TS_CLOCK;
+        const samples = track.samples;
+        let firstPts = Math.round((samples[0].pts - initPTS) * scale);
+        if (this.nextAudioPts !== null) {
+            const delta = firstPts - this.nextAudioPts;
+            if (Math.abs(delta) < MAX_CONTIGUOUS_DRIFT * samplerate) {
+                firstPts = this.nextAudioPts;
+            }
+        }
+        firstPts = Math.max(0, firstPts);
+
+        let payloadSize = 0;
+        samples.forEach(sample => {
+            payloadSize += sample.unit.byteLength;
+        });
+        const payload = new Uint8Array(payloadSize);
+        const outputSamples = [];
+        let offset = 0;
+        samples.forEach(sample => {
+            payload.set(sample.unit, offset);
+            offset += sample.unit.byteLength;
+            outputSamples.push({
+                duration: AAC_SAMPLES_PER_FRAME,
+                size: sample.unit.byteLength,
+                cts: 0,
+                key: true
+            });
+        });
+
+        this.nextAudioPts = firstPts + (outputSamples.length * AAC_SAMPLES_PER_FRAME);
+
+        result.segments.push({
+            type: 'audio',
+            data: mediaSegment(++this.sequenceNumber, firstPts, {
+                id: AUDIO_TRACK_ID,
+                samples: outputSamples
+            }, payload),
+            start: firstPts / samplerate,
+            end: this.nextAudioPts / samplerate,
+            samples: outputSamples.length
+        });
+    }
+}
@@ -0,0 +1,176 @@
+/**
+ * Serializes SourceBuffer operations. A SourceBuffer throws if appendBuffer or remove is called
+ * while it is updating, so operations are queued per buffer and run on 'updateend'.
+ */
+export default class SourceBuffers {
+    constructor(mediaSource, onError) {
+        this.mediaSource = mediaSource;
+        this.onError = onError;
+        this.buffers = {};
+        this.queues = {};
+        this.pendingEndOfStream = false;
+    }
+
+    has(type) {
+        return !!this.buffers[type];
+    }
+
+    types() {
+        return Object.keys(this.buffers);
+    }
+
+    create(type, mimeType) {
+        if (this.buffers[type]) {
+            return this.buffers[type];
+        }
+        const sourceBuffer = this.mediaSource.addSourceBuffer(mimeType);
+        this.buffers[type] = sourceBuffer;
+        this.queues[type] = [];
+        sourceBuffer.addEventListener('updateend', () => {
+            const operation = this.queues[type] && this.queues[type][0];
+            if (operation && operation.async) {
+                this.complete(type);
+            }
+        });
+        return sourceBuffer;
+    }
+
+    changeType(type, mimeType) {
+        const sourceBuffer = this.buffers[type];
+        if (sourceBuffer && sourceBuffer.changeType) {
+            this.enqueue(type, {
+                run: () => sourceBuffer.changeType(mimeType)
+            });
+        }
+    }
+
+    append(type, data, callback) {
+        const sourceBuffer = this.buffers[type];
+        if (!sourceBuffer) {
+            return;
+        }
+        this.enqueue(type, {
+            async: true,
+            run: () => sourceBuffer.appendBuffer(data),
+            done: callback
+        });
+    }
+
+    remove(type, start, end, callback) {
+        const sourceBuffer = this.buffers[type];
+        if (!sourceBuffer || end <= start) {
+            return;
+        }
+        this.enqueue(type, {
+            async: true,
+            run: () => sourceBuffer.remove(start, end),
+            done: callback
+        });
+    }
+
+    removeAll(start, end) {
+        this.types().forEach(type => {
+            this.remove(type, start, end);
+        });
+    }
+
+    setTimestampOffset(type, offset) {
+        const sourceBuffer = this.buffers[type];
+        if (sourceBuffer) {
+            this.enqueue(type, {
+                run: () => {
+                    sourceBuffer.timestampOffset = offset;
+                }
+            });
+        }
+    }
+
+    abort() {
+        this.types().forEach(type => {
+            this.queues[type] = [];
+            if (this.mediaSource.readyState === 'open') {
+                try {
+                    this.buffers[type].abort();
+                } catch (e) {/* ignore */}
+            }
+        });
+    }
+
+    buffered(type) {
+        const sourceBuffer = this.buffers[type];
+        try {
+            return sourceBuffer ? sourceBuffer.buffered : null;
+        } catch (e) {
+            // Accessing buffered on a SourceBuffer removed from its MediaSource throws
+            return null;
+        }
+    }
+
+    isUpdating() {
+        return this.types().some(type => this.buffers[type].updating || this.queues[type].length > 0);
+    }
+
+    endOfStream() {
+        this.pendingEndOfStream = true;
+        this.checkEndOfStream();
+    }
+
+    checkEndOfStream() {
+        if (!this.pendingEndOfStream || this.isUpdating() || this.mediaSource.readyState !== 'open') {
+            return;
+        }
+        this.pendingEndOfStream = false;
+        try {
+            this.mediaSource.endOfStream();
+        } catch (e) {/* ignore */}
+    }
+
+    enqueue(type, operation) {
+        const queue = this.queues[type];
+        this.pendingEndOfStream = false;
+        queue.push(operation);
+        if (queue.length === 1 && !this.buffers[type].updating) {
+            this.run(type);
+        }
+    }
+
+    run(type) {
+        const operation = this.queues[type][0];
+        try {
+            operation.run();
+        } catch (error) {
+            this.queues[type].shift();
+            // QuotaExceededError means the buffer is full and the caller should evict data before retrying
+            this.onError(error, type);
+            this.next(type);
+            return;
+        }
+        if (!operation.async) {
+            this.complete(type);
+        }
+    }
+
+    complete(type) {
+        const operation = this.queues[type].shift();
+        if (operation && operation.done) {
+            operation.done();
+        }
+        this.next(type);
+    }
+
+    next(type) {
+        const queue = this.queues[type];
+        if (queue && queue.length) {
+            this.run(type);
+        } else {
+            this.checkEndOfStream();
+        }
+    }
+
+    destroy() {
+        this.abort();
+        this.buffers = {};
+        this.queues = {};
+        this.pendingEndOfStream = false;
+    }
+}
@@ -0,0 +1,423 @@
+import ExpGolomb from 'providers/mse/exp-golomb';
+
+const PACKET_LENGTH = 188;
+const SYNC_BYTE = 0x47;
+
+const STREAM_TYPE_AAC = 0x0f;
+const STREAM_TYPE_ID3 = 0x15;
+const STREAM_TYPE_AVC = 0x1b;
+
+const ADTS_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+export const NAL_SLICE = 1;
+export const NAL_IDR = 5;
+export const NAL_SEI = 6;
+export const NAL_SPS = 7;
+export const NAL_PPS = 8;
+export const NAL_AUD = 9;
+
+/**
+ * Demuxed elementary stream data for a single MPEG-TS segment.
+ * Timestamps are in the 90kHz MPEG-TS clock.
+ * @typedef {object} DemuxedTrack
+ * @property {string} type - 'video', 'audio' or 'id3'.
+ * @property {Array} samples
+ * @property {string} [codec]
+ */
+
+export function probe(data) {
+    // Look for the sync byte in three consecutive packets
+    const length = Math.min(PACKET_LENGTH * 5, data.length - (PACKET_LENGTH * 2));
+    for (let i = 0; i < length; i++) {
+        if (data[i] === SYNC_BYTE && data[i + PACKET_LENGTH] === SYNC_BYTE && data[i + (PACKET_LENGTH * 2)] === SYNC_BYTE) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function readTimestamp(data, offset) {
+    // 33-bit timestamps do not fit in 32-bit bitwise operations
+    return (data[offset] & 0x0e) * 536870912 +
+        (data[offset + 1] & 0xff) * 4194304 +
+        (data[offset + 2] & 0xfe) * 16384 +
+        (data[offset + 3] & 0xff) * 128 +
+        (data[offset + 4] & 0xfe) / 2;
+}
+
+function concat(chunks, size) {
+    if (chunks.length === 1) {
+        return chunks[0];
+    }
+    const result = new Uint8Array(size);
+    let offset = 0;
+    for (let i = 0; i < chunks.length; i++) {
+        result.set(chunks[i], offset);
+        offset += chunks[i].length;
+    }
+    return result;
+}
+
+function parsePES(stream) {
+    const data = concat(stream.chunks, stream.size);
+    if (data[0] !== 0 || data[1] !== 0 || data[2] !== 1) {
+        return null;
+    }
+    const flags = data[7];
+    const headerLength = data[8];
+    let pts;
+    let dts;
+    if (flags & 0x80) {
+        pts = dts = readTimestamp(data, 9);
+        if (flags & 0x40) {
+            dts = readTimestamp(data, 14);
+        }
+    }
+    return {
+        pts: pts,
+        dts: dts,
+        data: data.subarray(9 + headerLength)
+    };
+}
+
+// Split Annex B byte stream data into NAL units
+export function splitNalUnits(data) {
+    const units = [];
+    const length = data.length;
+    let i = 0;
+    let start = -1;
+    while (i < length - 2) {
+        if (data[i] === 0 && data[i + 1] === 0 && data[i + 2] === 1) {
+            if (start >= 0) {
+                let end = i;
+                // Trim the leading zero of a four byte start code
+                if (end > start && data[end - 1] === 0) {
+                    end--;
+                }
+                units.push(data.subarray(start, end));
+            }
+            i += 3;
+            start = i;
+        } else {
+            i++;
+        }
+    }
+    if (start >= 0 && start < length) {
+        units.push(data.subarray(start, length));
+    }
+    return units;
+}
+
+// Remove emulation prevention bytes (0x000003) from a NAL unit
+export function removeEmulationPrevention(data) {
+    const length = data.length;
+    const positions = [];
+    for (let i = 2; i < length; i++) {
+        if (data[i] === 3 && data[i - 1] === 0 && data[i - 2] === 0) {
+            positions.push(i);
+            i += 2;
+        }
+    }
+    if (!positions.length) {
+        return data;
+    }
+    const result = new Uint8Array(length - positions.length);
+    let sourceIndex = 0;
+    for (let i = 0; i < result.length; i++) {
+        if (sourceIndex === positions[0]) {
+            sourceIndex++;
+            positions.shift();
+        }
+        result[i] = data[sourceIndex++];
+    }
+    return result;
+}
+
+/**
+ * Extracts H.264 video, AAC audio and ID3 timed metadata from MPEG-2 transport stream segments
+ */
+export default class TSDemuxer {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.pmtId = -1;
+        this.videoPid = -1;
+        this.audioPid = -1;
+        this.id3Pid = -1;
+        this.videoTrack = { type: 'video', samples: [], sps: null, pps: null, codec: null, width: 0, height: 0 };
+        this.audioTrack = { type: 'audio', samples: [], config: null, codec: null, samplerate: 0, channelCount: 0 };
+        this.id3Track = { type: 'id3', samples: [] };
+        this.aacRemainder = null;
+    }
+
+    /**
+     * Demux one segment. Stream configuration (PIDs, SPS/PPS, AAC config) is carried over between calls
+     * so contiguous segments of the same rendition can be demuxed without re-parsing tables.
+     * @param {Uint8Array} data
+     * @param {boolean} contiguous - false after a seek, level switch or discontinuity
+     * @returns {{video: object, audio: object, id3: object, captions: Array}}
+     */
+    demux(data, contiguous) {
+        if (!contiguous) {
+            this.aacRemainder = null;
+        }
+        const videoTrack = this.videoTrack;
+        const audioTrack = this.audioTrack;
+        const id3Track = this.id3Track;
+        videoTrack.samples = [];
+        audioTrack.samples = [];
+        id3Track.samples = [];
+
+        const streams = {};
+        const captions = [];
+        const length = data.length - (data.length % PACKET_LENGTH);
+
+        for (let start = 0; start < length; start += PACKET_LENGTH) {
+            if (data[start] !== SYNC_BYTE) {
+                continue;
+            }
+            const payloadUnitStart = !!(data[start + 1] & 0x40);
+            const pid = ((data[start + 1] & 0x1f) << 8) + data[start + 2];
+            const adaptationFieldControl = (data[start + 3] & 0x30) >> 4;
+            let offset;
+            if (adaptationFieldControl > 1) {
+                offset = start + 5 + data[start + 4];
+                if (offset === start + PACKET_LENGTH) {
+                    continue;
+                }
+            } else {
+                offset = start + 4;
+            }
+
+            if (pid === 0) {
+                if (payloadUnitStart) {
+                    offset += data[offset] + 1;
+                }
+                this.pmtId = this.parsePAT(data, offset);
+            } else if (pid === this.pmtId) {
+                if (payloadUnitStart) {
+                    offset += data[offset] + 1;
+                }
+                this.parsePMT(data, offset);
+            } else if (pid === this.videoPid || pid === this.audioPid || pid === this.id3Pid) {
+                let stream = streams[pid];
+                if (payloadUnitStart) {
+                    if (stream && stream.size) {
+                        this.flushPES(pid, stream, captions);
+                    }
+                    stream = streams[pid] = { chunks: [], size: 0 };
+                }
+                if (stream) {
+                    const chunk = data.subarray(offset, start + PACKET_LENGTH);
+                    stream.chunks.push(chunk);
+                    stream.size += chunk.length;
+                }
+            }
+        }
+
+        Object.keys(streams).forEach(pid => {
+            const stream = streams[pid];
+            if (stream.size) {
+                this.flushPES(parseInt(pid, 10), stream, captions);
+            }
+        });
+
+        return {
+            video: videoTrack,
+            audio: audioTrack,
+            id3: id3Track,
+            captions: captions
+        };
+    }
+
+    parsePAT(data, offset) {
+        // skip table header; the first program's PMT PID
+        return ((data[offset + 10] & 0x1f) << 8) | data[offset + 11];
+    }
+
+    parsePMT(data, offset) {
+        const sectionLength = ((data[offset + 1] & 0x0f) << 8) | data[offset + 2];
+        const tableEnd = offset + 3 + sectionLength - 4;
+        const programInfoLength = ((data[offset + 10] & 0x0f) << 8) | data[offset + 11];
+        offset += 12 + programInfoLength;
+        while (offset < tableEnd) {
+            const pid = ((data[offset + 1] & 0x1f) << 8) | data[offset + 2];
+            switch (data[offset]) {
+                case STREAM_TYPE_AAC:
+                    if (this.audioPid === -1) {
+                        this.audioPid = pid;
+                    }
+                    break;
+                case STREAM_TYPE_ID3:
+                    if (this.id3Pid === -1) {
+                        this.id3Pid = pid;
+                    }
+                    break;
+                case STREAM_TYPE_AVC:
+                    if (this.videoPid === -1) {
+                        this.videoPid = pid;
+                    }
+                    break;
+                default:
+                    break;
+            }
+            offset += (((data[offset + 3] & 0x0f) << 8) | data[offset + 4]) + 5;
+        }
+    }
+
+    flushPES(pid, stream, captions) {
+        const pes = parsePES(stream);
+        if (!pes) {
+            return;
+        }
+        if (pid === this.videoPid) {
+            this.parseAVCPES(pes, captions);
+        } else if (pid === this.audioPid) {
+            this.parseAACPES(pes);
+        } else if (pid === this.id3Pid) {
+            this.id3Track.samples.push({
+                pts: pes.pts,
+                dts: pes.dts,
+                data: pes.data
+            });
+        }
+    }
+
+    parseAVCPES(pes, captions) {
+        const track = this.videoTrack;
+        const units = splitNalUnits(pes.data);
+        const sample = {
+            pts: pes.pts,
+            dts: pes.dts,
+            key: false,
+            units: [],
+            length: 0
+        };
+
+        units.forEach(unit => {
+            const type = unit[0] & 0x1f;
+            switch (type) {
+                case NAL_IDR:
+                    sample.key = true;
+                    break;
+                case NAL_SEI:
+                    // SEI messages carry CEA-608/708 captions as user data registered by ITU-T T.35
+                    captions.push({
+                        pts: pes.pts,
+                        data: removeEmulationPrevention(unit)
+                    });
+                    break;
+                case NAL_SPS:
+                    if (!track.sps) {
+                        const config = new ExpGolomb(removeEmulationPrevention(unit)).readSPS();
+                        track.width = config.width;
+                        track.height = config.height;
+                        track.codec = config.codec;
+                        track.sps = [unit];
+                    }
+                    break;
+                case NAL_PPS:
+                    if (!track.pps) {
+                        track.pps = [unit];
+                    }
+                    break;
+                case NAL_AUD:
+                    // Access unit delimiters are not needed in fMP4
+                    return;
+                default:
+                    break;
+            }
+            sample.units.push(unit);
+            sample.length += unit.length;
+        });
+
+        if (sample.units.length && pes.pts !== undefined) {
+            track.samples.push(sample);
+        } else if (sample.units.length && track.samples.length) {
+            // A PES without timestamps continues the previous access unit
+            const previous = track.samples[track.samples.length - 1];
+            previous.units = previous.units.concat(sample.units);
+            previous.length += sample.length;
+        }
+    }
+
+    parseAACPES(pes) {
+        const track = this.audioTrack;
+        let data = pes.data;
+        let pts = pes.pts;
+
+        if (this.aacRemainder) {
+            const merged = new Uint8Array(this.aacRemainder.data.length + data.length);
+            merged.set(this.aacRemainder.data, 0);
+            merged.set(data, this.aacRemainder.data.length);
+            data = merged;
+            pts = this.aacRemainder.pts;
+            this.aacRemainder = null;
+        }
+
+        let offset = 0;
+        const length = data.length;
+        // Find the first ADTS sync word
+        while (offset < length - 1 && !(data[offset] === 0xff && (data[offset + 1] & 0xf6) === 0xf0)) {
+            offset++;
+        }
+
+        if (!track.config && offset < length - 7) {
+            this.parseADTSConfig(data, offset);
+        }
+        if (!track.samplerate) {
+            return;
+        }
+
+        const frameDuration = 1024 * 90000 / track.samplerate;
+        let frameIndex = 0;
+        while (offset + 7 <= length) {
+            if (data[offset] !== 0xff || (data[offset + 1] & 0xf6) !== 0xf0) {
+                offset++;
+                continue;
+            }
+            const headerLength = (data[offset + 1] & 0x01) ? 7 : 9;
+            const frameLength = ((data[offset + 3] & 0x03) << 11) |
+                (data[offset + 4] << 3) |
+                ((data[offset + 5] & 0xe0) >>> 5);
+            if (frameLength <= headerLength) {
+                break;
+            }
+            if (offset + frameLength > length) {
+                // The frame continues in the next PES packet
+                this.aacRemainder = {
+                    data: data.subarray(offset),
+                    pts: pts + frameIndex * frameDuration
+                };
+                return;
+            }
+            track.samples.push({
+                pts: pts + frameIndex * frameDuration,
+                dts: pts + frameIndex * frameDuration,
+                unit: data.subarray(offset + headerLength, offset + frameLength)
+            });
+            frameIndex++;
+            offset += frameLength;
+        }
+    }
+
+    parseADTSConfig(data, offset) {
+        const track = this.audioTrack;
+        const objectType = ((data[offset + 2] & 0xc0) >>> 6) + 1;
+        const samplingIndex = (data[offset + 2] & 0x3c) >>> 2;
+        const channelConfig = ((data[offset + 2] & 0x01) << 2) | ((data[offset + 3] & 0xc0) >>> 6);
+        if (samplingIndex >= ADTS_SAMPLE_RATES.length) {
+            return;
+        }
+        // AudioSpecificConfig: 5 bits object type, 4 bits frequency index, 4 bits channel configuration
+        track.config = [
+            (objectType << 3) | ((samplingIndex & 0x0e) >> 1),
+            ((samplingIndex & 0x01) << 7) | (channelConfig << 3)
+        ];
+        track.samplerate = ADTS_SAMPLE_RATES[samplingIndex];
+        track.channelCount = channelConfig;
+        track.codec = 'mp4a.40.' + objectType;
+    }
+}
@@ -1,5 +1,6 @@
 import { Features } from 'environment/environment';
 import { isAndroidHls } from 'providers/html5-android-hls';
+import { isMediaSourceSupported } from 'providers/mse/media-source';
 
 define([
     'utils/helpers',
@@ -14,6 +15,49 @@ define([
                 return (utils.isYouTube(source.file, source.type));
             }
         },
+        {
+            name: 'vimeo',
+            supports: function (source) {
+                return (utils.isVimeo(source.file, source.type));
+            }
+        },
+        {
+            name: 'hlsjs',
+            supports: function (source) {
+                var type = source.type;
+                if (type !== 'hls' && type !== 'm3u8' && type !== 'm3u') {
+                    return false;
+                }
+                if (utils.isRtmp(source.file, type) || !isMediaSourceSupported()) {
+                    return false;
+                }
+                if (source.hlsjsdefault) {
+                    return true;
+                }
+                // Prefer native playback where the browser can play HLS itself
+                if (isAndroidHls(source) === true) {
+                    return false;
+                }
+                return !(video.canPlayType && video.canPlayType('application/vnd.apple.mpegurl'));
+            }
+        },
+        {
+            name: 'dash',
+            supports: function (source) {
+                return source.type === 'dash' && !utils.isRtmp(source.file, source.type) && isMediaSourceSupported();
+            }
+        },
+        {
+            name: 'audio',
+            supports: function (source) {
+                var AudioTypes = ['aac', 'flac', 'mp3', 'mpeg', 'oga', 'vorbis', 'wav'];
+                // Web Audio playback is opt-in, as whole files are downloaded and decoded into memory
+                if (!source.webaudio || !_.contains(AudioTypes, source.type)) {
+                    return false;
+                }
+                return !!(window.AudioContext || window.webkitAudioContext);
+            }
+        },
         {
             name: 'html5',
             supports: function (source) {
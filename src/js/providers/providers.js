@@ -27,6 +27,34 @@ define([
                 resolvePromise(provider);
             }, 'provider.flash');
         },
+        hlsjs: function(resolvePromise) {
+            require.ensure(['providers/hlsjs'], function(require) {
+                var provider = require('providers/hlsjs');
+                registerProvider(provider);
+                resolvePromise(provider);
+            }, 'provider.hlsjs');
+        },
+        dash: function(resolvePromise) {
+            require.ensure(['providers/dash'], function(require) {
+                var provider = require('providers/dash');
+                registerProvider(provider);
+                resolvePromise(provider);
+            }, 'provider.dash');
+        },
+        audio: function(resolvePromise) {
+            require.ensure(['providers/audio'], function(require) {
+                var provider = require('providers/audio');
+                registerProvider(provider);
+                resolvePromise(provider);
+            }, 'provider.audio');
+        },
+        vimeo: function(resolvePromise) {
+            require.ensure(['providers/vimeo'], function(require) {
+                var provider = require('providers/vimeo');
+                registerProvider(provider);
+                resolvePromise(provider);
+            }, 'provider.vimeo');
+        },
         youtube: function(resolvePromise) {
             require.ensure(['providers/youtube'], function(require) {
                 var provider = require('providers/youtube');
@@ -59,26 +87,28 @@ define([
 
         required: function(playlist) {
             var _this = this;
-            var providers = ProvidersSupported;
-
-            playlist = playlist.slice();
-            return _.compact(_.map(providers, function(provider) {
-                // remove items from copied playlist that can be played by provider
-                // remaining providers will be checked against any remaining items
-                // provider will be loaded if there are matches
-                var loadProvider = false;
-                for (var i = playlist.length; i--;) {
-                    var item = playlist[i];
-                    var supported = _this.providerSupports(provider, item.sources[0]);
-                    if (supported) {
-                        playlist.splice(i, 1);
-                    }
-                    loadProvider = loadProvider || supported;
-                }
-                if (loadProvider) {
-                    return provider;
-                }
+            var chosen = _.compact(_.map(playlist, function(item) {
+                var choice = _this.choose(item.sources[0]);
+                return choice && choice.providerToCheck;
+            }));
+
+            // load each provider chosen for an item once, in order of priority
+            return _.filter(this.prioritized(), function(provider) {
+                return _.contains(chosen, provider);
+            });
+        },
+
+        // Providers named in the providerPriority option come first, followed by the rest in their default order
+        prioritized: function() {
+            var providerPriority = this.config.providerPriority;
+            if (!_.isArray(providerPriority) || !providerPriority.length) {
+                return this.providers;
+            }
+            var providers = this.providers;
+            var preferred = _.compact(_.map(providerPriority, function(name) {
+                return _.findWhere(providers, { name: name });
             }));
+            return preferred.concat(_.difference(providers, preferred));
         },
 
         // Find the name of the first provider which can support the media source-type
@@ -86,21 +116,24 @@ define([
             // prevent throw on missing source
             source = _.isObject(source) ? source : {};
 
-            var count = this.providers.length;
+            var providers = this.prioritized();
+            var count = providers.length;
+
+            // A provider named by the source is chosen when it can play the source
+            var sourceProvider = source.provider && _.findWhere(providers, { name: source.provider });
+            if (sourceProvider && this.providerSupports(sourceProvider, source)) {
+                return _choice(sourceProvider, source, count, 'source');
+            }
+
+            var providerPriority = this.config.providerPriority;
             for (var i = 0; i < count; i++) {
-                var provider = this.providers[i];
+                var provider = providers[i];
                 if (this.providerSupports(provider, source)) {
                     // prefer earlier providers
                     var priority = count - i - 1;
+                    var reason = _.contains(providerPriority, provider.name) ? 'priority' : 'default';
 
-                    return {
-                        priority: priority,
-                        name: provider.name,
-                        type: source.type,
-                        providerToCheck: provider,
-                        // If provider isn't loaded, this will be undefined
-                        provider: ProvidersLoaded[provider.name]
-                    };
+                    return _choice(provider, source, priority, reason);
                 }
             }
 
@@ -108,5 +141,17 @@ define([
         }
     });
 
+    function _choice(provider, source, priority, reason) {
+        return {
+            priority: priority,
+            name: provider.name,
+            type: source.type,
+            reason: reason,
+            providerToCheck: provider,
+            // If provider isn't loaded, this will be undefined
+            provider: ProvidersLoaded[provider.name]
+        };
+    }
+
     return Providers;
 });
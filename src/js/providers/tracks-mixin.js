@@ -1,4 +1,5 @@
 import { Browser } from 'environment/environment';
+import CeaCaptions from 'parsers/captions/cea-captions';
 
 define(['utils/underscore',
     'utils/id3Parser',
@@ -19,6 +20,7 @@ define(['utils/underscore',
         _currentTextTrackIndex: -1,
         _unknownCount: 0,
         _activeCuePosition: null,
+        _ceaCaptions: null,
         _initTextTracks: _initTextTracks,
         addTracksListener: addTracksListener,
         clearTracks: clearTracks,
@@ -36,6 +38,7 @@ define(['utils/underscore',
         addCuesToTrack: addCuesToTrack,
         addCaptionsCue: addCaptionsCue,
         addVTTCue: addVTTCue,
+        addCaptionsData: addCaptionsData,
         addVTTCuesToTrack: addVTTCuesToTrack,
         renderNatively: false
     };
@@ -205,6 +208,11 @@ define(['utils/underscore',
             this._textTracks[this._currentTextTrackIndex].mode = 'showing';
         }
 
+        // Let providers which load subtitle segments themselves know which track is showing
+        if (this.setCurrentSubtitleTrack) {
+            this.setCurrentSubtitleTrack(this._currentTextTrackIndex);
+        }
+
         // Update the model index since the track change may have come from a browser event
         this.trigger('subtitlesTrackChanged', {
             currentTrack: this._currentTextTrackIndex + 1,
@@ -260,7 +268,7 @@ define(['utils/underscore',
 
         var trackId = cueData.track ? cueData.track : 'native' + cueData.type;
         var track = this._tracksById[trackId];
-        var label = cueData.type === 'captions' ? 'Unknown CC' : 'ID3 Metadata';
+        var label = cueData.label || (cueData.type === 'captions' ? 'Unknown CC' : 'ID3 Metadata');
         var vttCue = cueData.cue;
 
         if (!track) {
@@ -288,6 +296,48 @@ define(['utils/underscore',
         }
     }
 
+    /**
+     * Decodes CEA-608 and CEA-708 captions from the SEI NAL units of H.264 video. Each channel and service with captions
+     * is added as a captions track, so embedded captions are shown where browsers don't decode them.
+     * @param {object} captionsData - { samples: [{ time, data }], contiguous }, where data is an SEI NAL unit without
+     * emulation prevention bytes, and contiguous is false when the samples don't follow on from the last ones added.
+     */
+    function addCaptionsData(captionsData) {
+        var decoder = this._ceaCaptions;
+        if (!decoder) {
+            decoder = this._ceaCaptions = new CeaCaptions(_addCeaCue.bind(this));
+        } else if (!captionsData.contiguous) {
+            decoder.reset();
+        }
+
+        // Frames are decoded out of order, but captions must be decoded in presentation order
+        var samples = _.map(captionsData.samples, function (sample, index) {
+            return {
+                time: sample.time,
+                data: sample.data,
+                index: index
+            };
+        }).sort(function (a, b) {
+            return (a.time - b.time) || (a.index - b.index);
+        });
+        _.each(samples, function (sample) {
+            decoder.push(sample.time, sample.data);
+        });
+    }
+
+    function _addCeaCue(cue) {
+        var vttCue = tracksLoader.convertToVTTCues([cue])[0];
+        vttCue.snapToLines = false;
+        vttCue.line = cue.line;
+        vttCue.lineAlign = 'end';
+        this.addVTTCue({
+            type: 'captions',
+            track: cue.channel,
+            label: cue.channel.replace('SERVICE', 'Service '),
+            cue: vttCue
+        });
+    }
+
     function addCuesToTrack(cueData) {
         // convert cues coming from the flash provider into VTTCues, then append them to track
         var track = this._tracksById[cueData.name];
@@ -364,6 +414,7 @@ define(['utils/underscore',
         this._metaCuesByTextTime = null;
         this._unknownCount = 0;
         this._activeCuePosition = null;
+        this._ceaCaptions = null;
         if (this.renderNatively) {
             // Removing listener first to ensure that removing cues does not trigger it unnecessarily
             this.removeTracksListener(this.video.textTracks, 'change', this.textTrackChangeHandler);
@@ -558,6 +609,10 @@ define(['utils/underscore',
             }
 
             track.default = itemTrack.default;
+            // Used to choose the track in the viewer's language
+            track.defaulttrack = itemTrack.defaulttrack;
+            track.autoselect = itemTrack.autoselect;
+            track.forced = itemTrack.forced;
             track.mode = 'disabled';
             track.inuse = true;
         } else {
@@ -0,0 +1,226 @@
+import IframeBridge from 'providers/iframe-bridge';
+
+define([
+    'utils/helpers',
+    'utils/underscore',
+    'providers/iframe-provider',
+    'utils/backbone.events'
+], function(utils, _, IframeProvider, Events) {
+
+    var _name = 'vimeo';
+    var VIMEO_ORIGIN = 'https://player.vimeo.com';
+    // Player events to listen to once the embed is ready
+    var VIMEO_EVENTS = ['play', 'pause', 'ended', 'timeupdate', 'progress', 'seeked', 'bufferstart', 'bufferend',
+        'loaded', 'error'];
+
+    /**
+     * Controls the Vimeo player through its postMessage API.
+     * @implements {IframeEmbed}
+     */
+    function VimeoEmbed(_playerId) {
+        _.extend(this, Events);
+
+        var _this = this;
+        var _bridge = null;
+        var _paused = true;
+        var _volume = 1;
+        var _muted = false;
+        var _meta = {};
+
+        function _send(method, value) {
+            if (!_bridge) {
+                return;
+            }
+            var message = { method: method };
+            if (value !== undefined) {
+                message.value = value;
+            }
+            _bridge.send(message);
+        }
+
+        function _requestMeta() {
+            _meta = {};
+            _send('getDuration');
+            _send('getVideoWidth');
+            _send('getVideoHeight');
+        }
+
+        function _messageHandler(data) {
+            if (data.event) {
+                _eventHandler(data.event, data.data || {});
+            } else if (data.method) {
+                _methodHandler(data.method, data.value);
+            }
+        }
+
+        function _eventHandler(type, data) {
+            switch (type) {
+                case 'ready':
+                    _.each(VIMEO_EVENTS, function(name) {
+                        _send('addEventListener', name);
+                    });
+                    _requestMeta();
+                    _this.trigger('ready');
+                    return;
+                case 'loaded':
+                    _requestMeta();
+                    return;
+                case 'play':
+                    _paused = false;
+                    _this.trigger('playing');
+                    return;
+                case 'bufferend':
+                    if (!_paused) {
+                        _this.trigger('playing');
+                    }
+                    return;
+                case 'pause':
+                    _paused = true;
+                    _this.trigger('paused');
+                    return;
+                case 'bufferstart':
+                    _this.trigger('buffering');
+                    return;
+                case 'timeupdate':
+                    _meta.duration = data.duration;
+                    _this.trigger('time', {
+                        position: data.seconds,
+                        duration: data.duration
+                    });
+                    return;
+                case 'progress':
+                    _this.trigger('buffer', {
+                        percent: Math.round(data.percent * 100)
+                    });
+                    return;
+                case 'seeked':
+                    _this.trigger('seeked');
+                    return;
+                case 'ended':
+                    _paused = true;
+                    _this.trigger('ended');
+                    return;
+                case 'error':
+                    _this.trigger('error', {
+                        message: 'Error loading Vimeo: ' + (data.message || 'Video could not be played')
+                    });
+                    return;
+                default:
+                    return;
+            }
+        }
+
+        function _methodHandler(method, value) {
+            switch (method) {
+                case 'getCurrentTime':
+                    _this.trigger('time', {
+                        position: value,
+                        duration: _meta.duration
+                    });
+                    return;
+                case 'getDuration':
+                    _meta.duration = value;
+                    return;
+                case 'getVideoWidth':
+                    _meta.width = value;
+                    return;
+                case 'getVideoHeight':
+                    // Requested last, so all of the metadata has arrived
+                    _meta.height = value;
+                    _this.trigger('meta', _meta);
+                    return;
+                default:
+                    return;
+            }
+        }
+
+        this.create = function(source) {
+            var iframe = document.createElement('iframe');
+            iframe.id = _playerId + '_vimeo';
+            iframe.src = VIMEO_ORIGIN + '/video/' + utils.vimeoID(source.file) + '?' + [
+                'api=1',
+                'player_id=' + encodeURIComponent(iframe.id),
+                'autopause=0',
+                'controls=0',
+                'playsinline=1'
+            ].join('&');
+            iframe.setAttribute('frameborder', '0');
+            iframe.setAttribute('allow', 'autoplay; fullscreen');
+            iframe.setAttribute('allowfullscreen', '');
+            iframe.setAttribute('width', '100%');
+            iframe.setAttribute('height', '100%');
+
+            _paused = true;
+            _bridge = new IframeBridge(iframe, VIMEO_ORIGIN);
+            _bridge.on('message', _messageHandler);
+            return iframe;
+        };
+
+        this.load = function(source) {
+            _paused = true;
+            _send('loadVideo', utils.vimeoID(source.file));
+        };
+
+        this.play = function() {
+            _send('play');
+        };
+
+        this.pause = function() {
+            _send('pause');
+        };
+
+        this.stop = function() {
+            // Return to the poster, as a stopped player would
+            _paused = true;
+            _send('unload');
+        };
+
+        this.seek = function(position) {
+            _send('setCurrentTime', position);
+        };
+
+        this.setVolume = function(volume) {
+            _volume = volume;
+            if (!_muted) {
+                _send('setVolume', volume);
+            }
+        };
+
+        this.setMuted = function(muted) {
+            _muted = muted;
+            _send('setVolume', muted ? 0 : _volume);
+        };
+
+        this.setPlaybackRate = function(playbackRate) {
+            _send('setPlaybackRate', playbackRate);
+        };
+
+        this.poll = function() {
+            _send('getCurrentTime');
+        };
+
+        this.destroy = function() {
+            if (_bridge) {
+                _bridge.destroy();
+                _bridge = null;
+            }
+        };
+    }
+
+    /**
+     * Plays Vimeo videos in the Vimeo player, reporting its playback with the same events as other providers.
+     */
+    function VimeoProvider(_playerId, _playerConfig) {
+        IframeProvider.call(this, _playerId, _playerConfig, new VimeoEmbed(_playerId));
+
+        this.getName = function() {
+            return { name: _name };
+        };
+    }
+
+    VimeoProvider.getName = function() {
+        return { name: _name };
+    };
+
+    return VimeoProvider;
+});
@@ -3,43 +3,621 @@ define([
 ], function (_) {
 
     /**
-     * A map of 2-letter language codes (ISO 639-1) to language name in English
-     */
-    const codeToLang = {
-        zh: 'Chinese',
-        nl: 'Dutch',
-        en: 'English',
-        fr: 'French',
-        de: 'German',
-        it: 'Italian',
-        ja: 'Japanese',
-        pt: 'Portuguese',
-        ru: 'Russian',
-        es: 'Spanish',
-        el: 'Greek',
+     * ISO 639-1 (2-letter) language codes, with their language names in English and their ISO 639-2 (3-letter)
+     * terminology and bibliographic codes
+     */
+    const LANGUAGES = [
+        ['aa', 'Afar', 'aar'],
+        ['ab', 'Abkhazian', 'abk'],
+        ['ae', 'Avestan', 'ave'],
+        ['af', 'Afrikaans', 'afr'],
+        ['ak', 'Akan', 'aka'],
+        ['am', 'Amharic', 'amh'],
+        ['an', 'Aragonese', 'arg'],
+        ['ar', 'Arabic', 'ara'],
+        ['as', 'Assamese', 'asm'],
+        ['av', 'Avaric', 'ava'],
+        ['ay', 'Aymara', 'aym'],
+        ['az', 'Azerbaijani', 'aze'],
+        ['ba', 'Bashkir', 'bak'],
+        ['be', 'Belarusian', 'bel'],
+        ['bg', 'Bulgarian', 'bul'],
+        ['bh', 'Bihari', 'bih'],
+        ['bi', 'Bislama', 'bis'],
+        ['bm', 'Bambara', 'bam'],
+        ['bn', 'Bengali', 'ben'],
+        ['bo', 'Tibetan', 'bod', 'tib'],
+        ['br', 'Breton', 'bre'],
+        ['bs', 'Bosnian', 'bos'],
+        ['ca', 'Catalan', 'cat'],
+        ['ce', 'Chechen', 'che'],
+        ['ch', 'Chamorro', 'cha'],
+        ['co', 'Corsican', 'cos'],
+        ['cr', 'Cree', 'cre'],
+        ['cs', 'Czech', 'ces', 'cze'],
+        ['cu', 'Church Slavic', 'chu'],
+        ['cv', 'Chuvash', 'chv'],
+        ['cy', 'Welsh', 'cym', 'wel'],
+        ['da', 'Danish', 'dan'],
+        ['de', 'German', 'deu', 'ger'],
+        ['dv', 'Divehi', 'div'],
+        ['dz', 'Dzongkha', 'dzo'],
+        ['ee', 'Ewe', 'ewe'],
+        ['el', 'Greek', 'ell', 'gre'],
+        ['en', 'English', 'eng'],
+        ['eo', 'Esperanto', 'epo'],
+        ['es', 'Spanish', 'spa'],
+        ['et', 'Estonian', 'est'],
+        ['eu', 'Basque', 'eus', 'baq'],
+        ['fa', 'Persian', 'fas', 'per'],
+        ['ff', 'Fulah', 'ful'],
+        ['fi', 'Finnish', 'fin'],
+        ['fj', 'Fijian', 'fij'],
+        ['fo', 'Faroese', 'fao'],
+        ['fr', 'French', 'fra', 'fre'],
+        ['fy', 'Western Frisian', 'fry'],
+        ['ga', 'Irish', 'gle'],
+        ['gd', 'Scottish Gaelic', 'gla'],
+        ['gl', 'Galician', 'glg'],
+        ['gn', 'Guarani', 'grn'],
+        ['gu', 'Gujarati', 'guj'],
+        ['gv', 'Manx', 'glv'],
+        ['ha', 'Hausa', 'hau'],
+        ['he', 'Hebrew', 'heb'],
+        ['hi', 'Hindi', 'hin'],
+        ['ho', 'Hiri Motu', 'hmo'],
+        ['hr', 'Croatian', 'hrv'],
+        ['ht', 'Haitian Creole', 'hat'],
+        ['hu', 'Hungarian', 'hun'],
+        ['hy', 'Armenian', 'hye', 'arm'],
+        ['hz', 'Herero', 'her'],
+        ['ia', 'Interlingua', 'ina'],
+        ['id', 'Indonesian', 'ind'],
+        ['ie', 'Interlingue', 'ile'],
+        ['ig', 'Igbo', 'ibo'],
+        ['ii', 'Sichuan Yi', 'iii'],
+        ['ik', 'Inupiaq', 'ipk'],
+        ['io', 'Ido', 'ido'],
+        ['is', 'Icelandic', 'isl', 'ice'],
+        ['it', 'Italian', 'ita'],
+        ['iu', 'Inuktitut', 'iku'],
+        ['ja', 'Japanese', 'jpn'],
+        ['jv', 'Javanese', 'jav'],
+        ['ka', 'Georgian', 'kat', 'geo'],
+        ['kg', 'Kongo', 'kon'],
+        ['ki', 'Kikuyu', 'kik'],
+        ['kj', 'Kuanyama', 'kua'],
+        ['kk', 'Kazakh', 'kaz'],
+        ['kl', 'Kalaallisut', 'kal'],
+        ['km', 'Khmer', 'khm'],
+        ['kn', 'Kannada', 'kan'],
+        ['ko', 'Korean', 'kor'],
+        ['kr', 'Kanuri', 'kau'],
+        ['ks', 'Kashmiri', 'kas'],
+        ['ku', 'Kurdish', 'kur'],
+        ['kv', 'Komi', 'kom'],
+        ['kw', 'Cornish', 'cor'],
+        ['ky', 'Kyrgyz', 'kir'],
+        ['la', 'Latin', 'lat'],
+        ['lb', 'Luxembourgish', 'ltz'],
+        ['lg', 'Ganda', 'lug'],
+        ['li', 'Limburgish', 'lim'],
+        ['ln', 'Lingala', 'lin'],
+        ['lo', 'Lao', 'lao'],
+        ['lt', 'Lithuanian', 'lit'],
+        ['lu', 'Luba-Katanga', 'lub'],
+        ['lv', 'Latvian', 'lav'],
+        ['mg', 'Malagasy', 'mlg'],
+        ['mh', 'Marshallese', 'mah'],
+        ['mi', 'Maori', 'mri', 'mao'],
+        ['mk', 'Macedonian', 'mkd', 'mac'],
+        ['ml', 'Malayalam', 'mal'],
+        ['mn', 'Mongolian', 'mon'],
+        ['mr', 'Marathi', 'mar'],
+        ['ms', 'Malay', 'msa', 'may'],
+        ['mt', 'Maltese', 'mlt'],
+        ['my', 'Burmese', 'mya', 'bur'],
+        ['na', 'Nauru', 'nau'],
+        ['nb', 'Norwegian Bokm\u00e5l', 'nob'],
+        ['nd', 'North Ndebele', 'nde'],
+        ['ne', 'Nepali', 'nep'],
+        ['ng', 'Ndonga', 'ndo'],
+        ['nl', 'Dutch', 'nld', 'dut'],
+        ['nn', 'Norwegian Nynorsk', 'nno'],
+        ['no', 'Norwegian', 'nor'],
+        ['nr', 'South Ndebele', 'nbl'],
+        ['nv', 'Navajo', 'nav'],
+        ['ny', 'Chichewa', 'nya'],
+        ['oc', 'Occitan', 'oci'],
+        ['oj', 'Ojibwa', 'oji'],
+        ['om', 'Oromo', 'orm'],
+        ['or', 'Oriya', 'ori'],
+        ['os', 'Ossetian', 'oss'],
+        ['pa', 'Punjabi', 'pan'],
+        ['pi', 'Pali', 'pli'],
+        ['pl', 'Polish', 'pol'],
+        ['ps', 'Pashto', 'pus'],
+        ['pt', 'Portuguese', 'por'],
+        ['qu', 'Quechua', 'que'],
+        ['rm', 'Romansh', 'roh'],
+        ['rn', 'Rundi', 'run'],
+        ['ro', 'Romanian', 'ron', 'rum'],
+        ['ru', 'Russian', 'rus'],
+        ['rw', 'Kinyarwanda', 'kin'],
+        ['sa', 'Sanskrit', 'san'],
+        ['sc', 'Sardinian', 'srd'],
+        ['sd', 'Sindhi', 'snd'],
+        ['se', 'Northern Sami', 'sme'],
+        ['sg', 'Sango', 'sag'],
+        ['si', 'Sinhala', 'sin'],
+        ['sk', 'Slovak', 'slk', 'slo'],
+        ['sl', 'Slovenian', 'slv'],
+        ['sm', 'Samoan', 'smo'],
+        ['sn', 'Shona', 'sna'],
+        ['so', 'Somali', 'som'],
+        ['sq', 'Albanian', 'sqi', 'alb'],
+        ['sr', 'Serbian', 'srp'],
+        ['ss', 'Swati', 'ssw'],
+        ['st', 'Southern Sotho', 'sot'],
+        ['su', 'Sundanese', 'sun'],
+        ['sv', 'Swedish', 'swe'],
+        ['sw', 'Swahili', 'swa'],
+        ['ta', 'Tamil', 'tam'],
+        ['te', 'Telugu', 'tel'],
+        ['tg', 'Tajik', 'tgk'],
+        ['th', 'Thai', 'tha'],
+        ['ti', 'Tigrinya', 'tir'],
+        ['tk', 'Turkmen', 'tuk'],
+        ['tl', 'Tagalog', 'tgl'],
+        ['tn', 'Tswana', 'tsn'],
+        ['to', 'Tongan', 'ton'],
+        ['tr', 'Turkish', 'tur'],
+        ['ts', 'Tsonga', 'tso'],
+        ['tt', 'Tatar', 'tat'],
+        ['tw', 'Twi', 'twi'],
+        ['ty', 'Tahitian', 'tah'],
+        ['ug', 'Uyghur', 'uig'],
+        ['uk', 'Ukrainian', 'ukr'],
+        ['ur', 'Urdu', 'urd'],
+        ['uz', 'Uzbek', 'uzb'],
+        ['ve', 'Venda', 'ven'],
+        ['vi', 'Vietnamese', 'vie'],
+        ['vo', 'Volap\u00fck', 'vol'],
+        ['wa', 'Walloon', 'wln'],
+        ['wo', 'Wolof', 'wol'],
+        ['xh', 'Xhosa', 'xho'],
+        ['yi', 'Yiddish', 'yid'],
+        ['yo', 'Yoruba', 'yor'],
+        ['za', 'Zhuang', 'zha'],
+        ['zh', 'Chinese', 'zho', 'chi'],
+        ['zu', 'Zulu', 'zul']
+    ];
+
+    /**
+     * The other ISO 639-2 languages, which have no ISO 639-1 codes, by their 3-letter codes, with their language names
+     * in English. Their bibliographic and terminology codes are the same.
+     */
+    const ISO_639_2_LANGUAGES = {
+        ace: 'Achinese',
+        ach: 'Acoli',
+        ada: 'Adangme',
+        ady: 'Adyghe',
+        afa: 'Afro-Asiatic languages',
+        afh: 'Afrihili',
+        ain: 'Ainu',
+        akk: 'Akkadian',
+        ale: 'Aleut',
+        alg: 'Algonquian languages',
+        alt: 'Southern Altai',
+        ang: 'English, Old (ca.450-1100)',
+        anp: 'Angika',
+        apa: 'Apache languages',
+        arc: 'Official Aramaic (700-300 BCE)',
+        arn: 'Mapudungun',
+        arp: 'Arapaho',
+        art: 'Artificial languages',
+        arw: 'Arawak',
+        ast: 'Asturian',
+        ath: 'Athapascan languages',
+        aus: 'Australian languages',
+        awa: 'Awadhi',
+        bad: 'Banda languages',
+        bai: 'Bamileke languages',
+        bal: 'Baluchi',
+        ban: 'Balinese',
+        bas: 'Basa',
+        bat: 'Baltic languages',
+        bej: 'Beja',
+        bem: 'Bemba',
+        ber: 'Berber languages',
+        bho: 'Bhojpuri',
+        bik: 'Bikol',
+        bin: 'Bini',
+        bla: 'Siksika',
+        bnt: 'Bantu languages',
+        bra: 'Braj',
+        btk: 'Batak languages',
+        bua: 'Buriat',
+        bug: 'Buginese',
+        byn: 'Blin',
+        cad: 'Caddo',
+        cai: 'Central American Indian languages',
+        car: 'Galibi Carib',
+        cau: 'Caucasian languages',
+        ceb: 'Cebuano',
+        cel: 'Celtic languages',
+        chb: 'Chibcha',
+        chg: 'Chagatai',
+        chk: 'Chuukese',
+        chm: 'Mari',
+        chn: 'Chinook jargon',
+        cho: 'Choctaw',
+        chp: 'Chipewyan',
+        chr: 'Cherokee',
+        chy: 'Cheyenne',
+        cmc: 'Chamic languages',
+        cnr: 'Montenegrin',
+        cop: 'Coptic',
+        cpe: 'Creoles and pidgins, English based',
+        cpf: 'Creoles and pidgins, French-based',
+        cpp: 'Creoles and pidgins, Portuguese-based',
+        crh: 'Crimean Tatar',
+        crp: 'Creoles and pidgins',
+        csb: 'Kashubian',
+        cus: 'Cushitic languages',
+        dak: 'Dakota',
+        dar: 'Dargwa',
+        day: 'Land Dayak languages',
+        del: 'Delaware',
+        den: 'Slave (Athapascan)',
+        dgr: 'Dogrib',
+        din: 'Dinka',
+        doi: 'Dogri',
+        dra: 'Dravidian languages',
+        dsb: 'Lower Sorbian',
+        dua: 'Duala',
+        dum: 'Dutch, Middle (ca.1050-1350)',
+        dyu: 'Dyula',
+        efi: 'Efik',
+        egy: 'Egyptian (Ancient)',
+        eka: 'Ekajuk',
+        elx: 'Elamite',
+        enm: 'English, Middle (1100-1500)',
+        ewo: 'Ewondo',
+        fan: 'Fang',
+        fat: 'Fanti',
+        fil: 'Filipino',
+        fiu: 'Finno-Ugrian languages',
+        fon: 'Fon',
+        frm: 'French, Middle (ca.1400-1600)',
+        fro: 'French, Old (842-ca.1400)',
+        frr: 'Northern Frisian',
+        frs: 'Eastern Frisian',
+        fur: 'Friulian',
+        gaa: 'Ga',
+        gay: 'Gayo',
+        gba: 'Gbaya',
+        gem: 'Germanic languages',
+        gez: 'Geez',
+        gil: 'Gilbertese',
+        gmh: 'German, Middle High (ca.1050-1500)',
+        goh: 'German, Old High (ca.750-1050)',
+        gon: 'Gondi',
+        gor: 'Gorontalo',
+        got: 'Gothic',
+        grb: 'Grebo',
+        grc: 'Greek, Ancient (to 1453)',
+        gsw: 'Swiss German',
+        gwi: 'Gwich\'in',
+        hai: 'Haida',
+        haw: 'Hawaiian',
+        hil: 'Hiligaynon',
+        him: 'Himachali languages',
+        hit: 'Hittite',
+        hmn: 'Hmong',
+        hsb: 'Upper Sorbian',
+        hup: 'Hupa',
+        iba: 'Iban',
+        ijo: 'Ijo languages',
+        ilo: 'Iloko',
+        inc: 'Indic languages',
+        ine: 'Indo-European languages',
+        inh: 'Ingush',
+        ira: 'Iranian languages',
+        iro: 'Iroquoian languages',
+        jbo: 'Lojban',
+        jpr: 'Judeo-Persian',
+        jrb: 'Judeo-Arabic',
+        kaa: 'Kara-Kalpak',
+        kab: 'Kabyle',
+        kac: 'Kachin',
+        kam: 'Kamba',
+        kar: 'Karen languages',
+        kaw: 'Kawi',
+        kbd: 'Kabardian',
+        kha: 'Khasi',
+        khi: 'Khoisan languages',
+        kho: 'Khotanese',
+        kmb: 'Kimbundu',
+        kok: 'Konkani',
+        kos: 'Kosraean',
+        kpe: 'Kpelle',
+        krc: 'Karachay-Balkar',
+        krl: 'Karelian',
+        kro: 'Kru languages',
+        kru: 'Kurukh',
+        kum: 'Kumyk',
+        kut: 'Kutenai',
+        lad: 'Ladino',
+        lah: 'Lahnda',
+        lam: 'Lamba',
+        lez: 'Lezghian',
+        lol: 'Mongo',
+        loz: 'Lozi',
+        lua: 'Luba-Lulua',
+        lui: 'Luiseno',
+        lun: 'Lunda',
+        luo: 'Luo (Kenya and Tanzania)',
+        lus: 'Lushai',
+        mad: 'Madurese',
+        mag: 'Magahi',
+        mai: 'Maithili',
+        mak: 'Makasar',
+        man: 'Mandingo',
+        map: 'Austronesian languages',
+        mas: 'Masai',
+        mdf: 'Moksha',
+        mdr: 'Mandar',
+        men: 'Mende',
+        mga: 'Irish, Middle (900-1200)',
+        mic: 'Mi\'kmaq',
+        min: 'Minangkabau',
+        mis: 'Uncoded languages',
+        mkh: 'Mon-Khmer languages',
+        mnc: 'Manchu',
+        mni: 'Manipuri',
+        mno: 'Manobo languages',
+        moh: 'Mohawk',
+        mos: 'Mossi',
+        mul: 'Multiple languages',
+        mun: 'Munda languages',
+        mus: 'Creek',
+        mwl: 'Mirandese',
+        mwr: 'Marwari',
+        myn: 'Mayan languages',
+        myv: 'Erzya',
+        nah: 'Nahuatl languages',
+        nai: 'North American Indian languages',
+        nap: 'Neapolitan',
+        nds: 'Low German',
+        'new': 'Nepal Bhasa',
+        nia: 'Nias',
+        nic: 'Niger-Kordofanian languages',
+        niu: 'Niuean',
+        nog: 'Nogai',
+        non: 'Norse, Old',
+        nqo: 'N\'Ko',
+        nso: 'Pedi',
+        nub: 'Nubian languages',
+        nwc: 'Classical Newari',
+        nym: 'Nyamwezi',
+        nyn: 'Nyankole',
+        nyo: 'Nyoro',
+        nzi: 'Nzima',
+        osa: 'Osage',
+        ota: 'Turkish, Ottoman (1500-1928)',
+        oto: 'Otomian languages',
+        paa: 'Papuan languages',
+        pag: 'Pangasinan',
+        pal: 'Pahlavi',
+        pam: 'Pampanga',
+        pap: 'Papiamento',
+        pau: 'Palauan',
+        peo: 'Persian, Old (ca.600-400 B.C.)',
+        phi: 'Philippine languages',
+        phn: 'Phoenician',
+        pon: 'Pohnpeian',
+        pra: 'Prakrit languages',
+        pro: 'Proven\u00e7al, Old (to 1500)',
+        raj: 'Rajasthani',
+        rap: 'Rapanui',
+        rar: 'Rarotongan',
+        roa: 'Romance languages',
+        rom: 'Romany',
+        rup: 'Aromanian',
+        sad: 'Sandawe',
+        sah: 'Yakut',
+        sai: 'South American Indian languages',
+        sal: 'Salishan languages',
+        sam: 'Samaritan Aramaic',
+        sas: 'Sasak',
+        sat: 'Santali',
+        scn: 'Sicilian',
+        sco: 'Scots',
+        sel: 'Selkup',
+        sem: 'Semitic languages',
+        sga: 'Irish, Old (to 900)',
+        sgn: 'Sign Languages',
+        shn: 'Shan',
+        sid: 'Sidamo',
+        sio: 'Siouan languages',
+        sit: 'Sino-Tibetan languages',
+        sla: 'Slavic languages',
+        sma: 'Southern Sami',
+        smi: 'Sami languages',
+        smj: 'Lule Sami',
+        smn: 'Inari Sami',
+        sms: 'Skolt Sami',
+        snk: 'Soninke',
+        sog: 'Sogdian',
+        son: 'Songhai languages',
+        srn: 'Sranan Tongo',
+        srr: 'Serer',
+        ssa: 'Nilo-Saharan languages',
+        suk: 'Sukuma',
+        sus: 'Susu',
+        sux: 'Sumerian',
+        syc: 'Classical Syriac',
+        syr: 'Syriac',
+        tai: 'Tai languages',
+        tem: 'Timne',
+        ter: 'Tereno',
+        tet: 'Tetum',
+        tig: 'Tigre',
+        tiv: 'Tiv',
+        tkl: 'Tokelau',
+        tlh: 'Klingon',
+        tli: 'Tlingit',
+        tmh: 'Tamashek',
+        tog: 'Tonga (Nyasa)',
+        tpi: 'Tok Pisin',
+        tsi: 'Tsimshian',
+        tum: 'Tumbuka',
+        tup: 'Tupi languages',
+        tut: 'Altaic languages',
+        tvl: 'Tuvalu',
+        tyv: 'Tuvinian',
+        udm: 'Udmurt',
+        uga: 'Ugaritic',
+        umb: 'Umbundu',
+        und: 'Undetermined',
+        vai: 'Vai',
+        vot: 'Votic',
+        wak: 'Wakashan languages',
+        wal: 'Wolaitta',
+        war: 'Waray',
+        was: 'Washo',
+        wen: 'Sorbian languages',
+        xal: 'Kalmyk',
+        yao: 'Yao',
+        yap: 'Yapese',
+        ypk: 'Yupik languages',
+        zap: 'Zapotec',
+        zbl: 'Blissymbols',
+        zen: 'Zenaga',
+        zgh: 'Standard Moroccan Tamazight',
+        znd: 'Zande languages',
+        zun: 'Zuni',
+        zxx: 'No linguistic content',
+        zza: 'Zaza'
     };
+
+    /**
+     * Languages BCP 47 language tags name by ISO 639-3 codes, which have no ISO 639-2 codes of their own
+     */
+    const ISO_639_3_LANGUAGES = {
+        yue: 'Cantonese'
+    };
+
+    /**
+     * A map of language codes to language name in English
+     */
+    const codeToLang = Object.assign({}, ISO_639_2_LANGUAGES, ISO_639_3_LANGUAGES);
+    const iso6392ToCode = {};
+    LANGUAGES.forEach(([code, name, ...iso6392Codes]) => {
+        codeToLang[code] = name;
+        iso6392Codes.forEach(iso6392Code => {
+            iso6392ToCode[iso6392Code] = code;
+        });
+    });
     const langToCode = _.invert(codeToLang);
 
-    function getLabel(language) {
+    /**
+     * Normalizes a BCP 47 language tag, or a bare ISO 639 code, for comparison. The tag is lowercased and its
+     * language subtag is the ISO 639-1 code of the language when it has one.
+     * @param {string} language
+     * @returns {string}
+     */
+    function normalize(language) {
         if (!language) {
-            return;
+            return '';
         }
+        const subtags = ('' + language).trim().replace(/_/g, '-').toLowerCase().split('-');
+        subtags[0] = iso6392ToCode[subtags[0]] || subtags[0];
+        return subtags.join('-');
+    }
 
-        // We do not map ISO 639-2 (3-letter codes)
-        if (language.length === 3) {
-            return language;
+    function getLabel(language) {
+        if (!language) {
+            return;
         }
 
-        return codeToLang[language.substr(0, 2)] || language;
+        return codeToLang[normalize(language).split('-')[0]] || language;
     }
 
     function getCode(language) {
         return langToCode[language] || '';
     }
 
+    /**
+     * The languages the viewer prefers, most preferred first: those of the preferredLanguages config option,
+     * followed by the browser's
+     * @param {Array.<string>|string} [preferredLanguages] - Language tags, or a comma separated list of them.
+     * @returns {Array.<string>} Normalized language tags.
+     */
+    function getPreferredLanguages(preferredLanguages) {
+        const navigator = window.navigator || {};
+        const browserLanguages = navigator.languages && navigator.languages.length ?
+            navigator.languages : [navigator.language || navigator.userLanguage];
+        const configLanguages = _.isString(preferredLanguages) ? preferredLanguages.split(',') : preferredLanguages;
+        return (configLanguages || []).concat(browserLanguages).reduce((languages, language) => {
+            language = normalize(language);
+            if (language && languages.indexOf(language) < 0) {
+                languages.push(language);
+            }
+            return languages;
+        }, []);
+    }
+
+    /**
+     * How well a language matches the viewer's preferences. Languages matching a more preferred language rank
+     * first, and among those, a match of the whole tag ranks before a match of its language only.
+     * @param {string} language
+     * @param {Array.<string>} preferences - Normalized language tags, as returned by getPreferredLanguages.
+     * @returns {number} The rank of the language, lowest first, or -1 when it matches none of the preferences.
+     */
+    function getLanguageRank(language, preferences) {
+        language = normalize(language);
+        if (!language) {
+            return -1;
+        }
+        const primary = language.split('-')[0];
+        for (let i = 0; i < preferences.length; i++) {
+            if (language === preferences[i]) {
+                return i * 2;
+            }
+            if (primary === preferences[i].split('-')[0]) {
+                return i * 2 + 1;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Finds the language the viewer prefers most
+     * @param {Array.<string>} languages - The languages to choose from. Empty entries are never chosen.
+     * @param {Array.<string>} preferences - Normalized language tags, as returned by getPreferredLanguages.
+     * @returns {number} The index of the first of the best matching languages, or -1 when none match.
+     */
+    function findPreferredLanguage(languages, preferences) {
+        let index = -1;
+        let bestRank = -1;
+        languages.forEach((language, i) => {
+            const rank = getLanguageRank(language, preferences);
+            if (rank > -1 && (bestRank < 0 || rank < bestRank)) {
+                index = i;
+                bestRank = rank;
+            }
+        });
+        return index;
+    }
+
     return {
         getLabel: getLabel,
-        getCode: getCode
+        getCode: getCode,
+        normalize: normalize,
+        getPreferredLanguages: getPreferredLanguages,
+        getLanguageRank: getLanguageRank,
+        findPreferredLanguage: findPreferredLanguage
     };
 });
-
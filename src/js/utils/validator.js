@@ -57,6 +57,28 @@ define([], function() {
         return matches.slice(1).join('').replace('?', '');
     };
 
+    /**
+     * Determines if a URL is a Vimeo page or player link, rather than a file on player.vimeo.com/external
+     */
+    validator.isVimeo = function (path, type) {
+        return (type === 'vimeo') || (/^(https?:)?\/\/(www\.|player\.)?vimeo\.com\/(?!external\/)./).test(path);
+    };
+
+    /**
+     * Returns a Vimeo ID from Vimeo video, channel, group and player URLs:
+     *  - https://vimeo.com/76979871
+     *  - https://vimeo.com/channels/staffpicks/76979871
+     *  - https://vimeo.com/groups/shortfilms/videos/76979871
+     *  - https://player.vimeo.com/video/76979871?autoplay=1
+     *  - 76979871
+     **/
+    validator.vimeoID = function (path) {
+        var matches = (/vimeo\.com\/(?:[^?#]*\/)?(\d+)|^(\d+)$/).exec(path);
+        if (!matches) {
+            return '';
+        }
+        return matches[1] || matches[2];
+    };
 
     /** Returns the true type of an object * */
     validator.typeOf = function (value) {
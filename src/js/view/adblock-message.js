@@ -0,0 +1,39 @@
+import adBlockMessageTemplate from 'templates/adblock-message';
+import utils from 'utils/helpers';
+import UI from 'utils/ui';
+
+/**
+ * The message shown over the player when an ad blocker is detected.
+ */
+export default class AdBlockMessage {
+    /**
+     * @param {string} text - The message.
+     * @param {boolean} closable - Whether the message can be closed to continue to the content.
+     * @param {string} closeText - The text of the close button.
+     * @param {function} onClose - Called when the close button is clicked.
+     */
+    constructor(text, closable, closeText, onClose) {
+        this.el = utils.createElement(adBlockMessageTemplate(closeText));
+        this.el.querySelector('.jw-adblock-message-text').textContent = text;
+        const closeButton = this.el.querySelector('.jw-adblock-message-close');
+        this.ui = null;
+        if (closable) {
+            this.ui = new UI(closeButton).on('click tap', onClose);
+        } else {
+            closeButton.parentNode.removeChild(closeButton);
+        }
+    }
+
+    element() {
+        return this.el;
+    }
+
+    destroy() {
+        if (this.ui) {
+            this.ui.destroy();
+        }
+        if (this.el.parentNode) {
+            this.el.parentNode.removeChild(this.el);
+        }
+    }
+}
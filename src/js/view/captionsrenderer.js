@@ -22,6 +22,13 @@ define([
         windowOpacity: 0
     };
 
+    // How regions lay out their paragraphs for each tts:displayAlign
+    var _displayAlign = {
+        before: 'flex-start',
+        center: 'center',
+        after: 'flex-end'
+    };
+
     CaptionsRenderer = function (_model) {
 
         var _options = {};
@@ -34,10 +41,15 @@ define([
         var _WebVTT;
         var _fontScale;
         var _windowStyle;
+        var _ttmlContainer;
 
         _display = document.createElement('div');
         _display.className = 'jw-captions jw-reset';
 
+        // TTML cues are shown in their regions, in a container vtt.js doesn't manage
+        _ttmlContainer = document.createElement('div');
+        _ttmlContainer.className = 'jw-captions-ttml jw-reset';
+
         this.show = function () {
             dom.addClass(_display, 'jw-captions-enabled');
         };
@@ -69,9 +81,13 @@ define([
 
         this.renderCues = function (updateBoxPosition) {
             updateBoxPosition = !!updateBoxPosition;
+            var ttmlCues = _.filter(_currentCues, function (cue) {
+                return cue.ttml;
+            });
             if (_WebVTT) {
-                _WebVTT.processCues(window, _currentCues, _display, updateBoxPosition);
+                _WebVTT.processCues(window, _.difference(_currentCues, ttmlCues), _display, updateBoxPosition);
             }
+            _renderTTMLCues(ttmlCues);
         };
 
         this.selectCues = function (track, timeEvent) {
@@ -141,7 +157,8 @@ define([
             _captionsWindow.className = 'jw-captions-window jw-reset';
             _textContainer.className = 'jw-captions-text jw-reset';
 
-            _options = _.extend({}, _defaults, options);
+            var captionsOptions = _.extend({}, _defaults, options);
+            _options = _applyViewerStyle(captionsOptions, _model.get('viewerCaptionsStyle'));
 
             _fontScale = _defaults.fontScale;
             _setFontScale(_options.fontSize);
@@ -172,13 +189,28 @@ define([
             _display.appendChild(_captionsWindow);
 
             this.populate(_model.get('captionsTrack'));
-            _model.set('captions', _options);
+            _model.set('captions', captionsOptions);
         };
 
         this.element = function () {
             return _display;
         };
 
+        // The viewer's caption settings override the player's, and size its font as a percentage of the player's
+        function _applyViewerStyle(options, viewerStyle) {
+            if (!_.size(viewerStyle)) {
+                return options;
+            }
+            var style = _.extend({}, options, _.omit(viewerStyle, 'fontSize'));
+            if (_.isFinite(viewerStyle.fontSize) && _.isFinite(options.fontSize)) {
+                style.fontSize = options.fontSize * viewerStyle.fontSize / 100;
+            }
+            if (_.has(viewerStyle, 'backgroundColor') || _.has(viewerStyle, 'backgroundOpacity')) {
+                style.back = true;
+            }
+            return style;
+        }
+
         function _setFontScale() {
             if (!_.isFinite(_options.fontSize)) {
                 return;
@@ -268,6 +300,10 @@ define([
                 textStyle.fontStyle = options.fontStyle;
             }
 
+            if (options.fontVariant) {
+                textStyle.fontVariant = options.fontVariant;
+            }
+
             if (options.fontWeight) {
                 textStyle.fontWeight = options.fontWeight;
             }
@@ -293,6 +329,117 @@ define([
             }
         }
 
+        function _renderTTMLCues(cues) {
+            var regions = {};
+            utils.empty(_ttmlContainer);
+            if (!cues.length) {
+                if (_ttmlContainer.parentNode) {
+                    _ttmlContainer.parentNode.removeChild(_ttmlContainer);
+                }
+                return;
+            }
+
+            _.each(cues, function (vttCue) {
+                var cue = vttCue.ttml;
+                var region = regions[cue.region.id];
+                if (!region) {
+                    region = regions[cue.region.id] = _createTTMLRegion(cue.region);
+                    _ttmlContainer.appendChild(region);
+                }
+                region.appendChild(cue.image ? _createTTMLImage(cue) : _createTTMLParagraph(cue));
+            });
+            _display.appendChild(_ttmlContainer);
+        }
+
+        function _createTTMLRegion(region) {
+            var element = document.createElement('div');
+            element.className = 'jw-captions-ttml-region jw-reset';
+            _style(element, {
+                left: region.origin.x + '%',
+                top: region.origin.y + '%',
+                width: region.extent.width + '%',
+                height: region.extent.height + '%',
+                justifyContent: _displayAlign[region.displayAlign] || _displayAlign.before,
+                backgroundColor: region.backgroundColor
+            });
+            return element;
+        }
+
+        function _createTTMLImage(cue) {
+            var image = document.createElement('img');
+            image.className = 'jw-captions-ttml-image jw-reset';
+            image.src = cue.image;
+            return image;
+        }
+
+        function _createTTMLParagraph(cue) {
+            var paragraph = document.createElement('div');
+            paragraph.className = 'jw-captions-ttml-paragraph jw-reset';
+            _style(paragraph, {
+                textAlign: cue.style.textAlign,
+                lineHeight: cue.style.lineHeight ? _ttmlLength(cue.style.lineHeight) : null,
+                backgroundColor: cue.style.backgroundColor
+            });
+
+            // Lines get the player's captions style, unless the author has chosen the background of the text
+            var authorBackground = !!cue.style.backgroundColor || _.some(cue.lines, function (line) {
+                return _.some(line, function (run) {
+                    return run.style.backgroundColor;
+                });
+            });
+
+            _.each(cue.lines, function (line, i) {
+                if (i) {
+                    paragraph.appendChild(document.createElement('br'));
+                }
+                var lineElement = document.createElement('span');
+                lineElement.className = 'jw-text-track-cue jw-reset';
+                if (authorBackground) {
+                    lineElement.style.backgroundColor = 'transparent';
+                }
+                _.each(line, function (run) {
+                    var span = document.createElement('span');
+                    span.textContent = run.text;
+                    _style(span, _ttmlTextStyle(run.style));
+                    lineElement.appendChild(span);
+                });
+                paragraph.appendChild(lineElement);
+            });
+            return paragraph;
+        }
+
+        function _ttmlTextStyle(style) {
+            var textStyle = {
+                color: style.color,
+                backgroundColor: style.backgroundColor,
+                fontFamily: style.fontFamily,
+                fontStyle: style.fontStyle,
+                fontWeight: style.fontWeight,
+                textDecoration: style.textDecoration
+            };
+            if (style.fontSize) {
+                textStyle.fontSize = _ttmlLength(style.fontSize);
+            }
+            var outline = style.textOutline;
+            if (outline) {
+                // Relative to the run's own font size
+                var width = _ttmlLength(outline.width, style.fontSize);
+                var shadow = ' ' + _ttmlLength(outline.blur, style.fontSize) + ' ' + (outline.color || 'currentColor');
+                textStyle.textShadow = _.map([[-1, -1], [0, -1], [1, -1], [-1, 0], [1, 0], [-1, 1], [0, 1], [1, 1]],
+                    function (offset) {
+                        return (offset[0] ? (offset[0] < 0 ? '-' : '') + width : '0') + ' ' +
+                            (offset[1] ? (offset[1] < 0 ? '-' : '') + width : '0') + shadow;
+                    }).join(', ');
+            }
+            return textStyle;
+        }
+
+        // TTML lengths are fractions of the video's height. Sizing them in ems of the default font size scales them
+        // with the captions font size setting.
+        function _ttmlLength(fraction, fontSize) {
+            return (fraction / (fontSize || _defaults.fontScale)).toFixed(3) + 'em';
+        }
+
         function _timeChange(e) {
             if (_model.get('renderCaptionsNatively')) {
                 return;
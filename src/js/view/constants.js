@@ -1,2 +1,5 @@
 
 export const dvrSeekLimit = -25;
+
+// Seconds beyond the target latency at which the live indicator offers to return to the live edge
+export const liveEdgeTolerance = 5;
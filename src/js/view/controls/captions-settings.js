@@ -0,0 +1,218 @@
+import captionsSettingsTemplate from 'view/controls/templates/captions-settings';
+
+define([
+    'utils/ui',
+    'utils/underscore',
+    'utils/backbone.events',
+    'utils/helpers',
+], function(UI, _, Events, utils) {
+
+    // The choices the FCC requires viewers to have over how captions are displayed, by their localization keys
+    const FONTS = [
+        ['captionsMonospacedSerif', '"Courier New", Courier, "Nimbus Mono L", monospace'],
+        ['captionsProportionalSerif', '"Times New Roman", Times, Georgia, serif'],
+        ['captionsMonospacedSansSerif', '"Lucida Console", Monaco, Consolas, "DejaVu Sans Mono", monospace'],
+        ['captionsProportionalSansSerif', 'Arial, Helvetica, Verdana, sans-serif'],
+        ['captionsCasual', '"Comic Sans MS", Impact, fantasy'],
+        ['captionsCursive', '"Monotype Corsiva", "URW Chancery L", "Apple Chancery", cursive'],
+        ['captionsSmallCapitals', 'Arial, Helvetica, Verdana, sans-serif', 'small-caps']
+    ];
+
+    const COLORS = [
+        ['captionsWhite', '#ffffff'],
+        ['captionsBlack', '#000000'],
+        ['captionsRed', '#ff0000'],
+        ['captionsGreen', '#00ff00'],
+        ['captionsBlue', '#0000ff'],
+        ['captionsYellow', '#ffff00'],
+        ['captionsMagenta', '#ff00ff'],
+        ['captionsCyan', '#00ffff']
+    ];
+
+    const EDGE_STYLES = [
+        ['captionsEdgeNone', 'none'],
+        ['captionsEdgeRaised', 'raised'],
+        ['captionsEdgeDepressed', 'depressed'],
+        ['captionsEdgeUniform', 'uniform'],
+        ['captionsEdgeDropShadow', 'dropshadow']
+    ];
+
+    // The font size of the preview at 100%, in pixels
+    const PREVIEW_FONT_SIZE = 16;
+
+    function styleOf(key, value) {
+        const style = {};
+        style[key] = value;
+        return style;
+    }
+
+    function option(labelKey, key, value) {
+        return { labelKey, style: styleOf(key, value) };
+    }
+
+    function percentOptions(key, values) {
+        return values.map(value => ({ label: value + '%', style: styleOf(key, value) }));
+    }
+
+    // Each option sets one or more captions style properties of the viewer's style. Options are labeled by their
+    // localization key, or by their label when it needs no translation.
+    const FIELDS = [
+        {
+            name: 'font',
+            label: 'captionsFont',
+            options: FONTS.map(([labelKey, fontFamily, fontVariant]) => ({
+                labelKey,
+                style: { fontFamily, fontVariant: fontVariant || 'normal' }
+            }))
+        },
+        {
+            name: 'fontSize',
+            label: 'captionsFontSize',
+            options: percentOptions('fontSize', [50, 75, 100, 150, 200, 300])
+        },
+        {
+            name: 'color',
+            label: 'captionsFontColor',
+            options: COLORS.map(([labelKey, value]) => option(labelKey, 'color', value))
+        },
+        {
+            name: 'fontOpacity',
+            label: 'captionsFontOpacity',
+            options: percentOptions('fontOpacity', [100, 75, 50, 25])
+        },
+        {
+            name: 'edgeStyle',
+            label: 'captionsEdgeStyle',
+            options: EDGE_STYLES.map(([labelKey, value]) => option(labelKey, 'edgeStyle', value))
+        },
+        {
+            name: 'backgroundColor',
+            label: 'captionsBackgroundColor',
+            options: COLORS.map(([labelKey, value]) => option(labelKey, 'backgroundColor', value))
+        },
+        {
+            name: 'backgroundOpacity',
+            label: 'captionsBackgroundOpacity',
+            options: percentOptions('backgroundOpacity', [100, 75, 50, 25, 0])
+        },
+        {
+            name: 'windowColor',
+            label: 'captionsWindowColor',
+            options: COLORS.map(([labelKey, value]) => option(labelKey, 'windowColor', value))
+        },
+        {
+            name: 'windowOpacity',
+            label: 'captionsWindowOpacity',
+            options: percentOptions('windowOpacity', [100, 75, 50, 25, 0])
+        }
+    ];
+
+    function fieldKeys(field) {
+        return field.options.reduce((keys, fieldOption) => {
+            return keys.concat(_.difference(_.keys(fieldOption.style), keys));
+        }, []);
+    }
+
+    // The index of the field's option the viewer's style has chosen, or -1 when it uses the player's
+    function selectedIndex(field, viewerStyle) {
+        for (let i = 0; i < field.options.length; i++) {
+            const style = field.options[i].style;
+            if (_.every(_.keys(style), key => viewerStyle[key] === style[key])) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    return class CaptionsSettings {
+        constructor(_model) {
+            _.extend(this, Events);
+            this._model = _model;
+            this.el = null;
+            this.preview = null;
+            this.selects = [];
+            this.isOpen = false;
+        }
+
+        setup() {
+            this.el = utils.createElement(captionsSettingsTemplate(this._model.get('localization'), FIELDS));
+            this.preview = this.el.querySelector('.jw-captions-settings-preview .jw-text-track-cue');
+            this.selects = FIELDS.map(field => this.el.querySelector(`select[name="${field.name}"]`));
+
+            this.selects.forEach((select, i) => {
+                select.addEventListener('change', () => this.onChange(FIELDS[i], select.value));
+            });
+            // Keys used to choose options shouldn't reach the player's keyboard shortcuts
+            this.el.addEventListener('keydown', (evt) => {
+                evt.stopPropagation();
+                if (evt.keyCode === 27) {
+                    this.close();
+                }
+            });
+
+            this.closeUI = new UI(this.el.querySelector('.jw-captions-settings-close'), { directSelect: true })
+                .on('click tap', this.close, this);
+            this.resetUI = new UI(this.el.querySelector('.jw-captions-settings-reset'), { directSelect: true })
+                .on('click tap', this.reset, this);
+
+            this._model.change('viewerCaptionsStyle', this.render, this);
+        }
+
+        element() {
+            return this.el;
+        }
+
+        render(model, viewerStyle) {
+            viewerStyle = viewerStyle || {};
+            FIELDS.forEach((field, i) => {
+                const index = selectedIndex(field, viewerStyle);
+                this.selects[i].value = index < 0 ? '' : index;
+            });
+            // The preview's other styles come from the captions renderer
+            const scale = _.isFinite(viewerStyle.fontSize) ? viewerStyle.fontSize / 100 : 1;
+            utils.style(this.preview, {
+                fontSize: Math.round(PREVIEW_FONT_SIZE * scale) + 'px'
+            });
+        }
+
+        onChange(field, value) {
+            const viewerStyle = _.omit(this._model.get('viewerCaptionsStyle') || {}, fieldKeys(field));
+            if (value !== '') {
+                _.extend(viewerStyle, field.options[parseInt(value, 10)].style);
+            }
+            this._model.set('viewerCaptionsStyle', viewerStyle);
+        }
+
+        reset() {
+            this._model.set('viewerCaptionsStyle', {});
+        }
+
+        open() {
+            if (this.isOpen) {
+                return;
+            }
+            this.isOpen = true;
+            utils.addClass(this.el, 'jw-open');
+            this.selects[0].focus();
+            this.trigger('open');
+        }
+
+        close() {
+            if (!this.isOpen) {
+                return;
+            }
+            this.isOpen = false;
+            utils.removeClass(this.el, 'jw-open');
+            this.trigger('close');
+        }
+
+        destroy() {
+            this.off();
+            this._model.off(null, null, this);
+            if (this.closeUI) {
+                this.closeUI.destroy();
+                this.resetUI.destroy();
+            }
+        }
+    };
+});
@@ -1,8 +1,8 @@
 define([
     'utils/underscore',
     'utils/helpers',
-    'parsers/captions/srt',
-], function(_, utils, srt) {
+    'parsers/captions/subrip',
+], function(_, utils, subrip) {
 
     class Cue {
         constructor (time, text) {
@@ -34,7 +34,7 @@ define([
         },
 
         chaptersLoaded: function (evt) {
-            const data = srt(evt.responseText);
+            const data = subrip.parseSubRip(evt.responseText, { lenient: true });
             if (_.isArray(data)) {
                 _.each(data, this.addCue, this);
                 this.drawCues();
@@ -25,6 +25,8 @@ define([
             this.reset();
 
             list = _.isArray(list) ? list : [];
+            // Actions, such as opening settings, follow the list's items without counting as items
+            var actions = options.actions || [];
 
             utils.toggleClass(this.el, 'jw-hidden', (list.length < 2));
 
@@ -42,12 +44,22 @@ define([
                     .on('over', this.openTooltipListener)
                     .on('out', this.closeTooltipListener);
 
-                var html = menuTemplate(list);
+                var html = menuTemplate(list, actions);
                 var elem = utils.createElement(html);
                 this.addContent(elem);
                 this.contentUI = new UI(this.content).on('click tap', this.selectListener);
             } else if (isToggle) {
                 this.iconUI.on('click tap', this.toggleValueListener);
+
+                // A toggle shows its actions when hovered
+                if (actions.length) {
+                    this.iconUI
+                        .on('over', this.openTooltipListener)
+                        .on('out', this.closeTooltipListener);
+
+                    this.addContent(utils.createElement(menuTemplate([], actions)));
+                    this.contentUI = new UI(this.content).on('click tap', this.selectListener);
+                }
             }
 
             this.selectItem(selectedIndex);
@@ -61,13 +73,14 @@ define([
             if (evt.target.parentElement === this.content) {
                 var classes = utils.classList(evt.target);
 
-                // find the class with a name of the form 'jw-item-1'
+                // find the class with a name of the form 'jw-item-1' or 'jw-action-1'
                 var item = _.find(classes, function(c) {
-                    return c.indexOf('jw-item') === 0;
+                    return c.indexOf('jw-item') === 0 || c.indexOf('jw-action') === 0;
                 });
 
                 if (item) {
-                    this.trigger('select', parseInt(item.split('-')[2]));
+                    var type = item.indexOf('jw-action') === 0 ? 'action' : 'select';
+                    this.trigger(type, parseInt(item.split('-')[2]));
                     this.closeTooltipListener();
                 }
             }
@@ -76,7 +89,9 @@ define([
         selectItem(selectedIndex) {
             if (this.content) {
                 for (var i = 0; i < this.content.children.length; i++) {
-                    utils.toggleClass(this.content.children[i], 'jw-active-option', (selectedIndex === i));
+                    var option = this.content.children[i];
+                    utils.toggleClass(option, 'jw-active-option',
+                        (selectedIndex === i && !utils.hasClass(option, 'jw-menu-action')));
                 }
             }
             utils.toggleClass(this.el, 'jw-off', (selectedIndex === 0));
@@ -1,8 +1,8 @@
 define([
     'utils/underscore',
     'utils/helpers',
-    'parsers/captions/srt',
-], function(_, utils, srt) {
+    'parsers/captions/subrip',
+], function(_, utils, subrip) {
 
     function Thumbnail(obj) {
         this.begin = obj.begin;
@@ -25,7 +25,7 @@ define([
         },
 
         thumbnailsLoaded: function (evt) {
-            var data = srt(evt.responseText);
+            var data = subrip.parseSubRip(evt.responseText, { lenient: true });
             if (_.isArray(data)) {
                 _.each(data, function(obj) {
                     this.thumbnails.push(new Thumbnail(obj));
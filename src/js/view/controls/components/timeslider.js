@@ -209,6 +209,15 @@ define([
             }
         }
 
+        // The wall-clock time at a DVR position, when the stream provides program dates
+        dvrDateText(position) {
+            var liveWindow = this._api.getLiveWindow();
+            if (!liveWindow || !liveWindow.endDate) {
+                return null;
+            }
+            return new Date(liveWindow.endDate.getTime() + (position * 1000)).toLocaleTimeString();
+        }
+
         showTimeTooltip(evt) {
             var duration = this._model.get('duration');
             if (duration === 0) {
@@ -249,6 +258,8 @@ define([
                 // If DVR and within live buffer
                 if (duration < 0 && time > dvrSeekLimit) {
                     timetipText = 'Live';
+                } else if (duration < 0) {
+                    timetipText = this.dvrDateText(time) || timetipText;
                 }
             }
             var timeTip = this.timeTip;
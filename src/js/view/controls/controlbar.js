@@ -1,6 +1,6 @@
 import { PLAYBACK_RATE_ICON } from 'assets/svg-markup';
 import { Browser, OS } from 'environment/environment';
-import { dvrSeekLimit } from 'view/constants';
+import { dvrSeekLimit, liveEdgeTolerance } from 'view/constants';
 
 define([
     'utils/helpers',
@@ -30,7 +30,8 @@ define([
     }
 
     function createCastButton(castToggle, localization) {
-        if (Browser.chrome && OS.iOS) {
+        // Safari, and every iOS browser, plays to AirPlay targets
+        if (OS.iOS || Browser.safari) {
             return button('jw-icon-airplay jw-off', castToggle, localization.airplay);
         }
 
@@ -234,6 +235,7 @@ define([
             _model.change('captionsList', this.onCaptionsList, this);
             _model.change('captionsIndex', this.onCaptionsIndex, this);
             _model.change('streamType', this.onStreamTypeChange, this);
+            _model.on('change:liveLatency', this.renderLiveIndicator, this);
             _model.change('nextUp', this.onNextUp, this);
             _model.change('cues', this.addCues, this);
             _model.change('altText', this.setAltText, this);
@@ -260,6 +262,7 @@ define([
             if (this.elements.cast.button) {
                 new UI(this.elements.cast.button).on('click tap', function () {
                     this._model.set('castClicked', true);
+                    this._api.castToggle();
                 }, this);
             }
 
@@ -273,6 +276,9 @@ define([
             this.elements.cc.on('select', function(value) {
                 this._api.setCurrentCaptions(value);
             }, this);
+            this.elements.cc.on('action', function() {
+                this.trigger('captionsSettings');
+            }, this);
             this.elements.cc.on('toggleValue', function() {
                 const index = this._model.get('captionsIndex');
                 this._api.setCurrentCaptions(index ? 0 : 1);
@@ -313,17 +319,19 @@ define([
 
             new UI(this.elements.duration).on('click tap', function() {
                 if (this._model.get('streamType') === 'DVR') {
-                    // Seek to "Live" position within live buffer, but not before current position
-                    const currentPosition = this._model.get('position');
-                    this._api.seek(Math.max(dvrSeekLimit, currentPosition), reasonInteraction());
+                    this.goLive();
                 }
             }, this);
 
             new UI(this.elements.durationLeft).on('click tap', function() {
                 if (this._model.get('streamType') === 'DVR') {
-                    // Seek to "Live" position within live buffer, but not before current position
-                    const currentPosition = this._model.get('position');
-                    this._api.seek(Math.max(dvrSeekLimit, currentPosition));
+                    this.goLive();
+                }
+            }, this);
+
+            new UI(this.elements.alt).on('click tap', function() {
+                if (this._model.get('streamType') === 'LIVE') {
+                    this.goLive();
                 }
             }, this);
 
@@ -339,7 +347,8 @@ define([
 
         onCaptionsList(model, tracks) {
             const index = model.get('captionsIndex');
-            this.elements.cc.setup(tracks, index, { isToggle: true });
+            const actions = tracks.length > 1 ? [{ label: this._localization.captionsSettings }] : [];
+            this.elements.cc.setup(tracks, index, { isToggle: true, actions });
         }
 
         onCaptionsIndex(model, index) {
@@ -410,9 +419,8 @@ define([
 
         onCastActive(model, val) {
             this.elements.fullscreen.toggle(!val);
-            if (this.elements.cast.button) {
-                utils.toggleClass(this.elements.cast.button, 'jw-off', !val);
-            }
+            const castButton = this.elements.cast.button || this.elements.cast.element();
+            utils.toggleClass(castButton, 'jw-off', !val);
         }
 
         onElapsed(model, val) {
@@ -484,6 +492,43 @@ define([
             this._api.seek(Math.max(rewindPosition, startPosition), reasonInteraction());
         }
 
+        liveSyncTarget() {
+            return this._model.get('liveSyncDuration') || -dvrSeekLimit;
+        }
+
+        // Return to the target latency behind the live edge
+        goLive() {
+            const currentPosition = this._model.get('position');
+            const latency = this._model.get('liveLatency');
+            if (!_.isNumber(latency)) {
+                // Seek to "Live" position within live buffer, but not before current position
+                if (this._model.get('streamType') === 'DVR') {
+                    this._api.seek(Math.max(dvrSeekLimit, currentPosition), reasonInteraction());
+                }
+                return;
+            }
+            const target = this.liveSyncTarget();
+            if (latency > target) {
+                this._api.seek(currentPosition + latency - target, reasonInteraction());
+            }
+        }
+
+        // Live indicators are dimmed, and offer to go live, while playback is behind the live edge
+        renderLiveIndicator(model) {
+            const streamType = model.get('streamType');
+            const latency = streamType === 'VOD' ? null : model.get('liveLatency');
+            const behind = _.isNumber(latency) && latency > this.liveSyncTarget() + liveEdgeTolerance;
+            const live = streamType === 'LIVE';
+            const dvr = streamType === 'DVR';
+
+            utils.toggleClass(this.elements.alt, 'jw-text-live', live);
+            utils.toggleClass(this.elements.alt, 'jw-off', live && behind);
+            _.each([this.elements.duration, this.elements.durationLeft], function(element) {
+                utils.toggleClass(element, 'jw-text-live', dvr);
+                utils.toggleClass(element, 'jw-off', dvr && behind);
+            });
+        }
+
         onStreamTypeChange(model) {
             // Hide rewind button when in LIVE mode
             const streamType = model.get('streamType');
@@ -494,6 +539,7 @@ define([
             }
             const duration = model.get('duration');
             this.onDuration(model, duration);
+            this.renderLiveIndicator(model);
         }
 
         onNextUp(model, nextUp) {
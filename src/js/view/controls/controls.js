@@ -8,6 +8,7 @@ define([
     'utils/helpers',
     'utils/underscore',
     'view/controls/components/button',
+    'view/controls/captions-settings',
     'view/controls/controlbar',
     'view/controls/dock',
     'view/controls/display-container',
@@ -16,7 +17,7 @@ define([
     'view/controls/next-display-icon',
     'view/controls/nextuptooltip',
     'view/controls/rightclick',
-], function (events, states, Events, utils, _, button, Controlbar, Dock,
+], function (events, states, Events, utils, _, button, CaptionsSettings, Controlbar, Dock,
              DisplayContainer, RewindDisplayIcon, PlayDisplayIcon, NextDisplayIcon,
              NextUpToolTip, RightClick) {
 
@@ -35,6 +36,7 @@ define([
             // Alphabetic order
             // Any property on the prototype should be initialized here first
             this.activeTimeout = -1;
+            this.captionsSettings = null;
             this.context = context;
             this.controlbar = null;
             this.displayContainer = null;
@@ -135,6 +137,13 @@ define([
             this.addActiveListeners(controlbar.element());
             this.div.appendChild(controlbar.element());
 
+            // Caption settings, opened from the captions menu
+            const captionsSettings = this.captionsSettings = new CaptionsSettings(model);
+            captionsSettings.setup();
+            controlbar.on('captionsSettings', () => captionsSettings.open());
+            this.addActiveListeners(captionsSettings.element());
+            this.div.appendChild(captionsSettings.element());
+
             // Unmute Autoplay Button. Ignore iOS9. Muted autoplay is supported in iOS 10+
             if (model.get('autostartMuted')) {
                 const unmuteCallback = () => this.unmuteAutoplay(api, model);
@@ -251,6 +260,10 @@ define([
             if (this.controlbar) {
                 this.removeActiveListeners(this.controlbar.element());
             }
+            if (this.captionsSettings) {
+                this.removeActiveListeners(this.captionsSettings.element());
+                this.captionsSettings.destroy();
+            }
             if (this.rightClickMenu) {
                 this.rightClickMenu.destroy();
             }
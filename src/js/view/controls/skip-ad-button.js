@@ -0,0 +1,77 @@
+import skipAdTemplate from 'view/controls/templates/skip-ad';
+import { parseOffset } from 'parsers/vast-time';
+import utils from 'utils/helpers';
+import UI from 'utils/ui';
+
+/**
+ * Converts a skip offset to seconds
+ * @param {number|string} skipoffset - Seconds, 'HH:MM:SS.mmm' or a percentage of the ad's duration ('n%').
+ * @param {number} duration
+ * @returns {number|null} Null until the offset can be resolved, such as a percentage before the duration is known.
+ */
+export function skipTime(skipoffset, duration) {
+    if (typeof skipoffset === 'number' || /^\d+(\.\d+)?$/.test(skipoffset)) {
+        return parseFloat(skipoffset);
+    }
+    return parseOffset(`${skipoffset}`.trim(), duration);
+}
+
+/**
+ * The skip button shown over an ad, counting down until the ad can be skipped.
+ */
+export default class SkipAdButton {
+    /**
+     * @param {object} adModel - The instream model, which holds the position and duration of the ad.
+     * @param {number|string} skipoffset - When the ad can be skipped.
+     * @param {string} skipMessage - The countdown text, where 'xx' is replaced by the seconds left.
+     * @param {string} skipText - The text shown once the ad can be skipped.
+     * @param {function} onSkip - Called when the button is clicked once the ad can be skipped.
+     */
+    constructor(adModel, skipoffset, skipMessage, skipText, onSkip) {
+        this.adModel = adModel;
+        this.skipoffset = skipoffset;
+        this.skipMessage = skipMessage;
+        this.skipText = skipText;
+        this.skippable = false;
+        this.el = utils.createElement(skipAdTemplate(skipText));
+        this.text = this.el.querySelector('.jw-skip-text');
+
+        this.ui = new UI(this.el).on('click tap', () => {
+            if (this.skippable) {
+                onSkip();
+            }
+        });
+
+        adModel.on('change:position change:duration', this.update, this);
+        this.update();
+    }
+
+    update() {
+        const position = this.adModel.get('position') || 0;
+        const offset = skipTime(this.skipoffset, this.adModel.get('duration'));
+        if (offset === null) {
+            this.el.style.display = 'none';
+            return;
+        }
+        this.el.style.display = '';
+        this.skippable = position >= offset;
+        if (this.skippable) {
+            this.text.textContent = this.skipText;
+        } else {
+            this.text.textContent = this.skipMessage.replace(/xx/gi, Math.ceil(offset - position));
+        }
+        utils.toggleClass(this.el, 'jw-skippable', this.skippable);
+    }
+
+    element() {
+        return this.el;
+    }
+
+    destroy() {
+        this.adModel.off(null, null, this);
+        this.ui.destroy();
+        if (this.el.parentNode) {
+            this.el.parentNode.removeChild(this.el);
+        }
+    }
+}
@@ -0,0 +1,42 @@
+export default (localization, fields) => {
+    const fieldsHtml = fields
+        .map(field => {
+            return captionsSettingsField(field, localization);
+        })
+        .join('');
+
+    return (
+      `<div class="jw-captions-settings jw-background-color jw-reset" role="dialog" aria-label="${localization.captionsSettings}">` +
+        `<div class="jw-captions-settings-header jw-reset">` +
+            `<span class="jw-captions-settings-title jw-reset">${localization.captionsSettings}</span>` +
+            `<button class="jw-icon jw-captions-settings-close jw-reset" aria-label="${localization.close}"></button>` +
+        `</div>` +
+        `<div class="jw-captions-settings-preview jw-text-track-display jw-reset">` +
+            `<span class="jw-text-track-cue jw-reset">${localization.captionsPreview}</span>` +
+        `</div>` +
+        `<div class="jw-captions-settings-fields jw-reset">` +
+            `${fieldsHtml}` +
+        `</div>` +
+        `<button class="jw-captions-settings-reset jw-reset">${localization.captionsReset}</button>` +
+      `</div>`
+    );
+};
+
+const captionsSettingsField = (field, localization) => {
+    const optionsHtml = field.options
+        .map((option, index) => {
+            const label = option.labelKey ? localization[option.labelKey] : option.label;
+            return `<option value="${index}">${label}</option>`;
+        })
+        .join('');
+
+    return (
+      `<label class="jw-captions-settings-field jw-reset">` +
+        `<span class="jw-reset">${localization[field.label]}</span>` +
+        `<select class="jw-reset" name="${field.name}">` +
+            `<option value="">${localization.captionsDefault}</option>` +
+            `${optionsHtml}` +
+        `</select>` +
+      `</label>`
+    );
+};
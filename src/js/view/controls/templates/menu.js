@@ -1,13 +1,19 @@
-export default (items = []) => {
+export default (items = [], actions = []) => {
     const itemsHtml = items
         .map((item, index) => {
             return menuItem(index, item.label);
         })
         .join('');
+    const actionsHtml = actions
+        .map((action, index) => {
+            return menuAction(index, action.label);
+        })
+        .join('');
 
     return (
       `<ul class="jw-menu jw-background-color jw-reset">` +
           `${itemsHtml}` +
+          `${actionsHtml}` +
       `</ul>`
     );
 };
@@ -17,3 +23,9 @@ const menuItem = (index = '', label = '') => {
         `<li class='jw-text jw-option jw-item-${index} jw-reset'>${label}</li>`
     );
 };
+
+const menuAction = (index = '', label = '') => {
+    return (
+        `<li class='jw-text jw-option jw-menu-action jw-action-${index} jw-reset'>${label}</li>`
+    );
+};
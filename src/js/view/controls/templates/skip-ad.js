@@ -0,0 +1,8 @@
+export default (ariaLabel = '') => {
+    return (
+        `<div class="jw-skip jw-background-color jw-reset" role="button" tabindex="0" aria-label="${ariaLabel}">` +
+            `<span class="jw-text jw-skip-text jw-reset"></span>` +
+            `<span class="jw-icon-inline jw-skip-icon jw-reset"></span>` +
+        `</div>`
+    );
+};
@@ -7,6 +7,8 @@ import { requestAnimationFrame, cancelAnimationFrame } from 'utils/request-anima
 import { getBreakpoint, setBreakpoint } from 'view/utils/breakpoint';
 import { Browser, OS, Features } from 'environment/environment';
 import * as ControlsLoader from 'controller/controls-loader';
+import * as AdsLoader from 'controller/ads-loader';
+import * as CastLoader from 'controller/cast-loader';
 
 let ControlsModule;
 
@@ -82,6 +84,8 @@ define([
         let _resizeContainerRequestId = -1;
 
         let displayClickHandler;
+        let _adBlockMessage = null;
+        let _castDisplay = null;
         let fullscreenHelpers;
         let focusHelper;
 
@@ -316,6 +320,10 @@ define([
 
             // captions rendering
             _captionsRenderer.setup(_playerElement.id, _model.get('captions'));
+            // Restyle captions as the viewer changes their caption settings
+            _model.on('change:viewerCaptionsStyle', function () {
+                this.setCaptions(_model.get('captions'));
+            }, this);
 
             // captions should be place behind controls, and not hidden when controls are hidden
             _playerElement.insertBefore(_captionsRenderer.element(), _title.element());
@@ -332,6 +340,13 @@ define([
             _model.on('change:hideAdsControls', function (model, val) {
                 utils.toggleClass(_playerElement, 'jw-flag-ads-hide-controls', val);
             });
+            _model.on('change:ssaiBreak', function (model, val) {
+                // Breaks stitched into the content show the ad controls while the content plays
+                if (!_instreamModel) {
+                    utils.toggleClass(_playerElement, 'jw-flag-ads', val);
+                    _stateHandler(model);
+                }
+            });
             _model.on('change:scrubbing', function (model, val) {
                 utils.toggleClass(_playerElement, 'jw-flag-dragging', val);
             });
@@ -347,6 +362,8 @@ define([
             _model.change('skin', onSkinChange, this);
             _model.change('stretching', onStretchChange);
             _model.change('flashBlocked', onFlashBlockedChange);
+            _model.change('adBlockMessage', onAdBlockMessageChange);
+            _model.change('castActive', onCastActiveChange);
 
             const width = _model.get('width');
             const height = _model.get('height');
@@ -531,6 +548,43 @@ define([
             utils.toggleClass(_playerElement, 'jw-flag-flash-blocked', isBlocked);
         }
 
+        function onAdBlockMessageChange(model, message) {
+            if (_adBlockMessage) {
+                _adBlockMessage.destroy();
+                _adBlockMessage = null;
+            }
+            if (message) {
+                AdsLoader.load().then(ads => {
+                    if (!_this.isSetup || _adBlockMessage || model.get('adBlockMessage') !== message) {
+                        return;
+                    }
+                    _adBlockMessage = new ads.AdBlockMessage(message.text, message.closable,
+                        model.get('localization').close, () => model.set('adBlockMessage', null));
+                    _playerElement.appendChild(_adBlockMessage.element());
+                });
+            }
+        }
+
+        function onCastActiveChange(model, active) {
+            const airplay = !!active && !!model.get('airplayActive');
+            utils.toggleClass(_playerElement, 'jw-flag-casting', !!active);
+            utils.toggleClass(_playerElement, 'jw-flag-airplay-casting', airplay);
+            if (_castDisplay) {
+                _castDisplay.destroy();
+                _castDisplay = null;
+            }
+            // Shown over the media, which is detached while casting. AirPlay keeps the video, which shows its target.
+            if (active && !airplay) {
+                CastLoader.load().then(cast => {
+                    if (!_this.isSetup || _castDisplay || !model.get('castActive') || model.get('airplayActive')) {
+                        return;
+                    }
+                    _castDisplay = new cast.CastDisplay(model);
+                    _videoLayer.appendChild(_castDisplay.element());
+                });
+            }
+        }
+
         function _logoClickHandler(evt) {
             if (!evt.link) {
                 // _togglePlay();
@@ -787,7 +841,7 @@ define([
             _playerState = model.get('state');
 
             let instreamState = null;
-            if (_instreamModel) {
+            if (_instreamModel || _model.get('ssaiBreak')) {
                 instreamState = _playerState;
             }
             if (_controls) {
@@ -830,6 +884,10 @@ define([
             this.instreamModel = _instreamModel = instreamModel;
             _instreamModel.on('change:controls', _onChangeControls, this);
             _instreamModel.on('change:state', _stateHandler, this);
+            _instreamModel.on('change:vpaid', function (model, val) {
+                // VPAID creatives handle clicks and skipping themselves
+                utils.toggleClass(_playerElement, 'jw-flag-ads-vpaid', val);
+            }, this);
 
             utils.addClass(_playerElement, 'jw-flag-ads');
 
@@ -849,7 +907,7 @@ define([
                 _instreamModel = null;
             }
             this.setAltText('');
-            utils.removeClass(_playerElement, ['jw-flag-ads', 'jw-flag-ads-hide-controls']);
+            utils.removeClass(_playerElement, ['jw-flag-ads', 'jw-flag-ads-hide-controls', 'jw-flag-ads-vpaid']);
             _model.set('hideAdsControls', false);
             if (_model.getVideo) {
                 const provider = _model.getVideo();
@@ -937,6 +995,14 @@ define([
                 _logo.destroy();
                 _logo = null;
             }
+            if (_adBlockMessage) {
+                _adBlockMessage.destroy();
+                _adBlockMessage = null;
+            }
+            if (_castDisplay) {
+                _castDisplay.destroy();
+                _castDisplay = null;
+            }
             utils.clearCss(_model.get('id'));
         };
     }
@@ -0,0 +1,10 @@
+export default (closeText = '') => {
+    return (
+        `<div class="jw-adblock-message jw-reset">` +
+            `<div class="jw-adblock-message-body jw-reset">` +
+                `<div class="jw-adblock-message-text jw-reset"></div>` +
+                `<button class="jw-adblock-message-close jw-reset">${closeText}</button>` +
+            `</div>` +
+        `</div>`
+    );
+};
@@ -6,6 +6,7 @@ define([
         id: '',
         uniqueId: 0,
         _qoe: {},
+        _core: {},
         _events: {},
         Events: {},
         utils: {},
@@ -8,6 +8,7 @@ define({
     //   setCaptions: [{}],
 
     seek: [0],
+    seekToDate: [0],
     playlistNext: void 0,
     playlistPrev: void 0,
     playlistItem: [0],
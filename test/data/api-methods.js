@@ -14,6 +14,7 @@ define({
     attachMedia: null,
     detachMedia: null,
     getAdBlock: null,
+    getAudioAnalyser: null,
     getAudioTracks: null,
     getBuffer: null,
     getCaptions: null,
@@ -29,6 +30,8 @@ define({
     getFullscreen: null,
     getHeight: null,
     getItemMeta: null,
+    getLiveLatency: null,
+    getLiveWindow: null,
     getMute: null,
     getPlaybackRate: null,
     getPlaylist: null,
@@ -56,11 +59,13 @@ define({
     playlistNext: null,
     playlistPrev: null,
     qoe: null,
+    registerCompanionSlot: null,
     registerPlugin: null,
     remove: null,
     removeButton: null,
     resize: null,
     seek: null,
+    seekToDate: null,
     setCaptions: null,
     setConfig: null,
     setControls: null,
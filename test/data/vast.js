@@ -0,0 +1,158 @@
+/* jshint maxlen: 1000 */
+define({
+    inline: '<?xml version="1.0" encoding="UTF-8"?>' +
+        '<VAST version="3.0">' +
+        '<Ad id="inline-1">' +
+        '<InLine>' +
+        '<AdSystem version="1.0">Example Ads</AdSystem>' +
+        '<AdTitle>Inline Ad</AdTitle>' +
+        '<Impression><![CDATA[http://track.example.com/impression?cb=[CACHEBUSTING]]]></Impression>' +
+        '<Impression id="second"><![CDATA[http://track.example.com/impression2]]></Impression>' +
+        '<Error><![CDATA[http://track.example.com/error?code=[ERRORCODE]]]></Error>' +
+        '<Creatives>' +
+        '<Creative id="creative-1" sequence="1">' +
+        '<Linear skipoffset="00:00:05">' +
+        '<Duration>00:00:30.500</Duration>' +
+        '<TrackingEvents>' +
+        '<Tracking event="start"><![CDATA[http://track.example.com/start]]></Tracking>' +
+        '<Tracking event="firstQuartile"><![CDATA[http://track.example.com/firstQuartile]]></Tracking>' +
+        '<Tracking event="midpoint"><![CDATA[http://track.example.com/midpoint]]></Tracking>' +
+        '<Tracking event="thirdQuartile"><![CDATA[http://track.example.com/thirdQuartile]]></Tracking>' +
+        '<Tracking event="complete"><![CDATA[http://track.example.com/complete]]></Tracking>' +
+        '<Tracking event="pause"><![CDATA[http://track.example.com/pause]]></Tracking>' +
+        '<Tracking event="progress" offset="00:00:10"><![CDATA[http://track.example.com/progress10]]></Tracking>' +
+        '<Tracking event="progress" offset="90%"><![CDATA[http://track.example.com/progress90]]></Tracking>' +
+        '</TrackingEvents>' +
+        '<VideoClicks>' +
+        '<ClickThrough><![CDATA[http://advertiser.example.com/]]></ClickThrough>' +
+        '<ClickTracking><![CDATA[http://track.example.com/click]]></ClickTracking>' +
+        '</VideoClicks>' +
+        '<MediaFiles>' +
+        '<MediaFile delivery="progressive" type="video/mp4" width="1280" height="720" bitrate="2000">' +
+        '<![CDATA[http://media.example.com/ad-720.mp4]]></MediaFile>' +
+        '<MediaFile delivery="progressive" type="video/mp4" width="640" height="360" bitrate="800">' +
+        '<![CDATA[http://media.example.com/ad-360.mp4]]></MediaFile>' +
+        '<MediaFile delivery="progressive" type="video/x-flv" width="640" height="360" bitrate="900">' +
+        '<![CDATA[http://media.example.com/ad-360.flv]]></MediaFile>' +
+        '<MediaFile delivery="progressive" type="application/javascript" apiFramework="VPAID" width="640" height="360">' +
+        '<![CDATA[http://media.example.com/vpaid.js]]></MediaFile>' +
+        '<InteractiveCreativeFile type="text/html" apiFramework="SIMID" variableDuration="true">' +
+        '<![CDATA[http://media.example.com/simid.html]]></InteractiveCreativeFile>' +
+        '</MediaFiles>' +
+        '</Linear>' +
+        '</Creative>' +
+        '<Creative id="companions-1">' +
+        '<CompanionAds>' +
+        '<Companion id="banner" width="300" height="250">' +
+        '<StaticResource creativeType="image/png"><![CDATA[http://media.example.com/banner.png]]></StaticResource>' +
+        '<TrackingEvents>' +
+        '<Tracking event="creativeView"><![CDATA[http://track.example.com/companion/view]]></Tracking>' +
+        '</TrackingEvents>' +
+        '<CompanionClickThrough><![CDATA[http://advertiser.example.com/banner]]></CompanionClickThrough>' +
+        '<CompanionClickTracking><![CDATA[http://track.example.com/companion/click]]></CompanionClickTracking>' +
+        '<AltText>Banner</AltText>' +
+        '</Companion>' +
+        '<Companion id="leaderboard" width="728" height="90">' +
+        '<IFrameResource><![CDATA[http://media.example.com/leaderboard.html]]></IFrameResource>' +
+        '</Companion>' +
+        '<Companion id="empty" width="160" height="600"></Companion>' +
+        '</CompanionAds>' +
+        '</Creative>' +
+        '</Creatives>' +
+        '</InLine>' +
+        '</Ad>' +
+        '</VAST>',
+
+    wrapper: '<?xml version="1.0" encoding="UTF-8"?>' +
+        '<VAST version="4.0">' +
+        '<Ad id="wrapper-1">' +
+        '<Wrapper>' +
+        '<AdSystem>Example Exchange</AdSystem>' +
+        '<VASTAdTagURI><![CDATA[http://ads.example.com/inline.xml]]></VASTAdTagURI>' +
+        '<Impression><![CDATA[http://track.example.com/wrapper/impression]]></Impression>' +
+        '<Error><![CDATA[http://track.example.com/wrapper/error?code=[ERRORCODE]]]></Error>' +
+        '<Creatives>' +
+        '<Creative>' +
+        '<Linear>' +
+        '<TrackingEvents>' +
+        '<Tracking event="start"><![CDATA[http://track.example.com/wrapper/start]]></Tracking>' +
+        '</TrackingEvents>' +
+        '<VideoClicks>' +
+        '<ClickTracking><![CDATA[http://track.example.com/wrapper/click]]></ClickTracking>' +
+        '</VideoClicks>' +
+        '</Linear>' +
+        '</Creative>' +
+        '</Creatives>' +
+        '</Wrapper>' +
+        '</Ad>' +
+        '</VAST>',
+
+    loop: '<?xml version="1.0" encoding="UTF-8"?>' +
+        '<VAST version="3.0">' +
+        '<Ad id="loop">' +
+        '<Wrapper>' +
+        '<AdSystem>Example Exchange</AdSystem>' +
+        '<VASTAdTagURI><![CDATA[http://ads.example.com/loop.xml]]></VASTAdTagURI>' +
+        '<Error><![CDATA[http://track.example.com/loop/error?code=[ERRORCODE]]]></Error>' +
+        '</Wrapper>' +
+        '</Ad>' +
+        '</VAST>',
+
+    empty: '<?xml version="1.0" encoding="UTF-8"?>' +
+        '<VAST version="3.0">' +
+        '<Error><![CDATA[http://track.example.com/noad?code=[ERRORCODE]]]></Error>' +
+        '</VAST>',
+
+    pod: '<?xml version="1.0" encoding="UTF-8"?>' +
+        '<VAST version="4.0">' +
+        '<Ad id="pod-2" sequence="2">' +
+        '<InLine><AdSystem>Example Ads</AdSystem><AdTitle>Second</AdTitle>' +
+        '<Creatives><Creative><Linear><Duration>00:00:15</Duration><MediaFiles>' +
+        '<MediaFile delivery="progressive" type="video/mp4" width="640" height="360">http://media.example.com/pod-2.mp4</MediaFile>' +
+        '</MediaFiles></Linear></Creative></Creatives></InLine>' +
+        '</Ad>' +
+        '<Ad id="standalone">' +
+        '<InLine><AdSystem>Example Ads</AdSystem><AdTitle>Stand-alone</AdTitle>' +
+        '<Creatives><Creative><Linear><Duration>00:00:15</Duration><MediaFiles>' +
+        '<MediaFile delivery="progressive" type="video/mp4" width="640" height="360">http://media.example.com/standalone.mp4</MediaFile>' +
+        '</MediaFiles></Linear></Creative></Creatives></InLine>' +
+        '</Ad>' +
+        '<Ad id="pod-1" sequence="1">' +
+        '<InLine><AdSystem>Example Ads</AdSystem><AdTitle>First</AdTitle>' +
+        '<Creatives><Creative><Linear><Duration>00:00:10</Duration><MediaFiles>' +
+        '<MediaFile delivery="progressive" type="video/mp4" width="640" height="360">http://media.example.com/pod-1.mp4</MediaFile>' +
+        '</MediaFiles></Linear></Creative></Creatives></InLine>' +
+        '</Ad>' +
+        '</VAST>',
+
+    vmap: '<?xml version="1.0" encoding="UTF-8"?>' +
+        '<vmap:VMAP xmlns:vmap="http://www.iab.net/videosuite/vmap" version="1.0">' +
+        '<vmap:AdBreak timeOffset="start" breakType="linear" breakId="preroll">' +
+        '<vmap:AdSource id="preroll-ad" allowMultipleAds="false" followRedirects="true">' +
+        '<vmap:AdTagURI templateType="vast3"><![CDATA[http://ads.example.com/inline.xml]]></vmap:AdTagURI>' +
+        '</vmap:AdSource>' +
+        '<vmap:TrackingEvents>' +
+        '<vmap:Tracking event="breakStart"><![CDATA[http://track.example.com/vmap/start]]></vmap:Tracking>' +
+        '<vmap:Tracking event="error"><![CDATA[http://track.example.com/vmap/error?code=[ERRORCODE]]]></vmap:Tracking>' +
+        '</vmap:TrackingEvents>' +
+        '</vmap:AdBreak>' +
+        '<vmap:AdBreak timeOffset="00:10:00.000" breakType="linear,nonlinear" breakId="midroll-1">' +
+        '<vmap:AdSource id="midroll-ad">' +
+        '<vmap:VASTAdData>' +
+        '<VAST version="3.0"><Ad id="embedded"><InLine><AdSystem>Example Ads</AdSystem><AdTitle>Embedded</AdTitle></InLine></Ad></VAST>' +
+        '</vmap:VASTAdData>' +
+        '</vmap:AdSource>' +
+        '</vmap:AdBreak>' +
+        '<vmap:AdBreak timeOffset="50%" breakType="nonlinear" breakId="overlay">' +
+        '<vmap:AdSource id="overlay-ad">' +
+        '<vmap:AdTagURI templateType="vast3"><![CDATA[http://ads.example.com/overlay.xml]]></vmap:AdTagURI>' +
+        '</vmap:AdSource>' +
+        '</vmap:AdBreak>' +
+        '<vmap:AdBreak timeOffset="end" breakType="linear" breakId="postroll">' +
+        '<vmap:AdSource id="postroll-ad">' +
+        '<vmap:AdTagURI templateType="vast3"><![CDATA[http://ads.example.com/pod.xml]]></vmap:AdTagURI>' +
+        '</vmap:AdSource>' +
+        '</vmap:AdBreak>' +
+        '<vmap:AdBreak timeOffset="#1" breakType="linear" breakId="no-source"></vmap:AdBreak>' +
+        '</vmap:VMAP>'
+});
@@ -0,0 +1,199 @@
+// A stand-in for the `chrome.cast` namespace of the Cast sender SDK, with a receiver controlled by tests
+
+function removeFrom(list, item) {
+    const index = list.indexOf(item);
+    if (index !== -1) {
+        list.splice(index, 1);
+    }
+}
+
+class MockMedia {
+    constructor(api, request) {
+        this.api = api;
+        this.media = Object.assign({
+            duration: 60
+        }, request.media);
+        this.playerState = request.autoplay ? 'PLAYING' : 'PAUSED';
+        this.idleReason = null;
+        this.currentTime = request.currentTime || 0;
+        this.listeners = [];
+        this.requests = [];
+    }
+
+    addUpdateListener(listener) {
+        this.listeners.push(listener);
+    }
+
+    removeUpdateListener(listener) {
+        removeFrom(this.listeners, listener);
+    }
+
+    getEstimatedTime() {
+        return this.currentTime;
+    }
+
+    play(request, success) {
+        this.requests.push('play');
+        this.update({ playerState: 'PLAYING' });
+        success();
+    }
+
+    pause(request, success) {
+        this.requests.push('pause');
+        this.update({ playerState: 'PAUSED' });
+        success();
+    }
+
+    seek(request, success) {
+        this.requests.push('seek');
+        this.update({ currentTime: request.currentTime });
+        success();
+    }
+
+    // Changes the media as the receiver would, and notifies the sender
+    update(status) {
+        Object.assign(this, status);
+        const isAlive = this.playerState !== 'IDLE';
+        this.listeners.slice().forEach(listener => listener(isAlive));
+    }
+}
+
+class MockSession {
+    constructor(api, receiverName) {
+        this.api = api;
+        this.receiver = {
+            friendlyName: receiverName,
+            volume: {
+                level: 0.5,
+                muted: false
+            }
+        };
+        this.media = [];
+        this.loadRequests = [];
+        this.listeners = [];
+        this.mediaListeners = [];
+        this.stopped = false;
+    }
+
+    addUpdateListener(listener) {
+        this.listeners.push(listener);
+    }
+
+    removeUpdateListener(listener) {
+        removeFrom(this.listeners, listener);
+    }
+
+    addMediaListener(listener) {
+        this.mediaListeners.push(listener);
+    }
+
+    removeMediaListener(listener) {
+        removeFrom(this.mediaListeners, listener);
+    }
+
+    loadMedia(request, success) {
+        this.loadRequests.push(request);
+        const media = new MockMedia(this.api, request);
+        this.media = [media];
+        success(media);
+    }
+
+    setReceiverVolumeLevel(level, success) {
+        this.receiver.volume.level = level;
+        success();
+    }
+
+    setReceiverMuted(muted, success) {
+        this.receiver.volume.muted = muted;
+        success();
+    }
+
+    stop(success) {
+        this.stopped = true;
+        success();
+    }
+
+    // Changes the receiver as another sender or the device would, and notifies the sender
+    update(volume, isAlive = true) {
+        Object.assign(this.receiver.volume, volume);
+        this.listeners.slice().forEach(listener => listener(isAlive));
+    }
+}
+
+/**
+ * Creates a mock `chrome.cast` namespace
+ * @param {string} [receiverName] - The name of the receiver chosen when sessions are requested.
+ * @returns {object} The namespace, with `receiverListener` and `sessionListener` set once it's initialized, and the
+ * `session` started by the last `requestSession`.
+ */
+export default function createCastApi(receiverName = 'Living Room TV') {
+    const api = {
+        isAvailable: true,
+        apiConfig: null,
+        receiverListener: null,
+        sessionListener: null,
+        session: null,
+        ReceiverAvailability: {
+            AVAILABLE: 'available',
+            UNAVAILABLE: 'unavailable'
+        },
+        SessionRequest: function(appId) {
+            this.appId = appId;
+        },
+        ApiConfig: function(sessionRequest, sessionListener, receiverListener) {
+            this.sessionRequest = sessionRequest;
+            this.sessionListener = sessionListener;
+            this.receiverListener = receiverListener;
+        },
+        Image: function(url) {
+            this.url = url;
+        },
+        initialize(apiConfig, success) {
+            api.apiConfig = apiConfig;
+            api.sessionListener = apiConfig.sessionListener;
+            api.receiverListener = apiConfig.receiverListener;
+            success();
+        },
+        requestSession(success) {
+            api.session = new MockSession(api, receiverName);
+            success(api.session);
+        },
+        createSession() {
+            return new MockSession(api, receiverName);
+        },
+        media: {
+            DEFAULT_MEDIA_RECEIVER_APP_ID: 'CC1AD845',
+            PlayerState: {
+                IDLE: 'IDLE',
+                PLAYING: 'PLAYING',
+                PAUSED: 'PAUSED',
+                BUFFERING: 'BUFFERING'
+            },
+            IdleReason: {
+                CANCELLED: 'CANCELLED',
+                INTERRUPTED: 'INTERRUPTED',
+                FINISHED: 'FINISHED',
+                ERROR: 'ERROR'
+            },
+            MediaInfo: function(contentId, contentType) {
+                this.contentId = contentId;
+                this.contentType = contentType;
+                this.metadata = null;
+            },
+            GenericMediaMetadata: function() {
+                this.title = undefined;
+                this.subtitle = undefined;
+                this.images = [];
+            },
+            LoadRequest: function(mediaInfo) {
+                this.media = mediaInfo;
+                this.autoplay = true;
+                this.currentTime = undefined;
+            },
+            SeekRequest: function() {
+                this.currentTime = undefined;
+            }
+        }
+    };
+    return api;
+}
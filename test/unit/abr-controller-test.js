@@ -0,0 +1,102 @@
+import AbrController from 'providers/mse/abr-controller';
+
+var LEVELS = [
+    { bitrate: 400000, width: 416, height: 234 },
+    { bitrate: 800000, width: 640, height: 360 },
+    { bitrate: 1600000, width: 960, height: 540 },
+    { bitrate: 3200000, width: 1280, height: 720 },
+    { bitrate: 6400000, width: 1920, height: 1080 }
+];
+
+function sampleBandwidth(abr, bitsPerSecond) {
+    // Ten one second downloads
+    for (var i = 0; i < 10; i++) {
+        abr.sample({
+            trequest: 0,
+            tload: 1000,
+            loaded: bitsPerSecond / 8
+        });
+    }
+}
+
+function createController(config) {
+    var abr = new AbrController(config);
+    abr.setLevels(LEVELS);
+    return abr;
+}
+
+describe('AbrController', function() {
+
+    it('uses the default bandwidth before it has samples', function() {
+        var abr = createController({
+            algorithm: 'throughput',
+            defaultBandwidth: 1000000
+        });
+        assert.deepEqual(abr.chooseLevel(0), { index: 1, reason: 'auto' });
+    });
+
+    it('chooses the highest level that fits the measured throughput', function() {
+        var abr = createController({
+            algorithm: 'throughput'
+        });
+        sampleBandwidth(abr, 3000000);
+        assert.equal(abr.chooseLevel(0).index, 2);
+
+        abr = createController({
+            algorithm: 'throughput'
+        });
+        sampleBandwidth(abr, 10000000);
+        assert.equal(abr.chooseLevel(0).index, 4);
+    });
+
+    it('chooses higher levels as the buffer fills with buffer based selection', function() {
+        var abr = createController({
+            algorithm: 'bola'
+        });
+        abr.setBufferTarget(30);
+        assert.equal(abr.chooseLevel(0).index, 0);
+        var previous = 0;
+        for (var buffer = 5; buffer <= 30; buffer += 5) {
+            var index = abr.chooseLevel(buffer).index;
+            assert.isAtLeast(index, previous, 'level at ' + buffer + 's of buffer');
+            previous = index;
+        }
+        assert.equal(previous, 4);
+    });
+
+    it('limits hybrid selection by throughput', function() {
+        var abr = createController();
+        abr.setBufferTarget(30);
+        sampleBandwidth(abr, 1500000);
+        assert.equal(abr.chooseLevel(2).index, 1, 'Throughput is used while the buffer is low');
+        assert.equal(abr.chooseLevel(30).index, 2, 'Buffer based selection is one level above throughput at most');
+    });
+
+    it('respects bitrate and height caps', function() {
+        var abr = createController({
+            algorithm: 'throughput',
+            maxBitrate: 2000000
+        });
+        sampleBandwidth(abr, 10000000);
+        assert.deepEqual(abr.chooseLevel(0), { index: 2, reason: 'auto' });
+
+        abr = createController({
+            algorithm: 'throughput',
+            maxHeight: 360
+        });
+        sampleBandwidth(abr, 10000000);
+        assert.deepEqual(abr.chooseLevel(0), { index: 1, reason: 'auto' });
+    });
+
+    it('caps levels to the player size', function() {
+        var abr = createController({
+            algorithm: 'throughput'
+        });
+        sampleBandwidth(abr, 10000000);
+        abr.setPlayerSize(800 / (window.devicePixelRatio || 1), 450 / (window.devicePixelRatio || 1));
+        assert.deepEqual(abr.chooseLevel(0), { index: 2, reason: 'size' });
+
+        abr.config.capToPlayerSize = false;
+        assert.deepEqual(abr.chooseLevel(0), { index: 4, reason: 'auto' });
+    });
+});
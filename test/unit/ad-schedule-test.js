@@ -0,0 +1,240 @@
+import AdSchedule, { breakTime, normalizeSchedule, PREROLL, POSTROLL } from 'ads/ad-schedule';
+import sinon from 'sinon';
+import AdRules from 'ads/ad-rules';
+import SimpleModel from 'model/simplemodel';
+import Events from 'utils/backbone.events';
+import utils from 'utils/helpers';
+import events from 'events/events';
+import states from 'events/states';
+
+// A controller which records the ad breaks and cues requested by the schedule
+function createSchedule(advertising, playlistItem) {
+    const model = Object.assign({}, SimpleModel);
+    model.set('advertising', advertising);
+    model.set('localization', {
+        advertisement: 'Advertisement'
+    });
+    model.set('state', states.IDLE);
+    const controller = Object.assign({}, Events, {
+        played: [],
+        cues: [],
+        pauses: 0,
+        playAd(tag) {
+            this.played.push(tag);
+            this.trigger(events.JWPLAYER_AD_BREAK_START, {});
+        },
+        pause() {
+            this.pauses++;
+        },
+        setCues(cues) {
+            this.cues = cues;
+        }
+    });
+    const rules = new AdRules(model);
+    rules.reset();
+    const schedule = new AdSchedule(controller, model, rules);
+    model.set('playlistItem', playlistItem || {});
+    model.trigger('itemReady');
+    return {
+        controller,
+        model,
+        rules,
+        schedule
+    };
+}
+
+describe('AdSchedule', function() {
+
+    it('converts break offsets to seconds', function() {
+        expect(breakTime('pre')).to.equal(PREROLL);
+        expect(breakTime('start')).to.equal(PREROLL);
+        expect(breakTime('post')).to.equal(POSTROLL);
+        expect(breakTime('end')).to.equal(POSTROLL);
+        expect(breakTime(12)).to.equal(12);
+        expect(breakTime('12.5')).to.equal(12.5);
+        expect(breakTime('00:01:30')).to.equal(90);
+        expect(breakTime('25%', 200)).to.equal(50);
+        expect(breakTime('25%')).to.equal(null);
+        expect(breakTime('#1')).to.equal(null);
+    });
+
+    it('lists the breaks of a schedule', function() {
+        expect(normalizeSchedule({
+            myPreroll: {
+                tag: 'http://ads.example.com/pre.xml'
+            },
+            myMidroll: {
+                offset: 10,
+                tag: ['http://ads.example.com/mid.xml', 'http://ads.example.com/fallback.xml']
+            },
+            noTag: {
+                offset: 'post'
+            }
+        })).to.deep.equal([{
+            id: 'myPreroll',
+            offset: 'pre',
+            tag: 'http://ads.example.com/pre.xml',
+            vast: undefined,
+            tracking: {},
+            played: false
+        }, {
+            id: 'myMidroll',
+            offset: 10,
+            tag: ['http://ads.example.com/mid.xml', 'http://ads.example.com/fallback.xml'],
+            vast: undefined,
+            tracking: {},
+            played: false
+        }]);
+        expect(normalizeSchedule([{ offset: 'post', tag: 'post.xml' }]).map(adBreak => adBreak.id)).to.deep.equal(['adbreak0']);
+        expect(normalizeSchedule(undefined)).to.deep.equal([]);
+    });
+
+    it('requests VMAP schedules with the default timeout when advertising does not set one', function() {
+        const ajax = sinon.stub(utils, 'ajax');
+        createSchedule({
+            schedule: 'http://ads.example.com/vmap.xml'
+        });
+        ajax.restore();
+        expect(ajax.callCount).to.equal(1);
+        expect(ajax.firstCall.args[0].timeout).to.equal(5000);
+        expect(ajax.firstCall.args[0].withCredentials).to.equal(false);
+    });
+
+    it('plays prerolls before content, and draws midroll cues', function() {
+        const { controller } = createSchedule({
+            schedule: {
+                pre: { offset: 'pre', tag: 'pre.xml' },
+                mid: { offset: 30, tag: 'mid.xml' },
+                half: { offset: '50%', tag: 'half.xml' }
+            }
+        });
+        expect(controller.cues).to.deep.equal([
+            { begin: 30, text: 'Advertisement' },
+            { begin: '50%', text: 'Advertisement' }
+        ]);
+
+        controller.trigger(events.JWPLAYER_MEDIA_BEFOREPLAY, {});
+        expect(controller.pauses, 'Content is interrupted').to.equal(1);
+        expect(controller.played).to.deep.equal(['pre.xml']);
+
+        controller.trigger(events.JWPLAYER_AD_BREAK_END, {});
+        controller.trigger(events.JWPLAYER_MEDIA_BEFOREPLAY, {});
+        expect(controller.played, 'Prerolls play once').to.deep.equal(['pre.xml']);
+    });
+
+    it('plays the latest midroll passed, and does not replay breaks after seeking back', function() {
+        const { controller } = createSchedule({
+            schedule: [
+                { offset: 10, tag: 'mid10.xml' },
+                { offset: '00:00:20', tag: 'mid20.xml' },
+                { offset: 'post', tag: 'post.xml' }
+            ]
+        });
+        controller.trigger(events.JWPLAYER_MEDIA_TIME, { position: 5, duration: 60 });
+        expect(controller.played).to.deep.equal([]);
+
+        controller.trigger(events.JWPLAYER_MEDIA_TIME, { position: 25, duration: 60 });
+        expect(controller.played).to.deep.equal(['mid20.xml']);
+        controller.trigger(events.JWPLAYER_MEDIA_TIME, { position: 26, duration: 60 });
+        expect(controller.played, 'Breaks do not start while one is playing').to.deep.equal(['mid20.xml']);
+        controller.trigger(events.JWPLAYER_AD_BREAK_END, {});
+
+        controller.trigger(events.JWPLAYER_MEDIA_SEEK, { position: 25, offset: 2 });
+        controller.trigger(events.JWPLAYER_MEDIA_TIME, { position: 12, duration: 60 });
+        expect(controller.played).to.deep.equal(['mid20.xml']);
+
+        controller.trigger(events.JWPLAYER_MEDIA_BEFORECOMPLETE, {});
+        expect(controller.played).to.deep.equal(['mid20.xml', 'post.xml']);
+    });
+
+    it('replays midrolls after seeking back when configured', function() {
+        const { controller } = createSchedule({
+            replayBreaks: true,
+            schedule: [{ offset: 10, tag: 'mid10.xml' }]
+        });
+        controller.trigger(events.JWPLAYER_MEDIA_TIME, { position: 11, duration: 60 });
+        controller.trigger(events.JWPLAYER_AD_BREAK_END, {});
+        controller.trigger(events.JWPLAYER_MEDIA_SEEK, { position: 11, offset: 2 });
+        controller.trigger(events.JWPLAYER_MEDIA_TIME, { position: 11, duration: 60 });
+        expect(controller.played).to.deep.equal(['mid10.xml', 'mid10.xml']);
+    });
+
+    it('starts prerolls on an item and plays them every few items', function() {
+        const { controller, model, rules } = createSchedule({
+            rules: {
+                startOn: 2,
+                frequency: 3
+            },
+            schedule: [{ offset: 'pre', tag: 'pre.xml' }]
+        });
+        const itemPrerolls = [];
+        for (let item = 1; item <= 6; item++) {
+            if (item > 1) {
+                model.trigger('itemReady');
+            }
+            controller.played = [];
+            controller.trigger(events.JWPLAYER_MEDIA_BEFOREPLAY, {});
+            controller.trigger(events.JWPLAYER_AD_BREAK_END, {});
+            itemPrerolls.push(controller.played.length);
+        }
+        expect(itemPrerolls).to.deep.equal([0, 1, 0, 0, 1, 0]);
+        rules.reset();
+    });
+
+    it('passes over midrolls due too soon after the previous break', function() {
+        const { controller, rules } = createSchedule({
+            rules: {
+                timeBetweenAds: 300
+            },
+            schedule: [
+                { offset: 10, tag: 'mid10.xml' },
+                { offset: 400, tag: 'mid400.xml' }
+            ]
+        });
+        // A preroll played through the API
+        controller.trigger(events.JWPLAYER_AD_BREAK_START, {});
+        controller.trigger(events.JWPLAYER_AD_BREAK_END, {});
+        for (let position = 0; position <= 12; position++) {
+            controller.trigger(events.JWPLAYER_MEDIA_TIME, { position: position, duration: 600 });
+        }
+        expect(controller.played).to.deep.equal([]);
+
+        controller.trigger(events.JWPLAYER_MEDIA_SEEK, { position: 12, offset: 399 });
+        controller.trigger(events.JWPLAYER_MEDIA_TIME, { position: 399, duration: 600 });
+        controller.trigger(events.JWPLAYER_MEDIA_TIME, { position: 400, duration: 600 });
+        expect(controller.played, 'Seeking does not count as content watched').to.deep.equal([]);
+        rules.reset();
+    });
+
+    it('counts the content watched across page loads', function() {
+        const { controller, model, rules } = createSchedule({
+            rules: {
+                timeBetweenAds: 5
+            },
+            schedule: [{ offset: 8, tag: 'mid8.xml' }]
+        });
+        for (let position = 0; position <= 4; position++) {
+            controller.trigger(events.JWPLAYER_MEDIA_TIME, { position: position, duration: 600 });
+        }
+        expect(new AdRules(model).allowMidroll()).to.equal(false);
+        controller.trigger(events.JWPLAYER_MEDIA_TIME, { position: 5, duration: 600 });
+        expect(new AdRules(model).allowMidroll()).to.equal(true);
+        rules.reset();
+        expect(new AdRules(model).allowMidroll()).to.equal(false);
+    });
+
+    it('uses the schedule of the playlist item', function() {
+        const { controller, schedule } = createSchedule({
+            schedule: [{ offset: 'pre', tag: 'pre.xml' }]
+        }, {
+            adschedule: [{ offset: 'pre', tag: 'item-pre.xml' }]
+        });
+        controller.trigger(events.JWPLAYER_MEDIA_BEFOREPLAY, {});
+        expect(controller.played).to.deep.equal(['item-pre.xml']);
+
+        schedule.destroy();
+        controller.trigger(events.JWPLAYER_AD_BREAK_END, {});
+        controller.trigger(events.JWPLAYER_MEDIA_BEFOREPLAY, {});
+        expect(controller.played).to.deep.equal(['item-pre.xml']);
+    });
+});
@@ -0,0 +1,80 @@
+import detectAdBlock, { detectBait, isHidden } from 'ads/adblock-detect';
+
+describe('adblock-detect', function() {
+
+    let style;
+
+    afterEach(function() {
+        if (style) {
+            document.head.removeChild(style);
+            style = null;
+        }
+    });
+
+    // Hides the bait as an ad blocker's element hiding rules would
+    function hideAds() {
+        style = document.createElement('style');
+        style.textContent = '.adsbox { display: none !important; }';
+        document.head.appendChild(style);
+    }
+
+    it('tells whether an element is hidden', function() {
+        const element = document.createElement('div');
+        element.textContent = 'ad';
+        expect(isHidden(element)).to.equal(true);
+
+        document.body.appendChild(element);
+        expect(isHidden(element)).to.equal(false);
+
+        element.style.visibility = 'hidden';
+        expect(isHidden(element)).to.equal(true);
+
+        element.style.visibility = '';
+        element.style.display = 'none';
+        expect(isHidden(element)).to.equal(true);
+        document.body.removeChild(element);
+    });
+
+    it('does not take elements in containers which are not rendered for hidden', function() {
+        const container = document.createElement('div');
+        container.style.display = 'none';
+        const element = document.createElement('div');
+        element.textContent = 'ad';
+        container.appendChild(element);
+        document.body.appendChild(container);
+        expect(isHidden(element)).to.equal(false);
+
+        element.style.display = 'none';
+        expect(isHidden(element)).to.equal(true);
+        document.body.removeChild(container);
+    });
+
+    it('does not detect an ad blocker when the bait is shown', function() {
+        return detectBait().then(blocked => {
+            expect(blocked).to.equal(false);
+            expect(document.querySelector('.adsbox')).to.equal(null);
+        });
+    });
+
+    it('detects an ad blocker which hides the bait', function() {
+        hideAds();
+        return detectAdBlock().then(blocked => {
+            expect(blocked).to.equal(true);
+            expect(document.querySelector('.adsbox')).to.equal(null);
+        });
+    });
+
+    it('detects an ad blocker which removes the bait', function() {
+        const observer = new MutationObserver(() => {
+            const bait = document.querySelector('.adsbox');
+            if (bait) {
+                bait.parentNode.removeChild(bait);
+            }
+        });
+        observer.observe(document.body, { childList: true });
+        return detectAdBlock().then(blocked => {
+            observer.disconnect();
+            expect(blocked).to.equal(true);
+        });
+    });
+});
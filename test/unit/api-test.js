@@ -238,6 +238,7 @@ define([
             expect(api.getEnvironment(), '.getEnvironment()').to.have.keys(['Browser', 'OS', 'Features']);
             expect(api.getContainer(), '.getContainer()').to.equal(container, 'returns the player DOM element before setup');
             expect(api.getConfig(), '.getConfig()').to.eql({});
+            expect(api.getAudioAnalyser(), '.getAudioAnalyser()').to.equal(null);
             expect(api.getAudioTracks(), '.getAudioTracks()').to.equal(null);
             expect(api.getCaptionsList(), '.getCaptionsList()').to.equal(null);
             expect(api.getQualityLevels(), '.getQualityLevels()').to.equal(null);
@@ -261,6 +262,8 @@ define([
             expect(api.getHeight(), '.getHeight()').to.equal(undefined);
             expect(api.getWidth(), '.getWidth()').to.equal(undefined);
             expect(api.getItemMeta(), '.getItemMeta()').to.eql({});
+            expect(api.getLiveLatency(), '.getLiveLatency()').to.equal(null);
+            expect(api.getLiveWindow(), '.getLiveWindow()').to.equal(null);
             expect(api.getMute(), '.getMute()').to.equal(undefined);
             expect(api.getVolume(), '.getVolume()').to.equal(undefined);
             expect(api.getPlaybackRate(), '.getPlaybackRate()').to.equal(undefined);
@@ -286,6 +289,7 @@ define([
             expect(api.getEnvironment(), '.getEnvironment()').to.have.keys(['Browser', 'OS', 'Features']);
             expect(api.getContainer(), '.getContainer()').to.equal(container, 'returns the player DOM element before setup');
             expect(api.getConfig(), '.getConfig()').to.not.be.empty;
+            expect(api.getAudioAnalyser(), '.getAudioAnalyser()').to.equal(null);
             expect(api.getAudioTracks(), '.getAudioTracks()').to.equal(null);
             expect(api.getCaptionsList(), '.getCaptionsList()').to.equal(null);
             expect(api.getQualityLevels(), '.getQualityLevels()').to.equal(null);
@@ -309,6 +313,8 @@ define([
             expect(api.getHeight(), '.getHeight()').to.equal(undefined);
             expect(api.getWidth(), '.getWidth()').to.equal(undefined);
             expect(api.getItemMeta(), '.getItemMeta()').to.eql({});
+            expect(api.getLiveLatency(), '.getLiveLatency()').to.equal(null);
+            expect(api.getLiveWindow(), '.getLiveWindow()').to.equal(null);
             expect(api.getMute(), '.getMute()').to.be.a('boolean');
             expect(api.getVolume(), '.getVolume()').to.be.a('number');
             expect(api.getPlaybackRate(), '.getPlaybackRate()').to.equal(1);
@@ -0,0 +1,47 @@
+import AudioTimeline from 'providers/audio-timeline';
+
+describe('AudioTimeline', function() {
+
+    it('maps context time to media time from the offset playback started at', function() {
+        const timeline = new AudioTimeline();
+        timeline.reset(30);
+        expect(timeline.position(100)).to.equal(30);
+
+        timeline.start(100);
+        expect(timeline.position(100)).to.equal(30);
+        expect(timeline.position(105)).to.equal(35);
+        expect(timeline.position(99), 'Playback scheduled in the future has not started').to.equal(30);
+    });
+
+    it('holds the position while paused', function() {
+        const timeline = new AudioTimeline();
+        timeline.start(10);
+        timeline.pause(14);
+        expect(timeline.position(20)).to.equal(4);
+
+        timeline.start(20);
+        expect(timeline.position(21)).to.equal(5);
+    });
+
+    it('accounts for playback rate changes', function() {
+        const timeline = new AudioTimeline();
+        timeline.start(0);
+        timeline.setRate(10, 2);
+        expect(timeline.position(10)).to.equal(10);
+        expect(timeline.position(15)).to.equal(20);
+
+        timeline.pause(15);
+        timeline.setRate(15, 0.5);
+        expect(timeline.position(30)).to.equal(20);
+    });
+
+    it('predicts when playback reaches the end of the buffer', function() {
+        const timeline = new AudioTimeline();
+        timeline.reset(20);
+        timeline.start(100);
+        expect(timeline.endTime(60)).to.equal(140);
+
+        timeline.setRate(110, 2);
+        expect(timeline.endTime(60)).to.equal(125);
+    });
+});
@@ -0,0 +1,176 @@
+import { findCaptionsFormat } from 'parsers/captions/formats';
+import registerCaptionsFormat from 'parsers/captions/formats-register';
+import srtToWebVTT, { parseSubRip } from 'parsers/captions/subrip';
+import ssaToWebVTT from 'parsers/captions/ssa';
+import samiToWebVTT from 'parsers/captions/sami';
+
+const SRT = '1\r\n' +
+    '00:00:01,000 --> 00:00:02,500\r\n' +
+    '<b>Hello</b> <font color="#ff0000">world</font>\r\n' +
+    '\r\n' +
+    '2\r\n' +
+    '00:00:03,000 --> 00:00:04,000 X1:10 X2:20 Y1:30 Y2:40\r\n' +
+    '{\\an8}<I>Top</I> {i}line{/i}\r\n';
+
+// Cues without numbers, timed in minutes
+const LENIENT = '00:01.000 --> 00:02.000\n' +
+    'Hi\n' +
+    '\n' +
+    '00:03.000 --> 00:04.000\n' +
+    'There\n';
+
+const SSA = '[Script Info]\n' +
+    'ScriptType: v4.00+\n' +
+    'PlayResX: 640\n' +
+    'PlayResY: 480\n' +
+    '\n' +
+    '[V4+ Styles]\n' +
+    'Format: Name, Fontname, Fontsize, PrimaryColour, Bold, Italic, Underline, Alignment, MarginL, MarginR, MarginV\n' +
+    'Style: Default,Arial,20,&H00FFFFFF,0,0,0,2,0,0,48\n' +
+    'Style: Sign,Arial,20,&H0000FFFF,-1,0,0,8,64,64,24\n' +
+    '\n' +
+    '[Events]\n' +
+    'Format: Layer, Start, End, Style, MarginL, MarginR, MarginV, Text\n' +
+    'Dialogue: 0,0:00:01.50,0:00:03.00,Default,0,0,0,Hello, {\\i1}world{\\i0}!\\NBye\n' +
+    'Dialogue: 0,0:00:04.00,0:00:05.00,Sign,0,0,0,Exit\n' +
+    'Dialogue: 0,0:00:06.00,0:00:07.00,Default,0,0,0,{\\an7\\pos(320,240)}Here\n' +
+    'Comment: 0,0:00:08.00,0:00:09.00,Default,0,0,0,Not shown\n';
+
+const SAMI = '<SAMI>\n' +
+    '<HEAD>\n' +
+    '<STYLE TYPE="text/css"><!--\n' +
+    'P { margin-left: 8pt; }\n' +
+    '.ENUSCC { Name: English; lang: en-US; }\n' +
+    '.FRFRCC { Name: French; lang: fr-FR; text-align: left; }\n' +
+    '--></STYLE>\n' +
+    '</HEAD>\n' +
+    '<BODY>\n' +
+    '<SYNC Start=1000><P Class=ENUSCC>Hello<br>world</P><P Class=FRFRCC>Bonjour</P>\n' +
+    '<SYNC Start=2500><P Class=ENUSCC>&nbsp;\n' +
+    '<SYNC Start=3000><P Class=FRFRCC>&nbsp;\n' +
+    '<SYNC Start=4000><P Class=ENUSCC><i>Last</i> &amp; &#233;\n' +
+    '</BODY>\n' +
+    '</SAMI>\n';
+
+describe('caption formats', function() {
+
+    it('converts SRT to WebVTT with its styling and position tags', function() {
+        expect(srtToWebVTT(SRT)).to.equal('WEBVTT\n\n' +
+            '00:00:01.000 --> 00:00:02.500\n' +
+            '<b>Hello</b> <c.red>world</c>\n\n' +
+            '00:00:03.000 --> 00:00:04.000 line:0\n' +
+            '<i>Top</i> <i>line</i>\n');
+    });
+
+    it('aligns SRT cues to the left and right', function() {
+        const vtt = srtToWebVTT('00:00:01,5 --> 00:00:02,0\n{\\an1}Left\n\n00:00:03,000 --> 00:00:04,000\n{\\an6}Right');
+        expect(vtt).to.equal('WEBVTT\n\n' +
+            '00:00:01.500 --> 00:00:02.000 align:left\nLeft\n\n' +
+            '00:00:03.000 --> 00:00:04.000 line:50%,center align:right\nRight\n');
+    });
+
+    it('converts SSA and ASS to WebVTT with basic styling and positions', function() {
+        expect(ssaToWebVTT(SSA)).to.equal('WEBVTT\n\n' +
+            '00:00:01.500 --> 00:00:03.000 line:90%,end\n' +
+            'Hello, <i>world</i>!\n' +
+            'Bye\n\n' +
+            '00:00:04.000 --> 00:00:05.000 line:5% size:80%\n' +
+            '<b><c.yellow>Exit</c></b>\n\n' +
+            '00:00:06.000 --> 00:00:07.000 line:50% position:50% align:left\n' +
+            'Here\n');
+    });
+
+    it('converts the captions of a SAMI language to WebVTT', function() {
+        expect(samiToWebVTT(SAMI)).to.equal('WEBVTT\n\n' +
+            '00:00:01.000 --> 00:00:02.500\n' +
+            'Hello\n' +
+            'world\n\n' +
+            '00:00:04.000 --> 99:59:59.999\n' +
+            '<i>Last</i> &amp; é\n');
+
+        expect(samiToWebVTT(SAMI, 'fr')).to.equal('WEBVTT\n\n' +
+            '00:00:01.000 --> 00:00:03.000 align:left\n' +
+            'Bonjour\n');
+        expect(samiToWebVTT(SAMI, 'French')).to.equal(samiToWebVTT(SAMI, 'fr'));
+    });
+
+    it('finds formats by sniffing', function() {
+        const ttml = new DOMParser().parseFromString('<tt xmlns="http://www.w3.org/ns/ttml"><body/></tt>', 'text/xml');
+        expect(findCaptionsFormat('WEBVTT\n\n00:01.000 --> 00:02.000\nHi\n').name).to.equal('webvtt');
+        expect(findCaptionsFormat('\uFEFFWEBVTT\n').name).to.equal('webvtt');
+        expect(findCaptionsFormat(SRT).name).to.equal('srt');
+        expect(findCaptionsFormat(SSA).name).to.equal('ssa');
+        expect(findCaptionsFormat(SAMI).name).to.equal('sami');
+        expect(findCaptionsFormat('', ttml).name).to.equal('ttml');
+    });
+
+    it('sniffs content before the MIME type', function() {
+        expect(findCaptionsFormat(SRT, null, 'text/vtt; charset=utf-8').name).to.equal('srt');
+        expect(findCaptionsFormat(SRT, null, 'text/plain').name).to.equal('srt');
+        expect(findCaptionsFormat(SSA, null, 'application/octet-stream').name).to.equal('ssa');
+    });
+
+    it('chooses between formats matching the content by MIME type', function() {
+        const format = {
+            name: 'test-subrip',
+            mimeTypes: ['text/x-test-subrip'],
+            sniff: text => text === SRT,
+            parse: () => []
+        };
+        registerCaptionsFormat(format);
+        expect(findCaptionsFormat(SRT, null, 'application/x-subrip').name).to.equal('srt');
+        expect(findCaptionsFormat(SRT, null, 'text/x-test-subrip')).to.equal(format);
+        expect(findCaptionsFormat(SRT)).to.equal(format);
+    });
+
+    it('reads files no format recognizes as loosely laid out SubRip', function() {
+        const format = findCaptionsFormat(LENIENT, null, 'text/plain');
+        expect(format.name).to.equal('srt-lenient');
+        expect(findCaptionsFormat('', null, 'application/x-subrip').name).to.equal('srt-lenient');
+        return format.parse(LENIENT).then(cues => {
+            expect(cues.length).to.equal(2);
+            expect(cues[0].startTime).to.equal(1);
+            expect(cues[1].text).to.equal('There');
+        });
+    });
+
+    it('reads the cues of WebVTT thumbnails and chapters leniently', function() {
+        const vtt = 'WEBVTT\n\n' +
+            'intro\n' +
+            '00:00.000 --> 00:05.500 align:left\n' +
+            'sprite.jpg#xywh=0,0,160,90\n\n' +
+            '00:05.500 --> 01:00:00.000\n\n' +
+            '1:00:00 --> 1:00:10\n' +
+            'End';
+        expect(parseSubRip(vtt, { lenient: true })).to.deep.equal([
+            { begin: 0, end: 5.5, text: 'sprite.jpg#xywh=0,0,160,90' },
+            { begin: 3600, end: 3610, text: 'End' }
+        ]);
+        expect(parseSubRip(vtt)).to.deep.equal([
+            { begin: 3600, end: 3610, text: 'End' }
+        ]);
+    });
+
+    it('registers custom formats', function() {
+        const format = {
+            name: 'test-lines',
+            mimeTypes: ['text/x-test-lines'],
+            sniff: text => text.indexOf('LINES') === 0,
+            parse: () => []
+        };
+        expect(() => registerCaptionsFormat({ name: 'invalid' })).to.throw();
+
+        registerCaptionsFormat(format);
+        expect(findCaptionsFormat('LINES\n1 2 Hi')).to.equal(format);
+
+        // A format replaces the one of the same name
+        const replacement = {
+            name: 'test-lines',
+            sniff: text => text.indexOf('MORE LINES') === 0,
+            parse: () => []
+        };
+        registerCaptionsFormat(replacement);
+        expect(findCaptionsFormat('LINES\n1 2 Hi').name).to.equal('srt-lenient');
+        expect(findCaptionsFormat('MORE LINES\n1 2 Hi')).to.equal(replacement);
+    });
+});
@@ -0,0 +1,98 @@
+import Config from 'api/config';
+import Model from 'controller/model';
+import CaptionsSettings from 'view/controls/captions-settings';
+
+describe('CaptionsSettings', function() {
+
+    let model;
+    let captionsSettings;
+
+    function select(name) {
+        return captionsSettings.element().querySelector(`select[name="${name}"]`);
+    }
+
+    function selectedLabel(name) {
+        const element = select(name);
+        return element.options[element.selectedIndex].textContent;
+    }
+
+    function choose(name, label) {
+        const element = select(name);
+        const option = [].filter.call(element.options, opt => opt.textContent === label)[0];
+        element.value = option ? option.value : '';
+        const event = document.createEvent('HTMLEvents');
+        event.initEvent('change', true, true);
+        element.dispatchEvent(event);
+    }
+
+    beforeEach(function() {
+        model = new Model();
+        model.set('localization', new Config().localization);
+        captionsSettings = new CaptionsSettings(model);
+        captionsSettings.setup();
+    });
+
+    afterEach(function() {
+        captionsSettings.destroy();
+    });
+
+    it('sets the viewer captions style as options are chosen', function() {
+        choose('color', 'Yellow');
+        choose('fontSize', '150%');
+        choose('edgeStyle', 'Drop shadow');
+        expect(model.get('viewerCaptionsStyle')).to.deep.equal({
+            color: '#ffff00',
+            fontSize: 150,
+            edgeStyle: 'dropshadow'
+        });
+
+        choose('font', 'Small capitals');
+        expect(model.get('viewerCaptionsStyle').fontVariant).to.equal('small-caps');
+        choose('font', 'Casual');
+        expect(model.get('viewerCaptionsStyle').fontVariant).to.equal('normal');
+    });
+
+    it('leaves fields set to default to the player', function() {
+        choose('backgroundOpacity', '25%');
+        choose('backgroundOpacity', 'Default');
+        expect(model.get('viewerCaptionsStyle')).to.deep.equal({});
+    });
+
+    it('shows the chosen options of a persisted style', function() {
+        model.set('viewerCaptionsStyle', {
+            windowColor: '#0000ff',
+            windowOpacity: 75
+        });
+        expect(selectedLabel('windowColor')).to.equal('Blue');
+        expect(selectedLabel('windowOpacity')).to.equal('75%');
+        expect(select('color').value).to.equal('');
+
+        captionsSettings.reset();
+        expect(model.get('viewerCaptionsStyle')).to.deep.equal({});
+        expect(select('windowColor').value).to.equal('');
+    });
+
+    it('labels options from the localization', function() {
+        captionsSettings.destroy();
+        model.set('localization', Object.assign(new Config().localization, {
+            captionsYellow: 'Jaune',
+            captionsEdgeDropShadow: 'Ombre port\u00e9e'
+        }));
+        captionsSettings = new CaptionsSettings(model);
+        captionsSettings.setup();
+
+        choose('color', 'Jaune');
+        choose('edgeStyle', 'Ombre port\u00e9e');
+        expect(model.get('viewerCaptionsStyle')).to.deep.equal({
+            color: '#ffff00',
+            edgeStyle: 'dropshadow'
+        });
+    });
+
+    it('opens and closes', function() {
+        captionsSettings.open();
+        expect(captionsSettings.element().className).to.contain('jw-open');
+        captionsSettings.close();
+        expect(captionsSettings.element().className).to.not.contain('jw-open');
+    });
+});
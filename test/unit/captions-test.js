@@ -0,0 +1,57 @@
+import Model from 'controller/model';
+import Captions from 'controller/captions';
+
+describe('Captions', function() {
+
+    let model;
+    let captions;
+
+    function subtitlesTracks(tracks) {
+        model.mediaController.trigger('subtitlesTracks', { tracks });
+        return captions.getCurrentIndex();
+    }
+
+    beforeEach(function() {
+        model = new Model().setup({});
+        model.set('preferredLanguages', ['fr', 'de']);
+        captions = new Captions(model);
+    });
+
+    it('selects the autoselect track in the most preferred language', function() {
+        expect(subtitlesTracks([
+            { language: 'de', autoselect: true },
+            { language: 'fr', autoselect: true },
+            { language: 'es', 'default': true }
+        ])).to.equal(2);
+    });
+
+    it('selects the default track before tracks which may not be autoselected', function() {
+        expect(subtitlesTracks([
+            { language: 'fr' },
+            { language: 'es', defaulttrack: true }
+        ])).to.equal(2);
+    });
+
+    it('selects forced subtitles in a preferred language when no other track is chosen', function() {
+        expect(subtitlesTracks([
+            { language: 'es', forced: true },
+            { language: 'de', forced: true, autoselect: true },
+            { language: 'fr' }
+        ])).to.equal(2);
+    });
+
+    it('leaves captions off when no track is preferred', function() {
+        expect(subtitlesTracks([
+            { language: 'es', autoselect: true },
+            { language: 'ja', forced: true }
+        ])).to.equal(0);
+    });
+
+    it('selects the track of the stored label before preferred languages', function() {
+        model.set('captionLabel', 'Commentary');
+        expect(subtitlesTracks([
+            { language: 'fr', autoselect: true },
+            { language: 'es', label: 'Commentary' }
+        ])).to.equal(2);
+    });
+});
@@ -0,0 +1,287 @@
+import CastSender, { castSource } from 'cast/sender';
+import createCastApi from 'mock/mock-cast';
+import SimpleModel from 'model/simplemodel';
+import Events from 'utils/backbone.events';
+import events from 'events/events';
+import states from 'events/states';
+import sinon from 'sinon';
+
+const ITEM = {
+    title: 'Big Buck Bunny',
+    description: 'A short film',
+    image: 'http://media.example.com/bunny.jpg',
+    sources: [{
+        file: 'http://media.example.com/bunny.mp4',
+        type: 'mp4'
+    }]
+};
+
+const NEXT_ITEM = {
+    title: 'Sintel',
+    sources: [{
+        file: 'http://media.example.com/sintel.m3u8',
+        type: 'hls'
+    }]
+};
+
+// Lets the sender initialize once the SDK has resolved
+function initialized() {
+    return new Promise(resolve => setTimeout(resolve));
+}
+
+describe('CastSender', function() {
+
+    let chrome;
+    let api;
+    let model;
+    let controller;
+    let sender;
+
+    beforeEach(function() {
+        chrome = window.chrome;
+        api = createCastApi();
+        window.chrome = {
+            cast: api
+        };
+
+        model = Object.assign({}, SimpleModel);
+        model.mediaModel = Object.assign({}, SimpleModel);
+        model.mediaController = Object.assign({}, Events);
+        model.mediaModel.on('change:state', (mediaModel, state) => model.set('state', state));
+        model.getVideo = () => ({});
+        model.set('cast', true);
+        model.set('castAvailable', false);
+        model.set('playlistItem', ITEM);
+        model.set('state', states.PLAYING);
+        model.set('position', 12);
+        model.set('duration', 60);
+
+        controller = Object.assign({}, Events, {
+            pause: sinon.spy(() => model.set('state', states.PAUSED)),
+            seek: sinon.spy(),
+            detachMedia: sinon.spy(),
+            attachMedia: sinon.spy()
+        });
+        sender = new CastSender(controller, model);
+        return initialized();
+    });
+
+    afterEach(function() {
+        sender.destroy();
+        window.chrome = chrome;
+    });
+
+    it('chooses a source receivers play', function() {
+        expect(castSource({
+            sources: [{
+                file: 'http://media.example.com/bunny.flv',
+                type: 'flv'
+            }, ITEM.sources[0]]
+        })).to.equal(ITEM.sources[0]);
+        expect(castSource({
+            sources: []
+        })).to.equal(undefined);
+    });
+
+    it('initializes the Cast API and reports receiver availability', function() {
+        expect(api.apiConfig.sessionRequest.appId).to.equal(api.media.DEFAULT_MEDIA_RECEIVER_APP_ID);
+        expect(sender.active()).to.equal(false);
+
+        api.receiverListener(api.ReceiverAvailability.AVAILABLE);
+        expect(model.get('castAvailable')).to.equal(true);
+        expect(model.get('castState')).to.deep.equal({
+            available: true,
+            active: false,
+            deviceName: ''
+        });
+
+        api.receiverListener(api.ReceiverAvailability.UNAVAILABLE);
+        expect(model.get('castAvailable')).to.equal(false);
+    });
+
+    it('uses the receiver application of the cast setting', function() {
+        sender.destroy();
+        model.set('cast', {
+            appid: 'ABCD1234'
+        });
+        sender = new CastSender(controller, model);
+        return initialized().then(() => {
+            expect(api.apiConfig.sessionRequest.appId).to.equal('ABCD1234');
+        });
+    });
+
+    it('hands the current item and position over to the receiver', function() {
+        sender.toggle();
+
+        expect(sender.active()).to.equal(true);
+        expect(controller.pause.callCount).to.equal(1);
+        expect(controller.detachMedia.callCount).to.equal(1);
+        expect(model.get('castActive')).to.equal(true);
+        expect(model.get('castState')).to.deep.equal({
+            available: false,
+            active: true,
+            deviceName: 'Living Room TV'
+        });
+
+        const request = api.session.loadRequests[0];
+        expect(request.autoplay).to.equal(true);
+        expect(request.currentTime).to.equal(12);
+        expect(request.media.contentId).to.equal('http://media.example.com/bunny.mp4');
+        expect(request.media.contentType).to.equal('video/mp4');
+        expect(request.media.metadata.title).to.equal('Big Buck Bunny');
+        expect(request.media.metadata.subtitle).to.equal('A short film');
+        expect(request.media.metadata.images[0].url).to.equal('http://media.example.com/bunny.jpg');
+        expect(model.get('state')).to.equal(states.PLAYING);
+    });
+
+    it('waits for play to load items which have not started', function() {
+        model.set('state', states.IDLE);
+        sender.toggle();
+
+        expect(sender.active()).to.equal(true);
+        expect(api.session.loadRequests.length).to.equal(0);
+
+        sender.play();
+        expect(api.session.loadRequests.length).to.equal(1);
+        expect(api.session.loadRequests[0].currentTime).to.equal(0);
+    });
+
+    it('mirrors the state, position and volume of the receiver', function() {
+        const time = sinon.spy();
+        model.mediaController.on(events.JWPLAYER_MEDIA_TIME, time);
+        sender.toggle();
+        const media = api.session.media[0];
+
+        media.update({
+            playerState: 'PAUSED',
+            currentTime: 20
+        });
+        expect(model.get('state')).to.equal(states.PAUSED);
+        expect(model.get('position')).to.equal(20);
+        expect(time.lastCall.args[0]).to.deep.equal({
+            position: 20,
+            duration: 60
+        });
+
+        media.update({
+            playerState: 'BUFFERING'
+        });
+        expect(model.get('state')).to.equal(states.BUFFERING);
+
+        expect(model.get('volume')).to.equal(50);
+        api.session.update({
+            level: 0.2,
+            muted: true
+        });
+        expect(model.get('volume')).to.equal(20);
+        expect(model.get('mute')).to.equal(true);
+    });
+
+    it('sends playback commands to the receiver', function() {
+        sender.toggle();
+        const media = api.session.media[0];
+
+        sender.pause();
+        expect(media.playerState).to.equal('PAUSED');
+        expect(model.get('state')).to.equal(states.PAUSED);
+
+        sender.seek(30);
+        expect(media.currentTime).to.equal(30);
+        expect(model.get('position')).to.equal(30);
+
+        sender.play();
+        expect(media.requests).to.deep.equal(['pause', 'seek', 'play']);
+        expect(model.get('state')).to.equal(states.PLAYING);
+
+        sender.setVolume(80);
+        sender.setMute(true);
+        expect(api.session.receiver.volume).to.deep.equal({
+            level: 0.8,
+            muted: true
+        });
+    });
+
+    it('loads the next item on the receiver', function() {
+        sender.toggle();
+        model.set('playlistItem', NEXT_ITEM);
+        sender.play();
+
+        const request = api.session.loadRequests[1];
+        expect(request.media.contentId).to.equal('http://media.example.com/sintel.m3u8');
+        expect(request.media.contentType).to.equal('application/x-mpegurl');
+        expect(request.currentTime).to.equal(0);
+    });
+
+    it('completes the item when the receiver finishes playing it', function() {
+        const complete = sinon.spy();
+        model.mediaController.on(events.JWPLAYER_MEDIA_COMPLETE, complete);
+        sender.toggle();
+
+        api.session.media[0].update({
+            playerState: 'IDLE',
+            idleReason: 'FINISHED',
+            currentTime: 60
+        });
+        expect(model.get('state')).to.equal(states.COMPLETE);
+        expect(complete.callCount).to.equal(1);
+    });
+
+    it('resumes local playback where the receiver left off', function() {
+        sender.toggle();
+        const session = api.session;
+        session.media[0].update({
+            currentTime: 42
+        });
+
+        sender.toggle();
+        expect(session.stopped).to.equal(true);
+        expect(sender.active()).to.equal(false);
+        expect(model.get('castActive')).to.equal(false);
+        expect(model.get('castState').active).to.equal(false);
+        expect(controller.attachMedia.callCount).to.equal(1);
+        expect(controller.seek.calledWith(42)).to.equal(true);
+        expect(session.listeners.length).to.equal(0);
+        expect(session.mediaListeners.length).to.equal(0);
+    });
+
+    it('stays paused at the position of the receiver when it was paused', function() {
+        const video = {
+            seek: sinon.spy()
+        };
+        model.getVideo = () => video;
+        sender.toggle();
+        const session = api.session;
+        session.media[0].update({
+            playerState: 'PAUSED',
+            currentTime: 42
+        });
+
+        sender.toggle();
+        expect(controller.attachMedia.callCount).to.equal(1);
+        expect(controller.seek.callCount).to.equal(0);
+        expect(video.seek.calledWith(42)).to.equal(true);
+        expect(model.get('position')).to.equal(42);
+        expect(model.get('state')).to.equal(states.PAUSED);
+    });
+
+    it('ends the session when the receiver disconnects', function() {
+        sender.toggle();
+        api.session.update({}, false);
+
+        expect(sender.active()).to.equal(false);
+        expect(controller.attachMedia.callCount).to.equal(1);
+    });
+
+    it('joins sessions started by other senders', function() {
+        const session = api.createSession();
+        session.loadMedia(new api.media.LoadRequest(new api.media.MediaInfo('http://media.example.com/bunny.mp4')),
+            () => {});
+        session.loadRequests = [];
+        api.sessionListener(session);
+
+        expect(sender.active()).to.equal(true);
+        expect(session.loadRequests.length).to.equal(0);
+        expect(model.get('state')).to.equal(states.PLAYING);
+        expect(session.media[0].listeners.length).to.equal(1);
+    });
+});
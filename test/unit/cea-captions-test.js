@@ -0,0 +1,133 @@
+import CeaCaptions, { parseCcData } from 'parsers/captions/cea-captions';
+import { rowLine } from 'parsers/captions/cea608';
+
+// Builds an SEI NAL unit with ATSC A/53 caption data from [type, byte1, byte2] triplets
+function sei(ccData) {
+    const payload = [0xb5, 0x00, 0x31, 0x47, 0x41, 0x39, 0x34, 0x03, 0x40 | ccData.length, 0xff];
+    ccData.forEach(cc => {
+        payload.push(0xfc | cc[0], cc[1], cc[2]);
+    });
+    payload.push(0xff);
+    return new Uint8Array([0x06, 0x04, payload.length].concat(payload, [0x80]));
+}
+
+function field1(pairs) {
+    return sei(pairs.map(pair => [0, pair[0], pair[1]]));
+}
+
+describe('cea-captions', function() {
+
+    let cues;
+    let captions;
+
+    beforeEach(function() {
+        cues = [];
+        captions = new CeaCaptions(cue => cues.push(cue));
+    });
+
+    it('reads valid caption data from ATSC user data', function() {
+        const data = sei([[0, 0x94, 0x20], [1, 0x80, 0x80], [2, 0x42, 0x43]]);
+        data[3 + 10 + 3] &= ~0x04;
+        expect(parseCcData(data)).to.deep.equal([
+            { type: 0, byte1: 0x94, byte2: 0x20 },
+            { type: 2, byte1: 0x42, byte2: 0x43 }
+        ]);
+
+        const other = sei([[0, 0x94, 0x20]]);
+        other[6] = 0x00;
+        expect(parseCcData(other)).to.deep.equal([]);
+    });
+
+    it('shows pop-on captions at the end of caption command', function() {
+        // RCL, row 15, 'Hi'
+        captions.push(1, field1([[0x14, 0x20], [0x14, 0x60], [0x48, 0x69]]));
+        // EOC
+        captions.push(2, field1([[0x14, 0x2f]]));
+        // EDM
+        captions.push(4, field1([[0x14, 0x2c]]));
+
+        expect(cues).to.deep.equal([{
+            channel: 'CC1',
+            begin: 2,
+            end: 4,
+            text: 'Hi',
+            line: rowLine(14)
+        }]);
+    });
+
+    it('ignores repeated control codes', function() {
+        captions.push(1, field1([[0x14, 0x20], [0x14, 0x20], [0x14, 0x60], [0x14, 0x60], [0x48, 0x69]]));
+        captions.push(2, field1([[0x14, 0x2f], [0x14, 0x2f]]));
+        captions.push(3, field1([[0x14, 0x2c], [0x14, 0x2c]]));
+
+        expect(cues.length).to.equal(1);
+        expect(cues[0].text).to.equal('Hi');
+    });
+
+    it('scrolls roll-up captions', function() {
+        // RU2, 'AB'
+        captions.push(1, field1([[0x14, 0x25], [0x41, 0x42]]));
+        // CR, 'CD'
+        captions.push(2, field1([[0x14, 0x2d], [0x43, 0x44]]));
+        // EDM
+        captions.push(3, field1([[0x14, 0x2c]]));
+
+        expect(cues.map(cue => [cue.begin, cue.end, cue.text, cue.line])).to.deep.equal([
+            [1, 2, 'AB', rowLine(14)],
+            [2, 3, 'AB\nCD', rowLine(14)]
+        ]);
+    });
+
+    it('shows paint-on captions as they are written', function() {
+        // RDC, row 1, 'Up'
+        captions.push(1, field1([[0x14, 0x29], [0x11, 0x40], [0x55, 0x70]]));
+        // Special character '♪'
+        captions.push(2, field1([[0x11, 0x37]]));
+        captions.push(3, field1([[0x14, 0x2c]]));
+
+        expect(cues.map(cue => [cue.begin, cue.end, cue.text, cue.line])).to.deep.equal([
+            [1, 2, 'Up', rowLine(0)],
+            [2, 3, 'Up♪', rowLine(0)]
+        ]);
+    });
+
+    it('decodes the second channel and field', function() {
+        captions.push(1, field1([[0x1c, 0x20], [0x1c, 0x60], [0x43, 0x32], [0x1c, 0x2f]]));
+        captions.push(1, sei([[1, 0x14, 0x20], [1, 0x14, 0x60], [1, 0x43, 0x33], [1, 0x14, 0x2f]]));
+        captions.reset();
+        captions.push(2, field1([[0x1c, 0x2c]]));
+
+        expect(cues).to.deep.equal([]);
+
+        captions.push(3, field1([[0x1c, 0x20], [0x1c, 0x60], [0x43, 0x32], [0x1c, 0x2f]]));
+        captions.push(3, sei([[1, 0x14, 0x20], [1, 0x14, 0x60], [1, 0x43, 0x33], [1, 0x14, 0x2f]]));
+        captions.push(5, field1([[0x1c, 0x2c]]));
+        captions.push(6, sei([[1, 0x14, 0x2c]]));
+
+        expect(cues.map(cue => [cue.channel, cue.begin, cue.end, cue.text])).to.deep.equal([
+            ['CC2', 3, 5, 'C2'],
+            ['CC3', 3, 6, 'C3']
+        ]);
+    });
+
+    it('decodes CEA-708 services', function() {
+        // DF0 visible, anchored by its bottom at 90% of the height, then 'Hi'
+        const define = [0x06, 0x29, 0x98, 0x20, 0x80 | 90, 0x32, 0x80, 0x1f, 0x00, 0x48, 0x69, 0x00];
+        captions.push(1, sei(define.reduce((ccData, byte, i) => {
+            if (i % 2 === 0) {
+                ccData.push([i ? 2 : 3, byte, define[i + 1]]);
+            }
+            return ccData;
+        }, [])));
+        // HDW window 0
+        captions.push(3, sei([[3, 0x42, 0x22], [2, 0x8a, 0x01]]));
+
+        expect(cues).to.deep.equal([{
+            channel: 'SERVICE1',
+            begin: 1,
+            end: 3,
+            text: 'Hi',
+            line: 82
+        }]);
+    });
+});
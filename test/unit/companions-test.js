@@ -0,0 +1,138 @@
+import Companions, { matchCompanions } from 'ads/companions';
+import sinon from 'sinon';
+
+const BANNER = {
+    id: 'banner',
+    width: 300,
+    height: 250,
+    staticResource: {
+        url: 'http://media.example.com/banner.png',
+        creativeType: 'image/png'
+    },
+    clickThrough: 'http://advertiser.example.com/banner',
+    clickTracking: ['http://track.example.com/companion/click'],
+    creativeView: ['http://track.example.com/companion/view']
+};
+
+const BANNER_HTML = {
+    id: 'banner-html',
+    width: 300,
+    height: 250,
+    htmlResource: '<p>Banner</p>',
+    clickTracking: [],
+    creativeView: []
+};
+
+const BANNER_SCRIPT = {
+    id: 'banner-script',
+    width: 300,
+    height: 250,
+    staticResource: {
+        url: 'http://media.example.com/banner.js',
+        creativeType: 'application/x-javascript'
+    },
+    clickTracking: [],
+    creativeView: []
+};
+
+const LEADERBOARD = {
+    id: 'leaderboard',
+    width: 728,
+    height: 90,
+    iframeResource: 'http://media.example.com/leaderboard.html',
+    clickTracking: [],
+    creativeView: ['http://track.example.com/leaderboard/view']
+};
+
+describe('Companions', function() {
+    let container;
+    let placeholder;
+
+    beforeEach(function() {
+        container = document.createElement('div');
+        container.id = 'companion-slot';
+        placeholder = document.createElement('span');
+        container.appendChild(placeholder);
+        document.body.appendChild(container);
+    });
+
+    afterEach(function() {
+        document.body.removeChild(container);
+    });
+
+    it('matches companions by size, preferring images', function() {
+        expect(matchCompanions([BANNER_HTML, LEADERBOARD, BANNER], {
+            width: 300,
+            height: 250
+        })).to.deep.equal([BANNER, BANNER_HTML]);
+        expect(matchCompanions([BANNER_SCRIPT, BANNER_HTML], {
+            width: 300,
+            height: 250
+        }), 'Static resources other than images are skipped').to.deep.equal([BANNER_HTML]);
+        expect(matchCompanions([LEADERBOARD], {
+            width: 300,
+            height: 250
+        })).to.deep.equal([]);
+        expect(matchCompanions([LEADERBOARD], {
+            width: 0,
+            height: 0
+        }), 'Slots without a size take any companion').to.deep.equal([LEADERBOARD]);
+    });
+
+    it('shows companions in their slots and tracks them', function() {
+        const companions = new Companions();
+        const tracked = [];
+        companions.register(container, 300, 250);
+        const shown = companions.render([LEADERBOARD, BANNER], urls => tracked.push(...urls));
+
+        expect(shown).to.deep.equal([BANNER]);
+        expect(container.childNodes.length).to.equal(1);
+        const image = container.firstChild;
+        expect(image.tagName).to.equal('IMG');
+        expect(image.src).to.equal('http://media.example.com/banner.png');
+        expect(tracked).to.deep.equal(['http://track.example.com/companion/view']);
+
+        const open = sinon.stub(window, 'open');
+        image.click();
+        open.restore();
+        expect(open.calledWith('http://advertiser.example.com/banner', '_blank')).to.equal(true);
+        expect(tracked[1]).to.equal('http://track.example.com/companion/click');
+    });
+
+    it('shows HTML companions in a sandboxed document of their own origin', function() {
+        const companions = new Companions();
+        companions.register(container, 300, 250);
+        companions.render([BANNER_HTML], () => {});
+
+        const iframe = container.firstChild;
+        expect(iframe.tagName).to.equal('IFRAME');
+        expect(iframe.getAttribute('sandbox')).to.contain('allow-scripts');
+        expect(iframe.getAttribute('sandbox')).to.not.contain('allow-same-origin');
+        expect(iframe.getAttribute('srcdoc')).to.contain('<p>Banner</p>');
+        companions.destroy();
+    });
+
+    it('restores the content of slots when cleared', function() {
+        const companions = new Companions();
+        companions.register('companion-slot', 728, 90);
+        companions.render([LEADERBOARD], () => {});
+
+        expect(container.firstChild.tagName).to.equal('IFRAME');
+        expect(container.firstChild.src).to.equal('http://media.example.com/leaderboard.html');
+
+        companions.clear();
+        expect(container.childNodes.length).to.equal(1);
+        expect(container.firstChild).to.equal(placeholder);
+    });
+
+    it('leaves slots without a matching companion as they are', function() {
+        const companions = new Companions();
+        const tracked = [];
+        companions.register(container, 160, 600);
+        companions.register('missing-slot', 300, 250);
+
+        expect(companions.render([BANNER, LEADERBOARD], urls => tracked.push(...urls))).to.deep.equal([]);
+        expect(container.firstChild).to.equal(placeholder);
+        expect(tracked).to.deep.equal([]);
+    });
+});
@@ -0,0 +1,130 @@
+import EmeController, * as eme from 'providers/eme-controller';
+
+// 16 byte key id and key, as hex and as base64url
+var KEY_ID = '0123456789abcdef0123456789abcdef';
+var KEY_ID_B64 = 'ASNFZ4mrze8BI0VniavN7w';
+var KEY = 'fedcba9876543210fedcba9876543210';
+var KEY_B64 = '_ty6mHZUMhD-3LqYdlQyEA';
+
+function clearKeyRequest(kids) {
+    return eme.stringToBytes(JSON.stringify({
+        kids: kids,
+        type: 'temporary'
+    })).buffer;
+}
+
+function utf16(str) {
+    var bytes = new Uint8Array(str.length * 2);
+    for (var i = 0; i < str.length; i++) {
+        bytes[i * 2] = str.charCodeAt(i);
+    }
+    return bytes.buffer;
+}
+
+function createSession() {
+    var listeners = {};
+    var session = {
+        updates: [],
+        keyStatuses: [],
+        addEventListener: function(type, callback) {
+            listeners[type] = callback;
+        },
+        generateRequest: function() {
+            listeners.message({
+                message: clearKeyRequest([KEY_ID_B64])
+            });
+            return Promise.resolve();
+        },
+        update: function(license) {
+            session.updates.push(license);
+            return Promise.resolve();
+        },
+        close: function() {
+            return Promise.resolve();
+        }
+    };
+    return session;
+}
+
+describe('EmeController', function() {
+
+    it('lists configured key systems in order of preference', function() {
+        assert.deepEqual(eme.getKeySystemNames({
+            playready: { url: 'playready' },
+            custom: { url: 'custom' },
+            widevine: { url: 'widevine' }
+        }), ['playready', 'widevine']);
+        assert.deepEqual(eme.getKeySystemNames(undefined), []);
+    });
+
+    it('builds ClearKey licenses from local keys', function() {
+        var license = eme.clearKeyLicense(clearKeyRequest([KEY_ID_B64]), { '01234567-89ab-cdef-0123-456789abcdef': KEY });
+        assert.deepEqual(JSON.parse(eme.bytesToString(license)), {
+            keys: [{ kty: 'oct', kid: KEY_ID_B64, k: KEY_B64 }],
+            type: 'temporary'
+        });
+        assert.isNull(eme.clearKeyLicense(clearKeyRequest(['AAAAAAAAAAAAAAAAAAAAAA']), { '00000000000000000000000000000001': KEY }),
+            'No license is built when no key is known');
+    });
+
+    it('unwraps PlayReady license challenges', function() {
+        var message = utf16('<PlayReadyKeyMessage type="LicenseAcquisition"><LicenseAcquisition Version="1">' +
+            '<Challenge encoding="base64encoded">PHNvYXA+PC9zb2FwPg==</Challenge>' +
+            '<HttpHeaders><HttpHeader><name>Content-Type</name><value>text/xml; charset=utf-8</value></HttpHeader>' +
+            '<HttpHeader><name>SOAPAction</name><value>http://schemas.microsoft.com/DRM/2007/03/protocols/AcquireLicense</value></HttpHeader>' +
+            '</HttpHeaders></LicenseAcquisition></PlayReadyKeyMessage>');
+        var unwrapped = eme.parsePlayReadyMessage(message);
+        assert.equal(eme.bytesToString(unwrapped.body), '<soap></soap>');
+        assert.deepEqual(unwrapped.headers, {
+            'Content-Type': 'text/xml; charset=utf-8',
+            SOAPAction: 'http://schemas.microsoft.com/DRM/2007/03/protocols/AcquireLicense'
+        });
+        assert.isNull(eme.parsePlayReadyMessage(utf16('challenge')));
+    });
+
+    it('updates key sessions with local ClearKey licenses', function() {
+        var controller = new EmeController({
+            clearkey: {
+                keyId: KEY_ID,
+                key: KEY
+            }
+        });
+        var session = createSession();
+        controller.keySystemName = 'clearkey';
+        controller.mediaKeys = {
+            createSession: function() {
+                return session;
+            }
+        };
+        controller.createSession('keyids', clearKeyRequest([KEY_ID_B64]));
+
+        return new Promise(function(resolve) {
+            setTimeout(resolve, 0);
+        }).then(function() {
+            assert.equal(session.updates.length, 1);
+            assert.equal(JSON.parse(eme.bytesToString(session.updates[0])).keys[0].k, KEY_B64);
+        });
+    });
+
+    it('reports license failures with distinct error codes', function() {
+        var controller = new EmeController({
+            widevine: {}
+        });
+        var errors = [];
+        controller.on('error', function(e) {
+            errors.push(e);
+        });
+        controller.keySystemName = 'widevine';
+        controller.mediaKeys = {
+            createSession: createSession
+        };
+        controller.createSession('cenc', new Uint8Array(8).buffer);
+
+        return new Promise(function(resolve) {
+            setTimeout(resolve, 0);
+        }).then(function() {
+            assert.equal(errors.length, 1);
+            assert.equal(errors[0].code, eme.DrmErrors.LICENSE_REQUEST_FAILED.code, 'No license url is configured');
+        });
+    });
+});
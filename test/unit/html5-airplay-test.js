@@ -0,0 +1,60 @@
+import VideoProvider from 'providers/html5';
+import events from 'events/events';
+import sinon from 'sinon';
+
+function dispatch(target, type, properties) {
+    const event = document.createEvent('Event');
+    event.initEvent(type, false, false);
+    Object.assign(event, properties);
+    target.dispatchEvent(event);
+}
+
+describe('html5 provider AirPlay', function() {
+
+    let provider;
+    let triggered;
+
+    beforeEach(function() {
+        provider = new VideoProvider('airplay-test', {});
+        triggered = [];
+        provider.on('all', (type, data) => triggered.push([type, data]));
+    });
+
+    afterEach(function() {
+        provider.destroy();
+    });
+
+    it('allows AirPlay on its video tag', function() {
+        expect(provider.video.getAttribute('x-webkit-airplay')).to.equal('allow');
+    });
+
+    it('reports the availability of AirPlay targets', function() {
+        dispatch(provider.video, 'webkitplaybacktargetavailabilitychanged', {
+            availability: 'available'
+        });
+        dispatch(provider.video, 'webkitplaybacktargetavailabilitychanged', {
+            availability: 'not-available'
+        });
+        expect(triggered).to.deep.equal([
+            [events.JWPLAYER_CAST_AVAILABLE, { available: true }],
+            [events.JWPLAYER_CAST_AVAILABLE, { available: false }]
+        ]);
+    });
+
+    it('reports when playback moves to an AirPlay target', function() {
+        Object.defineProperty(provider.video, 'webkitCurrentPlaybackTargetIsWireless', {
+            configurable: true,
+            value: true
+        });
+        dispatch(provider.video, 'webkitcurrentplaybacktargetiswirelesschanged');
+        expect(triggered).to.deep.equal([
+            ['airplayActive', { active: true }]
+        ]);
+    });
+
+    it('shows the AirPlay target picker', function() {
+        provider.video.webkitShowPlaybackTargetPicker = sinon.spy();
+        provider.showPlaybackTargetPicker();
+        expect(provider.video.webkitShowPlaybackTargetPicker.callCount).to.equal(1);
+    });
+});
@@ -0,0 +1,42 @@
+import VideoProvider from 'providers/html5';
+import events from 'events/events';
+
+describe('html5 provider DVR seek', function() {
+
+    let provider;
+    let seeks;
+
+    beforeEach(function() {
+        provider = new VideoProvider('dvr-seek-test', {});
+        seeks = [];
+        provider.on(events.JWPLAYER_MEDIA_SEEK, data => seeks.push(data.offset));
+
+        // A live stream whose seekable window has slid to 600 - 900 seconds
+        Object.defineProperty(provider.video, 'duration', {
+            configurable: true,
+            value: Infinity
+        });
+        Object.defineProperty(provider.video, 'seekable', {
+            configurable: true,
+            value: {
+                length: 1,
+                start: () => 600,
+                end: () => 900
+            }
+        });
+    });
+
+    afterEach(function() {
+        provider.destroy();
+    });
+
+    it('seeks to negative positions as offsets from the end of the seekable window', function() {
+        provider.seek(-120);
+        expect(seeks).to.deep.equal([780]);
+    });
+
+    it('seeks to the start of the seekable window at the DVR duration', function() {
+        provider.seek(-300);
+        expect(seeks).to.deep.equal([600]);
+    });
+});
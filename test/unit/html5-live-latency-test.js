@@ -0,0 +1,50 @@
+import VideoProvider from 'providers/html5';
+
+function dispatch(target, type) {
+    const event = document.createEvent('Event');
+    event.initEvent(type, false, false);
+    target.dispatchEvent(event);
+}
+
+describe('html5 provider live latency', function() {
+
+    let provider;
+    let latencies;
+
+    beforeEach(function() {
+        provider = new VideoProvider('live-latency-test', {});
+        latencies = [];
+        provider.on('liveLatency', data => latencies.push(data.latency));
+    });
+
+    afterEach(function() {
+        provider.destroy();
+    });
+
+    it('sends the latency behind the live edge when it changes', function() {
+        Object.defineProperty(provider.video, 'duration', {
+            configurable: true,
+            value: Infinity
+        });
+        Object.defineProperty(provider.video, 'currentTime', {
+            configurable: true,
+            value: 850
+        });
+        Object.defineProperty(provider.video, 'seekable', {
+            configurable: true,
+            value: {
+                length: 1,
+                start: () => 600,
+                end: () => 900
+            }
+        });
+        dispatch(provider.video, 'timeupdate');
+        dispatch(provider.video, 'timeupdate');
+        expect(latencies).to.deep.equal([50]);
+    });
+
+    it('does not send a latency for streams which are not live', function() {
+        dispatch(provider.video, 'timeupdate');
+        expect(latencies).to.deep.equal([]);
+    });
+});
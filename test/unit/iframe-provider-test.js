@@ -0,0 +1,100 @@
+define([
+    'providers/iframe-provider',
+    'events/events',
+    'events/states',
+    'utils/backbone.events',
+    'utils/underscore'
+], function (IframeProvider, events, states, Events, _) {
+
+    function FakeEmbed() {
+        var embed = _.extend({
+            calls: []
+        }, Events);
+        _.each(['load', 'play', 'pause', 'stop', 'seek', 'setVolume', 'setMuted', 'setPlaybackRate', 'poll',
+            'destroy'], function(name) {
+            embed[name] = function() {
+                embed.calls.push([name].concat(Array.prototype.slice.call(arguments)));
+            };
+        });
+        embed.create = function(source) {
+            embed.calls.push(['create', source.file]);
+            return document.createElement('iframe');
+        };
+        return embed;
+    }
+
+    function createProvider(embed) {
+        var provider = new IframeProvider('player', {}, embed);
+        provider.setContainer(document.createElement('div'));
+        return provider;
+    }
+
+    var item = {
+        sources: [{ file: 'https://example.com/video/1' }]
+    };
+
+    describe('IframeProvider', function() {
+
+        it('queues commands until the embed is ready', function() {
+            var embed = new FakeEmbed();
+            var provider = createProvider(embed);
+            provider.volume(50);
+            provider.load(item);
+
+            assert.deepEqual(embed.calls, [['create', 'https://example.com/video/1']]);
+            assert.equal(provider.state, states.LOADING);
+
+            embed.trigger('ready');
+            assert.deepEqual(embed.calls.slice(1), [['setVolume', 0.5], ['play']]);
+
+            provider.pause();
+            assert.deepEqual(embed.calls[embed.calls.length - 1], ['pause']);
+            provider.destroy();
+        });
+
+        it('loads other sources into the existing embed', function() {
+            var embed = new FakeEmbed();
+            var provider = createProvider(embed);
+            provider.init(item);
+            embed.trigger('ready');
+
+            provider.load({
+                sources: [{ file: 'https://example.com/video/2' }],
+                starttime: 10
+            });
+            assert.deepEqual(_.pluck(embed.calls, 0), ['create', 'load', 'seek', 'play']);
+            provider.destroy();
+        });
+
+        it('maps embed events to player states and events', function() {
+            var embed = new FakeEmbed();
+            var provider = createProvider(embed);
+            var triggered = [];
+            provider.on('all', function(type, data) {
+                triggered.push(type === events.JWPLAYER_PLAYER_STATE ? data.newstate : type);
+            });
+            provider.load(item);
+            embed.trigger('ready');
+
+            embed.trigger('playing');
+            embed.trigger('time', { position: 1, duration: 60 });
+            embed.trigger('buffering');
+            embed.trigger('playing');
+            embed.trigger('paused');
+            embed.trigger('ended');
+
+            assert.deepEqual(triggered, [
+                states.LOADING,
+                states.PLAYING,
+                events.JWPLAYER_PROVIDER_FIRST_FRAME,
+                events.JWPLAYER_MEDIA_META,
+                events.JWPLAYER_MEDIA_TIME,
+                states.STALLED,
+                states.PLAYING,
+                states.PAUSED,
+                events.JWPLAYER_MEDIA_COMPLETE
+            ]);
+            provider.destroy();
+        });
+    });
+});
@@ -0,0 +1,317 @@
+import { VpaidAd, SimidAd } from 'ads/interactive-ad';
+import events from 'events/events';
+import sinon from 'sinon';
+
+const ENVIRONMENT = {
+    width: 640,
+    height: 360,
+    fullscreen: false,
+    volume: 50,
+    mute: false
+};
+
+// Stands in for the frame of a VPAID creative: records the calls relayed to the ad, and lets tests send its events
+function FakeFrame(ad) {
+    const frame = {
+        calls: [],
+        remaining: -2,
+        receive: message => {
+            if (message.type === 'call') {
+                frame.calls.push([message.method].concat(message.args));
+            } else if (message.type === 'getTime') {
+                ad.onMessage({
+                    type: 'time',
+                    duration: 30,
+                    remaining: frame.remaining
+                });
+            }
+        },
+        handshake: version => {
+            ad.onMessage({
+                type: 'handshake',
+                version: version || '2.0'
+            });
+        },
+        fire: (name, ...args) => {
+            ad.onMessage({
+                type: 'event',
+                name: name,
+                args: args
+            });
+        }
+    };
+    ad.bridge.send = frame.receive;
+    return frame;
+}
+
+function recordEvents(ad) {
+    const triggered = [];
+    ad.on('all', (type, data) => triggered.push([type, data]));
+    return triggered;
+}
+
+describe('InteractiveAd', function() {
+    let container;
+
+    beforeEach(function() {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+    });
+
+    afterEach(function() {
+        document.body.removeChild(container);
+    });
+
+    describe('VpaidAd', function() {
+        let clock;
+
+        beforeEach(function() {
+            clock = sinon.useFakeTimers();
+        });
+
+        afterEach(function() {
+            clock.restore();
+        });
+
+        function createVpaidAd(timeout) {
+            return new VpaidAd(container, {
+                apiFramework: 'VPAID',
+                file: 'http://media.example.com/vpaid.js',
+                adParameters: '{"id":1}',
+                timeout: timeout
+            });
+        }
+
+        // Starts the ad as if its frame had loaded the creative
+        function createAd(timeout) {
+            const ad = createVpaidAd(timeout);
+            const frame = new FakeFrame(ad);
+            ad.environment = ENVIRONMENT;
+            frame.handshake();
+            return {
+                ad,
+                frame
+            };
+        }
+
+        it('loads the creative into a sandboxed document of an origin of its own', function() {
+            const ad = createVpaidAd();
+            ad.load(ENVIRONMENT);
+            const sandbox = ad.iframe.getAttribute('sandbox');
+
+            expect(ad.iframe.parentNode).to.equal(container);
+            expect(sandbox).to.contain('allow-scripts');
+            expect(sandbox).to.not.contain('allow-same-origin');
+            expect(sandbox).to.not.contain('allow-top-navigation');
+            expect(ad.iframe.getAttribute('srcdoc')).to.contain('"file":"http://media.example.com/vpaid.js"');
+            ad.destroy();
+        });
+
+        it('initializes and starts the ad once it has loaded', function() {
+            const { ad, frame } = createAd();
+
+            expect(frame.calls.length).to.equal(1);
+            expect(frame.calls[0].slice(0, 6)).to.deep.equal(['initAd', 640, 360, 'normal', -1, {
+                AdParameters: '{"id":1}'
+            }]);
+
+            frame.fire('AdLoaded');
+            expect(frame.calls.slice(1)).to.deep.equal([['setAdVolume', 0.5], ['startAd']]);
+            ad.destroy();
+        });
+
+        it('reports VPAID events as ad events', function() {
+            const { ad, frame } = createAd();
+            const triggered = recordEvents(ad);
+
+            frame.fire('AdLoaded');
+            frame.fire('AdStarted');
+            frame.remaining = 20;
+            clock.tick(250);
+            frame.fire('AdPaused');
+            frame.fire('AdPlaying');
+            frame.fire('AdClickThru', 'http://advertiser.example.com/', '', false);
+            frame.fire('AdStopped');
+
+            expect(triggered).to.deep.equal([
+                [events.JWPLAYER_AD_PLAY, {}],
+                [events.JWPLAYER_AD_TIME, { position: 10, duration: 30 }],
+                [events.JWPLAYER_AD_PAUSE, {}],
+                [events.JWPLAYER_AD_PLAY, {}],
+                [events.JWPLAYER_AD_CLICK, { clickThroughUrl: 'http://advertiser.example.com/', playerHandles: false }],
+                [events.JWPLAYER_AD_COMPLETE, {}]
+            ]);
+            ad.destroy();
+        });
+
+        it('fails ads which do not start in time with error 402', function() {
+            const { ad, frame } = createAd(1000);
+            const triggered = recordEvents(ad);
+
+            frame.fire('AdLoaded');
+            clock.tick(999);
+            expect(triggered).to.deep.equal([]);
+            clock.tick(1);
+            expect(triggered.length).to.equal(1);
+            expect(triggered[0][0]).to.equal(events.JWPLAYER_AD_ERROR);
+            expect(triggered[0][1].code).to.equal(402);
+
+            frame.fire('AdStarted');
+            expect(triggered.length, 'Ignores events of failed ads').to.equal(1);
+            ad.destroy();
+        });
+
+        it('fails ads which do not support VPAID 2 or do not load with error 901', function() {
+            const ad = createVpaidAd();
+            const frame = new FakeFrame(ad);
+            const triggered = recordEvents(ad);
+            ad.environment = ENVIRONMENT;
+            frame.handshake('1.1');
+
+            expect(triggered.length).to.equal(1);
+            expect(triggered[0][0]).to.equal(events.JWPLAYER_AD_ERROR);
+            expect(triggered[0][1].code).to.equal(901);
+            expect(frame.calls).to.deep.equal([]);
+            ad.destroy();
+
+            const failed = createVpaidAd();
+            const failures = recordEvents(failed);
+            failed.onMessage({
+                type: 'error',
+                message: 'Could not load the VPAID creative'
+            });
+            expect(failures.length).to.equal(1);
+            expect(failures[0][1].code).to.equal(901);
+            failed.destroy();
+        });
+
+        it('stops the ad and removes its iframe when destroyed', function() {
+            const { ad, frame } = createAd();
+            const triggered = recordEvents(ad);
+            frame.fire('AdLoaded');
+            ad.destroy();
+
+            expect(frame.calls[frame.calls.length - 1]).to.deep.equal(['stopAd']);
+            expect(container.childNodes.length).to.equal(0);
+            clock.tick(20000);
+            frame.fire('AdStarted');
+            expect(triggered).to.deep.equal([]);
+        });
+    });
+
+    describe('SimidAd', function() {
+
+        // Records the messages sent to the creative instead of posting them
+        function createAd() {
+            const ad = new SimidAd(container, {
+                apiFramework: 'SIMID',
+                file: 'http://creative.example.com/simid.html',
+                clickThrough: 'http://advertiser.example.com/',
+                timeout: 1000
+            });
+            ad.sent = [];
+            ad.bridge.send = message => ad.sent.push(message);
+            ad.environment = ENVIRONMENT;
+            return ad;
+        }
+
+        it('creates a session, then initializes and starts the creative', function() {
+            const ad = createAd();
+            ad.onMessage({
+                sessionId: 'session-1',
+                messageId: 0,
+                type: 'createSession',
+                args: {}
+            });
+
+            expect(ad.sent[0].type).to.equal('resolve');
+            expect(ad.sent[0].args.messageId).to.equal(0);
+            const init = ad.sent[1];
+            expect(init.type).to.equal('SIMID:Player:init');
+            expect(init.sessionId).to.equal('session-1');
+            expect(init.args.environmentData.videoDimensions.width).to.equal(640);
+            expect(init.args.environmentData.skippableState).to.equal('playerHandles');
+            expect(init.args.creativeData.clickThruUrl).to.equal('http://advertiser.example.com/');
+
+            ad.onMessage({
+                sessionId: 'session-1',
+                messageId: 1,
+                type: 'resolve',
+                args: {
+                    messageId: init.messageId
+                }
+            });
+            return Promise.resolve().then(() => {
+                expect(ad.sent[2].type).to.equal('SIMID:Player:startCreative');
+                ad.destroy();
+            });
+        });
+
+        it('reports creative requests as ad events', function() {
+            const ad = createAd();
+            const triggered = recordEvents(ad);
+            ad.onMessage({
+                sessionId: 'session-1',
+                messageId: 0,
+                type: 'createSession'
+            });
+            ['SIMID:Creative:requestPause', 'SIMID:Creative:clickThru', 'SIMID:Creative:requestSkip'].forEach((type, i) => {
+                ad.onMessage({
+                    sessionId: 'session-1',
+                    messageId: i + 1,
+                    type: type,
+                    args: {}
+                });
+            });
+            ad.onMessage({
+                sessionId: 'another-session',
+                messageId: 4,
+                type: 'SIMID:Creative:requestStop',
+                args: {}
+            });
+
+            expect(triggered).to.deep.equal([
+                [events.JWPLAYER_AD_PAUSE, {}],
+                [events.JWPLAYER_AD_CLICK, { clickThroughUrl: 'http://advertiser.example.com/', playerHandles: true }],
+                [events.JWPLAYER_AD_SKIPPED, {}]
+            ]);
+            ad.destroy();
+        });
+
+        it('tells the creative about the media and when the ad stops', function() {
+            const ad = createAd();
+            ad.onMessage({
+                sessionId: 'session-1',
+                messageId: 0,
+                type: 'createSession'
+            });
+            ad.sent.length = 0;
+
+            ad.media(events.JWPLAYER_MEDIA_TIME, { position: 1, duration: 15 });
+            ad.media(events.JWPLAYER_MEDIA_COMPLETE, {});
+            ad.destroy();
+
+            expect(ad.sent.map(message => message.type)).to.deep.equal([
+                'SIMID:Media:durationchange',
+                'SIMID:Media:timeupdate',
+                'SIMID:Media:ended',
+                'SIMID:Player:adStopped'
+            ]);
+            expect(ad.sent[1].args.currentTime).to.equal(1);
+            expect(ad.sent[3].args.code).to.equal(2);
+        });
+
+        it('fails creatives which do not create a session in time', function() {
+            const clock = sinon.useFakeTimers();
+            const ad = createAd();
+            const triggered = recordEvents(ad);
+            ad.expect('Creating the SIMID session');
+            clock.tick(1000);
+            clock.restore();
+
+            expect(triggered.length).to.equal(1);
+            expect(triggered[0][1].code).to.equal(402);
+            ad.destroy();
+        });
+    });
+});
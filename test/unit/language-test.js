@@ -9,7 +9,7 @@ define([
                 assert.equal(langUtils.getLabel(), undefined);
                 assert.equal(langUtils.getLabel(null), null);
                 assert.equal(langUtils.getLabel('po'), 'po');
-                assert.equal(langUtils.getLabel('pol'), 'pol');
+                assert.equal(langUtils.getLabel('qqq'), 'qqq');
             });
 
             describe('getLabel from ISO 639-1 codes', function() {
@@ -82,49 +82,76 @@ define([
 
             describe('getLabel from ISO 639-2 codes', function() {
 
-                it('should not change for its English codes', function() {
-                    assert.equal(langUtils.getLabel('eng'), 'eng');
+                it('should be English for its codes', function() {
+                    assert.equal(langUtils.getLabel('eng'), 'English');
+                });
+
+                it('should be Chinese for its codes', function() {
+                    assert.equal(langUtils.getLabel('zho'), 'Chinese');
+                    assert.equal(langUtils.getLabel('chi'), 'Chinese');
+                });
+
+                it('should be Dutch for its codes', function() {
+                    assert.equal(langUtils.getLabel('nld'), 'Dutch');
+                    assert.equal(langUtils.getLabel('dut'), 'Dutch');
                 });
 
-                it('should not change for its Chinese codes', function() {
-                    assert.equal(langUtils.getLabel('zho'), 'zho');
-                    assert.equal(langUtils.getLabel('chi'), 'chi');
+                it('should be French for its codes', function() {
+                    assert.equal(langUtils.getLabel('fra'), 'French');
+                    assert.equal(langUtils.getLabel('fre'), 'French');
                 });
 
-                it('should not change for its Dutch codes', function() {
-                    assert.equal(langUtils.getLabel('nld'), 'nld');
-                    assert.equal(langUtils.getLabel('dut'), 'dut');
+                it('should be German for its codes', function() {
+                    assert.equal(langUtils.getLabel('deu'), 'German');
+                    assert.equal(langUtils.getLabel('ger'), 'German');
                 });
 
-                it('should not change for its French codes', function() {
-                    assert.equal(langUtils.getLabel('fra'), 'fra');
-                    assert.equal(langUtils.getLabel('fre'), 'fre');
+                it('should be Japanese for its codes', function() {
+                    assert.equal(langUtils.getLabel('jpn'), 'Japanese');
                 });
 
-                it('should not change for its Herman codes', function() {
-                    assert.equal(langUtils.getLabel('deu'), 'deu');
-                    assert.equal(langUtils.getLabel('ger'), 'ger');
+                it('should be Portuguese for its codes', function() {
+                    assert.equal(langUtils.getLabel('por'), 'Portuguese');
+                });
+
+                it('should be Italian for its codes', function() {
+                    assert.equal(langUtils.getLabel('ita'), 'Italian');
                 });
 
-                it('should not change for its Japanese codes', function() {
-                    assert.equal(langUtils.getLabel('jpn'), 'jpn');
+                it('should be Russian for its codes', function() {
+                    assert.equal(langUtils.getLabel('rus'), 'Russian');
                 });
 
-                it('should not change for its Portuguese codes', function() {
-                    assert.equal(langUtils.getLabel('por'), 'por');
+                it('should be Spanish for its codes', function() {
+                    assert.equal(langUtils.getLabel('spa'), 'Spanish');
                 });
 
-                it('should not change for its Italian codes', function() {
-                    assert.equal(langUtils.getLabel('ita'), 'ita');
+                it('should be named for codes of languages without ISO 639-1 codes', function() {
+                    assert.equal(langUtils.getLabel('fil'), 'Filipino');
+                    assert.equal(langUtils.getLabel('haw'), 'Hawaiian');
+                    assert.equal(langUtils.getLabel('gsw'), 'Swiss German');
+                    assert.equal(langUtils.getLabel('ast'), 'Asturian');
+                    assert.equal(langUtils.getLabel('zgh'), 'Standard Moroccan Tamazight');
                 });
 
-                it('should not change for its Russian codes', function() {
-                    assert.equal(langUtils.getLabel('rus'), 'rus');
+                it('should be named for collective and special codes', function() {
+                    assert.equal(langUtils.getLabel('sgn'), 'Sign Languages');
+                    assert.equal(langUtils.getLabel('mul'), 'Multiple languages');
+                    assert.equal(langUtils.getLabel('und'), 'Undetermined');
                 });
 
-                it('should not change for its Spanish codes', function() {
+                it('should not change for codes which are not ISO 639-2', function() {
                     assert.equal(langUtils.getLabel('esp'), 'esp');
-                    assert.equal(langUtils.getLabel('spa'), 'spa');
+                });
+            });
+
+            describe('getLabel from BCP 47 language tags', function() {
+
+                it('should map the language subtag', function() {
+                    assert.equal(langUtils.getLabel('en-US'), 'English');
+                    assert.equal(langUtils.getLabel('zh-Hant-TW'), 'Chinese');
+                    assert.equal(langUtils.getLabel('por-BR'), 'Portuguese');
+                    assert.equal(langUtils.getLabel('sr_Latn'), 'Serbian');
                 });
             });
 
@@ -175,6 +202,32 @@ define([
                 });
             });
         });
+
+        describe('language preferences', function() {
+
+            it('should put configured languages before the browser\'s', function() {
+                const preferences = langUtils.getPreferredLanguages('de_DE, fre');
+                expect(preferences.slice(0, 2)).to.deep.equal(['de-de', 'fr']);
+                expect(preferences.length).to.be.above(2);
+                expect(langUtils.getPreferredLanguages(['en', 'eng'])[0]).to.equal('en');
+            });
+
+            it('should rank languages matching more preferred languages first', function() {
+                const preferences = ['fr-ca', 'en'];
+                expect(langUtils.getLanguageRank('fr-CA', preferences)).to.equal(0);
+                expect(langUtils.getLanguageRank('fra', preferences)).to.equal(1);
+                expect(langUtils.getLanguageRank('en-GB', preferences)).to.equal(3);
+                expect(langUtils.getLanguageRank('de', preferences)).to.equal(-1);
+            });
+
+            it('should find the most preferred language', function() {
+                const preferences = ['fr-ca', 'en'];
+                expect(langUtils.findPreferredLanguage(['en', 'fr-FR', 'fr-CA'], preferences)).to.equal(2);
+                expect(langUtils.findPreferredLanguage(['en-US', null, 'eng'], preferences)).to.equal(2);
+                expect(langUtils.findPreferredLanguage(['en-US', null, 'en-GB'], preferences)).to.equal(0);
+                expect(langUtils.findPreferredLanguage(['de', null], preferences)).to.equal(-1);
+            });
+        });
     });
 });
 
@@ -0,0 +1,67 @@
+import LiveSync from 'providers/live-sync';
+
+describe('LiveSync', function() {
+
+    it('is disabled without a liveSyncDuration', function() {
+        const liveSync = new LiveSync({});
+        expect(liveSync.update(30)).to.equal(null);
+    });
+
+    it('keeps the playback rate at 1 near the target latency', function() {
+        const liveSync = new LiveSync({
+            liveSyncDuration: 10
+        });
+        expect(liveSync.update(10.5)).to.eql({ playbackRate: 1, seekLatency: 0 });
+        expect(liveSync.update(9.5)).to.eql({ playbackRate: 1, seekLatency: 0 });
+    });
+
+    it('speeds up behind the target latency and slows down ahead of it, within bounds', function() {
+        const liveSync = new LiveSync({
+            liveSyncDuration: 10
+        });
+        expect(liveSync.update(12).playbackRate).to.equal(1.1);
+        expect(liveSync.update(19).playbackRate).to.equal(1.1);
+        expect(liveSync.update(8).playbackRate).to.equal(0.9);
+        expect(liveSync.update(0).playbackRate).to.equal(0.9);
+    });
+
+    it('catches up until the latency is within tolerance of the target', function() {
+        const liveSync = new LiveSync({
+            liveSyncDuration: 10
+        });
+        expect(liveSync.update(11.5).playbackRate).to.be.above(1);
+        expect(liveSync.update(10.5).playbackRate).to.be.above(1);
+        expect(liveSync.update(10.2).playbackRate).to.equal(1);
+    });
+
+    it('seeks to the target latency beyond liveMaxLatency', function() {
+        let liveSync = new LiveSync({
+            liveSyncDuration: 10,
+            liveMaxLatency: 15
+        });
+        expect(liveSync.update(16)).to.eql({ playbackRate: 1, seekLatency: 10 });
+
+        liveSync = new LiveSync({
+            liveSyncDuration: 10
+        });
+        expect(liveSync.update(19).seekLatency, 'liveMaxLatency defaults to twice liveSyncDuration').to.equal(0);
+        expect(liveSync.update(21).seekLatency).to.equal(10);
+    });
+
+    it('stops following the live edge after seeking or pausing away from it', function() {
+        const liveSync = new LiveSync({
+            liveSyncDuration: 10
+        });
+        liveSync.seek(60);
+        expect(liveSync.update(60)).to.eql({ playbackRate: 1, seekLatency: 0 });
+
+        liveSync.seek(12);
+        expect(liveSync.update(12).playbackRate).to.be.above(1);
+
+        liveSync.pause();
+        expect(liveSync.update(40)).to.eql({ playbackRate: 1, seekLatency: 0 });
+
+        liveSync.reset();
+        expect(liveSync.update(40).seekLatency).to.equal(10);
+    });
+});
@@ -0,0 +1,139 @@
+define([
+    'parsers/m3u8parser'
+], function (m3u8parser) {
+
+    var MASTER = [
+        '#EXTM3U',
+        '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aac",NAME="English",LANGUAGE="en",DEFAULT=YES,AUTOSELECT=YES',
+        '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aac",NAME="Deutsch",LANGUAGE="de",URI="audio/de.m3u8"',
+        '#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",NAME="English",LANGUAGE="en",URI="subs/en.m3u8"',
+        '#EXT-X-STREAM-INF:BANDWIDTH=1280000,RESOLUTION=640x360,CODECS="avc1.4d401e,mp4a.40.2",AUDIO="aac",SUBTITLES="subs"',
+        'mid/index.m3u8',
+        '#EXT-X-STREAM-INF:BANDWIDTH=2560000,RESOLUTION=1280x720,CODECS="avc1.4d401f,mp4a.40.2",AUDIO="aac",SUBTITLES="subs"',
+        'http://cdn.example.com/high/index.m3u8'
+    ].join('\n');
+
+    var MEDIA = [
+        '#EXTM3U',
+        '#EXT-X-TARGETDURATION:10',
+        '#EXT-X-MEDIA-SEQUENCE:100',
+        '#EXT-X-PROGRAM-DATE-TIME:2017-01-01T00:00:00.000Z',
+        '#EXT-X-KEY:METHOD=AES-128,URI="key.bin"',
+        '#EXTINF:10.0,',
+        'segment100.ts',
+        '#EXTINF:9.5,',
+        'segment101.ts',
+        '#EXT-X-DISCONTINUITY',
+        '#EXT-X-KEY:METHOD=NONE',
+        '#EXTINF:10,',
+        'segment102.ts',
+        '#EXT-X-ENDLIST'
+    ].join('\r\n');
+
+    describe('m3u8parser', function() {
+
+        it('parses attribute lists', function() {
+            var attr = m3u8parser.parseAttributes('BANDWIDTH=1280000,CODECS="avc1.4d401e,mp4a.40.2",NAME="a=b"');
+            assert.equal(attr.BANDWIDTH, '1280000');
+            assert.equal(attr.CODECS, 'avc1.4d401e,mp4a.40.2', 'Quoted values may contain commas');
+            assert.equal(attr.NAME, 'a=b', 'Quoted values may contain equal signs');
+        });
+
+        it('detects master playlists', function() {
+            assert.isTrue(m3u8parser.isMasterPlaylist(MASTER));
+            assert.isFalse(m3u8parser.isMasterPlaylist(MEDIA));
+        });
+
+        it('parses master playlists', function() {
+            var master = m3u8parser.parseMasterPlaylist(MASTER, 'http://example.com/hls/master.m3u8');
+            assert.equal(master.levels.length, 2);
+            assert.equal(master.levels[0].url, 'http://example.com/hls/mid/index.m3u8', 'Relative URLs are resolved');
+            assert.equal(master.levels[1].url, 'http://cdn.example.com/high/index.m3u8');
+            assert.equal(master.levels[0].bitrate, 1280000);
+            assert.equal(master.levels[0].width, 640);
+            assert.equal(master.levels[0].height, 360);
+            assert.equal(master.levels[0].codecs, 'avc1.4d401e,mp4a.40.2');
+            assert.equal(master.levels[0].audio, 'aac');
+            assert.equal(master.levels[0].subtitles, 'subs');
+
+            assert.equal(master.audioTracks.length, 2);
+            assert.isTrue(master.audioTracks[0].defaulttrack);
+            assert.isNull(master.audioTracks[0].url, 'Renditions without a URI are muxed into the variant');
+            assert.equal(master.audioTracks[1].url, 'http://example.com/hls/audio/de.m3u8');
+            assert.equal(master.audioTracks[1].language, 'de');
+
+            assert.equal(master.subtitleTracks.length, 1);
+            assert.equal(master.subtitleTracks[0].url, 'http://example.com/hls/subs/en.m3u8');
+        });
+
+        it('parses media playlists', function() {
+            var playlist = m3u8parser.parseMediaPlaylist(MEDIA, 'http://example.com/hls/mid/index.m3u8');
+            var segments = playlist.segments;
+            assert.equal(playlist.targetDuration, 10);
+            assert.equal(playlist.mediaSequence, 100);
+            assert.isTrue(playlist.endList);
+            assert.equal(playlist.totalDuration, 29.5);
+            assert.equal(segments.length, 3);
+
+            assert.equal(segments[0].url, 'http://example.com/hls/mid/segment100.ts');
+            assert.equal(segments[0].sn, 100);
+            assert.equal(segments[2].sn, 102);
+            assert.equal(segments[1].start, 10);
+            assert.equal(segments[2].start, 19.5);
+
+            assert.equal(segments[0].cc, 0);
+            assert.equal(segments[2].cc, 1, 'Discontinuities increment the discontinuity sequence');
+            assert.isTrue(segments[2].discontinuity);
+
+            assert.equal(segments[0].key.method, 'AES-128');
+            assert.equal(segments[0].key.url, 'http://example.com/hls/mid/key.bin');
+            assert.equal(segments[1].key, segments[0].key, 'Keys apply until the next EXT-X-KEY tag');
+            assert.isNull(segments[2].key);
+
+            assert.equal(segments[0].programDateTime, Date.UTC(2017, 0, 1));
+            assert.equal(segments[1].programDateTime, Date.UTC(2017, 0, 1) + 10000);
+        });
+
+        it('parses ad signals', function() {
+            var playlist = m3u8parser.parseMediaPlaylist([
+                '#EXTM3U',
+                '#EXT-X-TARGETDURATION:10',
+                '#EXT-X-PROGRAM-DATE-TIME:2017-01-01T00:00:00.000Z',
+                '#EXT-X-DATERANGE:ID="ad1",CLASS="com.example.ad",START-DATE="2017-01-01T00:00:10.000Z",' +
+                    'PLANNED-DURATION=15,SCTE35-OUT=0xFC302000,X-AD-ID="1234"',
+                '#EXTINF:10,',
+                'segment0.ts',
+                '#EXT-X-CUE-OUT:15',
+                '#EXTINF:10,',
+                'segment1.ts',
+                '#EXTINF:5,',
+                'segment2.ts',
+                '#EXT-X-CUE-IN',
+                '#EXTINF:10,',
+                'segment3.ts'
+            ].join('\n'), 'http://example.com/hls/index.m3u8');
+            var dateRange = playlist.dateRanges[0];
+            var segments = playlist.segments;
+
+            assert.equal(playlist.dateRanges.length, 1);
+            assert.equal(dateRange.id, 'ad1');
+            assert.equal(dateRange.class, 'com.example.ad');
+            assert.equal(dateRange.startDate, Date.UTC(2017, 0, 1, 0, 0, 10));
+            assert.equal(dateRange.plannedDuration, 15);
+            assert.isUndefined(dateRange.duration);
+            assert.equal(dateRange.scte35Out, '0xFC302000');
+            assert.deepEqual(dateRange.clientAttributes, { 'X-AD-ID': '1234' });
+
+            assert.isUndefined(segments[0].cueOut);
+            assert.equal(segments[1].cueOut, 15);
+            assert.isUndefined(segments[2].cueIn);
+            assert.isTrue(segments[3].cueIn);
+        });
+
+        it('throws on invalid playlists', function() {
+            assert.throws(function() {
+                m3u8parser.parseMediaPlaylist('<html></html>', 'http://example.com/index.m3u8');
+            }, Error, 'Invalid HLS playlist');
+        });
+    });
+});
@@ -0,0 +1,49 @@
+import Menu from 'view/controls/components/menu';
+
+describe('Menu', function() {
+
+    let menu;
+
+    function options() {
+        return [].slice.call(menu.element().querySelectorAll('.jw-option'));
+    }
+
+    beforeEach(function() {
+        menu = new Menu('jw-icon-cc', 'Closed Captions');
+    });
+
+    it('stays a toggle when it has actions', function() {
+        menu.setup([{ label: 'Off' }, { label: 'English' }], 1, {
+            isToggle: true,
+            actions: [{ label: 'Caption settings' }]
+        });
+        expect(menu.element().className).to.contain('jw-toggle');
+        expect(options().map(option => option.textContent)).to.deep.equal(['Caption settings']);
+        expect(options()[0].className).to.not.contain('jw-active-option');
+    });
+
+    it('lists actions after the items of a menu', function() {
+        menu.setup([{ label: 'Off' }, { label: 'English' }, { label: 'French' }], 2, {
+            isToggle: true,
+            actions: [{ label: 'Caption settings' }]
+        });
+        const labels = options().map(option => option.textContent);
+        expect(labels).to.deep.equal(['Off', 'English', 'French', 'Caption settings']);
+        expect(options()[2].className).to.contain('jw-active-option');
+        expect(options()[3].className).to.contain('jw-menu-action');
+    });
+
+    it('triggers actions apart from selections', function() {
+        const selected = [];
+        const actions = [];
+        menu.on('select', index => selected.push(index));
+        menu.on('action', index => actions.push(index));
+        menu.setup([{ label: 'Off' }, { label: 'English' }, { label: 'French' }], 0, {
+            actions: [{ label: 'Caption settings' }]
+        });
+        menu.select({ target: options()[1] });
+        menu.select({ target: options()[3] });
+        expect(selected).to.deep.equal([1]);
+        expect(actions).to.deep.equal([0]);
+    });
+});
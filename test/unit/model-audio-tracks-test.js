@@ -0,0 +1,66 @@
+import Model from 'controller/model';
+import DefaultProvider from 'providers/default';
+import Events from 'utils/backbone.events';
+
+describe('Model audio tracks', function() {
+
+    let model;
+    let selected;
+
+    function FakeProvider() {}
+
+    Object.assign(FakeProvider.prototype, DefaultProvider, Events, {
+        getName() {
+            return { name: 'fake' };
+        },
+        setCurrentAudioTrack(index) {
+            selected.push(index);
+        }
+    });
+
+    beforeEach(function() {
+        selected = [];
+        model = new Model().setup({});
+        model.set('preferredLanguages', ['fr', 'de']);
+        model.changeVideoProvider(FakeProvider);
+    });
+
+    it('selects the track in the most preferred language', function() {
+        model.selectPreferredAudioTrack(0, [
+            { language: 'es' },
+            { language: 'de' },
+            { language: 'fr' }
+        ]);
+        expect(selected).to.deep.equal([2]);
+    });
+
+    it('keeps a current track in a more preferred language', function() {
+        model.selectPreferredAudioTrack(1, [
+            { language: 'de' },
+            { language: 'fr' }
+        ]);
+        model.selectPreferredAudioTrack(2, [
+            { language: 'es' },
+            { language: 'de' },
+            { language: 'fr-CA' }
+        ]);
+        expect(selected).to.deep.equal([]);
+    });
+
+    it('only selects autoselect tracks when the source flags them', function() {
+        model.selectPreferredAudioTrack(0, [
+            { language: 'es', autoselect: true },
+            { language: 'fr', autoselect: false },
+            { language: 'de', autoselect: true }
+        ]);
+        expect(selected).to.deep.equal([2]);
+    });
+
+    it('keeps the current track when no track is preferred', function() {
+        model.selectPreferredAudioTrack(0, [
+            { language: 'es' },
+            { language: 'ja' }
+        ]);
+        expect(selected).to.deep.equal([]);
+    });
+});
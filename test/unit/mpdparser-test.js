@@ -0,0 +1,134 @@
+define([
+    'parsers/mpdparser',
+    'utils/parser'
+], function (mpdparser, parser) {
+
+    var MPD = '<?xml version="1.0" encoding="UTF-8"?>' +
+        '<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" type="static" mediaPresentationDuration="PT1M0.5S" minBufferTime="PT2S">' +
+        '<BaseURL>media/</BaseURL>' +
+        '<Period id="1">' +
+        '<AdaptationSet contentType="video" mimeType="video/mp4" segmentAlignment="true">' +
+        '<SegmentTemplate timescale="1000" duration="4000" startNumber="1" ' +
+        'initialization="$RepresentationID$/init.mp4" media="$RepresentationID$/$Number%05d$.m4s"/>' +
+        '<Representation id="720p" bandwidth="2400000" width="1280" height="720" codecs="avc1.4d401f"/>' +
+        '<Representation id="360p" bandwidth="800000" width="640" height="360" codecs="avc1.4d401e"/>' +
+        '</AdaptationSet>' +
+        '<AdaptationSet contentType="audio" mimeType="audio/mp4" lang="en">' +
+        '<Role schemeIdUri="urn:mpeg:dash:role:2011" value="main"/>' +
+        '<SegmentTemplate timescale="48000" initialization="audio/init.mp4" media="audio/$Time$.m4s">' +
+        '<SegmentTimeline><S t="0" d="96000" r="2"/><S d="48000"/></SegmentTimeline>' +
+        '</SegmentTemplate>' +
+        '<Representation id="audio" bandwidth="128000" codecs="mp4a.40.2" audioSamplingRate="48000"/>' +
+        '</AdaptationSet>' +
+        '<AdaptationSet mimeType="audio/mp4" lang="de">' +
+        '<Representation id="audio-de" bandwidth="128000" codecs="mp4a.40.2">' +
+        '<BaseURL>de.mp4</BaseURL>' +
+        '<SegmentBase indexRange="800-999" presentationTimeOffset="1000" timescale="1000">' +
+        '<Initialization range="0-799"/></SegmentBase>' +
+        '</Representation>' +
+        '</AdaptationSet>' +
+        '</Period>' +
+        '</MPD>';
+
+    describe('mpdparser', function() {
+
+        it('parses ISO 8601 durations', function() {
+            assert.equal(mpdparser.parseDuration('PT1M0.5S'), 60.5);
+            assert.equal(mpdparser.parseDuration('PT1H'), 3600);
+            assert.equal(mpdparser.parseDuration('P1DT2S'), 86402);
+            assert.isNull(mpdparser.parseDuration('1 minute'));
+        });
+
+        it('fills segment templates', function() {
+            var values = {
+                RepresentationID: 'v1',
+                Number: 7,
+                Bandwidth: 800000,
+                Time: 12000
+            };
+            assert.equal(mpdparser.fillTemplate('$RepresentationID$/$Number%05d$.m4s', values), 'v1/00007.m4s');
+            assert.equal(mpdparser.fillTemplate('$Bandwidth$/$Time$.m4s', values), '800000/12000.m4s');
+            assert.equal(mpdparser.fillTemplate('a$$b', values), 'a$b');
+        });
+
+        it('parses byte ranges', function() {
+            assert.deepEqual(mpdparser.parseRange('800-999'), { offset: 800, length: 200 });
+            assert.isNull(mpdparser.parseRange(''));
+        });
+
+        it('parses manifests', function() {
+            var manifest = mpdparser.parseMPD(parser.parseXML(MPD), 'http://example.com/dash/manifest.mpd');
+            assert.isFalse(manifest.live);
+            assert.equal(manifest.duration, 60.5);
+            assert.equal(manifest.period.start, 0);
+            assert.equal(manifest.period.duration, 60.5, 'Period duration defaults to the presentation duration');
+            assert.equal(manifest.adaptationSets.length, 3);
+
+            var video = manifest.adaptationSets[0];
+            assert.equal(video.contentType, 'video');
+            assert.equal(video.representations[0].id, '720p');
+            assert.equal(video.representations[0].bandwidth, 2400000);
+            assert.equal(video.representations[0].height, 720);
+            assert.equal(video.representations[0].mimeType, 'video/mp4', 'Attributes are inherited from AdaptationSets');
+            assert.equal(video.representations[0].baseUrl, 'http://example.com/dash/media/');
+
+            var audio = manifest.adaptationSets[1];
+            assert.equal(audio.lang, 'en');
+            assert.deepEqual(audio.roles, ['main']);
+            assert.equal(manifest.adaptationSets[2].contentType, 'audio', 'Content type is derived from the mimeType');
+        });
+
+        it('lists SegmentTemplate segments', function() {
+            var manifest = mpdparser.parseMPD(parser.parseXML(MPD), 'http://example.com/dash/manifest.mpd');
+            var representation = manifest.adaptationSets[0].representations[1];
+
+            var init = mpdparser.getInitSegment(representation);
+            assert.equal(init.url, 'http://example.com/dash/media/360p/init.mp4');
+
+            var segments = mpdparser.getSegments(representation, manifest, Date.now());
+            assert.equal(segments.length, 16);
+            assert.equal(segments[0].url, 'http://example.com/dash/media/360p/00001.m4s');
+            assert.equal(segments[15].number, 16);
+            assert.equal(segments[15].start, 60);
+            assert.equal(segments[15].duration, 4);
+        });
+
+        it('lists SegmentTimeline segments', function() {
+            var manifest = mpdparser.parseMPD(parser.parseXML(MPD), 'http://example.com/dash/manifest.mpd');
+            var representation = manifest.adaptationSets[1].representations[0];
+            var segments = mpdparser.getSegments(representation, manifest, Date.now());
+            assert.equal(segments.length, 4);
+            assert.equal(segments[1].url, 'http://example.com/dash/media/audio/96000.m4s');
+            assert.equal(segments[1].start, 2);
+            assert.equal(segments[3].start, 6);
+            assert.equal(segments[3].duration, 1);
+        });
+
+        it('lists SegmentBase segments from a segment index', function() {
+            var manifest = mpdparser.parseMPD(parser.parseXML(MPD), 'http://example.com/dash/manifest.mpd');
+            var representation = manifest.adaptationSets[2].representations[0];
+            assert.isNull(mpdparser.getSegments(representation, manifest, Date.now()));
+            assert.deepEqual(mpdparser.getInitSegment(representation), {
+                url: 'http://example.com/dash/media/de.mp4',
+                byteRange: { offset: 0, length: 800 }
+            });
+            assert.equal(mpdparser.getTimestampOffset(representation, manifest.period), -1);
+
+            var segments = mpdparser.segmentsFromIndex(representation, manifest.period, {
+                timescale: 1000,
+                earliestPresentationTime: 1000,
+                references: [{ offset: 1000, size: 5000, duration: 2000 }, { offset: 6000, size: 4000, duration: 2000 }]
+            });
+            assert.equal(segments.length, 2);
+            assert.equal(segments[0].start, 0);
+            assert.equal(segments[1].start, 2);
+            assert.deepEqual(segments[1].byteRange, { offset: 6000, length: 4000 });
+        });
+
+        it('throws on invalid manifests', function() {
+            assert.throws(function() {
+                mpdparser.parseMPD(parser.parseXML('<rss></rss>'), 'http://example.com/manifest.mpd');
+            }, Error, 'Invalid DASH manifest');
+        });
+    });
+});
@@ -115,6 +115,24 @@ define([
             });
 
 
+            it('filterSources chooses the next playable type when sources are excluded', function() {
+                const sources = [
+                    { file: 'a.mp4', type: 'mp4' },
+                    { file: 'b.mp4', type: 'mp4' },
+                    { file: 'c.webm', type: 'webm' }
+                ];
+                let filtered = playlist.filterSources(sources, new Providers());
+                expect(_.pluck(filtered, 'file')).to.deep.equal(['a.mp4', 'b.mp4']);
+
+                filtered = playlist.filterSources(sources.slice(1), new Providers());
+                expect(_.pluck(filtered, 'file')).to.deep.equal(['b.mp4']);
+
+                filtered = playlist.filterSources(sources.slice(2), new Providers());
+                expect(_.pluck(filtered, 'file')).to.deep.equal(['c.webm']);
+
+                expect(playlist.filterSources([], new Providers())).to.deep.equal([]);
+            });
+
             it('it prioritizes withCredentials in the order of source, playlist, then global', function() {
                 const withCredentialsPlaylist = [{
                     // Uses source
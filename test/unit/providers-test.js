@@ -1,9 +1,12 @@
+import sinon from 'sinon';
+
 define([
     'playlist/source',
     'providers/providers',
+    'providers/mse/media-source',
     'utils/browser',
     'underscore/underscore'
-], function (source, Providers, browser, _) {
+], function (source, Providers, mediaSource, browser, _) {
     browser.flashVersion = function() {
         return 24.0;
     };
@@ -18,6 +21,37 @@ define([
         return provider.toString().match(/^function\s*([^\s(]+)/)[1];
     };
 
+    const hlsSources = {
+        hls: {
+            file: 'http://playertest.longtailvideo.com/adaptive/bipbop/bipbopall.hls',
+            type: 'm3u8'
+        },
+        androidhlsTrue: {
+            file: 'http://playertest.longtailvideo.com/adaptive/bipbop/bipbopall.hls',
+            type: 'm3u8',
+            androidhls: true
+        },
+        androidhlsFalse: {
+            file: 'http://playertest.longtailvideo.com/adaptive/bipbop/bipbopall.hls',
+            type: 'm3u8',
+            androidhls: false
+        },
+        hlsjsdefault: {
+            file: 'http://playertest.longtailvideo.com/adaptive/bipbop/bipbopall.hls',
+            type: 'm3u8',
+            hlsjsdefault: true
+        }
+    };
+
+    // The names of the providers chosen for sources, while Media Source Extensions are or are not supported
+    function chooseWithMediaSource(sources, supported) {
+        const mediaSourceSupported = sinon.stub(mediaSource, 'isMediaSourceSupported').returns(supported);
+        const providers = new Providers();
+        const names = _.map(sources, src => getName(providers.choose(source(src))));
+        mediaSourceSupported.restore();
+        return names;
+    }
+
     describe('Providers', function() {
 
         it('should be prioritized', function() {
@@ -28,6 +62,7 @@ define([
             }, {});
 
             expect(providerMap.youtube).to.be.below(providerMap.html5);
+            expect(providerMap.hlsjs).to.be.below(providerMap.html5);
             expect(providerMap.html5).to.be.below(providerMap.flash);
         });
 
@@ -69,31 +104,86 @@ define([
             });
         });
 
-        it('should not choose a provider for hls and dash streams', function() {
-            const unsupportedSources = {
-                hls: {
-                    file: 'http://playertest.longtailvideo.com/adaptive/bipbop/bipbopall.hls',
-                    type: 'm3u8'
-                },
-                androidhlsTrue: {
-                    file: 'http://playertest.longtailvideo.com/adaptive/bipbop/bipbopall.hls',
-                    type: 'm3u8',
-                    androidhls: true
-                },
-                androidhlsFalse: {
-                    file: 'http://playertest.longtailvideo.com/adaptive/bipbop/bipbopall.hls',
-                    type: 'm3u8',
-                    androidhls: false
-                },
-                dash: { file: 'http//storage.googleapis.com/shaka-demo-assets/angel-one/dash.mpd' }
+        it('should choose hlsjs for hls streams when Media Source Extensions are supported', function() {
+            expect(chooseWithMediaSource(hlsSources, true)).to.deep.equal(['hlsjs', 'hlsjs', 'hlsjs', 'hlsjs']);
+        });
+
+        it('should not choose hlsjs for hls streams without Media Source Extensions', function() {
+            expect(chooseWithMediaSource(hlsSources, false)).to.not.contain('hlsjs');
+        });
+
+        it('should choose dash for dash streams when Media Source Extensions are supported', function() {
+            const dashSources = {
+                mpd: { file: 'http//storage.googleapis.com/shaka-demo-assets/angel-one/dash.mpd' },
+                mimeType: {
+                    file: 'http//storage.googleapis.com/shaka-demo-assets/angel-one/manifest',
+                    type: 'application/dash+xml'
+                }
+            };
+            const expected = mediaSource.isMediaSourceSupported() ? 'dash' : null;
+            const providers = new Providers();
+            let provider;
+
+            _.each(dashSources, (src, type) => {
+                provider = providers.choose(source(src));
+                expect(getName(provider), type).to.equal(expected);
+            });
+        });
+
+        it('should choose audio for audio files when Web Audio playback is enabled', function() {
+            const audioSources = {
+                mp3: { file: 'http://content.bitsontherun.com/videos/yj1shGJB-ywAKK1m8.mp3', webaudio: true },
+                aac: { file: 'http://content.bitsontherun.com/videos/3XnJSIm4-I3ZmuSFT.aac', webaudio: true }
             };
+            const expected = (window.AudioContext || window.webkitAudioContext) ? 'audio' : 'html5';
             const providers = new Providers();
             let provider;
 
-            _.each(unsupportedSources, (src, type) => {
+            _.each(audioSources, (src, type) => {
                 provider = providers.choose(source(src));
-                expect(getName(provider), type).to.be.null;
+                expect(getName(provider), type).to.equal(expected);
             });
+
+            provider = providers.choose(source({
+                file: 'http://content.bitsontherun.com/videos/q1fx20VZ-52qL9xLP.mp4',
+                webaudio: true
+            }));
+            expect(getName(provider), 'mp4').to.equal('html5');
+        });
+
+        it('should prefer providers listed in providerPriority', function() {
+            const mp4 = source({ file: 'http://content.bitsontherun.com/videos/q1fx20VZ-52qL9xLP.mp4' });
+            let choice = new Providers({ providerPriority: ['flash', 'unknown'] }).choose(mp4);
+
+            expect(getName(choice)).to.equal('flash');
+            expect(choice.reason).to.equal('priority');
+
+            choice = new Providers().choose(mp4);
+            expect(getName(choice)).to.equal('html5');
+            expect(choice.reason).to.equal('default');
+        });
+
+        it('should choose the provider named by a source when it can play the source', function() {
+            const file = 'http://content.bitsontherun.com/videos/q1fx20VZ-52qL9xLP.mp4';
+            const providers = new Providers();
+            let choice = providers.choose(source({ file: file, provider: 'flash' }));
+
+            expect(getName(choice)).to.equal('flash');
+            expect(choice.reason).to.equal('source');
+
+            choice = providers.choose(source({ file: file, provider: 'youtube' }));
+            expect(getName(choice)).to.equal('html5');
+            expect(choice.reason).to.equal('default');
+        });
+
+        it('should require the providers chosen for playlist items', function() {
+            const playlist = [
+                { sources: [source({ file: 'http://content.bitsontherun.com/videos/q1fx20VZ-52qL9xLP.mp4' })] },
+                { sources: [source({ file: 'http://playertest.longtailvideo.com/flv-cuepoints/honda_accord.flv' })] }
+            ];
+
+            expect(_.map(new Providers().required(playlist), getName)).to.eql(['html5', 'flash']);
+            expect(_.map(new Providers({ providerPriority: ['flash'] }).required(playlist), getName)).to.eql(['flash']);
         });
 
         it('should choose youtube for youtube sources', function() {
@@ -103,5 +193,13 @@ define([
 
             expect(getName(provider)).to.equal('youtube');
         });
+
+        it('should choose vimeo for vimeo sources', function() {
+            const vimeoSource = { file: 'https://vimeo.com/76979871' };
+            const providers = new Providers();
+            let provider = providers.choose(source(vimeoSource));
+
+            expect(getName(provider)).to.equal('vimeo');
+        });
     });
 });
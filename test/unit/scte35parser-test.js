@@ -0,0 +1,70 @@
+import { parseSCTE35, scte35AdSignal } from 'parsers/scte35parser';
+
+// A splice_insert leaving the network at 10s for a 30s break
+const SPLICE_OUT = '0xFC302500000000000000FFF01405000000017FEFFE000DBBA0FE002932E000010000000000000000';
+// An immediate splice_insert returning to the network
+const SPLICE_IN = '0xFC301B00000000000000FFF00A05000000027F5F00020000000000000000';
+// A time_signal with a 60s provider placement opportunity start segmentation descriptor, as base64
+const PLACEMENT_START = '/DAuAAAAAAAAAP/wBQb+AA27oAAYAhZDVUVJAAAAB3//AABSZcAAADQAAAAAAAAAAA==';
+// A time_signal with a provider placement opportunity end segmentation descriptor, as base64
+const PLACEMENT_END = '/DAlAAAAAAAAAP/wAQZ/ABMCEUNVRUkAAAAHf78AADUAAAAAAAAAAA==';
+
+describe('scte35parser', function() {
+
+    it('parses splice_insert commands', function() {
+        const scte35 = parseSCTE35(SPLICE_OUT);
+        expect(scte35.command).to.equal('splice_insert');
+        expect(scte35.spliceEventId).to.equal(1);
+        expect(scte35.outOfNetwork).to.equal(true);
+        expect(scte35.ptsTime).to.equal(900000);
+        expect(scte35.breakDuration).to.equal(30);
+        expect(scte35AdSignal(scte35)).to.deep.equal({
+            type: 'start',
+            duration: 30
+        });
+
+        const spliceIn = parseSCTE35(SPLICE_IN);
+        expect(spliceIn.outOfNetwork).to.equal(false);
+        expect(spliceIn.ptsTime).to.equal(undefined);
+        expect(scte35AdSignal(spliceIn)).to.deep.equal({
+            type: 'end',
+            duration: undefined
+        });
+    });
+
+    it('parses time_signal commands and their segmentation descriptors', function() {
+        const scte35 = parseSCTE35(PLACEMENT_START);
+        expect(scte35.command).to.equal('time_signal');
+        expect(scte35.ptsTime).to.equal(900000);
+        expect(scte35.segmentations).to.deep.equal([{
+            eventId: 7,
+            cancel: false,
+            typeId: 0x34,
+            duration: 60
+        }]);
+        expect(scte35AdSignal(scte35)).to.deep.equal({
+            type: 'start',
+            duration: 60
+        });
+        expect(scte35AdSignal(parseSCTE35(PLACEMENT_END))).to.deep.equal({
+            type: 'end',
+            duration: undefined
+        });
+    });
+
+    it('accepts bytes', function() {
+        const hex = SPLICE_OUT.substr(2);
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        expect(parseSCTE35(bytes).breakDuration).to.equal(30);
+        expect(parseSCTE35(bytes.buffer).breakDuration).to.equal(30);
+    });
+
+    it('returns null for data which is not a splice_info_section', function() {
+        expect(parseSCTE35('0x1234')).to.equal(null);
+        expect(parseSCTE35('not base64!')).to.equal(null);
+        expect(scte35AdSignal(null)).to.equal(null);
+    });
+});
@@ -0,0 +1,40 @@
+import SkipAdButton, { skipTime } from 'view/controls/skip-ad-button';
+import SimpleModel from 'model/simplemodel';
+import sinon from 'sinon';
+
+describe('SkipAdButton', function() {
+
+    it('converts skip offsets to seconds', function() {
+        expect(skipTime(5)).to.equal(5);
+        expect(skipTime('5')).to.equal(5);
+        expect(skipTime('00:00:05.500')).to.equal(5.5);
+        expect(skipTime('25%', 30)).to.equal(7.5);
+        expect(skipTime('25%')).to.equal(null);
+    });
+
+    it('counts down until the ad can be skipped', function() {
+        const adModel = Object.assign({}, SimpleModel);
+        const onSkip = sinon.spy();
+        const button = new SkipAdButton(adModel, '20%', 'Skip in xx', 'Skip', onSkip);
+        const element = button.element();
+        const text = element.querySelector('.jw-skip-text');
+
+        expect(element.style.display, 'Hidden until the duration is known').to.equal('none');
+
+        adModel.set('duration', 30);
+        adModel.set('position', 1.5);
+        expect(element.style.display).to.equal('');
+        expect(text.textContent).to.equal('Skip in 5');
+        expect(button.skippable).to.equal(false);
+
+        adModel.set('position', 6);
+        expect(text.textContent).to.equal('Skip');
+        expect(button.skippable).to.equal(true);
+        expect(element.className).to.contain('jw-skippable');
+
+        button.destroy();
+        adModel.set('position', 1);
+        expect(text.textContent, 'Stops updating once destroyed').to.equal('Skip');
+        expect(onSkip.called).to.equal(false);
+    });
+});
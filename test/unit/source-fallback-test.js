@@ -0,0 +1,127 @@
+import Api from 'api/api';
+import registerProvider from 'providers/providers-register';
+import DefaultProvider from 'providers/default';
+import Events from 'utils/backbone.events';
+import events from 'events/events';
+
+// A provider for 'failing' sources, which tests make fail with media errors
+function FailingProvider() {
+    this.source = null;
+}
+
+FailingProvider.getName = () => ({ name: 'failing' });
+FailingProvider.supports = source => source.type === 'failing';
+
+Object.assign(FailingProvider.prototype, DefaultProvider, Events, {
+    getName: FailingProvider.getName,
+    init(item) {
+        this.source = item.sources[0];
+    },
+    getSource() {
+        return this.source;
+    },
+    fail() {
+        this.trigger(events.JWPLAYER_MEDIA_ERROR, {
+            message: 'Error loading media: File could not be played',
+            code: 224003
+        });
+    }
+});
+
+registerProvider(FailingProvider);
+
+describe('Source fallback', function() {
+
+    let container;
+    let api;
+
+    function setupPlayer(sources) {
+        api = new Api(container);
+        api.setup({
+            playlist: [{
+                sources: sources
+            }]
+        });
+        return new Promise((resolve, reject) => {
+            api.on('ready', () => resolve(api._core._model));
+            api.on('setupError', e => reject(new Error(e.message)));
+        });
+    }
+
+    // Resolves once the providers loaded for a fallback have been initialized
+    function afterProvidersLoad() {
+        return new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    beforeEach(function() {
+        container = document.createElement('div');
+        container.id = 'source-fallback-player';
+        document.body.appendChild(container);
+    });
+
+    afterEach(function() {
+        api.remove();
+        const element = document.getElementById('source-fallback-player');
+        if (element) {
+            document.body.removeChild(element);
+        }
+    });
+
+    it('plays the next source with the provider which supports it, from the same position', function() {
+        const fallbacks = [];
+        return setupPlayer([
+            { file: 'http://media.example.com/first.m3u8', type: 'failing' },
+            { file: 'http://media.example.com/second.mp4' }
+        ]).then(model => {
+            const item = model.get('playlistItem');
+            api.on(events.JWPLAYER_SOURCE_FALLBACK, e => fallbacks.push(e));
+            model.set('streamType', 'VOD');
+            model.set('position', 42);
+            model.mediaModel.set('playAttempt', true);
+            const loaded = new Promise(resolve => {
+                model.loadVideo = resolve;
+            });
+
+            model.getVideo().fail();
+
+            expect(fallbacks.length).to.equal(1);
+            expect(fallbacks[0].item).to.equal(item);
+            expect(fallbacks[0].source.file).to.equal('http://media.example.com/first.m3u8');
+            expect(fallbacks[0].nextSource.file).to.equal('http://media.example.com/second.mp4');
+            expect(fallbacks[0].reason).to.equal('Error loading media: File could not be played');
+            expect(fallbacks[0].code).to.equal(224003);
+
+            return loaded.then(loadedItem => {
+                expect(loadedItem.starttime).to.equal(42);
+                expect(loadedItem.sources.map(source => source.file)).to.deep.equal([
+                    'http://media.example.com/second.mp4'
+                ]);
+                expect(model.getVideo().getName().name).to.equal('html5');
+            });
+        });
+    });
+
+    it('tries each remaining source, then fails with the last error', function() {
+        const fallbacks = [];
+        const errors = [];
+        return setupPlayer([
+            { file: 'http://media.example.com/first.m3u8', type: 'failing' },
+            { file: 'http://media.example.com/second.m3u8', type: 'failing' }
+        ]).then(model => {
+            api.on(events.JWPLAYER_SOURCE_FALLBACK, e => fallbacks.push(e.nextSource.file));
+            api.on(events.JWPLAYER_ERROR, e => errors.push(e.message));
+
+            model.getVideo().fail();
+            expect(fallbacks).to.deep.equal(['http://media.example.com/second.m3u8']);
+            expect(errors).to.deep.equal([]);
+
+            return afterProvidersLoad().then(() => {
+                expect(model.getVideo().getSource().file).to.equal('http://media.example.com/second.m3u8');
+                model.getVideo().fail();
+                expect(fallbacks.length).to.equal(1);
+                expect(errors).to.deep.equal(['Error loading media: File could not be played']);
+                expect(model.get('state')).to.equal('error');
+            });
+        });
+    });
+});
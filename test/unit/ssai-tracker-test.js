@@ -0,0 +1,230 @@
+import SsaiTracker, { adSignal } from 'ads/ssai-tracker';
+import Companions from 'ads/companions';
+import SimpleModel from 'model/simplemodel';
+import Events from 'utils/backbone.events';
+import events from 'events/events';
+import states from 'events/states';
+
+const SCTE35_OUT = '0xFC302500000000000000FFF01405000000017FEFFE000DBBA0FE002932E000010000000000000000';
+const SCTE35_IN = '0xFC301B00000000000000FFF00A05000000027F5F00020000000000000000';
+
+// A controller which records the ad events of the tracker
+function createTracker(ssai) {
+    const model = Object.assign({}, SimpleModel);
+    model.set('advertising', {
+        ssai: ssai || true
+    });
+    model.set('localization', {
+        adMessage: 'This ad will end in xx',
+        podMessage: 'Ad __AD_POD_CURRENT__ of __AD_POD_LENGTH__.'
+    });
+    const controller = Object.assign({}, Events);
+    const triggered = [];
+    controller.on('all', (type, data) => {
+        if (/^ad/.test(type)) {
+            triggered.push([type, data]);
+        }
+    });
+    return {
+        controller,
+        model,
+        triggered,
+        tracker: new SsaiTracker(controller, model, new Companions())
+    };
+}
+
+describe('SsaiTracker', function() {
+
+    it('finds ad breaks in HLS playlist signals', function() {
+        expect(adSignal({
+            daterange: {
+                id: 'ad1',
+                plannedDuration: 15,
+                scte35Out: SCTE35_OUT
+            },
+            edge: 'start'
+        })).to.deep.equal({
+            type: 'start',
+            id: 'ad1',
+            duration: 15
+        });
+        expect(adSignal({
+            daterange: {
+                id: 'ad1',
+                scte35Out: SCTE35_OUT
+            },
+            edge: 'start'
+        }).duration, 'Uses the duration of the SCTE-35 cue').to.equal(30);
+        expect(adSignal({
+            daterange: {
+                id: 'ad1',
+                scte35Out: SCTE35_OUT
+            },
+            edge: 'end'
+        })).to.deep.equal({
+            type: 'end',
+            id: 'ad1',
+            duration: undefined
+        });
+        expect(adSignal({
+            daterange: {
+                id: 'chapter1',
+                'class': 'com.example.chapter'
+            },
+            edge: 'start'
+        }), 'Ignores other date ranges').to.equal(null);
+        expect(adSignal({
+            daterange: {
+                id: 'break1',
+                'class': 'com.example.ad'
+            },
+            edge: 'start'
+        }, {
+            dateRangeClass: 'com.example.ad'
+        }).type).to.equal('start');
+
+        expect(adSignal({
+            cueOut: {
+                duration: 20
+            }
+        })).to.deep.equal({
+            type: 'start',
+            id: undefined,
+            duration: 20
+        });
+        expect(adSignal({
+            cueIn: {}
+        }).type).to.equal('end');
+    });
+
+    it('finds ad breaks in ID3 metadata', function() {
+        expect(adSignal({
+            TXXX: {
+                SCTE35: SCTE35_OUT
+            }
+        })).to.deep.equal({
+            id: undefined,
+            type: 'start',
+            duration: 30
+        });
+        expect(adSignal({
+            TXXX: {
+                splice: SCTE35_IN
+            }
+        }, {
+            id3Key: 'splice'
+        }).type).to.equal('end');
+        expect(adSignal({
+            TIT2: 'Title'
+        })).to.equal(null);
+    });
+
+    it('reports breaks as ad events while the content plays through them', function() {
+        const { controller, model, triggered, tracker } = createTracker();
+        controller.trigger(events.JWPLAYER_MEDIA_META, {
+            metadataTime: 100,
+            metadata: {
+                cueOut: {
+                    duration: 20
+                }
+            }
+        });
+        expect(model.get('ssaiBreak')).to.equal(true);
+
+        controller.trigger(events.JWPLAYER_MEDIA_TIME, { position: 100.2, duration: 600 });
+        controller.trigger(events.JWPLAYER_MEDIA_TIME, { position: 110, duration: 600 });
+        expect(model.get('altText')).to.equal('This ad will end in 10');
+        model.set('state', states.PAUSED);
+        model.set('state', states.PLAYING);
+        controller.trigger(events.JWPLAYER_MEDIA_TIME, { position: 120, duration: 600 });
+        expect(model.get('ssaiBreak')).to.equal(false);
+
+        expect(triggered.map(event => event[0])).to.deep.equal([
+            events.JWPLAYER_AD_BREAK_START,
+            events.JWPLAYER_AD_META,
+            events.JWPLAYER_AD_IMPRESSION,
+            events.JWPLAYER_AD_PLAY,
+            events.JWPLAYER_AD_TIME,
+            events.JWPLAYER_AD_TIME,
+            events.JWPLAYER_AD_PAUSE,
+            events.JWPLAYER_AD_PLAY,
+            events.JWPLAYER_AD_COMPLETE,
+            events.JWPLAYER_AD_BREAK_END
+        ]);
+        expect(triggered[5][1]).to.deep.equal({
+            client: 'ssai',
+            tag: undefined,
+            adposition: 'mid',
+            position: 10,
+            duration: 20
+        });
+        tracker.destroy();
+    });
+
+    it('ends the break in progress when the playlist changes or the tracker is destroyed', function() {
+        const cueOut = {
+            metadataTime: 100,
+            metadata: {
+                cueOut: {
+                    duration: 20
+                }
+            }
+        };
+        const { controller, model, triggered, tracker } = createTracker();
+        controller.trigger(events.JWPLAYER_MEDIA_META, cueOut);
+        model.set('playlist', []);
+        expect(model.get('ssaiBreak')).to.equal(false);
+
+        controller.trigger(events.JWPLAYER_MEDIA_META, cueOut);
+        expect(model.get('ssaiBreak')).to.equal(true);
+        tracker.destroy();
+        expect(model.get('ssaiBreak')).to.equal(false);
+        expect(triggered.map(event => event[0]).filter(type => /Break/.test(type))).to.deep.equal([
+            events.JWPLAYER_AD_BREAK_START,
+            events.JWPLAYER_AD_BREAK_END,
+            events.JWPLAYER_AD_BREAK_START,
+            events.JWPLAYER_AD_BREAK_END
+        ]);
+    });
+
+    it('ends breaks of unknown duration when signalled', function() {
+        const { controller, model, triggered, tracker } = createTracker();
+        controller.trigger(events.JWPLAYER_MEDIA_META, {
+            metadataTime: 50,
+            metadata: {
+                daterange: {
+                    id: 'ad1',
+                    scte35Out: '0xFC'
+                },
+                edge: 'start'
+            }
+        });
+        controller.trigger(events.JWPLAYER_MEDIA_TIME, { position: 80, duration: 600 });
+        controller.trigger(events.JWPLAYER_MEDIA_META, {
+            metadataTime: 85,
+            metadata: {
+                daterange: {
+                    id: 'ad2',
+                    scte35Out: '0xFC'
+                },
+                edge: 'end'
+            }
+        });
+        expect(model.get('ssaiBreak'), 'Ignores the end of other breaks').to.equal(true);
+
+        controller.trigger(events.JWPLAYER_MEDIA_META, {
+            metadataTime: 90,
+            metadata: {
+                cueIn: {}
+            }
+        });
+        expect(model.get('ssaiBreak')).to.equal(false);
+        expect(triggered[triggered.length - 1]).to.deep.equal([events.JWPLAYER_AD_BREAK_END, {
+            client: 'ssai',
+            tag: undefined,
+            adposition: 'mid',
+            adbreakid: 'ad1'
+        }]);
+        tracker.destroy();
+    });
+});
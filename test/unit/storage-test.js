@@ -29,4 +29,18 @@ describe('Storage', function() {
         assert.strictEqual(_.size(data3), 1, 'storage has one item after change to model');
         assert.strictEqual(data3.mute, true, 'boolean value stored properly');
     });
+
+    it('persists objects as JSON', function() {
+        const model = new MockModel();
+        const storage = new Storage('namespace', [
+            'viewerCaptionsStyle'
+        ]);
+
+        storage.track(model);
+
+        model.set('viewerCaptionsStyle', { color: '#ffff00', fontSize: 150 });
+        const data = storage.getAllItems();
+        assert.deepEqual(data.viewerCaptionsStyle, { color: '#ffff00', fontSize: 150 }, 'object value stored properly');
+        storage.clear();
+    });
 });
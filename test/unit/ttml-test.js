@@ -0,0 +1,183 @@
+import parseTTML, { applyRegion, parseColor, parseTime } from 'parsers/captions/ttml';
+import VTTCue from 'parsers/captions/vttcue';
+
+const NAMESPACES = 'xmlns="http://www.w3.org/ns/ttml" ' +
+    'xmlns:tts="http://www.w3.org/ns/ttml#styling" ' +
+    'xmlns:ttp="http://www.w3.org/ns/ttml#parameter" ' +
+    'xmlns:smpte="http://www.smpte-ra.org/schemas/2052-1/2010/smpte-tt"';
+
+function parseXML(xml) {
+    return new DOMParser().parseFromString(xml, 'text/xml');
+}
+
+function ttml(head, body, parameters = '') {
+    return parseTTML(parseXML('<?xml version="1.0" encoding="UTF-8"?>' +
+        '<tt ' + NAMESPACES + ' ' + parameters + '><head>' + head + '</head><body>' + body + '</body></tt>'));
+}
+
+describe('ttml', function() {
+
+    it('throws on documents without cues', function() {
+        expect(() => parseTTML(null)).to.throw('Invalid TTML file');
+        expect(() => ttml('', '<div></div>')).to.throw('Invalid TTML file');
+        expect(() => parseTTML(parseXML('<html><body></body></html>'))).to.throw('Invalid TTML file');
+    });
+
+    it('parses clock and offset times', function() {
+        const params = {
+            frameRate: 25,
+            tickRate: 10000000
+        };
+        expect(parseTime('00:01:02.5', params)).to.equal(62.5);
+        expect(parseTime('01:00:00:10', params)).to.equal(3600.4);
+        expect(parseTime('1.5s', params)).to.equal(1.5);
+        expect(parseTime('2m', params)).to.equal(120);
+        expect(parseTime('250ms', params)).to.equal(0.25);
+        expect(parseTime('50f', params)).to.equal(2);
+        expect(parseTime('25000000t', params)).to.equal(2.5);
+        expect(parseTime('soon', params)).to.equal(null);
+    });
+
+    it('parses colors', function() {
+        expect(parseColor('yellow')).to.equal('rgba(255, 255, 0, 1)');
+        expect(parseColor('#ff000080')).to.equal('rgba(255, 0, 0, 0.5)');
+        expect(parseColor('rgba(0, 0, 0, 255)')).to.equal('rgba(0, 0, 0, 1)');
+        expect(parseColor('rgb(16,32,64)')).to.equal('rgba(16, 32, 64, 1)');
+        expect(parseColor('bright')).to.equal(null);
+    });
+
+    it('parses text with line breaks and collapses white space', function() {
+        const cues = ttml('', '<div><p begin="00:00:01.000" end="00:00:03.000">  Big Buck\n    Bunny <br/>' +
+            '<span>presents</span> </p><p begin="5s" dur="2s">Coming soon</p></div>');
+        expect(cues.length).to.equal(2);
+        expect(cues[0].begin).to.equal(1);
+        expect(cues[0].end).to.equal(3);
+        expect(cues[0].text).to.equal('Big Buck Bunny\npresents');
+        expect(cues[0].image).to.equal(null);
+        expect(cues[1].begin).to.equal(5);
+        expect(cues[1].end).to.equal(7);
+        expect(cues[1].region.id).to.equal('');
+        expect(cues[1].region.displayAlign).to.equal('after');
+    });
+
+    it('parses DFXP and namespace prefixed documents', function() {
+        let cues = parseTTML(parseXML('<?xml version="1.0" encoding="UTF-8"?>' +
+            '<tt xmlns="http://www.w3.org/2006/10/ttaf1"><head></head><body><div>' +
+            '<p begin="00:00:00.5" end="00:00:04">The Peach Open Movie Project presents</p>' +
+            '<p begin="00:00:31" end="00:00:33">www.bigbuckbunny.org<br/>Licensed as Creative Commons 3.0</p>' +
+            '</div></body></tt>'));
+        expect(cues.length).to.equal(2);
+        expect(cues[0].begin).to.equal(0.5);
+        expect(cues[1].text).to.equal('www.bigbuckbunny.org\nLicensed as Creative Commons 3.0');
+
+        cues = parseTTML(parseXML('<?xml version="1.0" encoding="UTF-8"?><!-- v1.1 -->' +
+            '<tt:tt xmlns:tt="http://www.w3.org/ns/ttml" xmlns:tts="http://www.w3.org/ns/ttml#styling" ' +
+            'xml:lang="de"><tt:head><tt:styling><tt:style xml:id="textWhite" tts:color="#ffffff"/></tt:styling>' +
+            '</tt:head><tt:body><tt:div><tt:p begin="00:00:00.000" end="00:00:02.120">' +
+            '<tt:span style="textWhite">wei\u00df auf schwarz, Abschnitt: eins</tt:span></tt:p></tt:div></tt:body></tt:tt>'));
+        expect(cues.length).to.equal(1);
+        expect(cues[0].end).to.equal(2.12);
+        expect(cues[0].text).to.equal('wei\u00df auf schwarz, Abschnitt: eins');
+    });
+
+    it('keeps referenced, inherited and inline styles', function() {
+        const head = '<styling>' +
+            '<style xml:id="base" tts:fontFamily="proportionalSansSerif" tts:color="white" tts:fontSize="2c"/>' +
+            '<style xml:id="centered" style="base" tts:textAlign="center"/>' +
+            '<style xml:id="highlight" tts:color="#ffff00" tts:backgroundColor="black" tts:fontStyle="italic"/>' +
+            '</styling>';
+        const body = '<div style="centered"><p begin="0s" end="2s" tts:fontSize="50%">Normal ' +
+            '<span style="highlight" tts:textOutline="red 5%">loud</span></p></div>';
+        const cue = ttml(head, body, 'ttp:cellResolution="40 20"')[0];
+        const runs = cue.lines[0];
+
+        expect(cue.style.textAlign).to.equal('center');
+        expect(runs.length).to.equal(2);
+        expect(runs[0].text).to.equal('Normal ');
+        expect(runs[0].style.color).to.equal('rgba(255, 255, 255, 1)');
+        expect(runs[0].style.fontFamily).to.equal('sans-serif');
+        expect(runs[0].style.fontSize).to.equal(0.05);
+        expect(runs[0].style.backgroundColor).to.equal(undefined);
+        expect(runs[1].text).to.equal('loud');
+        expect(runs[1].style.color).to.equal('rgba(255, 255, 0, 1)');
+        expect(runs[1].style.backgroundColor).to.equal('rgba(0, 0, 0, 1)');
+        expect(runs[1].style.fontStyle).to.equal('italic');
+        expect(runs[1].style.fontSize).to.equal(0.05);
+        expect(runs[1].style.textOutline.color).to.equal('rgba(255, 0, 0, 1)');
+        expect(runs[1].style.textOutline.width).to.be.closeTo(0.0025, 0.00001);
+    });
+
+    it('places cues in their regions', function() {
+        const head = '<styling><style xml:id="yellow" tts:color="yellow"/></styling>' +
+            '<layout>' +
+            '<region xml:id="top" tts:origin="10% 5%" tts:extent="80% 20%" tts:displayAlign="before" style="yellow"/>' +
+            '<region xml:id="bottom" tts:origin="192px 756px" tts:extent="1536px 270px" tts:displayAlign="after" ' +
+            'tts:backgroundColor="#00000080"/>' +
+            '</layout>';
+        const body = '<div region="bottom"><p begin="0s" end="1s">Bottom</p>' +
+            '<p begin="1s" end="2s" region="top">Top</p></div>';
+        const cues = ttml(head, body, 'tts:extent="1920px 1080px"');
+
+        expect(cues[0].region.id).to.equal('bottom');
+        expect(cues[0].region.origin).to.deep.equal({ x: 10, y: 70 });
+        expect(cues[0].region.extent).to.deep.equal({ width: 80, height: 25 });
+        expect(cues[0].region.displayAlign).to.equal('after');
+        expect(cues[0].region.backgroundColor).to.equal('rgba(0, 0, 0, 0.5)');
+        expect(cues[0].lines[0][0].style.color).to.equal(undefined);
+
+        expect(cues[1].region.id).to.equal('top');
+        expect(cues[1].region.origin).to.deep.equal({ x: 10, y: 5 });
+        expect(cues[1].region.displayAlign).to.equal('before');
+        expect(cues[1].lines[0][0].style.color).to.equal('rgba(255, 255, 0, 1)');
+    });
+
+    it('splits paragraphs at the times of nested spans', function() {
+        const body = '<div begin="10s"><p begin="1s" end="5s">Roll <span begin="1s">up</span> ' +
+            '<span begin="2s" end="3s">now</span></p></div>';
+        const cues = ttml('', body);
+        expect(cues.map(cue => [cue.begin, cue.end, cue.text])).to.deep.equal([
+            [11, 12, 'Roll'],
+            [12, 13, 'Roll up'],
+            [13, 14, 'Roll up now'],
+            [14, 15, 'Roll up']
+        ]);
+    });
+
+    it('uses frame and tick rates', function() {
+        const cues = ttml('', '<div><p begin="00:00:01:15" end="40000000t">Frames</p></div>',
+            'ttp:frameRate="30" ttp:frameRateMultiplier="1000 1001" ttp:tickRate="10000000"');
+        expect(cues[0].begin).to.be.closeTo(1 + 15 / (30000 / 1001), 0.0001);
+        expect(cues[0].end).to.equal(4);
+    });
+
+    it('parses image profile documents', function() {
+        const head = '<metadata><smpte:image xml:id="img_0" imagetype="PNG" encoding="Base64">' +
+            'iVBORw0KGgo\nAAAANSUhEUg==</smpte:image></metadata>' +
+            '<layout><region xml:id="region_0" tts:origin="20% 80%" tts:extent="60% 10%"/></layout>';
+        const body = '<div region="region_0" begin="00:00:01.000" end="00:00:02.000" ' +
+            'smpte:backgroundImage="#img_0"/>' +
+            '<div region="region_0" begin="00:00:03.000" end="00:00:04.000">' +
+            '<image src="http://example.com/captions/1.png"/></div>';
+        const cues = ttml(head, body);
+
+        expect(cues.length).to.equal(2);
+        expect(cues[0].image).to.equal('data:image/png;base64,iVBORw0KGgoAAAANSUhEUg==');
+        expect(cues[0].text).to.equal('');
+        expect(cues[0].region.origin).to.deep.equal({ x: 20, y: 80 });
+        expect(cues[1].begin).to.equal(3);
+        expect(cues[1].image).to.equal('http://example.com/captions/1.png');
+    });
+
+    it('positions VTTCues as their regions', function() {
+        const head = '<layout><region xml:id="top" tts:origin="10% 5%" tts:extent="80% 20%" ' +
+            'tts:displayAlign="before"/></layout>';
+        const cue = ttml(head, '<div region="top"><p begin="0s" end="1s">Top</p></div>')[0];
+        const vttCue = new VTTCue(cue.begin, cue.end, cue.text);
+        applyRegion(vttCue, cue);
+
+        expect(vttCue.snapToLines).to.equal(false);
+        expect(vttCue.line).to.equal(5);
+        expect(vttCue.position).to.equal(50);
+        expect(vttCue.size).to.equal(80);
+    });
+});
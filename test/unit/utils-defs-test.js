@@ -25,6 +25,8 @@ define([
             assert.equal(typeof utils.isRtmp, 'function', 'isRtmp function is defined');
             assert.equal(typeof utils.isYouTube, 'function', 'isYouTube function is defined');
             assert.equal(typeof utils.youTubeID, 'function', 'youTubeID function is defined');
+            assert.equal(typeof utils.isVimeo, 'function', 'isVimeo function is defined');
+            assert.equal(typeof utils.vimeoID, 'function', 'vimeoID function is defined');
             assert.equal(typeof utils.typeOf, 'function', 'typeOf function is defined');
 
             // inherit from ajax
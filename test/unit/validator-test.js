@@ -73,5 +73,37 @@ define([
             var notYoutube = 'http://www.jwplayer.com/video.mp4';
             assert.equal(validator.isYouTube('value'), false, 'Checking utils.isYouTube for ' + notYoutube);
         });
+
+        it('isVimeo test', function() {
+            var sampleUrls = [
+                'https://vimeo.com/76979871',
+                'http://vimeo.com/channels/staffpicks/76979871',
+                'https://player.vimeo.com/video/76979871?autoplay=1',
+                '//vimeo.com/76979871'
+            ];
+
+            _.each(sampleUrls, function (value) {
+                assert.equal(validator.isVimeo(value), true, 'Checking utils.isVimeo for ' + value);
+            });
+            assert.equal(validator.isVimeo('https://player.vimeo.com/external/76979871.hd.mp4'), false,
+                'Vimeo file links are not played in the Vimeo player');
+            assert.equal(validator.isVimeo('http://www.jwplayer.com/video.mp4'), false);
+            assert.equal(validator.isVimeo('76979871', 'vimeo'), true);
+        });
+
+        it('validator.vimeoID', function() {
+            var sampleUrls = [
+                'https://vimeo.com/76979871',
+                'https://vimeo.com/channels/staffpicks/76979871',
+                'https://vimeo.com/groups/shortfilms/videos/76979871',
+                'https://player.vimeo.com/video/76979871?autoplay=1',
+                '76979871'
+            ];
+
+            _.each(sampleUrls, function (value) {
+                assert.equal(validator.vimeoID(value), '76979871', 'Checking validator.vimeoID for ' + value);
+            });
+            assert.equal(validator.vimeoID('https://vimeo.com/about'), '', 'vimeoID with invalid path');
+        });
     });
 });
@@ -0,0 +1,185 @@
+import VastClient, { selectMediaFile } from 'ads/vast-client';
+import VastPlayer from 'ads/vast-player';
+import sinon from 'sinon';
+import VastTracker, { fillMacros, formatTime } from 'ads/vast-tracker';
+import parser from 'utils/parser';
+import SimpleModel from 'model/simplemodel';
+import vast from 'data/vast';
+
+const RESPONSES = {
+    'http://ads.example.com/inline.xml': vast.inline,
+    'http://ads.example.com/wrapper.xml': vast.wrapper,
+    'http://ads.example.com/loop.xml': vast.loop,
+    'http://ads.example.com/empty.xml': vast.empty,
+    'http://ads.example.com/pod.xml': vast.pod
+};
+
+// Serves the fixtures, and records the tracking URLs called
+function serve(client) {
+    const pings = [];
+    client.options.ping = url => pings.push(url);
+    client.fetch = url => {
+        if (RESPONSES[url]) {
+            return Promise.resolve(parser.parseXML(RESPONSES[url]));
+        }
+        const error = new Error('File not found');
+        error.code = 900;
+        return Promise.reject(error);
+    };
+    client.pings = pings;
+    return client;
+}
+
+function createClient(options) {
+    return serve(new VastClient(options));
+}
+
+describe('VastClient', function() {
+
+    it('resolves wrappers, adding their tracking to the inline ad', function() {
+        const client = createClient();
+        return client.request('http://ads.example.com/wrapper.xml').then(ads => {
+            expect(ads.length).to.equal(1);
+            const ad = ads[0];
+            expect(ad.id).to.equal('inline-1');
+            expect(ad.impressions).to.deep.equal([
+                'http://track.example.com/wrapper/impression',
+                'http://track.example.com/impression?cb=[CACHEBUSTING]',
+                'http://track.example.com/impression2'
+            ]);
+            expect(ad.linear.clickTracking).to.deep.equal([
+                'http://track.example.com/wrapper/click',
+                'http://track.example.com/click'
+            ]);
+            expect(ad.linear.trackingEvents.filter(tracking => tracking.event === 'start').length).to.equal(2);
+            expect(client.pings).to.deep.equal([]);
+        });
+    });
+
+    it('stops following wrappers after maxRedirects and reports error 302', function() {
+        const client = createClient({
+            maxRedirects: 3
+        });
+        return client.request('http://ads.example.com/loop.xml').then(() => {
+            throw new Error('Expected the request to fail');
+        }, error => {
+            expect(error.code).to.equal(303);
+            expect(client.pings.length).to.equal(4);
+            client.pings.forEach(url => {
+                expect(url).to.equal('http://track.example.com/loop/error?code=302');
+            });
+        });
+    });
+
+    it('keeps its defaults for advertising settings which are not configured', function() {
+        const model = Object.assign({}, SimpleModel);
+        const player = new VastPlayer({}, model, null);
+        sinon.stub(player, 'startBreak');
+        sinon.stub(player, 'requestAds');
+        player.playAd('http://ads.example.com/loop.xml');
+        const client = serve(player.client);
+        expect(client.options.requestTimeout).to.equal(5000);
+        return client.request('http://ads.example.com/loop.xml').then(() => {
+            throw new Error('Expected the request to fail');
+        }, error => {
+            expect(error.code).to.equal(303);
+            expect(client.pings.length).to.equal(5);
+        });
+    });
+
+    it('reports error 301 to wrappers whose ad tag cannot be loaded', function() {
+        const client = createClient();
+        client.fetch = url => {
+            if (url === 'http://ads.example.com/inline.xml') {
+                return Promise.reject(new Error('Timeout'));
+            }
+            return Promise.resolve(parser.parseXML(RESPONSES[url]));
+        };
+        return client.request('http://ads.example.com/wrapper.xml').then(() => {
+            throw new Error('Expected the request to fail');
+        }, error => {
+            expect(error.code).to.equal(303);
+            expect(client.pings).to.deep.equal(['http://track.example.com/wrapper/error?code=301']);
+        });
+    });
+
+    it('reports error 303 to the response when there are no ads', function() {
+        const client = createClient();
+        return client.request('http://ads.example.com/empty.xml').then(() => {
+            throw new Error('Expected the request to fail');
+        }, error => {
+            expect(error.code).to.equal(303);
+            expect(client.pings).to.deep.equal(['http://track.example.com/noad?code=303']);
+        });
+    });
+
+    it('returns pods in sequence order', function() {
+        const client = createClient();
+        return client.request('http://ads.example.com/pod.xml').then(ads => {
+            expect(ads.map(ad => ad.id)).to.deep.equal(['pod-1', 'pod-2']);
+        });
+    });
+
+    it('selects the supported media file closest to the player width', function() {
+        const client = createClient();
+        return client.request('http://ads.example.com/inline.xml').then(ads => {
+            const linear = ads[0].linear;
+            const playsMp4 = source => source.type === 'mp4' ? { name: 'html5' } : null;
+            expect(selectMediaFile(linear, playsMp4, 1280).mediaFile.file).to.equal('http://media.example.com/ad-720.mp4');
+            expect(selectMediaFile(linear, playsMp4, 480).mediaFile.file).to.equal('http://media.example.com/ad-360.mp4');
+
+            const playsAll = source => ({ name: source.type === 'flv' ? 'flash' : 'html5' });
+            const selected = selectMediaFile(linear, playsAll, 480, 'flash');
+            expect(selected.mediaFile.file, 'Files played by the preferred provider come first')
+                .to.equal('http://media.example.com/ad-360.flv');
+            expect(selected.source.type).to.equal('flv');
+
+            expect(selectMediaFile(linear, () => null, 480)).to.equal(null);
+        });
+    });
+});
+
+describe('VastTracker', function() {
+
+    it('fills macros', function() {
+        expect(fillMacros('http://t.example.com/?e=[ERRORCODE]&a=[ASSETURI]&x=[UNKNOWN]', {
+            ERRORCODE: 405,
+            ASSETURI: 'http://media.example.com/a.mp4'
+        })).to.equal('http://t.example.com/?e=405&a=http%3A%2F%2Fmedia.example.com%2Fa.mp4&x=[UNKNOWN]');
+        expect(formatTime(3723.5)).to.equal('01:02:03.500');
+    });
+
+    it('reports impressions, quartiles and progress once', function() {
+        const client = createClient();
+        return client.request('http://ads.example.com/inline.xml').then(ads => {
+            const pings = [];
+            const tracker = new VastTracker(ads[0], url => pings.push(url.replace('http://track.example.com/', '')));
+
+            tracker.impression();
+            tracker.impression();
+            expect(pings.length).to.equal(3);
+            expect(pings[0]).to.match(/^impression\?cb=\d{8}$/);
+            expect(pings.slice(1)).to.deep.equal(['impression2', 'start']);
+
+            pings.length = 0;
+            tracker.time(8, 30.5);
+            tracker.time(10, 30.5);
+            tracker.time(16, 30.5);
+            tracker.time(16.5, 30.5);
+            expect(pings).to.deep.equal(['firstQuartile', 'progress10', 'midpoint']);
+
+            pings.length = 0;
+            tracker.time(28, 30.5);
+            tracker.track('complete');
+            tracker.track('complete');
+            tracker.track('pause');
+            tracker.track('pause');
+            expect(pings).to.deep.equal(['thirdQuartile', 'progress90', 'complete', 'pause', 'pause']);
+
+            pings.length = 0;
+            expect(tracker.click()).to.equal('http://advertiser.example.com/');
+            tracker.error(405);
+            expect(pings).to.deep.equal(['click', 'error?code=405']);
+        });
+    });
+});
@@ -0,0 +1,101 @@
+define([
+    'parsers/vastparser',
+    'utils/parser',
+    'data/vast'
+], function (vastparser, parser, vast) {
+
+    describe('vastparser', function() {
+
+        it('parses VAST times and offsets', function() {
+            assert.equal(vastparser.parseTime('00:00:30.500'), 30.5);
+            assert.equal(vastparser.parseTime('01:02:03'), 3723);
+            assert.isNull(vastparser.parseTime('30'));
+            assert.equal(vastparser.parseOffset('00:00:05', 30), 5);
+            assert.equal(vastparser.parseOffset('25%', 30), 7.5);
+            assert.isNull(vastparser.parseOffset('25%', 0), 'Percentages need a duration');
+        });
+
+        it('parses inline ads', function() {
+            var response = vastparser.parseVAST(parser.parseXML(vast.inline));
+            assert.equal(response.version, '3.0');
+            assert.equal(response.ads.length, 1);
+
+            var ad = response.ads[0];
+            assert.equal(ad.id, 'inline-1');
+            assert.isFalse(ad.wrapper);
+            assert.equal(ad.system, 'Example Ads');
+            assert.equal(ad.title, 'Inline Ad');
+            assert.deepEqual(ad.impressions, [
+                'http://track.example.com/impression?cb=[CACHEBUSTING]',
+                'http://track.example.com/impression2'
+            ]);
+            assert.deepEqual(ad.errors, ['http://track.example.com/error?code=[ERRORCODE]']);
+
+            var linear = ad.linear;
+            assert.equal(linear.id, 'creative-1');
+            assert.equal(linear.duration, 30.5);
+            assert.equal(linear.skipoffset, '00:00:05');
+            assert.equal(linear.clickThrough, 'http://advertiser.example.com/');
+            assert.deepEqual(linear.clickTracking, ['http://track.example.com/click']);
+            assert.equal(linear.trackingEvents.length, 8);
+            assert.deepEqual(linear.trackingEvents[6], {
+                event: 'progress',
+                url: 'http://track.example.com/progress10',
+                offset: '00:00:10'
+            });
+            assert.equal(linear.mediaFiles.length, 4);
+            assert.deepEqual(linear.mediaFiles[1], {
+                file: 'http://media.example.com/ad-360.mp4',
+                type: 'video/mp4',
+                delivery: 'progressive',
+                width: 640,
+                height: 360,
+                bitrate: 800,
+                apiFramework: undefined
+            });
+            assert.equal(linear.mediaFiles[3].apiFramework, 'VPAID');
+            assert.deepEqual(linear.interactiveFiles, [{
+                file: 'http://media.example.com/simid.html',
+                type: 'text/html',
+                apiFramework: 'SIMID',
+                variableDuration: true
+            }]);
+
+            assert.equal(ad.companions.length, 2, 'Companions without a resource are ignored');
+            assert.deepEqual(ad.companions[0], {
+                id: 'banner',
+                width: 300,
+                height: 250,
+                staticResource: {
+                    url: 'http://media.example.com/banner.png',
+                    creativeType: 'image/png'
+                },
+                iframeResource: undefined,
+                htmlResource: undefined,
+                clickThrough: 'http://advertiser.example.com/banner',
+                clickTracking: ['http://track.example.com/companion/click'],
+                creativeView: ['http://track.example.com/companion/view'],
+                altText: 'Banner'
+            });
+            assert.equal(ad.companions[1].iframeResource, 'http://media.example.com/leaderboard.html');
+        });
+
+        it('parses wrappers', function() {
+            var ad = vastparser.parseVAST(parser.parseXML(vast.wrapper)).ads[0];
+            assert.isTrue(ad.wrapper);
+            assert.isTrue(ad.followAdditionalWrappers);
+            assert.equal(ad.adTagURI, 'http://ads.example.com/inline.xml');
+            assert.deepEqual(ad.impressions, ['http://track.example.com/wrapper/impression']);
+            assert.deepEqual(ad.linear.mediaFiles, []);
+            assert.deepEqual(ad.linear.clickTracking, ['http://track.example.com/wrapper/click']);
+        });
+
+        it('parses responses without ads and ignores other documents', function() {
+            var response = vastparser.parseVAST(parser.parseXML(vast.empty));
+            assert.deepEqual(response.ads, []);
+            assert.deepEqual(response.errors, ['http://track.example.com/noad?code=[ERRORCODE]']);
+
+            assert.isNull(vastparser.parseVAST(parser.parseXML('<rss><channel></channel></rss>')));
+        });
+    });
+});
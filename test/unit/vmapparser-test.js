@@ -0,0 +1,40 @@
+define([
+    'parsers/vmapparser',
+    'utils/parser',
+    'data/vast'
+], function (vmapparser, parser, vast) {
+
+    describe('vmapparser', function() {
+
+        it('parses ad breaks with an ad tag or VAST document', function() {
+            var breaks = vmapparser.parseVMAP(parser.parseXML(vast.vmap));
+            assert.equal(breaks.length, 4, 'Breaks without an ad source are ignored');
+
+            assert.deepEqual(breaks[0], {
+                id: 'preroll',
+                offset: 'start',
+                types: ['linear'],
+                tag: 'http://ads.example.com/inline.xml',
+                vast: undefined,
+                tracking: {
+                    breakStart: ['http://track.example.com/vmap/start'],
+                    breakEnd: [],
+                    error: ['http://track.example.com/vmap/error?code=[ERRORCODE]']
+                }
+            });
+
+            assert.equal(breaks[1].offset, '00:10:00.000');
+            assert.deepEqual(breaks[1].types, ['linear', 'nonlinear']);
+            assert.isUndefined(breaks[1].tag);
+            assert.equal(breaks[1].vast.nodeName, 'VAST');
+
+            assert.deepEqual(breaks.map(function(adBreak) {
+                return adBreak.id;
+            }), ['preroll', 'midroll-1', 'overlay', 'postroll']);
+        });
+
+        it('ignores other documents', function() {
+            assert.isNull(vmapparser.parseVMAP(parser.parseXML(vast.inline)));
+        });
+    });
+});